@@ -1,4 +1,4 @@
-import React, { useState, useEffect, createContext, useContext, useRef } from 'react';
+import React, { useState, useEffect, createContext, useContext, useRef, useMemo } from 'react';
 import { StatusBar } from 'expo-status-bar';
 import {
   StyleSheet,
@@ -11,16 +11,33 @@ import {
   TextInput,
   ScrollView,
   FlatList,
+  SectionList,
   Alert,
   Platform,
   Modal,
+  Image,
+  Switch,
+  AppState,
 } from 'react-native';
-import { NavigationContainer } from '@react-navigation/native';
+import { NavigationContainer, createNavigationContainerRef } from '@react-navigation/native';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import { MaterialIcons, Feather } from '@expo/vector-icons';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { LinearGradient } from 'expo-linear-gradient';
 import DateTimePicker from '@react-native-community/datetimepicker';
+import Svg, { Rect, Path, Circle, Line, Text as SvgText } from 'react-native-svg';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+import * as Print from 'expo-print';
+import * as ImagePicker from 'expo-image-picker';
+import * as LocalAuthentication from 'expo-local-authentication';
+import * as SecureStore from 'expo-secure-store';
+import * as Crypto from 'expo-crypto';
+import * as Notifications from 'expo-notifications';
+import CryptoJS from 'crypto-js';
+// SheetJS veröffentlicht neue Versionen nur noch über das eigene CDN (siehe README); npm bleibt auf 0.18.5
+import * as XLSX from 'xlsx';
 
 // ---------- Theme ----------
 const lightTheme = {
@@ -54,13 +71,31 @@ const EXPENSE_CATEGORIES = [
   { label: 'Sonstiges', value: 'Sonstiges', color: '#a78bfa', icon: 'more-horizontal' },
 ];
 
-const categoryColor = (cat, isIncome) => {
-  const pool = isIncome ? INCOME_CATEGORIES : EXPENSE_CATEGORIES;
+// Standard-Kategorien beim ersten Start; danach gilt die gespeicherte Liste aus dem Kontext
+const DEFAULT_CATEGORIES = { income: INCOME_CATEGORIES, expense: EXPENSE_CATEGORIES };
+
+const CATEGORY_COLORS = [
+  '#22c55e', '#10b981', '#0ea5e9', '#2563eb', '#a78bfa',
+  '#ec4899', '#ef4444', '#f97316', '#eab308', '#64748b',
+];
+
+const CATEGORY_ICONS = [
+  'heart', 'gift', 'users', 'user', 'credit-card', 'dollar-sign', 'home', 'shopping-cart',
+  'book', 'briefcase', 'globe', 'star', 'coffee', 'truck', 'smartphone', 'more-horizontal',
+];
+
+const categoryPool = (isIncome, categories = DEFAULT_CATEGORIES) => (isIncome ? categories.income : categories.expense);
+
+// Archivierte Kategorien tauchen bei neuen Einträgen nicht mehr auf
+const activeCategories = (isIncome, categories) => categoryPool(isIncome, categories).filter(c => !c.archived);
+
+const categoryColor = (cat, isIncome, categories) => {
+  const pool = categoryPool(isIncome, categories);
   return pool.find(c => c.value === cat)?.color || (isIncome ? '#16a34a' : '#ef4444');
 };
 
-const categoryIcon = (cat, isIncome) => {
-  const pool = isIncome ? INCOME_CATEGORIES : EXPENSE_CATEGORIES;
+const categoryIcon = (cat, isIncome, categories) => {
+  const pool = categoryPool(isIncome, categories);
   return pool.find(c => c.value === cat)?.icon || 'circle';
 };
 
@@ -70,47 +105,394 @@ const DonationContext = createContext();
 const DonationProvider = ({ children }) => {
   const [transactions, setTransactions] = useState([]);
   const [isDarkMode, setIsDarkMode] = useState(false);
+  const [categories, setCategories] = useState(DEFAULT_CATEGORIES);
+  const [contacts, setContacts] = useState([]);
+  const [receipts, setReceipts] = useState([]);
+  const [receiptSettings, setReceiptSettings] = useState(DEFAULT_RECEIPT_SETTINGS);
+  const [recurringRules, setRecurringRules] = useState([]);
+  const [campaigns, setCampaigns] = useState([]);
+  const [accounts, setAccounts] = useState(DEFAULT_ACCOUNTS);
+  const [budgets, setBudgets] = useState([]);
+  const [importRules, setImportRules] = useState([]); // Kategorie-Regeln für den Kontoauszug-Import
+  const [reminderSettings, setReminderSettings] = useState(DEFAULT_REMINDER_SETTINGS);
+  const [pendingAddType, setPendingAddType] = useState(null); // aus einer Benachrichtigung: 'income' | 'expense'
+  const [dataLoaded, setDataLoaded] = useState(false);
+  const [exchangeRates, setExchangeRates] = useState([]);
+  const [baseCurrency, setBaseCurrency] = useState('EUR');
+  const [operationLog, setOperationLog] = useState([]);
+  const [redoStack, setRedoStack] = useState([]); // IDs rückgängig gemachter Einträge, nur für diese Sitzung
+  const [lastOperation, setLastOperation] = useState(null); // für die Rückgängig-Leiste
+  const [editorName, setEditorName] = useState('');
+  const [syncState, setSyncState] = useState(DEFAULT_SYNC_STATE);
+  const [syncServer, setSyncServer] = useState(DEFAULT_SYNC_SERVER);
+  const [serverOutbox, setServerOutbox] = useState(DEFAULT_SERVER_OUTBOX);
+  const [serverStatus, setServerStatus] = useState({ state: 'idle', message: null }); // 'idle' | 'syncing' | 'offline' | 'error'
+  const [appLock, setAppLock] = useState(DEFAULT_APP_LOCK);
+  const [lockState, setLockState] = useState('loading'); // 'loading' | 'locked' | 'unlocked'
+  const [storageError, setStorageError] = useState(null); // { keys, message } wenn Daten nicht lesbar sind
+  // Immer aktueller Stand, damit mehrere Aufrufe nacheinander (z. B. Import) nichts überschreiben
+  const transactionsRef = useRef([]);
+  const recurringRulesRef = useRef([]);
+  const operationLogRef = useRef([]);
+  const tombstonesRef = useRef([]); // { id, deletedAt, deletedBy } gelöschter Einträge für den Abgleich
+  const deviceIdRef = useRef(null);
+  const syncServerRef = useRef(DEFAULT_SYNC_SERVER);
+  const serverOutboxRef = useRef(DEFAULT_SERVER_OUTBOX);
+  // Abgleiche mit dem Server nacheinander; der Ref hält immer den aktuellen Ablauf (siehe syncWithServer)
+  const serverRunRef = useRef(Promise.resolve());
+  const runServerSyncRef = useRef(null);
+  const serverTimerRef = useRef(null);
+  const appLockRef = useRef(DEFAULT_APP_LOCK);
+  const backgroundAtRef = useRef(null);
+  const autoLockPausedRef = useRef(false);
+  // Solange gesetzt, wird nichts geschrieben, damit die unlesbaren Daten nicht überschrieben werden
+  const storageErrorRef = useRef(null);
+  // Planen nacheinander ausführen, sonst löscht ein späterer Durchlauf die Einträge eines früheren
+  const reminderQueueRef = useRef(Promise.resolve());
+
+  useEffect(() => {
+    const init = async () => {
+      await migrateStorage();
+      await Promise.all([
+        loadTransactions(),
+        loadTheme(),
+        loadCategories(),
+        loadContacts(),
+        loadReceipts(),
+        loadRecurringRules(),
+        loadCampaigns(),
+        loadAccounts(),
+        loadBudgets(),
+        loadImportRules(),
+        loadReminderSettings(),
+        loadCurrencies(),
+        loadOperationLog(),
+        loadSyncData(),
+        loadSyncServer(),
+      ]);
+      // Erst wenn die Einträge geladen sind, sonst entstehen Duplikate
+      await materializeRecurring();
+      await cleanupAttachments();
+      setDataLoaded(true);
+    };
+    init();
+    loadAppLock();
+  }, []);
+
+  // Tippen auf eine Erinnerung (auch beim Kaltstart) öffnet das passende Formular
+  useEffect(() => {
+    const open = (response) => {
+      const addType = response?.notification.request.content.data?.addType;
+      if (addType === 'income' || addType === 'expense') setPendingAddType(addType);
+    };
+    Notifications.getLastNotificationResponseAsync()
+      .then(open)
+      .catch((e) => console.error('Failed to read notification response', e));
+    const subscription = Notifications.addNotificationResponseReceivedListener(open);
+    return () => subscription.remove();
+  }, []);
+
+  // Geplante Erinnerungen folgen den Einstellungen, Regeln und Kampagnen
+  useEffect(() => {
+    if (!dataLoaded) return;
+    reminderQueueRef.current = reminderQueueRef.current
+      .then(() => rescheduleReminders(reminderSettings, recurringRules, campaigns, appLock.enabled))
+      .catch((e) => console.error('Failed to schedule reminders', e));
+  }, [dataLoaded, reminderSettings, recurringRules, campaigns, appLock.enabled]);
 
+  // Automatisch sperren, wenn die App länger als eingestellt im Hintergrund war
   useEffect(() => {
-    loadTransactions();
-    loadTheme();
+    const subscription = AppState.addEventListener('change', (next) => {
+      const lock = appLockRef.current;
+      if (!lock.enabled || autoLockPausedRef.current) return;
+      if (next === 'background') {
+        backgroundAtRef.current = Date.now();
+      } else if (next === 'active' && backgroundAtRef.current) {
+        if (Date.now() - backgroundAtRef.current >= lock.autoLockSeconds * 1000) setLockState('locked');
+        backgroundAtRef.current = null;
+      }
+    });
+    return () => subscription.remove();
   }, []);
 
+  // Mit dem Sync-Server abgleichen: nach dem Laden, nach jeder Änderung der Einstellungen und
+  // beim Zurückkehren in die App; lokale Änderungen lösen zusätzlich scheduleServerSync aus
+  useEffect(() => {
+    if (!dataLoaded || !syncServer.enabled) return;
+    syncWithServer();
+    const subscription = AppState.addEventListener('change', (next) => {
+      if (next === 'active') syncWithServer();
+    });
+    return () => {
+      subscription.remove();
+      clearTimeout(serverTimerRef.current);
+    };
+  }, [dataLoaded, syncServer]);
+
+  const reportStorageError = (key, e) => {
+    console.error(`Failed to read ${key}`, e);
+    const previous = storageErrorRef.current;
+    const next = { keys: [...(previous?.keys || []), key], message: previous?.message || e.message };
+    storageErrorRef.current = next;
+    setStorageError(next);
+  };
+
+  // Schlägt die Umstellung fehl, melden die Ladefunktionen die unverschlüsselten Werte als unlesbar
+  const migrateStorage = async () => {
+    try {
+      await encryptLegacyStorage();
+    } catch (e) {
+      console.error('Failed to encrypt stored data', e);
+    }
+  };
+
   const loadTransactions = async () => {
     try {
       const stored = await AsyncStorage.getItem('transactions');
-      if (stored) {
-        const parsed = JSON.parse(stored);
-        setTransactions(parsed.sort((a, b) => new Date(b.date) - new Date(a.date)));
-      }
+      const parsed = stored ? JSON.parse(await decryptStored(stored)).sort((a, b) => new Date(b.date) - new Date(a.date)) : [];
+      transactionsRef.current = parsed;
+      setTransactions(parsed);
     } catch (e) {
-      console.error('Failed to load transactions', e);
+      reportStorageError('transactions', e);
     }
   };
 
-  const saveTransactions = async (list) => {
+  // Liefert false, wenn nicht gespeichert werden konnte
+  // Geänderte Einträge bekommen Zeitstempel und Geräte-ID, gelöschte einen Grabstein; beides braucht
+  // der Abgleich zwischen Geräten. Übernommene fremde Änderungen (stamp: false) behalten ihre Stempel.
+  const saveTransactions = async (list, { stamp = true } = {}) => {
+    if (storageErrorRef.current) return false;
+    const previous = transactionsRef.current;
     try {
-      const sorted = [...list].sort((a, b) => new Date(b.date) - new Date(a.date));
-      await AsyncStorage.setItem('transactions', JSON.stringify(sorted));
+      const at = new Date().toISOString();
+      const stored = list.map(storedTransaction);
+      const sorted = (stamp ? stampChanges(previous, stored, at, deviceIdRef.current) : stored).sort(
+        (a, b) => new Date(b.date) - new Date(a.date)
+      );
+      transactionsRef.current = sorted;
+      await AsyncStorage.setItem('transactions', await encryptStored(JSON.stringify(sorted)));
       setTransactions(sorted);
+      if (stamp) {
+        const tombstones = updateTombstones(tombstonesRef.current, previous, sorted, at, deviceIdRef.current);
+        if (tombstones !== tombstonesRef.current) await saveTombstones(tombstones);
+        await queueServerOps(serverOpsFor(previous, sorted, tombstones));
+      }
+      return true;
     } catch (e) {
+      transactionsRef.current = previous;
       console.error('Failed to save transactions', e);
+      return false;
+    }
+  };
+
+  const loadAppLock = async () => {
+    try {
+      const stored = await SecureStore.getItemAsync(APP_LOCK_KEY);
+      const lock = stored ? { ...DEFAULT_APP_LOCK, ...JSON.parse(stored) } : DEFAULT_APP_LOCK;
+      appLockRef.current = lock;
+      setAppLock(lock);
+      setLockState(lock.enabled ? 'locked' : 'unlocked');
+    } catch (e) {
+      // Ohne lesbare Einstellungen lieber sperren als die Daten offenlegen
+      console.error('Failed to load app lock', e);
+      setLockState(appLockRef.current.enabled ? 'locked' : 'unlocked');
+    }
+  };
+
+  const saveAppLock = async (next) => {
+    await SecureStore.setItemAsync(APP_LOCK_KEY, JSON.stringify(next));
+    appLockRef.current = next;
+    setAppLock(next);
+  };
+
+  const setupPin = async (pin) => {
+    const secret = await pinSecret(pin);
+    await saveAppLock({ ...appLockRef.current, ...secret, enabled: true, pinLength: pin.length, failedAttempts: 0 });
+  };
+
+  const updateAppLock = async (changes) => {
+    await saveAppLock({ ...appLockRef.current, ...changes });
+  };
+
+  const disableAppLock = async () => {
+    await SecureStore.deleteItemAsync(APP_LOCK_KEY);
+    appLockRef.current = DEFAULT_APP_LOCK;
+    setAppLock(DEFAULT_APP_LOCK);
+    setLockState('unlocked');
+  };
+
+  // Kamera und Dateiauswahl schicken die App kurz in den Hintergrund; das Formular soll dabei offen bleiben
+  const withAutoLockPaused = async (action) => {
+    autoLockPausedRef.current = true;
+    try {
+      return await action();
+    } finally {
+      autoLockPausedRef.current = false;
+      backgroundAtRef.current = null;
+    }
+  };
+
+  const lockNow = () => {
+    if (appLockRef.current.enabled) setLockState('locked');
+  };
+
+  // Löscht alle lokalen Daten (nach zu vielen Fehlversuchen)
+  const wipeAllData = async () => {
+    await AsyncStorage.clear();
+    await forgetStorageKey();
+    // Sonst holt der nächste Abgleich alles vom Server zurück
+    await SecureStore.deleteItemAsync(SYNC_SERVER_KEY);
+    await FileSystem.deleteAsync(FileSystem.documentDirectory + ATTACHMENT_DIR, { idempotent: true });
+    await disableAppLock();
+    await reloadFromStorage();
+  };
+
+  // Liefert { ok, wiped, remaining }; remaining ist null, wenn kein Löschen eingestellt ist
+  const unlockWithPin = async (pin) => {
+    const lock = appLockRef.current;
+    if (await pinMatches(pin, lock)) {
+      // Alte SHA-256-Hashes beim ersten Entsperren auf PBKDF2 umstellen
+      if (!lock.kdfIterations) await saveAppLock({ ...lock, ...(await pinSecret(pin)), failedAttempts: 0 });
+      else if (lock.failedAttempts > 0) await saveAppLock({ ...lock, failedAttempts: 0 });
+      setLockState('unlocked');
+      return { ok: true, wiped: false, remaining: null };
+    }
+    const failedAttempts = lock.failedAttempts + 1;
+    if (lock.wipeAfter > 0 && failedAttempts >= lock.wipeAfter) {
+      await wipeAllData();
+      return { ok: false, wiped: true, remaining: 0 };
+    }
+    await saveAppLock({ ...lock, failedAttempts });
+    return { ok: false, wiped: false, remaining: lock.wipeAfter > 0 ? lock.wipeAfter - failedAttempts : null };
+  };
+
+  const unlockWithBiometrics = async () => {
+    const result = await LocalAuthentication.authenticateAsync({
+      promptMessage: 'Spenden-Tracker entsperren',
+      cancelLabel: 'PIN verwenden',
+      disableDeviceFallback: true,
+    });
+    if (!result.success) return false;
+    if (appLockRef.current.failedAttempts > 0) await saveAppLock({ ...appLockRef.current, failedAttempts: 0 });
+    setLockState('unlocked');
+    return true;
+  };
+
+  const loadOperationLog = async () => {
+    try {
+      const [[, storedLog], [, storedName]] = await AsyncStorage.multiGet(['operationLog', 'editorName']);
+      setEditorName(storedName || '');
+      const parsed = storedLog ? JSON.parse(await decryptStored(storedLog)).sort((a, b) => a.at.localeCompare(b.at)) : [];
+      operationLogRef.current = parsed;
+      setOperationLog(parsed);
+    } catch (e) {
+      reportStorageError('operationLog', e);
+    }
+  };
+
+  const saveOperationLog = async (list) => {
+    if (storageErrorRef.current) return;
+    const capped = list.slice(-MAX_LOG_ENTRIES);
+    operationLogRef.current = capped;
+    setOperationLog(capped);
+    try {
+      await AsyncStorage.setItem('operationLog', await encryptStored(JSON.stringify(capped)));
+    } catch (e) {
+      console.error('Failed to save operation log', e);
     }
   };
 
-  const addTransaction = async (t) => {
-    const withId = { ...t, id: Date.now(), isPinned: false };
-    await saveTransactions([withId, ...transactions]);
+  // Wiederherstellung, wenn die verschlüsselten Daten nicht lesbar sind
+  const discardUnreadableData = async () => {
+    await AsyncStorage.multiRemove(storageErrorRef.current?.keys || []);
+    await reloadFromStorage();
+  };
+
+  const readRawStorage = async () => {
+    const pairs = await AsyncStorage.multiGet(storageErrorRef.current?.keys || []);
+    return pairs.filter(([, raw]) => raw != null).map(([key, raw]) => `${key}:\n${raw}`).join('\n\n');
+  };
+
+  const changeEditorName = async (name) => {
+    setEditorName(name);
+    await AsyncStorage.setItem('editorName', name);
+  };
+
+  // before/after: betroffene Einträge vor und nach der Änderung (leer bei Anlegen bzw. Löschen)
+  const recordOperation = async (type, before, after, { notify = true } = {}) => {
+    const entry = {
+      id: newId(),
+      at: new Date().toISOString(),
+      author: editorName.trim() || 'Dieses Gerät',
+      type,
+      before: before.map(storedTransaction),
+      after: after.map(storedTransaction),
+      undone: false,
+    };
+    await saveOperationLog([...operationLogRef.current, entry]);
+    setRedoStack([]);
+    if (notify) setLastOperation(entry);
+  };
+
+  // Nimmt einen Eintrag oder eine Liste (Import) entgegen; eine mitgegebene ID bleibt erhalten.
+  // Liefert false, wenn nicht gespeichert werden konnte
+  const addTransaction = async (t, options) => {
+    const list = Array.isArray(t) ? t : [t];
+    const withIds = list.map((item) => ({ ...item, id: item.id ?? newId(), isPinned: false }));
+    if (!(await saveTransactions([...withIds, ...transactionsRef.current]))) return false;
+    await recordOperation('add', [], withIds, options);
+    return true;
   };
 
+  // Felder, die das Formular nicht kennt (z. B. isPinned), bleiben erhalten
   const updateTransaction = async (id, updatedTransaction) => {
-    const updated = transactions.map(t => t.id === id ? { ...updatedTransaction, id } : t);
-    await saveTransactions(updated);
+    const previous = transactionsRef.current.find(t => t.id === id);
+    if (!previous) return;
+    const next = { ...previous, ...storedTransaction(updatedTransaction), id };
+    const updated = transactionsRef.current.map(t => t.id === id ? next : t);
+    if (await saveTransactions(updated)) {
+      await recordOperation('update', [previous], [next]);
+      if ((previous.attachments || []).length > 0) await cleanupAttachments();
+    }
+  };
+
+  const togglePinned = async (id) => {
+    const previous = transactionsRef.current.find(t => t.id === id);
+    if (!previous) return;
+    await updateTransaction(id, { isPinned: !previous.isPinned });
   };
 
   const deleteTransaction = async (id) => {
-    const filtered = transactions.filter(t => t.id !== id);
-    await saveTransactions(filtered);
+    const removed = transactionsRef.current.filter(t => t.id === id);
+    const filtered = transactionsRef.current.filter(t => t.id !== id);
+    if (await saveTransactions(filtered)) {
+      await recordOperation('delete', removed, []);
+      await cleanupAttachments();
+    }
+  };
+
+  // Macht die jüngste noch nicht rückgängig gemachte Änderung rückgängig
+  const undoOperation = async () => {
+    const entry = [...operationLogRef.current].reverse().find((e) => !e.undone);
+    if (!entry) return null;
+    if (!(await saveTransactions(swapOperation(transactionsRef.current, entry.after, entry.before)))) return null;
+    await saveOperationLog(
+      operationLogRef.current.map((e) => (e.id === entry.id ? { ...e, undone: true, undoneAt: new Date().toISOString() } : e))
+    );
+    setRedoStack((prev) => [...prev, entry.id]);
+    setLastOperation(null);
+    return entry;
+  };
+
+  const redoOperation = async () => {
+    const entry = operationLogRef.current.find((e) => e.id === redoStack[redoStack.length - 1]);
+    if (!entry) return null;
+    if (!(await saveTransactions(swapOperation(transactionsRef.current, entry.before, entry.after)))) return null;
+    await saveOperationLog(
+      operationLogRef.current.map((e) => (e.id === entry.id ? { ...e, undone: false, undoneAt: null } : e))
+    );
+    setRedoStack((prev) => prev.slice(0, -1));
+    return entry;
   };
 
   const toggleTheme = async () => {
@@ -122,170 +504,8022 @@ const DonationProvider = ({ children }) => {
   const loadTheme = async () => {
     try {
       const theme = await AsyncStorage.getItem('theme');
-      if (theme) setIsDarkMode(theme === 'dark');
+      setIsDarkMode(theme === 'dark');
     } catch (e) {
       console.error('Failed to load theme', e);
     }
   };
 
-  const totalIncome = transactions.filter(t => t.isIncome).reduce((s, t) => s + t.amount, 0);
-  const totalExpense = transactions.filter(t => !t.isIncome).reduce((s, t) => s + t.amount, 0);
-  const balance = totalIncome - totalExpense;
+  const loadCategories = async () => {
+    try {
+      const stored = await AsyncStorage.getItem('categories');
+      setCategories(stored ? JSON.parse(stored) : DEFAULT_CATEGORIES);
+    } catch (e) {
+      console.error('Failed to load categories', e);
+    }
+  };
 
-  return (
-    <DonationContext.Provider
-      value={{
-        transactions,
-        addTransaction,
-        updateTransaction,
-        deleteTransaction,
-        totalIncome,
-        totalExpense,
-        balance,
-        isDarkMode,
-        toggleTheme,
-      }}
-    >
-      {children}
-    </DonationContext.Provider>
-  );
-};
+  const saveCategories = async (next) => {
+    try {
+      await AsyncStorage.setItem('categories', JSON.stringify(next));
+      setCategories(next);
+    } catch (e) {
+      console.error('Failed to save categories', e);
+    }
+  };
 
-// ---------- Helpers ----------
-const eur = (n) =>
-  '€' +
-  (Number.isFinite(n) ? n : 0)
-    .toFixed(2)
-    .replace('.', ',');
+  const withPool = (isIncome, fn) => {
+    const key = isIncome ? 'income' : 'expense';
+    return { ...categories, [key]: fn(categories[key]) };
+  };
 
-// ---------- UI: Filter Component (Bubbles bleiben) ----------
-const FilterBar = ({ selectedCategories, onCategoryToggle, isIncome, searchText, onSearchChange }) => {
-  const { isDarkMode } = useContext(DonationContext);
-  const theme = isDarkMode ? darkTheme : lightTheme;
-  const categories = isIncome ? INCOME_CATEGORIES : EXPENSE_CATEGORIES;
+  const addCategory = async (isIncome, { label, color, icon }) => {
+    await saveCategories(withPool(isIncome, (pool) => [...pool, { label, value: label, color, icon, archived: false }]));
+  };
 
-  return (
-    <View style={styles.filterContainer}>
-      <TextInput
-        style={[
-          styles.searchInput,
-          { backgroundColor: theme.card, borderColor: theme.secondary, color: theme.text }
-        ]}
-        placeholder="Suchen..."
-        placeholderTextColor={isDarkMode ? '#9fb1c6' : '#7a8ca1'}
-        value={searchText}
-        onChangeText={onSearchChange}
-      />
+  // Umbenennen schreibt auch das `category`-Feld der betroffenen Einträge und Regeln um
+  const updateCategory = async (isIncome, value, { label, color, icon }) => {
+    await saveCategories(
+      withPool(isIncome, (pool) => pool.map((c) => (c.value === value ? { ...c, label, value: label, color, icon } : c)))
+    );
+    if (label !== value) {
+      await reassignCategory(isIncome, value, label);
+      if (!isIncome) await saveBudgets(budgets.map((b) => (b.category === value ? { ...b, category: label } : b)));
+    }
+  };
 
-      <ScrollView
-        horizontal
-        showsHorizontalScrollIndicator={false}
-        style={styles.categoryScrollView}
-        contentContainerStyle={styles.categoryScrollContent}
-      >
-        {categories.map((cat) => (
-          <TouchableOpacity
-            key={cat.value}
-            onPress={() => onCategoryToggle(cat.value)}
-            style={[
-              styles.filterChip,
-              {
-                backgroundColor: selectedCategories.includes(cat.value) ? cat.color : theme.card,
-                borderColor: cat.color,
-              },
-            ]}
-          >
-            <Feather
-              name={cat.icon}
-              size={14}
-              color={selectedCategories.includes(cat.value) ? 'white' : cat.color}
-            />
-            <Text
-              style={[
-                styles.filterChipText,
-                { color: selectedCategories.includes(cat.value) ? 'white' : cat.color },
-              ]}
-            >
-              {cat.label}
-            </Text>
-          </TouchableOpacity>
-        ))}
-      </ScrollView>
-    </View>
-  );
-};
+  const moveCategory = async (isIncome, value, direction) => {
+    await saveCategories(
+      withPool(isIncome, (pool) => {
+        const index = pool.findIndex((c) => c.value === value);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= pool.length) return pool;
+        const next = [...pool];
+        [next[index], next[target]] = [next[target], next[index]];
+        return next;
+      })
+    );
+  };
 
-// ---------- UI: Category Chip ----------
-const CategoryChip = ({ category, isIncome, isSelected, onPress }) => {
-  const { isDarkMode } = useContext(DonationContext);
-  const theme = isDarkMode ? darkTheme : lightTheme;
-  const color = categoryColor(category, isIncome);
-  const icon = categoryIcon(category, isIncome);
+  const setCategoryArchived = async (isIncome, value, archived) => {
+    await saveCategories(withPool(isIncome, (pool) => pool.map((c) => (c.value === value ? { ...c, archived } : c))));
+  };
 
-  return (
-    <TouchableOpacity
-      onPress={onPress}
-      style={[
-        styles.categoryChip,
-        {
-          backgroundColor: isSelected ? color : theme.card,
-          borderColor: color,
-          borderWidth: 2,
-        },
-      ]}
-    >
-      <Feather name={icon} size={14} color={isSelected ? 'white' : color} style={{ marginRight: 6 }} />
-      <Text style={[styles.categoryChipText, { color: isSelected ? 'white' : color }]}>
-        {category}
-      </Text>
-    </TouchableOpacity>
-  );
-};
+  // reassignTo ist nur nötig, wenn die Kategorie noch verwendet wird
+  const deleteCategory = async (isIncome, value, reassignTo) => {
+    if (reassignTo) await reassignCategory(isIncome, value, reassignTo);
+    // Ohne Ersatz haben Import-Regeln kein Ziel mehr; sie schlügen sonst eine gelöschte Kategorie vor
+    else if (importRules.some((r) => r.isIncome === isIncome && r.category === value)) {
+      await saveImportRules(importRules.filter((r) => r.isIncome !== isIncome || r.category !== value));
+    }
+    await saveCategories(withPool(isIncome, (pool) => pool.filter((c) => c.value !== value)));
+    if (!isIncome && budgets.some((b) => b.category === value)) await saveBudgets(budgets.filter((b) => b.category !== value));
+  };
 
-// ---------- UI: Add Modal ----------
-const AddModal = ({ visible, isIncome, onClose, onSave }) => {
-  const { isDarkMode } = useContext(DonationContext);
-  const theme = isDarkMode ? darkTheme : lightTheme;
+  const reassignCategory = async (isIncome, from, to) => {
+    const rename = (c) => (c === from ? to : c);
+    const updated = transactionsRef.current.map((t) =>
+      t.isIncome === isIncome && hasCategory(t, from)
+        ? { ...t, category: rename(t.category), ...(t.splits && { splits: t.splits.map((p) => ({ ...p, category: rename(p.category) })) }) }
+        : t
+    );
+    await saveTransactions(updated);
+    // Wiederkehrende Buchungen würden sonst weiter in die alte Kategorie buchen
+    const rules = recurringRulesRef.current;
+    if (rules.some((r) => r.isIncome === isIncome && r.category === from)) {
+      await saveRecurringRules(rules.map((r) => (r.isIncome === isIncome && r.category === from ? { ...r, category: to } : r)));
+    }
+    if (importRules.some((r) => r.isIncome === isIncome && r.category === from)) {
+      await saveImportRules(importRules.map((r) => (r.isIncome === isIncome && r.category === from ? { ...r, category: to } : r)));
+    }
+  };
 
-  const [amount, setAmount] = useState('');
-  const [date, setDate] = useState(new Date());
-  const [showDate, setShowDate] = useState(false);
-  const [note, setNote] = useState('');
-  const [category, setCategory] = useState('');
+  const loadContacts = async () => {
+    try {
+      const stored = await AsyncStorage.getItem('contacts');
+      setContacts(stored ? JSON.parse(stored) : []);
+    } catch (e) {
+      console.error('Failed to load contacts', e);
+    }
+  };
 
-  const categories = isIncome ? INCOME_CATEGORIES : EXPENSE_CATEGORIES;
+  const saveContacts = async (list) => {
+    try {
+      const sorted = [...list].sort((a, b) => a.name.localeCompare(b.name, 'de'));
+      await AsyncStorage.setItem('contacts', JSON.stringify(sorted));
+      setContacts(sorted);
+    } catch (e) {
+      console.error('Failed to save contacts', e);
+    }
+  };
 
-  useEffect(() => {
-    if (visible) {
-      setCategory(categories[0].value);
-      setAmount('');
-      setNote('');
-      setDate(new Date());
+  // Gibt den neuen Kontakt zurück, damit er direkt ausgewählt werden kann
+  const addContact = async (c) => {
+    const withId = { ...c, id: newId() };
+    await saveContacts([...contacts, withId]);
+    return withId;
+  };
+
+  const updateContact = async (id, updatedContact) => {
+    await saveContacts(contacts.map((c) => (c.id === id ? { ...updatedContact, id } : c)));
+  };
+
+  // Einträge bleiben erhalten, verlieren aber die Verknüpfung
+  const deleteContact = async (id) => {
+    await saveContacts(contacts.filter((c) => c.id !== id));
+    const unlinked = transactionsRef.current.map((t) => (t.contactId === id ? { ...t, contactId: null } : t));
+    await saveTransactions(unlinked);
+  };
+
+  const loadReceipts = async () => {
+    try {
+      const [[, storedReceipts], [, storedSettings]] = await AsyncStorage.multiGet(['receipts', 'receiptSettings']);
+      setReceipts(storedReceipts ? JSON.parse(storedReceipts) : []);
+      setReceiptSettings({ ...DEFAULT_RECEIPT_SETTINGS, ...(storedSettings ? JSON.parse(storedSettings) : {}) });
+    } catch (e) {
+      console.error('Failed to load receipts', e);
     }
-  }, [visible, isIncome]);
+  };
 
-  const handleSave = () => {
-    const val = parseFloat((amount || '').replace(',', '.'));
-    if (isNaN(val) || val <= 0) {
-      Alert.alert('Fehler', 'Bitte gib einen gültigen Betrag > 0 ein.');
-      return;
+  const saveReceiptSettings = async (next) => {
+    try {
+      await AsyncStorage.setItem('receiptSettings', JSON.stringify(next));
+      setReceiptSettings(next);
+    } catch (e) {
+      console.error('Failed to save receipt settings', e);
     }
+  };
 
-    onSave({
-      amount: val,
-      category,
-      isIncome,
-      date: date.toISOString(),
-      note: note.trim(),
+  // Vergibt die nächste laufende Nummer und friert Vorlage und Beträge im Beleg ein
+  const issueReceipt = async ({ donor, items }) => {
+    const issuedAt = new Date();
+    const receipt = {
+      id: newId(),
+      number: formatReceiptNumber(receiptSettings, issuedAt),
+      issuedAt: issuedAt.toISOString(),
+      donor,
+      items,
+      transactionIds: items.map((i) => i.transactionId),
+      total: items.reduce((s, i) => s + i.amount, 0),
+      template: receiptSettings,
+    };
+    const nextSettings = { ...receiptSettings, nextNumber: receiptSettings.nextNumber + 1 };
+    const nextReceipts = [receipt, ...receipts];
+    await AsyncStorage.multiSet([
+      ['receipts', JSON.stringify(nextReceipts)],
+      ['receiptSettings', JSON.stringify(nextSettings)],
+    ]);
+    setReceipts(nextReceipts);
+    setReceiptSettings(nextSettings);
+    return receipt;
+  };
+
+  const loadRecurringRules = async () => {
+    try {
+      const stored = await AsyncStorage.getItem('recurringRules');
+      const parsed = stored ? JSON.parse(stored) : [];
+      recurringRulesRef.current = parsed;
+      setRecurringRules(parsed);
+    } catch (e) {
+      console.error('Failed to load recurring rules', e);
+    }
+  };
+
+  const saveRecurringRules = async (list) => {
+    try {
+      recurringRulesRef.current = list;
+      await AsyncStorage.setItem('recurringRules', JSON.stringify(list));
+      setRecurringRules(list);
+    } catch (e) {
+      console.error('Failed to save recurring rules', e);
+    }
+  };
+
+  // Bucht alle fälligen Termine bis heute. Idempotent: jede Regel merkt sich den letzten
+  // gebuchten Tag, zusätzlich wird über recurringRuleId + occurrenceKey abgeglichen.
+  const materializeRecurring = async () => {
+    // Ohne lesbare Einträge würden Termine als gebucht markiert, ohne dass etwas gespeichert wird
+    if (storageErrorRef.current) return 0;
+    const todayKey = dayKey(new Date().toISOString());
+    const existing = new Set(
+      transactionsRef.current.filter((t) => t.recurringRuleId != null).map((t) => `${t.recurringRuleId}|${t.occurrenceKey}`)
+    );
+    const created = [];
+    const rules = recurringRulesRef.current.map((rule) => {
+      if (rule.paused) return rule;
+      const due = ruleOccurrences(rule, rule.materializedThrough, todayKey);
+      if (due.length === 0) return rule;
+      due.forEach((key) => {
+        if (existing.has(`${rule.id}|${key}`)) return;
+        created.push({
+          // Feste ID je Termin: bucht ein zweites Gerät denselben Termin, führt der Abgleich beide zusammen
+          id: `${rule.id}:${key}`,
+          amount: rule.amount,
+          currency: rule.currency || 'EUR',
+          category: rule.category,
+          isIncome: rule.isIncome,
+          date: new Date(`${key}T12:00:00`).toISOString(),
+          note: rule.note,
+          contactId: rule.contactId ?? null,
+          recurringRuleId: rule.id,
+          occurrenceKey: key,
+        });
+      });
+      return { ...rule, materializedThrough: due[due.length - 1] };
     });
-    onClose();
+
+    // Ohne gespeicherte Einträge bleibt materializedThrough stehen, sonst gingen die Termine verloren
+    if (created.length > 0 && !(await addTransaction(created, { notify: false }))) return 0;
+    if (rules.some((r, i) => r !== recurringRulesRef.current[i])) await saveRecurringRules(rules);
+    return created.length;
   };
 
-  const onDateChange = (_, selected) => {
-    setShowDate(false);
-    if (selected) setDate(selected);
+  const addRecurringRule = async (rule) => {
+    await saveRecurringRules([...recurringRulesRef.current, { ...rule, id: newId(), paused: false, materializedThrough: null }]);
+    return materializeRecurring();
   };
 
+  // Änderungen gelten nur für künftige Termine; bereits gebuchte Einträge bleiben unverändert
+  const updateRecurringRule = async (id, changes) => {
+    await saveRecurringRules(recurringRulesRef.current.map((r) => (r.id === id ? { ...r, ...changes } : r)));
+    return materializeRecurring();
+  };
+
+  // Beim Fortsetzen werden die während der Pause verpassten Termine übersprungen
+  const setRecurringRulePaused = async (id, paused) => {
+    const yesterday = new Date();
+    yesterday.setDate(yesterday.getDate() - 1);
+    const skipUntil = dayKey(yesterday.toISOString());
+    await saveRecurringRules(
+      recurringRulesRef.current.map((r) => {
+        if (r.id !== id) return r;
+        if (paused) return { ...r, paused: true };
+        const through = r.materializedThrough && r.materializedThrough > skipUntil ? r.materializedThrough : skipUntil;
+        return { ...r, paused: false, materializedThrough: through };
+      })
+    );
+    if (!paused) await materializeRecurring();
+  };
+
+  // Bereits gebuchte Einträge bleiben erhalten
+  const deleteRecurringRule = async (id) => {
+    await saveRecurringRules(recurringRulesRef.current.filter((r) => r.id !== id));
+  };
+
+  const loadCampaigns = async () => {
+    try {
+      const stored = await AsyncStorage.getItem('campaigns');
+      setCampaigns(stored ? JSON.parse(stored) : []);
+    } catch (e) {
+      console.error('Failed to load campaigns', e);
+    }
+  };
+
+  const saveCampaigns = async (list) => {
+    try {
+      await AsyncStorage.setItem('campaigns', JSON.stringify(list));
+      setCampaigns(list);
+    } catch (e) {
+      console.error('Failed to save campaigns', e);
+    }
+  };
+
+  const addCampaign = async (c) => {
+    await saveCampaigns([...campaigns, { ...c, id: newId(), archived: false }]);
+  };
+
+  const updateCampaign = async (id, changes) => {
+    await saveCampaigns(campaigns.map((c) => (c.id === id ? { ...c, ...changes } : c)));
+  };
+
+  // Einträge bleiben erhalten und zählen danach nur noch zum Gesamtsaldo
+  const deleteCampaign = async (id) => {
+    await saveCampaigns(campaigns.filter((c) => c.id !== id));
+    const unlinked = transactionsRef.current.map((t) => (t.campaignId === id ? { ...t, campaignId: null } : t));
+    await saveTransactions(unlinked);
+  };
+
+  const loadAccounts = async () => {
+    try {
+      const stored = await AsyncStorage.getItem('accounts');
+      setAccounts(stored ? JSON.parse(stored) : DEFAULT_ACCOUNTS);
+    } catch (e) {
+      console.error('Failed to load accounts', e);
+    }
+  };
+
+  const saveAccounts = async (list) => {
+    try {
+      await AsyncStorage.setItem('accounts', JSON.stringify(list));
+      setAccounts(list);
+    } catch (e) {
+      console.error('Failed to save accounts', e);
+    }
+  };
+
+  const addAccount = async (a) => {
+    await saveAccounts([...accounts, { ...a, id: newId(), archived: false }]);
+  };
+
+  const updateAccount = async (id, changes) => {
+    await saveAccounts(accounts.map((a) => (a.id === id ? { ...a, ...changes } : a)));
+  };
+
+  // reassignTo ist nur nötig, wenn das Konto noch verwendet wird. Umbuchungen, die danach
+  // auf dasselbe Konto zurückführen würden, sind wirkungslos und entfallen.
+  const deleteAccount = async (id, reassignTo) => {
+    if (reassignTo != null) {
+      const move = (accountId) => (accountId === id ? reassignTo : accountId);
+      const updated = transactionsRef.current
+        .map((t) => {
+          const accountId = move(transactionAccount(t));
+          return t.isTransfer ? { ...t, accountId, toAccountId: move(t.toAccountId) } : { ...t, accountId };
+        })
+        .filter((t) => !t.isTransfer || t.accountId !== t.toAccountId);
+      if (!(await saveTransactions(updated))) return;
+    }
+    await saveAccounts(accounts.filter((a) => a.id !== id));
+  };
+
+  const loadBudgets = async () => {
+    try {
+      const stored = await AsyncStorage.getItem('budgets');
+      setBudgets(stored ? JSON.parse(stored) : []);
+    } catch (e) {
+      console.error('Failed to load budgets', e);
+    }
+  };
+
+  const saveBudgets = async (list) => {
+    try {
+      await AsyncStorage.setItem('budgets', JSON.stringify(list));
+      setBudgets(list);
+    } catch (e) {
+      console.error('Failed to save budgets', e);
+    }
+  };
+
+  // Pro Kategorie gibt es höchstens ein Budget; ein neues ersetzt das vorhandene
+  const saveBudget = async ({ id, category, period, limit }) => {
+    const others = budgets.filter((b) => b.id !== id && b.category !== category);
+    await saveBudgets([...others, { id: id || newId(), category, period, limit }]);
+  };
+
+  const deleteBudget = async (id) => {
+    await saveBudgets(budgets.filter((b) => b.id !== id));
+  };
+
+  const loadImportRules = async () => {
+    try {
+      const stored = await AsyncStorage.getItem('importRules');
+      setImportRules(stored ? JSON.parse(stored) : []);
+    } catch (e) {
+      console.error('Failed to load import rules', e);
+    }
+  };
+
+  const saveImportRules = async (list) => {
+    try {
+      await AsyncStorage.setItem('importRules', JSON.stringify(list));
+      setImportRules(list);
+    } catch (e) {
+      console.error('Failed to save import rules', e);
+    }
+  };
+
+  // Neue Regeln stehen vorne und gewinnen damit gegen ältere; gleicher Suchtext ersetzt die alte Regel.
+  // Liefert die neue Liste, damit der Import sie sofort anwenden kann.
+  const addImportRule = async ({ pattern, isIncome, category }) => {
+    const key = pattern.toLowerCase();
+    const next = [
+      { id: newId(), pattern, isIncome, category },
+      ...importRules.filter((r) => r.isIncome !== isIncome || r.pattern.toLowerCase() !== key),
+    ];
+    await saveImportRules(next);
+    return next;
+  };
+
+  const deleteImportRule = async (id) => {
+    await saveImportRules(importRules.filter((r) => r.id !== id));
+  };
+
+  const loadReminderSettings = async () => {
+    try {
+      const stored = await AsyncStorage.getItem('reminderSettings');
+      setReminderSettings({ ...DEFAULT_REMINDER_SETTINGS, ...(stored ? JSON.parse(stored) : {}) });
+    } catch (e) {
+      console.error('Failed to load reminder settings', e);
+    }
+  };
+
+  // Liefert false, wenn Benachrichtigungen nicht erlaubt sind; dann bleibt alles unverändert
+  const changeReminderSettings = async (changes) => {
+    const next = { ...reminderSettings, ...changes };
+    if (remindersEnabled(next) && !(await ensureNotificationPermission())) return false;
+    try {
+      await AsyncStorage.setItem('reminderSettings', JSON.stringify(next));
+      setReminderSettings(next);
+    } catch (e) {
+      console.error('Failed to save reminder settings', e);
+    }
+    return true;
+  };
+
+  const rescheduleReminders = async (settings, rules, campaignList, discreet) => {
+    await Notifications.cancelAllScheduledNotificationsAsync();
+    if (!remindersEnabled(settings)) return;
+    const { granted } = await Notifications.getPermissionsAsync();
+    if (!granted) return;
+    for (const item of buildReminderSchedule(settings, rules, campaignList, { discreet })) {
+      await Notifications.scheduleNotificationAsync({
+        content: { title: item.title, body: item.body, data: item.data },
+        trigger: item.trigger,
+      });
+    }
+  };
+
+  const loadSyncData = async () => {
+    try {
+      const [[, rawTombstones], [, rawState], [, storedDeviceId]] = await AsyncStorage.multiGet([
+        'tombstones',
+        'syncState',
+        'deviceId',
+      ]);
+      tombstonesRef.current = rawTombstones ? JSON.parse(rawTombstones) : [];
+      setSyncState({ ...DEFAULT_SYNC_STATE, ...(rawState ? JSON.parse(rawState) : {}) });
+      // Die Geräte-ID gehört bewusst nicht ins Backup: ein wiederhergestelltes Handy ist ein neues Gerät
+      deviceIdRef.current = storedDeviceId || newId();
+      if (!storedDeviceId) await AsyncStorage.setItem('deviceId', deviceIdRef.current);
+    } catch (e) {
+      console.error('Failed to load sync data', e);
+    }
+  };
+
+  const saveTombstones = async (list) => {
+    try {
+      tombstonesRef.current = list;
+      await AsyncStorage.setItem('tombstones', JSON.stringify(list));
+    } catch (e) {
+      console.error('Failed to save tombstones', e);
+    }
+  };
+
+  const saveSyncState = async (next) => {
+    try {
+      await AsyncStorage.setItem('syncState', JSON.stringify(next));
+      setSyncState(next);
+    } catch (e) {
+      console.error('Failed to save sync state', e);
+    }
+  };
+
+  // onlyChanges: nur was seit dem letzten Senden geändert oder gelöscht wurde
+  const exportChangeSet = async ({ onlyChanges, author = editorName }) => {
+    const shared = {};
+    const pairs = await AsyncStorage.multiGet(SYNC_SHARED_KEYS);
+    pairs.forEach(([key, raw]) => {
+      if (raw != null) shared[key] = JSON.parse(raw);
+    });
+    const doc = createChangeSet(transactionsRef.current, tombstonesRef.current, {
+      deviceId: deviceIdRef.current,
+      author: author.trim() || 'Unbenanntes Gerät',
+      since: onlyChanges ? syncState.lastExportAt : null,
+      shared,
+    });
+    const device = (author.trim() || 'geraet').replace(/[^\w-]+/g, '_');
+    await shareTextFile(`spenden-abgleich-${dayKey(doc.createdAt)}-${device}.json`, JSON.stringify(doc), 'application/json');
+    await saveSyncState({ ...syncState, lastExportAt: doc.createdAt });
+    return doc;
+  };
+
+  // Übernimmt fremde Einträge und Grabsteine (aus einer Datei oder vom Server) und liefert die Zähler.
+  // Der Abgleich landet als ein Schritt im Protokoll und lässt sich damit rückgängig machen.
+  // toServer: Änderungen aus einer Datei auch an den Sync-Server weitergeben.
+  const applyRemoteChanges = async (doc, { toServer }) => {
+    const previous = transactionsRef.current;
+    const merged = mergeChangeSet(previous, tombstonesRef.current, doc);
+    if (merged.before.length > 0 || merged.after.length > 0) {
+      if (!(await saveTransactions(merged.list, { stamp: false }))) return null;
+      await recordOperation('sync', merged.before, merged.after, { notify: false });
+    }
+    await saveTombstones(merged.tombstones);
+    if (toServer) await queueServerOps(serverOpsFor(previous, merged.list, merged.tombstones));
+    if (merged.removed > 0) await cleanupAttachments();
+    return merged;
+  };
+
+  // Übernimmt die Änderungsdatei eines anderen Geräts samt der geteilten Listen
+  const importChangeSet = async (doc) => {
+    if (storageErrorRef.current) return null;
+
+    const sharedEntries = BACKUP_ENTRIES.filter((e) => SYNC_SHARED_KEYS.includes(e.key) && doc.data?.[e.key] !== undefined);
+    const pairs = await AsyncStorage.multiGet(sharedEntries.map((e) => e.key));
+    await AsyncStorage.multiSet(
+      sharedEntries.map((entry, i) => {
+        const raw = pairs[i][1];
+        return [entry.key, JSON.stringify(entry.merge(raw == null ? undefined : JSON.parse(raw), doc.data[entry.key]))];
+      })
+    );
+    await Promise.all([loadCategories(), loadContacts(), loadCampaigns(), loadAccounts(), loadRecurringRules()]);
+
+    const merged = await applyRemoteChanges(doc, { toServer: true });
+    if (!merged) return null;
+    await saveSyncState({ ...syncState, lastImportAt: new Date().toISOString(), lastImportFrom: doc.author });
+    // Neue Regeln vom anderen Gerät; deren Termine haben feste IDs und doppeln sich deshalb nicht
+    await materializeRecurring();
+    return merged;
+  };
+
+  const loadSyncServer = async () => {
+    try {
+      const [storedConfig, rawOutbox] = await Promise.all([
+        SecureStore.getItemAsync(SYNC_SERVER_KEY),
+        AsyncStorage.getItem('serverOutbox'),
+      ]);
+      const outbox = rawOutbox ? { ...DEFAULT_SERVER_OUTBOX, ...JSON.parse(await decryptStored(rawOutbox)) } : DEFAULT_SERVER_OUTBOX;
+      serverOutboxRef.current = outbox;
+      setServerOutbox(outbox);
+      const config = storedConfig ? { ...DEFAULT_SYNC_SERVER, ...JSON.parse(storedConfig) } : DEFAULT_SYNC_SERVER;
+      syncServerRef.current = config;
+      setSyncServer(config);
+    } catch (e) {
+      console.error('Failed to load sync server settings', e);
+    }
+  };
+
+  // Verschlüsselt wie die Einträge selbst, denn die Warteschlange enthält vollständige Buchungen
+  const saveServerOutbox = async (next) => {
+    serverOutboxRef.current = next;
+    setServerOutbox(next);
+    try {
+      await AsyncStorage.setItem('serverOutbox', await encryptStored(JSON.stringify(next)));
+    } catch (e) {
+      console.error('Failed to save sync queue', e);
+    }
+  };
+
+  // Nur mit eingerichtetem Server; sonst wüchse die Warteschlange ohne Ende
+  const queueServerOps = async (ops) => {
+    if (!syncServerRef.current.enabled || ops.length === 0) return;
+    await saveServerOutbox({ ...serverOutboxRef.current, queue: enqueueServerOps(serverOutboxRef.current.queue, ops) });
+    clearTimeout(serverTimerRef.current);
+    serverTimerRef.current = setTimeout(syncWithServer, SYNC_DEBOUNCE_MS);
+  };
+
+  const queueFullUpload = async () => {
+    const ops = [...transactionsRef.current.map(upsertOp), ...tombstonesRef.current.map(deleteOp)];
+    await saveServerOutbox({ ...serverOutboxRef.current, queue: enqueueServerOps(serverOutboxRef.current.queue, ops) });
+  };
+
+  // Neuer Server oder wieder eingeschaltet: von vorn abholen und den ganzen Bestand hochladen.
+  // Was der Server schon neuer hat, lehnt er ab und schickt es beim Abholen zurück.
+  const changeSyncServer = async (changes) => {
+    const previous = syncServerRef.current;
+    const config = { ...previous, ...changes };
+    config.url = config.url.trim().replace(/\/+$/, '');
+    await SecureStore.setItemAsync(SYNC_SERVER_KEY, JSON.stringify(config));
+    syncServerRef.current = config;
+    if (!config.enabled) {
+      clearTimeout(serverTimerRef.current);
+      await saveServerOutbox(DEFAULT_SERVER_OUTBOX);
+      setServerStatus({ state: 'idle', message: null });
+    } else if (!previous.enabled || previous.url !== config.url) {
+      await saveServerOutbox(DEFAULT_SERVER_OUTBOX);
+      await queueFullUpload();
+    }
+    // Erst jetzt, denn der neue Stand startet über den Effekt oben den Abgleich
+    setSyncServer(config);
+  };
+
+  // Sendet die Warteschlange der Reihe nach; erledigte Vorgänge fallen heraus, auch wenn inzwischen
+  // neue dazugekommen sind. Liefert die Gründe, aus denen der Server Einträge abgelehnt hat.
+  const pushServerQueue = async (config) => {
+    const rejected = [];
+    while (serverOutboxRef.current.queue.length > 0) {
+      const op = serverOutboxRef.current.queue[0];
+      const path = `/transactions/${encodeURIComponent(op.id)}`;
+      const { status, body } =
+        op.type === 'upsert'
+          ? await serverRequest(config, 'PUT', path, op.transaction)
+          : await serverRequest(config, 'DELETE', path, { deletedAt: op.deletedAt, deletedBy: op.deletedBy });
+      // 409: Der Server kennt eine neuere Fassung, die gleich beim Abholen kommt
+      // 400: Der Eintrag ist ungültig und würde bei jedem Versuch wieder abgelehnt
+      if (status === 400) rejected.push(body.error || 'Ungültiger Eintrag');
+      else if (status >= 300 && status !== 409) throw syncServerError('server', body.error || `Unerwartete Antwort (${status}).`);
+      await saveServerOutbox({ ...serverOutboxRef.current, queue: serverOutboxRef.current.queue.filter((o) => o !== op) });
+    }
+    return rejected;
+  };
+
+  // Holt alle Seiten seit dem Cursor und übernimmt sie in einem Schritt. Liefert true, wenn der Server
+  // den Cursor nicht kennt, also neu aufgesetzt wurde.
+  const pullServerChanges = async (config) => {
+    let cursor = serverOutboxRef.current.cursor;
+    let reset = false;
+    const changes = [];
+    for (;;) {
+      const { status, body } = await serverRequest(config, 'GET', `/changes?since=${cursor}&limit=${SYNC_PAGE_SIZE}`);
+      if (status !== 200 || !Array.isArray(body.changes)) {
+        throw syncServerError('server', body.error || 'Unerwartete Antwort vom Server.');
+      }
+      reset = reset || !!body.reset;
+      changes.push(...body.changes);
+      cursor = body.cursor;
+      if (!body.hasMore) break;
+    }
+    if (changes.length > 0 && !(await applyRemoteChanges(changesToChangeSet(changes), { toServer: false }))) {
+      throw syncServerError('server', 'Die Änderungen vom Server konnten nicht gespeichert werden.');
+    }
+    await saveServerOutbox({ ...serverOutboxRef.current, cursor });
+    return reset;
+  };
+
+  // Nicht erreichbar heißt offline: die Warteschlange bleibt und geht beim nächsten Versuch raus
+  const runServerSync = async () => {
+    const config = syncServerRef.current;
+    if (!config.enabled || storageErrorRef.current) return;
+    setServerStatus({ state: 'syncing', message: null });
+    try {
+      const rejected = await pushServerQueue(config);
+      if (await pullServerChanges(config)) {
+        await queueFullUpload();
+        rejected.push(...(await pushServerQueue(config)));
+      }
+      await saveServerOutbox({ ...serverOutboxRef.current, lastSyncAt: new Date().toISOString() });
+      setServerStatus(
+        rejected.length > 0
+          ? {
+              state: 'error',
+              message: `Der Server hat ${rejected.length} Eintrag/Einträge abgelehnt (${[...new Set(rejected)].join(', ')}). Bitte die Einträge prüfen und erneut speichern.`,
+            }
+          : { state: 'idle', message: null }
+      );
+    } catch (e) {
+      if (!e.kind) console.error('Failed to sync with server', e);
+      setServerStatus({ state: e.kind === 'offline' ? 'offline' : 'error', message: e.message });
+    }
+  };
+  runServerSyncRef.current = runServerSync;
+
+  // Wird auch aus Timern und dem AppState-Listener aufgerufen; über den Ref läuft immer die Fassung
+  // aus dem letzten Rendern (z. B. mit dem aktuellen editorName für das Protokoll)
+  const syncWithServer = () => {
+    clearTimeout(serverTimerRef.current);
+    serverRunRef.current = serverRunRef.current.then(() => runServerSyncRef.current());
+    return serverRunRef.current;
+  };
+
+  // Nach einer Wiederherstellung alles neu aus dem Speicher lesen
+  const reloadFromStorage = async () => {
+    storageErrorRef.current = null;
+    setStorageError(null);
+    await migrateStorage();
+    await Promise.all([
+      loadTransactions(),
+      loadTheme(),
+      loadCategories(),
+      loadContacts(),
+      loadReceipts(),
+      loadRecurringRules(),
+      loadCampaigns(),
+      loadAccounts(),
+      loadBudgets(),
+      loadImportRules(),
+      loadReminderSettings(),
+      loadCurrencies(),
+      loadOperationLog(),
+      loadSyncData(),
+      loadSyncServer(),
+    ]);
+    setRedoStack([]);
+    setLastOperation(null);
+    await cleanupAttachments();
+  };
+
+  const cleanupAttachments = async () => {
+    try {
+      await removeOrphanedAttachments(transactionsRef.current, operationLogRef.current);
+    } catch (e) {
+      console.error('Failed to clean up attachments', e);
+    }
+  };
+
+  const loadCurrencies = async () => {
+    try {
+      const [[, storedRates], [, storedSettings]] = await AsyncStorage.multiGet(['exchangeRates', 'currencySettings']);
+      setExchangeRates(storedRates ? JSON.parse(storedRates) : []);
+      setBaseCurrency(storedSettings ? JSON.parse(storedSettings).baseCurrency || 'EUR' : 'EUR');
+    } catch (e) {
+      console.error('Failed to load exchange rates', e);
+    }
+  };
+
+  const saveExchangeRates = async (list) => {
+    try {
+      const sorted = [...list].sort((a, b) => a.currency.localeCompare(b.currency) || b.date.localeCompare(a.date));
+      await AsyncStorage.setItem('exchangeRates', JSON.stringify(sorted));
+      setExchangeRates(sorted);
+    } catch (e) {
+      console.error('Failed to save exchange rates', e);
+    }
+  };
+
+  // Gleicher Tag und gleiche Währung ersetzt den vorhandenen Kurs
+  const upsertExchangeRates = async (entries) => {
+    const next = [...exchangeRates];
+    entries.forEach((entry) => {
+      const index = next.findIndex((r) => r.currency === entry.currency && r.date === entry.date);
+      if (index === -1) next.push({ ...entry, id: newId() });
+      else next[index] = { ...next[index], rate: entry.rate };
+    });
+    await saveExchangeRates(next);
+  };
+
+  const deleteExchangeRate = async (id) => {
+    await saveExchangeRates(exchangeRates.filter((r) => r.id !== id));
+  };
+
+  const changeBaseCurrency = async (code) => {
+    setBaseCurrency(code);
+    await AsyncStorage.setItem('currencySettings', JSON.stringify({ baseCurrency: code }));
+  };
+
+  // Alle Summen laufen über baseAmount (Betrag in der Basiswährung); gespeichert wird nur der Originalbetrag.
+  // Umgerechnet wird nur, wenn sich Einträge, Kurse oder Basiswährung ändern, nicht bei jedem Rendern.
+  const { bookings, transfers, totalIncome, totalExpense } = useMemo(() => {
+    const valuedTransactions = transactions.map((t) => {
+      const converted = convertAmount(t.amount, transactionCurrency(t), baseCurrency, t.date, exchangeRates);
+      return { ...t, baseAmount: converted ?? 0, missingRate: converted === null };
+    });
+    // Umbuchungen bleiben aus allen Listen und Summen für Einnahmen/Ausgaben heraus
+    const bookings = valuedTransactions.filter((t) => !t.isTransfer);
+    return {
+      bookings,
+      transfers: valuedTransactions.filter((t) => t.isTransfer),
+      totalIncome: bookings.filter(t => t.isIncome).reduce((s, t) => s + t.baseAmount, 0),
+      totalExpense: bookings.filter(t => !t.isIncome).reduce((s, t) => s + t.baseAmount, 0),
+    };
+  }, [transactions, exchangeRates, baseCurrency]);
+  const balance = totalIncome - totalExpense;
+
+  // Je Kampagne dieselbe Rechnung wie für die Gesamtsummen
+  const campaignSummaries = useMemo(() => campaigns.map((c) => {
+    const own = bookings.filter((t) => t.campaignId === c.id);
+    const income = own.filter(t => t.isIncome).reduce((s, t) => s + t.baseAmount, 0);
+    const expense = own.filter(t => !t.isIncome).reduce((s, t) => s + t.baseAmount, 0);
+    return { ...c, income, expense, balance: income - expense };
+  }), [campaigns, bookings]);
+
+  // Kontostand = Anfangsbestand + Einnahmen − Ausgaben ± Umbuchungen, alles in der Basiswährung.
+  // Der Anfangsbestand wird zum heutigen Kurs umgerechnet.
+  const accountSummaries = useMemo(() => accounts.map((a) => {
+    const today = new Date().toISOString();
+    const opening = a.openingBalance
+      ? convertAmount(a.openingBalance, a.currency || 'EUR', baseCurrency, today, exchangeRates)
+      : 0;
+    const own = bookings.filter((t) => transactionAccount(t) === a.id);
+    const income = own.filter(t => t.isIncome).reduce((s, t) => s + t.baseAmount, 0);
+    const expense = own.filter(t => !t.isIncome).reduce((s, t) => s + t.baseAmount, 0);
+    const transfersIn = transfers.filter((t) => t.toAccountId === a.id).reduce((s, t) => s + t.baseAmount, 0);
+    const transfersOut = transfers.filter((t) => transactionAccount(t) === a.id).reduce((s, t) => s + t.baseAmount, 0);
+    return {
+      ...a,
+      opening: opening ?? 0,
+      missingRate: opening === null,
+      income,
+      expense,
+      transfersIn,
+      transfersOut,
+      balance: (opening ?? 0) + income - expense + transfersIn - transfersOut,
+    };
+  }), [accounts, bookings, transfers, exchangeRates, baseCurrency]);
+  const combinedBalance = accountSummaries.reduce((s, a) => s + a.balance, 0);
+
+  const budgetSummaries = budgetStatus(bookings, budgets);
+
+  return (
+    <DonationContext.Provider
+      value={{
+        transactions: bookings,
+        transfers,
+        addTransaction,
+        updateTransaction,
+        deleteTransaction,
+        togglePinned,
+        operationLog,
+        canUndo: operationLog.some((e) => !e.undone),
+        canRedo: redoStack.length > 0,
+        undoOperation,
+        redoOperation,
+        lastOperation,
+        dismissLastOperation: () => setLastOperation(null),
+        editorName,
+        changeEditorName,
+        appLock,
+        lockState,
+        setupPin,
+        updateAppLock,
+        disableAppLock,
+        lockNow,
+        withAutoLockPaused,
+        storageError,
+        discardUnreadableData,
+        readRawStorage,
+        reloadFromStorage,
+        unlockWithPin,
+        unlockWithBiometrics,
+        totalIncome,
+        totalExpense,
+        balance,
+        isDarkMode,
+        toggleTheme,
+        categories,
+        addCategory,
+        updateCategory,
+        moveCategory,
+        setCategoryArchived,
+        deleteCategory,
+        contacts,
+        addContact,
+        updateContact,
+        deleteContact,
+        receipts,
+        receiptSettings,
+        saveReceiptSettings,
+        issueReceipt,
+        recurringRules,
+        addRecurringRule,
+        updateRecurringRule,
+        setRecurringRulePaused,
+        deleteRecurringRule,
+        campaigns,
+        campaignSummaries,
+        addCampaign,
+        updateCampaign,
+        deleteCampaign,
+        accounts,
+        accountSummaries,
+        combinedBalance,
+        addAccount,
+        updateAccount,
+        deleteAccount,
+        reminderSettings,
+        changeReminderSettings,
+        pendingAddType,
+        clearPendingAddType: () => setPendingAddType(null),
+        budgets,
+        budgetSummaries,
+        saveBudget,
+        deleteBudget,
+        importRules,
+        addImportRule,
+        deleteImportRule,
+        syncState,
+        exportChangeSet,
+        importChangeSet,
+        syncServer,
+        serverOutbox,
+        serverStatus,
+        changeSyncServer,
+        syncWithServer,
+        exchangeRates,
+        upsertExchangeRates,
+        deleteExchangeRate,
+        baseCurrency,
+        changeBaseCurrency,
+      }}
+    >
+      {children}
+    </DonationContext.Provider>
+  );
+};
+
+// ---------- Helpers ----------
+const eur = (n) =>
+  '€' +
+  (Number.isFinite(n) ? n : 0)
+    .toFixed(2)
+    .replace('.', ',');
+
+// ---------- Währungen ----------
+const CURRENCIES = [
+  { code: 'EUR', symbol: '€', icon: 'euro' },
+  { code: 'USD', symbol: '$', icon: 'attach-money' },
+  { code: 'GBP', symbol: '£', icon: 'currency-pound' },
+  { code: 'EGP', symbol: 'E£', icon: 'attach-money' },
+];
+
+const currencySymbol = (code) => CURRENCIES.find((c) => c.code === code)?.symbol || `${code} `;
+
+// Wie eur(), aber für beliebige Währungen
+const money = (n, code = 'EUR') =>
+  currencySymbol(code) +
+  (Number.isFinite(n) ? n : 0)
+    .toFixed(2)
+    .replace('.', ',');
+
+// Ältere Einträge haben kein Währungsfeld und sind in Euro
+const transactionCurrency = (t) => t.currency || 'EUR';
+
+// Betrag in der Basiswährung, falls vom Provider berechnet
+const baseValue = (t) => t.baseAmount ?? t.amount;
+
+// Kurse sind "Einheiten je 1 €" (wie bei der EZB). Es gilt der letzte Kurs am oder vor dem Stichtag,
+// sonst der früheste bekannte.
+const findRate = (rates, code, key) => {
+  if (code === 'EUR') return 1;
+  const own = rates.filter((r) => r.currency === code).sort((a, b) => a.date.localeCompare(b.date));
+  if (own.length === 0) return null;
+  const before = own.filter((r) => r.date <= key);
+  return (before.length > 0 ? before[before.length - 1] : own[0]).rate;
+};
+
+// null, wenn für eine der Währungen kein Kurs hinterlegt ist
+const convertAmount = (amount, from, to, date, rates) => {
+  if (from === to) return amount;
+  const key = dayKey(date);
+  const fromRate = findRate(rates, from, key);
+  const toRate = findRate(rates, to, key);
+  if (!fromRate || !toRate) return null;
+  return (amount / fromRate) * toRate;
+};
+
+// Gleiche Regel wie in AddModal/EditModal: Komma oder Punkt als Dezimaltrenner, Betrag > 0
+const parseAmount = (text) => parseFloat((text || '').toString().replace(',', '.'));
+const isValidAmount = (val) => !isNaN(val) && val > 0;
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+// TT.MM.JJJJ, unabhängig von der Intl-Unterstützung der Engine
+const formatDateDe = (d) => `${pad2(d.getDate())}.${pad2(d.getMonth() + 1)}.${d.getFullYear()}`;
+
+// Kalendertag (lokal) als Schlüssel, z. B. für Duplikat-Erkennung
+const dayKey = (iso) => {
+  const d = new Date(iso);
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+};
+
+// Akzeptiert TT.MM.JJJJ (auch zweistelliges Jahr) und ISO-Daten; liefert null bei ungültigen Werten
+const parseGermanDate = (text) => {
+  const value = (text || '').trim();
+  const de = value.match(/^(\d{1,2})\.(\d{1,2})\.(\d{2}|\d{4})$/);
+  if (de) {
+    const day = Number(de[1]);
+    const month = Number(de[2]);
+    const year = de[3].length === 2 ? 2000 + Number(de[3]) : Number(de[3]);
+    const d = new Date(year, month - 1, day, 12);
+    if (d.getFullYear() !== year || d.getMonth() !== month - 1 || d.getDate() !== day) return null;
+    return d;
+  }
+  if (/^\d{4}-\d{2}-\d{2}/.test(value)) {
+    const d = new Date(value.length === 10 ? `${value}T12:00:00` : value);
+    return isNaN(d.getTime()) ? null : d;
+  }
+  return null;
+};
+
+const MONTH_NAMES = [
+  'Januar', 'Februar', 'März', 'April', 'Mai', 'Juni',
+  'Juli', 'August', 'September', 'Oktober', 'November', 'Dezember',
+];
+
+// Zeitraum als [from, to) in lokaler Zeit; month === null bedeutet ganzes Jahr
+const periodRange = (year, month) =>
+  month === null
+    ? { from: new Date(year, 0, 1), to: new Date(year + 1, 0, 1) }
+    : { from: new Date(year, month, 1), to: new Date(year, month + 1, 1) };
+
+const inRange = (t, from, to) => {
+  const d = new Date(t.date);
+  return (!from || d >= from) && (!to || d < to);
+};
+
+const sumAmounts = (list) => list.reduce((s, t) => s + baseValue(t), 0);
+
+// Abschnitte je Monat für eine nach Datum absteigend sortierte Liste. Die Summen kommen aus der
+// ganzen Liste, auch wenn wegen des seitenweisen Ladens erst ein Teil der Einträge angezeigt wird.
+const monthSections = (list, visibleCount) => {
+  const totals = {};
+  list.forEach((t) => {
+    const key = dayKey(t.date).slice(0, 7);
+    totals[key] = totals[key] || { income: 0, expense: 0 };
+    totals[key][t.isIncome ? 'income' : 'expense'] += baseValue(t);
+  });
+  const sections = [];
+  list.slice(0, visibleCount).forEach((t) => {
+    const key = dayKey(t.date).slice(0, 7);
+    let section = sections[sections.length - 1];
+    if (!section || section.key !== key) {
+      const d = new Date(t.date);
+      section = { key, title: `${MONTH_NAMES[d.getMonth()]} ${d.getFullYear()}`, ...totals[key], data: [] };
+      sections.push(section);
+    }
+    section.data.push(t);
+  });
+  return sections;
+};
+
+// Einnahmen/Ausgaben je Monat eines Jahres (Index 0 = Januar)
+const monthlyTotals = (list, year) => {
+  const months = MONTH_NAMES.map(() => ({ income: 0, expense: 0 }));
+  list.forEach((t) => {
+    const d = new Date(t.date);
+    if (d.getFullYear() !== year) return;
+    months[d.getMonth()][t.isIncome ? 'income' : 'expense'] += baseValue(t);
+  });
+  return months;
+};
+
+// Saldo aller Einträge vor jedem Stichtag (Stichtage aufsteigend)
+const runningBalance = (list, cutoffs) => {
+  const sorted = [...list].sort((a, b) => new Date(a.date) - new Date(b.date));
+  let i = 0;
+  let sum = 0;
+  return cutoffs.map((cutoff) => {
+    while (i < sorted.length && new Date(sorted[i].date) < cutoff) {
+      sum += sorted[i].isIncome ? baseValue(sorted[i]) : -baseValue(sorted[i]);
+      i++;
+    }
+    return sum;
+  });
+};
+
+// ---------- Konten ----------
+// Einträge ohne accountId (aus der Zeit vor den Konten) gehören zum Hauptkonto
+const MAIN_ACCOUNT_ID = 'main';
+const DEFAULT_ACCOUNTS = [
+  { id: MAIN_ACCOUNT_ID, name: 'Bankkonto', icon: 'credit-card', currency: 'EUR', openingBalance: 0, archived: false },
+];
+const ACCOUNT_ICONS = ['credit-card', 'box', 'smartphone', 'briefcase', 'globe', 'dollar-sign'];
+
+// Umbuchungen liegen mit isTransfer im selben Speicher wie die Einträge, damit Protokoll,
+// Rückgängig und Belege unverändert funktionieren. Sie zählen weder als Einnahme noch als Ausgabe.
+const TRANSFER_CATEGORY = 'Umbuchung';
+
+const transactionAccount = (t) => t.accountId ?? MAIN_ACCOUNT_ID;
+const accountName = (accounts, id) => accounts.find((a) => a.id === id)?.name || 'Unbekanntes Konto';
+const transferLabel = (accounts, t) =>
+  `${accountName(accounts, transactionAccount(t))} → ${accountName(accounts, t.toAccountId)}`;
+
+// ---------- Aufteilungen ----------
+// Ein aufgeteilter Eintrag hat splits: [{ category, amount }] (Summe = amount);
+// category ist dann die erste Zeile, damit Sortierung und Anzeige weiter funktionieren.
+const transactionParts = (t) => (t.splits?.length ? t.splits : [{ category: t.category, amount: t.amount }]);
+
+const hasCategory = (t, category) => transactionParts(t).some((p) => p.category === category);
+
+// Anteil in der Basiswährung, bei Fremdwährung anteilig umgerechnet
+const partBaseValue = (t, part) => (t.amount ? (baseValue(t) * part.amount) / t.amount : 0);
+
+// Mit Kategorie-Filter zählen nur die passenden Teile
+const categoryShareTotal = (list, selectedCategories) => {
+  if (selectedCategories.length === 0) return sumAmounts(list);
+  return list.reduce(
+    (sum, t) =>
+      sum +
+      transactionParts(t)
+        .filter((p) => selectedCategories.includes(p.category))
+        .reduce((s, p) => s + partBaseValue(t, p), 0),
+    0
+  );
+};
+
+const toCents = (n) => Math.round(n * 100);
+
+// lines: Formularzeilen { category, amount: Text }; liefert { splits } oder { error }
+const parseSplitLines = (lines, total, currency) => {
+  const splits = lines.map((l) => ({ category: l.category, amount: parseAmount(l.amount) }));
+  if (splits.some((s) => !s.category)) return { error: 'Bitte für jede Zeile eine Kategorie wählen.' };
+  if (splits.some((s) => !isValidAmount(s.amount))) return { error: 'Jede Zeile braucht einen Betrag > 0.' };
+  const sum = splits.reduce((s, p) => s + toCents(p.amount), 0);
+  if (sum !== toCents(total)) {
+    return { error: `Die Zeilen ergeben ${money(sum / 100, currency)}, der Betrag ist ${money(total, currency)}.` };
+  }
+  return { splits };
+};
+
+// Summe je Kategorie, absteigend sortiert
+const categoryBreakdown = (list, isIncome) => {
+  const totals = {};
+  list.filter((t) => t.isIncome === isIncome).forEach((t) => {
+    transactionParts(t).forEach((p) => {
+      totals[p.category] = (totals[p.category] || 0) + partBaseValue(t, p);
+    });
+  });
+  return Object.entries(totals)
+    .map(([category, total]) => ({ category, total }))
+    .sort((a, b) => b.total - a.total);
+};
+
+// ---------- Budgets ----------
+// Ein Budget je Ausgaben-Kategorie; das Limit gilt in der Basiswährung
+const BUDGET_PERIODS = [
+  { value: 'month', label: 'Monatlich' },
+  { value: 'year', label: 'Jährlich' },
+];
+
+const budgetRange = (period, date) => periodRange(date.getFullYear(), period === 'year' ? null : date.getMonth());
+
+const budgetPeriodLabel = (period, date) =>
+  period === 'year' ? `${date.getFullYear()}` : `${MONTH_NAMES[date.getMonth()]} ${date.getFullYear()}`;
+
+// Nur die Teile der Kategorie zählen, damit aufgeteilte Ausgaben richtig angerechnet werden
+const budgetSpent = (list, category, from, to) =>
+  list
+    .filter((t) => !t.isIncome && inRange(t, from, to))
+    .reduce(
+      (sum, t) =>
+        sum + transactionParts(t).filter((p) => p.category === category).reduce((s, p) => s + partBaseValue(t, p), 0),
+      0
+    );
+
+// Stand aller Budgets im Zeitraum, der date enthält
+const budgetStatus = (list, budgets, date = new Date()) =>
+  budgets.map((b) => {
+    const { from, to } = budgetRange(b.period, date);
+    const spent = budgetSpent(list, b.category, from, to);
+    return { ...b, spent, progress: b.limit > 0 ? spent / b.limit : 0, over: spent > b.limit, periodLabel: budgetPeriodLabel(b.period, date) };
+  });
+
+// Budgets, die mit diesem (neuen oder geänderten) Eintrag überschritten wären, als Textzeilen
+const budgetWarnings = (list, budgets, entry, baseCurrency, rates) => {
+  if (entry.isIncome) return [];
+  const date = new Date(entry.date);
+  const others = list.filter((t) => t.id !== entry.id);
+  return budgets.flatMap((b) => {
+    const amount = transactionParts(entry).filter((p) => p.category === b.category).reduce((s, p) => s + p.amount, 0);
+    if (amount === 0) return [];
+    const value = convertAmount(amount, transactionCurrency(entry), baseCurrency, entry.date, rates);
+    if (value === null) return [];
+    const { from, to } = budgetRange(b.period, date);
+    const total = budgetSpent(others, b.category, from, to) + value;
+    if (total <= b.limit) return [];
+    return [`${b.category} (${budgetPeriodLabel(b.period, date)}): ${money(total, baseCurrency)} von ${money(b.limit, baseCurrency)}`];
+  });
+};
+
+// Speichert direkt oder erst nach Bestätigung, wenn ein Budget überschritten würde
+const confirmBudgetWarnings = (warnings, proceed) => {
+  if (warnings.length === 0) {
+    proceed();
+    return;
+  }
+  Alert.alert('Budget wird überschritten', warnings.join('\n'), [
+    { text: 'Abbrechen', style: 'cancel' },
+    { text: 'Trotzdem speichern', style: 'destructive', onPress: proceed },
+  ]);
+};
+
+// ---------- Listen-Filter ----------
+const DATE_PRESETS = [
+  { key: 'all', label: 'Alle' },
+  { key: 'thisMonth', label: 'Dieser Monat' },
+  { key: 'lastMonth', label: 'Letzter Monat' },
+  { key: 'thisYear', label: 'Dieses Jahr' },
+  { key: 'custom', label: 'Zeitraum' },
+];
+
+const contactName = (contacts, id) => (id == null ? null : contacts.find((c) => c.id === id)?.name || null);
+
+const EMPTY_DATE_FILTER = { preset: 'all', from: null, to: null };
+const EMPTY_AMOUNT_FILTER = { min: '', max: '' };
+
+// Zeitraum eines Datumsfilters als [from, to); bei 'custom' ist das Bis-Datum inklusive
+const dateFilterRange = ({ preset, from, to }) => {
+  const now = new Date();
+  switch (preset) {
+    case 'thisMonth':
+      return periodRange(now.getFullYear(), now.getMonth());
+    case 'lastMonth': {
+      const d = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+      return periodRange(d.getFullYear(), d.getMonth());
+    }
+    case 'thisYear':
+      return periodRange(now.getFullYear(), null);
+    case 'custom':
+      return {
+        from: from ? new Date(from.getFullYear(), from.getMonth(), from.getDate()) : null,
+        to: to ? new Date(to.getFullYear(), to.getMonth(), to.getDate() + 1) : null,
+      };
+    default:
+      return { from: null, to: null };
+  }
+};
+
+const isAmountFilterActive = ({ min, max }) => min.trim() !== '' || max.trim() !== '';
+
+// Gemeinsame Filterlogik für Einnahmen- und Ausgaben-Liste; die Suche findet auch Kontaktnamen
+const applyTransactionFilters = (
+  list,
+  { selectedCategories, searchText, dateFilter, amountFilter, pinnedOnly = false, contacts = [] }
+) => {
+  const query = searchText.toLowerCase();
+  const { from, to } = dateFilterRange(dateFilter);
+  const min = parseAmount(amountFilter.min);
+  const max = parseAmount(amountFilter.max);
+
+  return list.filter((t) => {
+    const matchesCategory = selectedCategories.length === 0 || selectedCategories.some((c) => hasCategory(t, c));
+    const matchesSearch =
+      query === '' ||
+      transactionParts(t).some((p) => p.category.toLowerCase().includes(query)) ||
+      (t.note && t.note.toLowerCase().includes(query)) ||
+      (contactName(contacts, t.contactId) || '').toLowerCase().includes(query);
+    const matchesDate = inRange(t, from, to);
+    const matchesAmount = (isNaN(min) || baseValue(t) >= min) && (isNaN(max) || baseValue(t) <= max);
+    const matchesPinned = !pinnedOnly || t.isPinned;
+    return matchesCategory && matchesSearch && matchesDate && matchesAmount && matchesPinned;
+  });
+};
+
+// ---------- Änderungsprotokoll ----------
+const MAX_LOG_ENTRIES = 500;
+
+// baseAmount/missingRate werden beim Rendern berechnet und nicht gespeichert
+const storedTransaction = ({ baseAmount, missingRate, ...t }) => t;
+
+// Ersetzt die Einträge aus "remove" durch die aus "add" (per ID). Rückgängig und Wiederholen
+// sind dieselbe Operation mit vertauschten Seiten.
+const swapOperation = (list, remove, add) => {
+  const ids = new Set([...remove, ...add].map((t) => t.id));
+  return [...list.filter((t) => !ids.has(t.id)), ...add];
+};
+
+const operationLabel = (entry) => {
+  const count = Math.max(entry.before.length, entry.after.length);
+  const single = (entry.after[0] || entry.before[0])?.isTransfer ? 'Umbuchung' : 'Eintrag';
+  const many = count > 1 ? `${count} Einträge` : single;
+  if (entry.type === 'add') return `${many} hinzugefügt`;
+  if (entry.type === 'delete') return `${many} gelöscht`;
+  if (entry.type === 'sync') return 'Abgleich mit anderem Gerät';
+  return `${many} geändert`;
+};
+
+const AUDIT_FIELDS = [
+  { label: 'Betrag', value: (t) => money(t.amount, transactionCurrency(t)) },
+  {
+    label: 'Kategorie',
+    value: (t) =>
+      t.splits?.length
+        ? t.splits.map((p) => `${p.category} ${money(p.amount, transactionCurrency(t))}`).join(' + ')
+        : t.category,
+  },
+  { label: 'Datum', value: (t) => formatDateDe(new Date(t.date)) },
+  {
+    label: 'Konto',
+    value: (t, ctx) => (t.isTransfer ? transferLabel(ctx.accounts, t) : accountName(ctx.accounts, transactionAccount(t))),
+  },
+  { label: 'Notiz', value: (t) => t.note || '–' },
+  { label: 'Kontakt', value: (t, ctx) => contactName(ctx.contacts, t.contactId) || '–' },
+  { label: 'Kampagne', value: (t, ctx) => ctx.campaigns.find((c) => c.id === t.campaignId)?.name || '–' },
+  { label: 'Angepinnt', value: (t) => (t.isPinned ? 'ja' : 'nein') },
+];
+
+// Geänderte Felder einer Bearbeitung als { label, from, to }
+const transactionChanges = (before, after, ctx) =>
+  AUDIT_FIELDS.map((f) => ({ label: f.label, from: f.value(before, ctx), to: f.value(after, ctx) })).filter(
+    (c) => c.from !== c.to
+  );
+
+const formatDateTimeDe = (d) => `${formatDateDe(d)}, ${pad2(d.getHours())}:${pad2(d.getMinutes())}`;
+
+// ---------- App-Sperre ----------
+// Liegt im Secure Store statt in AsyncStorage und ist bewusst nicht Teil des Backups
+const APP_LOCK_KEY = 'appLock';
+
+const DEFAULT_APP_LOCK = {
+  enabled: false,
+  salt: null,
+  hash: null,
+  kdfIterations: null, // null = alter SHA-256-Hash von vor PBKDF2
+  pinLength: 4,
+  biometrics: false,
+  autoLockSeconds: 60,
+  wipeAfter: 0, // 0 = nie löschen
+  failedAttempts: 0,
+};
+
+const AUTO_LOCK_OPTIONS = [
+  { seconds: 0, label: 'Sofort' },
+  { seconds: 60, label: '1 Min.' },
+  { seconds: 300, label: '5 Min.' },
+  { seconds: 900, label: '15 Min.' },
+];
+
+const WIPE_OPTIONS = [
+  { attempts: 0, label: 'Nie' },
+  { attempts: 5, label: 'Nach 5' },
+  { attempts: 10, label: 'Nach 10' },
+];
+
+const randomHex = (bytes) =>
+  Array.from(Crypto.getRandomBytes(bytes), (b) => b.toString(16).padStart(2, '0')).join('');
+
+// PBKDF2 statt eines einzelnen Hashes, sonst ist eine kurze PIN offline in Sekunden durchprobiert.
+// crypto-js rechnet in JavaScript; deutlich mehr Durchläufe verzögern das Entsperren auf älteren Geräten
+// spürbar. Die Zahl wird mit dem Hash gespeichert und lässt sich später erhöhen.
+const PIN_KDF_ITERATIONS = 20000;
+
+const hashPin = async (pin, salt, iterations) => {
+  // Einen Durchlauf abwarten, damit der Ladezustand sichtbar ist, bevor die Rechnung den JS-Thread blockiert
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  return CryptoJS.PBKDF2(pin, salt, { keySize: 256 / 32, iterations, hasher: CryptoJS.algo.SHA256 }).toString();
+};
+
+const legacyPinHash = (pin, salt) => Crypto.digestStringAsync(Crypto.CryptoDigestAlgorithm.SHA256, `${salt}:${pin}`);
+
+const pinMatches = async (pin, lock) =>
+  (lock.kdfIterations ? await hashPin(pin, lock.salt, lock.kdfIterations) : await legacyPinHash(pin, lock.salt)) === lock.hash;
+
+// Neuer Salt und Hash für eine PIN
+const pinSecret = async (pin) => {
+  const salt = randomHex(16);
+  return { salt, hash: await hashPin(pin, salt, PIN_KDF_ITERATIONS), kdfIterations: PIN_KDF_ITERATIONS };
+};
+
+// ---------- Verschlüsselung ----------
+// AES-256-CBC mit HMAC-SHA256 (encrypt-then-MAC). Der Schlüssel (64 Byte: Verschlüsselung + MAC)
+// liegt im Secure Store, in AsyncStorage steht nur der Umschlag { v, iv, ct, mac }.
+const STORAGE_KEY_NAME = 'storageKey';
+
+// Ein gemeinsames Promise, damit parallele Aufrufe beim ersten Start nicht zwei Schlüssel erzeugen
+let storageKeyPromise = null;
+
+const getStorageKey = async (create) => {
+  if (!storageKeyPromise) storageKeyPromise = SecureStore.getItemAsync(STORAGE_KEY_NAME);
+  try {
+    if (!(await storageKeyPromise) && create) {
+      storageKeyPromise = storageKeyPromise.then(async (existing) => {
+        if (existing) return existing;
+        const fresh = randomHex(64);
+        await SecureStore.setItemAsync(STORAGE_KEY_NAME, fresh);
+        return fresh;
+      });
+    }
+    return await storageKeyPromise;
+  } catch (e) {
+    storageKeyPromise = null;
+    throw e;
+  }
+};
+
+const forgetStorageKey = async () => {
+  storageKeyPromise = null;
+  await SecureStore.deleteItemAsync(STORAGE_KEY_NAME);
+};
+
+const isEncryptedEnvelope = (raw) => {
+  try {
+    const parsed = JSON.parse(raw);
+    return !!parsed && !Array.isArray(parsed) && parsed.v === 1 && !!parsed.ct;
+  } catch (e) {
+    return false;
+  }
+};
+
+const envelopeMac = (iv, ct, key) =>
+  CryptoJS.HmacSHA256(`${iv}:${ct}`, CryptoJS.enc.Hex.parse(key.slice(64))).toString();
+
+const encryptStored = async (plain) => {
+  const key = await getStorageKey(true);
+  const iv = randomHex(16);
+  const ct = CryptoJS.AES.encrypt(plain, CryptoJS.enc.Hex.parse(key.slice(0, 64)), {
+    iv: CryptoJS.enc.Hex.parse(iv),
+  }).ciphertext.toString(CryptoJS.enc.Base64);
+  return JSON.stringify({ v: 1, iv, ct, mac: envelopeMac(iv, ct, key) });
+};
+
+// Unverschlüsselte Werte gibt es nach encryptLegacyStorage nicht mehr; sie gelten wie ein falscher MAC als beschädigt
+const decryptStored = async (raw) => {
+  if (!isEncryptedEnvelope(raw)) throw new Error('Die gespeicherten Daten sind beschädigt.');
+  const { iv, ct, mac } = JSON.parse(raw);
+  const key = await getStorageKey(false);
+  if (!key) throw new Error('Der Schlüssel zum Entschlüsseln fehlt auf diesem Gerät.');
+  if (envelopeMac(iv, ct, key) !== mac) throw new Error('Die gespeicherten Daten sind beschädigt.');
+  const plain = CryptoJS.AES.decrypt({ ciphertext: CryptoJS.enc.Base64.parse(ct) }, CryptoJS.enc.Hex.parse(key.slice(0, 64)), {
+    iv: CryptoJS.enc.Hex.parse(iv),
+  }).toString(CryptoJS.enc.Utf8);
+  if (!plain) throw new Error('Die gespeicherten Daten konnten nicht entschlüsselt werden.');
+  return plain;
+};
+
+const ENCRYPTED_STORAGE_KEYS = ['transactions', 'operationLog', 'serverOutbox'];
+const STORAGE_MIGRATED_NAME = 'storageEncrypted';
+
+// Einmalige Umstellung vor dem ersten Laden: bisher unverschlüsselt gespeicherte Werte werden verschlüsselt.
+// Die Markierung im Secure Store kommt erst danach, damit ein Abbruch mittendrin beim nächsten Start
+// wiederholt wird. Unlesbares bleibt unverändert und wird beim Laden als beschädigt gemeldet.
+const encryptLegacyStorage = async () => {
+  if (await SecureStore.getItemAsync(STORAGE_MIGRATED_NAME)) return;
+  const pairs = await AsyncStorage.multiGet(ENCRYPTED_STORAGE_KEYS);
+  const plain = pairs.filter(([, raw]) => {
+    if (raw == null || isEncryptedEnvelope(raw)) return false;
+    try {
+      JSON.parse(raw);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  });
+  if (plain.length > 0) {
+    await AsyncStorage.multiSet(await Promise.all(plain.map(async ([key, raw]) => [key, await encryptStored(raw)])));
+  }
+  await SecureStore.setItemAsync(STORAGE_MIGRATED_NAME, '1');
+};
+
+// ---------- Wiederkehrende Buchungen ----------
+const FREQUENCIES = [
+  { key: 'daily', label: 'Täglich' },
+  { key: 'weekly', label: 'Wöchentlich' },
+  { key: 'monthly', label: 'Monatlich' },
+  { key: 'yearly', label: 'Jährlich' },
+];
+
+const MAX_OCCURRENCES = 1000;
+
+// n-ter Termin ab Start; Monatsenden werden gekappt (31. → 30./28.)
+const nthOccurrence = (start, frequency, n) => {
+  const y = start.getFullYear();
+  const m = start.getMonth();
+  const d = start.getDate();
+  if (frequency === 'daily') return new Date(y, m, d + n, 12);
+  if (frequency === 'weekly') return new Date(y, m, d + n * 7, 12);
+  const months = frequency === 'yearly' ? n * 12 : n;
+  const lastDay = new Date(y, m + months + 1, 0).getDate();
+  return new Date(y, m + months, Math.min(d, lastDay), 12);
+};
+
+// Tagesschlüssel aller Termine nach afterKey (exklusiv) bis untilKey (inklusiv)
+const ruleOccurrences = (rule, afterKey, untilKey, limit = MAX_OCCURRENCES) => {
+  const start = new Date(rule.startDate);
+  const endKey = rule.endDate ? dayKey(rule.endDate) : null;
+  const keys = [];
+  for (let n = 0; keys.length < limit && n < MAX_OCCURRENCES * 10; n++) {
+    const key = dayKey(nthOccurrence(start, rule.frequency, n).toISOString());
+    if ((untilKey && key > untilKey) || (endKey && key > endKey)) break;
+    if (!afterKey || key > afterKey) keys.push(key);
+  }
+  return keys;
+};
+
+// Die nächsten noch nicht gebuchten Termine ab heute
+const upcomingOccurrences = (rule, count) => {
+  if (rule.paused) return [];
+  const todayKey = dayKey(new Date().toISOString());
+  const endKey = rule.endDate ? dayKey(rule.endDate) : null;
+  const start = new Date(rule.startDate);
+  const keys = [];
+  for (let n = 0; keys.length < count && n < MAX_OCCURRENCES * 10; n++) {
+    const key = dayKey(nthOccurrence(start, rule.frequency, n).toISOString());
+    if (endKey && key > endKey) break;
+    if (key >= todayKey && (!rule.materializedThrough || key > rule.materializedThrough)) keys.push(key);
+  }
+  return keys;
+};
+
+// ---------- Erinnerungen ----------
+// Nur lokal geplante Benachrichtigungen, kein Push-Server. Ein Tippen öffnet das Formular für
+// Einnahmen bzw. Ausgaben (data.addType).
+const REMINDER_CHANNEL = 'reminders';
+const REMINDER_HORIZON_DAYS = 60;
+// iOS behält höchstens 64 geplante Benachrichtigungen pro App
+const MAX_SCHEDULED_REMINDERS = 60;
+const MAX_REMINDERS_PER_RULE = 3;
+
+const DEFAULT_REMINDER_SETTINGS = {
+  logReminder: 'off', // 'off' | 'daily' | 'weekly'
+  weekday: 1, // wie bei expo-notifications: 1 = Sonntag … 7 = Samstag
+  hour: 19,
+  minute: 0,
+  recurringAlerts: false,
+  recurringLeadDays: 1,
+  campaignAlerts: false,
+  campaignLeadDays: 3,
+};
+
+const LOG_REMINDER_OPTIONS = [
+  { value: 'off', label: 'Aus' },
+  { value: 'daily', label: 'Täglich' },
+  { value: 'weekly', label: 'Wöchentlich' },
+];
+
+const WEEKDAY_OPTIONS = [
+  { value: 2, label: 'Mo' },
+  { value: 3, label: 'Di' },
+  { value: 4, label: 'Mi' },
+  { value: 5, label: 'Do' },
+  { value: 6, label: 'Fr' },
+  { value: 7, label: 'Sa' },
+  { value: 1, label: 'So' },
+];
+
+const RECURRING_LEAD_OPTIONS = [
+  { days: 0, label: 'Am Tag' },
+  { days: 1, label: '1 Tag vorher' },
+  { days: 3, label: '3 Tage vorher' },
+];
+
+const CAMPAIGN_LEAD_OPTIONS = [
+  { days: 1, label: '1 Tag vorher' },
+  { days: 3, label: '3 Tage vorher' },
+  { days: 7, label: '1 Woche vorher' },
+];
+
+// Auch im Vordergrund anzeigen
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowBanner: true,
+    shouldShowList: true,
+    shouldPlaySound: false,
+    shouldSetBadge: false,
+  }),
+});
+
+const remindersEnabled = (s) => s.logReminder !== 'off' || s.recurringAlerts || s.campaignAlerts;
+
+// Liefert true, wenn Benachrichtigungen erlaubt sind (fragt bei Bedarf nach)
+const ensureNotificationPermission = async () => {
+  if (Platform.OS === 'android') {
+    await Notifications.setNotificationChannelAsync(REMINDER_CHANNEL, {
+      name: 'Erinnerungen',
+      importance: Notifications.AndroidImportance.DEFAULT,
+    });
+  }
+  const current = await Notifications.getPermissionsAsync();
+  if (current.granted) return true;
+  if (!current.canAskAgain) return false;
+  return (await Notifications.requestPermissionsAsync()).granted;
+};
+
+// Alle zu planenden Benachrichtigungen als { title, body, data, trigger }, nach Zeitpunkt sortiert.
+// discreet lässt Beträge und Namen weg (bei eingeschalteter App-Sperre, wegen des Sperrbildschirms).
+const buildReminderSchedule = (settings, rules, campaigns, { now = new Date(), discreet = false } = {}) => {
+  const { hour, minute } = settings;
+  const atTime = (date, daysBefore) =>
+    new Date(date.getFullYear(), date.getMonth(), date.getDate() - daysBefore, hour, minute);
+  const dateTrigger = (date) => ({ type: Notifications.SchedulableTriggerInputTypes.DATE, date, channelId: REMINDER_CHANNEL });
+  const repeating = [];
+  const once = [];
+
+  if (settings.logReminder !== 'off') {
+    const weekly = settings.logReminder === 'weekly';
+    repeating.push({
+      title: 'Neue Spenden?',
+      body: weekly ? 'Gab es diese Woche Spenden oder Bargeld? Jetzt eintragen.' : 'Gab es heute Spenden oder Bargeld? Jetzt eintragen.',
+      data: { addType: 'income' },
+      trigger: weekly
+        ? { type: Notifications.SchedulableTriggerInputTypes.WEEKLY, weekday: settings.weekday, hour, minute, channelId: REMINDER_CHANNEL }
+        : { type: Notifications.SchedulableTriggerInputTypes.DAILY, hour, minute, channelId: REMINDER_CHANNEL },
+    });
+  }
+
+  if (settings.recurringAlerts) {
+    const yesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1, 12);
+    const horizon = new Date(now.getFullYear(), now.getMonth(), now.getDate() + REMINDER_HORIZON_DAYS, 12);
+    const lead = settings.recurringLeadDays;
+    rules
+      .filter((r) => !r.paused)
+      .forEach((rule) => {
+        ruleOccurrences(rule, dayKey(yesterday.toISOString()), dayKey(horizon.toISOString()))
+          .map((key) => ({ key, at: atTime(new Date(`${key}T12:00:00`), lead) }))
+          .filter(({ at }) => at > now)
+          .slice(0, MAX_REMINDERS_PER_RULE)
+          .forEach(({ key, at }) => {
+            const when = lead === 0 ? 'heute' : lead === 1 ? 'morgen' : `am ${formatDateDe(new Date(`${key}T12:00:00`))}`;
+            once.push({
+              title: `${rule.isIncome ? 'Einnahme' : 'Ausgabe'} ${when} fällig`,
+              body: discreet
+                ? 'Eine wiederkehrende Buchung steht an.'
+                : `${rule.category}: ${money(rule.amount, rule.currency || 'EUR')}${rule.note ? ` – ${rule.note}` : ''}`,
+              data: { addType: rule.isIncome ? 'income' : 'expense' },
+              trigger: dateTrigger(at),
+            });
+          });
+      });
+  }
+
+  if (settings.campaignAlerts) {
+    campaigns
+      .filter((c) => !c.archived && c.deadline)
+      .forEach((c) => {
+        const deadline = new Date(c.deadline);
+        const at = atTime(deadline, settings.campaignLeadDays);
+        if (at <= now) return;
+        once.push({
+          title: 'Kampagne endet bald',
+          body: discreet ? 'Eine Kampagnenfrist läuft ab.' : `"${c.name}" endet am ${formatDateDe(deadline)}.`,
+          data: { addType: 'income' },
+          trigger: dateTrigger(at),
+        });
+      });
+  }
+
+  once.sort((a, b) => a.trigger.date - b.trigger.date);
+  return [...repeating, ...once].slice(0, MAX_SCHEDULED_REMINDERS);
+};
+
+// ---------- Zuwendungsbestätigungen ----------
+const DEFAULT_RECEIPT_SETTINGS = {
+  title: 'Zuwendungsbestätigung',
+  issuerName: '',
+  issuerAddress: '',
+  intro: 'Hiermit bestätigen wir den Erhalt der folgenden Geldzuwendung:',
+  defaultPurpose: 'Spende',
+  closing: 'Herzlichen Dank für Ihre Unterstützung!',
+  place: '',
+  signer: '',
+  numberPrefix: 'ZB-',
+  nextNumber: 1,
+};
+
+const formatReceiptNumber = (settings, date) =>
+  `${settings.numberPrefix}${date.getFullYear()}-${String(settings.nextNumber).padStart(4, '0')}`;
+
+const WORDS_ONES = [
+  'null', 'eins', 'zwei', 'drei', 'vier', 'fünf', 'sechs', 'sieben', 'acht', 'neun',
+  'zehn', 'elf', 'zwölf', 'dreizehn', 'vierzehn', 'fünfzehn', 'sechzehn', 'siebzehn', 'achtzehn', 'neunzehn',
+];
+const WORDS_TENS = ['', '', 'zwanzig', 'dreißig', 'vierzig', 'fünfzig', 'sechzig', 'siebzig', 'achtzig', 'neunzig'];
+
+const wordsBelow1000 = (n) => {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  let out = hundreds ? `${hundreds === 1 ? 'ein' : WORDS_ONES[hundreds]}hundert` : '';
+  if (rest >= 20) {
+    const ones = rest % 10;
+    out += ones ? `${ones === 1 ? 'ein' : WORDS_ONES[ones]}und${WORDS_TENS[Math.floor(rest / 10)]}` : WORDS_TENS[rest / 10];
+  } else if (rest > 0) {
+    out += WORDS_ONES[rest];
+  }
+  return out;
+};
+
+// Ganze Zahl in deutschen Zahlwörtern, z. B. 1234 → "eintausendzweihundertvierunddreißig"
+const numberToGermanWords = (n) => {
+  if (n === 0) return 'null';
+  const millions = Math.floor(n / 1e6);
+  const thousands = Math.floor(n / 1000) % 1000;
+  const rest = n % 1000;
+  const parts = [];
+  if (millions) parts.push(millions === 1 ? 'eine Million' : `${wordsBelow1000(millions).replace(/eins$/, 'ein')} Millionen`);
+  let tail = '';
+  if (thousands) tail += `${wordsBelow1000(thousands).replace(/eins$/, 'ein')}tausend`;
+  if (rest) tail += wordsBelow1000(rest);
+  if (tail) parts.push(tail);
+  return parts.join(' ');
+};
+
+const amountInWords = (amount) => {
+  const cents = Math.round(amount * 100);
+  const euros = Math.floor(cents / 100);
+  const rest = cents % 100;
+  const euroWords = euros === 1 ? 'ein Euro' : `${numberToGermanWords(euros)} Euro`;
+  return rest ? `${euroWords} und ${rest === 1 ? 'ein' : numberToGermanWords(rest)} Cent` : euroWords;
+};
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\n/g, '<br/>');
+
+const receiptHtml = (receipt) => {
+  const tpl = receipt.template;
+  const rows = receipt.items
+    .map(
+      (i) =>
+        `<tr><td>${formatDateDe(new Date(i.date))}</td><td>${escapeHtml(i.purpose)}${
+          i.currency && i.currency !== 'EUR' ? ` <span class="muted">(${money(i.originalAmount, i.currency)})</span>` : ''
+        }</td><td class="num">${eur(i.amount)}</td></tr>`
+    )
+    .join('');
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"/>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #1f2937; padding: 32px; font-size: 13px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  .muted { color: #6b7280; }
+  .box { border: 1px solid #d1d5db; border-radius: 8px; padding: 12px 16px; margin: 16px 0; }
+  table { width: 100%; border-collapse: collapse; margin-top: 8px; }
+  th, td { text-align: left; padding: 6px 4px; border-bottom: 1px solid #e5e7eb; }
+  .num { text-align: right; white-space: nowrap; }
+  .total td { font-weight: bold; border-bottom: none; }
+  .sign { margin-top: 56px; border-top: 1px solid #9ca3af; width: 260px; padding-top: 4px; }
+</style></head>
+<body>
+  <div>${escapeHtml(tpl.issuerName)}</div>
+  <div class="muted">${escapeHtml(tpl.issuerAddress)}</div>
+  <h1 style="margin-top:24px">${escapeHtml(tpl.title)}</h1>
+  <div class="muted">Nr. ${escapeHtml(receipt.number)} · ausgestellt am ${formatDateDe(new Date(receipt.issuedAt))}</div>
+  <div class="box">
+    <div class="muted">Zuwendende/r</div>
+    <div><strong>${escapeHtml(receipt.donor.name)}</strong></div>
+    <div>${escapeHtml(receipt.donor.address)}</div>
+  </div>
+  <p>${escapeHtml(tpl.intro)}</p>
+  <table>
+    <tr><th>Datum</th><th>Zweck</th><th class="num">Betrag</th></tr>
+    ${rows}
+    <tr class="total"><td></td><td>Gesamt</td><td class="num">${eur(receipt.total)}</td></tr>
+  </table>
+  <p>In Worten: <strong>${escapeHtml(amountInWords(receipt.total))}</strong></p>
+  <p>${escapeHtml(tpl.closing)}</p>
+  <div class="sign">${escapeHtml([tpl.place, formatDateDe(new Date(receipt.issuedAt))].filter(Boolean).join(', '))}${
+    tpl.signer ? ` · ${escapeHtml(tpl.signer)}` : ''
+  }</div>
+</body></html>`;
+};
+
+// Erzeugt das PDF (auch für Nachdrucke aus dem gespeicherten Beleg) und öffnet den Teilen-Dialog
+const shareReceiptPdf = async (receipt) => {
+  const { uri } = await Print.printToFileAsync({ html: receiptHtml(receipt) });
+  const target = `${FileSystem.cacheDirectory}Zuwendungsbestaetigung-${receipt.number.replace(/[^\w-]/g, '_')}.pdf`;
+  await FileSystem.deleteAsync(target, { idempotent: true });
+  await FileSystem.moveAsync({ from: uri, to: target });
+  if (!(await Sharing.isAvailableAsync())) {
+    Alert.alert('Teilen nicht möglich', 'Auf diesem Gerät ist kein Teilen-Dialog verfügbar.');
+    return;
+  }
+  await Sharing.shareAsync(target, { mimeType: 'application/pdf', UTI: 'com.adobe.pdf', dialogTitle: receipt.number });
+};
+
+// ---------- Jahresabschluss ----------
+const REPORT_PRESETS = [
+  { key: 'thisYear', label: 'Dieses Jahr' },
+  { key: 'lastYear', label: 'Letztes Jahr' },
+  { key: 'custom', label: 'Zeitraum' },
+];
+
+// Wie dateFilterRange: [from, to), bei 'custom' ist das Bis-Datum inklusive
+const reportRange = ({ preset, from, to }) => {
+  const year = new Date().getFullYear();
+  if (preset === 'thisYear') return periodRange(year, null);
+  if (preset === 'lastYear') return periodRange(year - 1, null);
+  return {
+    from: new Date(from.getFullYear(), from.getMonth(), from.getDate()),
+    to: new Date(to.getFullYear(), to.getMonth(), to.getDate() + 1),
+  };
+};
+
+const reportPeriodLabel = (from, to) => {
+  const last = new Date(to.getFullYear(), to.getMonth(), to.getDate() - 1);
+  const wholeYear =
+    from.getMonth() === 0 && from.getDate() === 1 && to.getMonth() === 0 && to.getDate() === 1 && to.getFullYear() === from.getFullYear() + 1;
+  if (wholeYear) return String(from.getFullYear());
+  return `${formatDateDe(from)} – ${formatDateDe(last)}`;
+};
+
+// list: bewertete Buchungen ohne Umbuchungen. openingBase: Summe der Anfangsbestände aller Konten.
+// Alle Beträge in der Basiswährung; Umbuchungen ändern den Gesamtbestand nicht.
+const buildReport = (list, { from, to, openingBase, categories }) => {
+  const signed = (t) => (t.isIncome ? baseValue(t) : -baseValue(t));
+  const opening = openingBase + list.filter((t) => new Date(t.date) < from).reduce((s, t) => s + signed(t), 0);
+  const entries = list.filter((t) => inRange(t, from, to)).sort((a, b) => new Date(a.date) - new Date(b.date));
+  const withLabels = (isIncome) =>
+    categoryBreakdown(entries, isIncome).map((b) => {
+      const known = categoryPool(isIncome, categories).find((c) => c.value === b.category);
+      return { ...b, label: known?.label || b.category, color: categoryColor(b.category, isIncome, categories) };
+    });
+
+  const months = [];
+  let balance = opening;
+  for (let d = new Date(from.getFullYear(), from.getMonth(), 1); d < to; d = new Date(d.getFullYear(), d.getMonth() + 1, 1)) {
+    const end = new Date(d.getFullYear(), d.getMonth() + 1, 1);
+    const own = entries.filter((t) => inRange(t, d, end));
+    const income = sumAmounts(own.filter((t) => t.isIncome));
+    const expense = sumAmounts(own.filter((t) => !t.isIncome));
+    balance += income - expense;
+    months.push({ label: `${MONTH_NAMES[d.getMonth()]} ${d.getFullYear()}`, income, expense, net: income - expense, balance });
+  }
+
+  const income = sumAmounts(entries.filter((t) => t.isIncome));
+  const expense = sumAmounts(entries.filter((t) => !t.isIncome));
+  return {
+    from,
+    to,
+    opening,
+    income,
+    expense,
+    closing: opening + income - expense,
+    incomeByCategory: withLabels(true),
+    expenseByCategory: withLabels(false),
+    months,
+    entries,
+    // Ohne Kurs zählen Fremdwährungs-Einträge mit 0 (siehe valuedTransactions); auch frühere, weil sie
+    // im Anfangsbestand fehlen
+    withoutRate: list.filter((t) => t.missingRate && new Date(t.date) < to).sort((a, b) => new Date(a.date) - new Date(b.date)),
+  };
+};
+
+// Zeilen der Transaktionsliste; anonymisiert ohne Notiz und Kontakt
+const reportEntryRows = (report, { baseCurrency, anonymize, contacts, accounts }) =>
+  report.entries.map((t) => ({
+    date: formatDateDe(new Date(t.date)),
+    type: t.isIncome ? 'Einnahme' : 'Ausgabe',
+    category: transactionParts(t).map((p) => p.category).join(' / '),
+    account: accountName(accounts, transactionAccount(t)),
+    amount: baseValue(t),
+    original: transactionCurrency(t) !== baseCurrency ? money(t.amount, transactionCurrency(t)) : '',
+    contact: anonymize ? '' : contactName(contacts, t.contactId) || '',
+    note: anonymize ? '' : t.note || '',
+  }));
+
+const reportHtml = (report, { title, issuer, baseCurrency, includeEntries, anonymize, contacts, accounts }) => {
+  const fmt = (n) => money(n, baseCurrency);
+  const categoryTable = (rows, total) =>
+    rows.length === 0
+      ? '<p class="muted">Keine Einträge im Zeitraum.</p>'
+      : `<table>
+    ${rows
+      .map(
+        (r) =>
+          `<tr><td><span class="dot" style="background:${r.color}"></span>${escapeHtml(r.label)}</td><td class="num">${
+            total ? Math.round((r.total / total) * 100) : 0
+          } %</td><td class="num">${fmt(r.total)}</td></tr>`
+      )
+      .join('')}
+    <tr class="total"><td>Summe</td><td></td><td class="num">${fmt(total)}</td></tr>
+  </table>`;
+  const monthRows = report.months
+    .map(
+      (m) =>
+        `<tr><td>${m.label}</td><td class="num">${fmt(m.income)}</td><td class="num">${fmt(m.expense)}</td><td class="num">${fmt(
+          m.net
+        )}</td><td class="num">${fmt(m.balance)}</td></tr>`
+    )
+    .join('');
+  const entryRows = includeEntries
+    ? reportEntryRows(report, { baseCurrency, anonymize, contacts, accounts })
+        .map(
+          (r) =>
+            `<tr><td>${r.date}</td><td>${r.type}</td><td>${escapeHtml(r.category)}</td>${
+              anonymize ? '' : `<td>${escapeHtml([r.contact, r.note].filter(Boolean).join(' – '))}</td>`
+            }<td class="num">${fmt(r.amount)}${r.original ? `<br/><span class="muted">${r.original}</span>` : ''}</td></tr>`
+        )
+        .join('')
+    : '';
+
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"/>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #1f2937; padding: 32px; font-size: 12px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 15px; margin: 24px 0 6px; }
+  .muted { color: #6b7280; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; padding: 5px 4px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+  .num { text-align: right; white-space: nowrap; }
+  .total td { font-weight: bold; border-bottom: none; }
+  .dot { display: inline-block; width: 9px; height: 9px; border-radius: 5px; margin-right: 6px; }
+  .summary td { font-size: 13px; }
+  .entries { page-break-before: always; }
+</style></head>
+<body>
+  ${issuer ? `<div class="muted">${escapeHtml(issuer)}</div>` : ''}
+  <h1>${escapeHtml(title)}</h1>
+  <div class="muted">Zeitraum ${reportPeriodLabel(report.from, report.to)} · Beträge in ${baseCurrency} · erstellt am ${formatDateDe(new Date())}</div>
+  ${
+    report.withoutRate.length > 0
+      ? `<p class="muted">Hinweis: Für folgende Fremdwährungs-Einträge fehlt ein Kurs; sie sind in den Beträgen dieses Berichts nicht enthalten.</p>
+  <table class="muted">
+    ${report.withoutRate
+      .map(
+        (t) =>
+          `<tr><td>${formatDateDe(new Date(t.date))}</td><td>${t.isIncome ? 'Einnahme' : 'Ausgabe'}</td><td>${escapeHtml(
+            transactionParts(t).map((p) => p.category).join(' / ')
+          )}</td><td class="num">${money(t.amount, transactionCurrency(t))}</td></tr>`
+      )
+      .join('')}
+  </table>`
+      : ''
+  }
+  <h2>Übersicht</h2>
+  <table class="summary">
+    <tr><td>Anfangsbestand</td><td class="num">${fmt(report.opening)}</td></tr>
+    <tr><td>+ Einnahmen</td><td class="num">${fmt(report.income)}</td></tr>
+    <tr><td>− Ausgaben</td><td class="num">${fmt(report.expense)}</td></tr>
+    <tr class="total"><td>Endbestand</td><td class="num">${fmt(report.closing)}</td></tr>
+  </table>
+  <h2>Einnahmen nach Kategorie</h2>
+  ${categoryTable(report.incomeByCategory, report.income)}
+  <h2>Ausgaben nach Kategorie</h2>
+  ${categoryTable(report.expenseByCategory, report.expense)}
+  <h2>Monatsübersicht</h2>
+  <table>
+    <tr><th>Monat</th><th class="num">Einnahmen</th><th class="num">Ausgaben</th><th class="num">Netto</th><th class="num">Bestand</th></tr>
+    ${monthRows}
+  </table>
+  ${
+    includeEntries
+      ? `<div class="entries"><h2>Transaktionen${anonymize ? ' (anonymisiert)' : ''}</h2>
+  <table>
+    <tr><th>Datum</th><th>Art</th><th>Kategorie</th>${anonymize ? '' : '<th>Kontakt / Notiz</th>'}<th class="num">Betrag</th></tr>
+    ${entryRows}
+  </table></div>`
+      : ''
+  }
+</body></html>`;
+};
+
+// Arbeitsmappe mit einem Blatt je Abschnitt; Beträge bleiben Zahlen, damit man weiterrechnen kann
+const reportWorkbook = (report, { title, baseCurrency, includeEntries, anonymize, contacts, accounts }) => {
+  const amountFormat = '#,##0.00';
+  const sheet = (rows, widths) => {
+    const ws = XLSX.utils.aoa_to_sheet(rows);
+    Object.keys(ws).forEach((ref) => {
+      if (ref[0] !== '!' && typeof ws[ref].v === 'number') ws[ref].z = amountFormat;
+    });
+    ws['!cols'] = widths.map((wch) => ({ wch }));
+    return ws;
+  };
+  const categoryRows = (rows, total) => [
+    ...rows.map((r) => [r.label, r.total, total ? r.total / total : 0]),
+    ['Summe', total, total ? 1 : 0],
+  ];
+
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    wb,
+    sheet(
+      [
+        [title],
+        ['Zeitraum', reportPeriodLabel(report.from, report.to)],
+        ['Währung', baseCurrency],
+        [],
+        ['Anfangsbestand', report.opening],
+        ['Einnahmen', report.income],
+        ['Ausgaben', report.expense],
+        ['Endbestand', report.closing],
+        ...(report.withoutRate.length > 0
+          ? [
+              [],
+              ['Ohne Kurs, nicht enthalten:'],
+              ...report.withoutRate.map((t) => [
+                formatDateDe(new Date(t.date)),
+                `${t.isIncome ? 'Einnahme' : 'Ausgabe'} ${transactionParts(t).map((p) => p.category).join(' / ')}`,
+                money(t.amount, transactionCurrency(t)),
+              ]),
+            ]
+          : []),
+      ],
+      [22, 22]
+    ),
+    'Übersicht'
+  );
+  const categoriesSheet = sheet(
+    [
+      ['Einnahmen', `Betrag (${baseCurrency})`, 'Anteil'],
+      ...categoryRows(report.incomeByCategory, report.income),
+      [],
+      ['Ausgaben', `Betrag (${baseCurrency})`, 'Anteil'],
+      ...categoryRows(report.expenseByCategory, report.expense),
+    ],
+    [32, 16, 10]
+  );
+  // Anteile als Prozent statt als Betrag formatieren
+  Object.keys(categoriesSheet).forEach((ref) => {
+    if (ref.startsWith('C') && typeof categoriesSheet[ref].v === 'number') categoriesSheet[ref].z = '0%';
+  });
+  XLSX.utils.book_append_sheet(wb, categoriesSheet, 'Kategorien');
+  XLSX.utils.book_append_sheet(
+    wb,
+    sheet(
+      [
+        ['Monat', 'Einnahmen', 'Ausgaben', 'Netto', 'Bestand'],
+        ...report.months.map((m) => [m.label, m.income, m.expense, m.net, m.balance]),
+      ],
+      [18, 14, 14, 14, 14]
+    ),
+    'Monate'
+  );
+  if (includeEntries) {
+    const rows = reportEntryRows(report, { baseCurrency, anonymize, contacts, accounts });
+    const header = ['Datum', 'Art', 'Kategorie', 'Konto', `Betrag (${baseCurrency})`, 'Originalbetrag'];
+    XLSX.utils.book_append_sheet(
+      wb,
+      sheet(
+        [
+          anonymize ? header : [...header, 'Kontakt', 'Notiz'],
+          ...rows.map((r) => {
+            const base = [r.date, r.type, r.category, r.account, r.amount, r.original];
+            return anonymize ? base : [...base, r.contact, r.note];
+          }),
+        ],
+        [11, 10, 28, 16, 14, 14, 20, 40]
+      ),
+      'Transaktionen'
+    );
+  }
+  return XLSX.write(wb, { type: 'base64', bookType: 'xlsx' });
+};
+
+const reportFileName = (report, extension) =>
+  `Jahresabschluss-${reportPeriodLabel(report.from, report.to).replace(/[^\w-]+/g, '_')}.${extension}`;
+
+const shareReportFile = async (uri, mimeType, UTI) => {
+  if (!(await Sharing.isAvailableAsync())) {
+    Alert.alert('Teilen nicht möglich', 'Auf diesem Gerät ist kein Teilen-Dialog verfügbar.');
+    return;
+  }
+  await Sharing.shareAsync(uri, { mimeType, UTI, dialogTitle: uri.split('/').pop() });
+};
+
+const shareReportPdf = async (report, options) => {
+  const { uri } = await Print.printToFileAsync({ html: reportHtml(report, options) });
+  const target = FileSystem.cacheDirectory + reportFileName(report, 'pdf');
+  await FileSystem.deleteAsync(target, { idempotent: true });
+  await FileSystem.moveAsync({ from: uri, to: target });
+  await shareReportFile(target, 'application/pdf', 'com.adobe.pdf');
+};
+
+const shareReportXlsx = async (report, options) => {
+  const target = FileSystem.cacheDirectory + reportFileName(report, 'xlsx');
+  await FileSystem.writeAsStringAsync(target, reportWorkbook(report, options), { encoding: FileSystem.EncodingType.Base64 });
+  await shareReportFile(target, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'org.openxmlformats.spreadsheetml.sheet');
+};
+
+// ---------- Anhänge ----------
+// Dateien liegen im Dokumentenverzeichnis; gespeichert wird nur der relative Pfad,
+// weil sich das Verzeichnis bei App-Updates (iOS) ändern kann.
+const ATTACHMENT_DIR = 'attachments/';
+
+// Dateien aus den letzten Protokolleinträgen bleiben erhalten, damit Rückgängig den Beleg zurückbringt
+const ATTACHMENT_UNDO_WINDOW = 20;
+
+const attachmentUri = (a) => FileSystem.documentDirectory + a.file;
+const isImageAttachment = (a) => (a.mimeType || '').startsWith('image/');
+
+const storeAttachment = async (sourceUri, name, mimeType) => {
+  const dir = FileSystem.documentDirectory + ATTACHMENT_DIR;
+  const info = await FileSystem.getInfoAsync(dir);
+  if (!info.exists) await FileSystem.makeDirectoryAsync(dir, { intermediates: true });
+  const id = newId();
+  const safeName = (name || 'beleg').replace(/[^\w.-]+/g, '_');
+  const file = `${ATTACHMENT_DIR}${id}-${safeName}`;
+  await FileSystem.copyAsync({ from: sourceUri, to: FileSystem.documentDirectory + file });
+  return { id, name: name || safeName, mimeType: mimeType || 'application/octet-stream', file };
+};
+
+// null bei Abbruch
+const captureAttachment = async () => {
+  const permission = await ImagePicker.requestCameraPermissionsAsync();
+  if (!permission.granted) {
+    Alert.alert('Kamera', 'Bitte erlaube den Kamerazugriff in den Einstellungen.');
+    return null;
+  }
+  const result = await ImagePicker.launchCameraAsync({ quality: 0.7 });
+  if (result.canceled || !result.assets?.length) return null;
+  const asset = result.assets[0];
+  return storeAttachment(asset.uri, asset.fileName || `foto-${dayKey(new Date().toISOString())}.jpg`, asset.mimeType || 'image/jpeg');
+};
+
+const pickAttachmentFile = async () => {
+  const result = await DocumentPicker.getDocumentAsync({ type: ['image/*', 'application/pdf'], copyToCacheDirectory: true });
+  if (result.canceled || !result.assets?.length) return null;
+  const asset = result.assets[0];
+  return storeAttachment(asset.uri, asset.name, asset.mimeType);
+};
+
+const deleteAttachmentFiles = async (list) => {
+  await Promise.all(list.map((a) => FileSystem.deleteAsync(attachmentUri(a), { idempotent: true })));
+};
+
+// Löscht Dateien, auf die weder ein Eintrag noch ein jüngerer Protokolleintrag verweist
+const removeOrphanedAttachments = async (transactions, log) => {
+  const dir = FileSystem.documentDirectory + ATTACHMENT_DIR;
+  const info = await FileSystem.getInfoAsync(dir);
+  if (!info.exists) return;
+  const referenced = new Set();
+  const collect = (t) => (t.attachments || []).forEach((a) => referenced.add(a.file));
+  transactions.forEach(collect);
+  log.slice(-ATTACHMENT_UNDO_WINDOW).forEach((e) => [...e.before, ...e.after].forEach(collect));
+  const files = await FileSystem.readDirectoryAsync(dir);
+  await Promise.all(
+    files
+      .filter((name) => !referenced.has(ATTACHMENT_DIR + name))
+      .map((name) => FileSystem.deleteAsync(dir + name, { idempotent: true }))
+  );
+};
+
+// ---------- CSV Export / Import ----------
+const CSV_DELIMITER = ';';
+const CSV_COLUMNS = ['ID', 'Datum', 'Einnahme', 'Kategorie', 'Betrag', 'Währung', 'Aufteilung', 'Konto', 'Notiz'];
+
+// "Kategorie=Betrag|Kategorie=Betrag", leer wenn nicht aufgeteilt
+const splitsToCsv = (t) =>
+  (t.splits || []).map((p) => `${p.category}=${p.amount.toFixed(2).replace('.', ',')}`).join('|');
+
+const csvEscape = (value) => {
+  const str = value == null ? '' : String(value);
+  return /[";\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+// RFC-4180-artiger Parser: Anführungszeichen, verdoppelte "" und Zeilenumbrüche in Feldern
+const parseCsv = (text, delimiter = CSV_DELIMITER) => {
+  const src = (text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\r' || ch === '\n') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+const isBlankRow = (row) => row.every((cell) => cell.trim() === '');
+
+const transactionsToCsv = (list, accounts = DEFAULT_ACCOUNTS) => {
+  const lines = list.map((t) =>
+    [
+      t.id,
+      formatDateDe(new Date(t.date)),
+      t.isIncome ? 'ja' : 'nein',
+      t.category,
+      t.amount.toFixed(2).replace('.', ','),
+      transactionCurrency(t),
+      splitsToCsv(t),
+      accountName(accounts, transactionAccount(t)),
+      t.note || '',
+    ]
+      .map(csvEscape)
+      .join(CSV_DELIMITER)
+  );
+  // BOM, damit Excel die Umlaute korrekt erkennt
+  return '\uFEFF' + [CSV_COLUMNS.join(CSV_DELIMITER), ...lines].join('\r\n');
+};
+
+const parseYesNo = (text) => {
+  const v = (text || '').trim().toLowerCase();
+  if (['ja', 'true', '1', 'einnahme', 'x'].includes(v)) return true;
+  if (['nein', 'false', '0', 'ausgabe'].includes(v)) return false;
+  return null;
+};
+
+// Liefert gültige Zeilen (ohne ID) und abgelehnte Zeilen mit Begründung
+const parseTransactionsCsv = (text, categories, accounts = DEFAULT_ACCOUNTS) => {
+  const rows = parseCsv(text);
+  const headerIndex = rows.findIndex((r) => !isBlankRow(r));
+  if (headerIndex === -1) return { valid: [], rejected: [], error: 'Die Datei ist leer.' };
+
+  const header = rows[headerIndex].map((h) => h.trim().toLowerCase());
+  const col = {};
+  CSV_COLUMNS.forEach((name) => {
+    col[name] = header.indexOf(name.toLowerCase());
+  });
+  const missing = ['Datum', 'Einnahme', 'Kategorie', 'Betrag'].filter((name) => col[name] === -1);
+  if (missing.length > 0) {
+    return { valid: [], rejected: [], error: `Fehlende Spalten: ${missing.join(', ')}` };
+  }
+
+  const valid = [];
+  const rejected = [];
+  rows.slice(headerIndex + 1).forEach((row, i) => {
+    const line = headerIndex + i + 2;
+    if (isBlankRow(row)) return;
+    const cell = (name) => (col[name] === -1 ? '' : (row[col[name]] || '').trim());
+
+    const isIncome = parseYesNo(cell('Einnahme'));
+    if (isIncome === null) {
+      rejected.push({ line, reason: 'Einnahme muss "ja" oder "nein" sein' });
+      return;
+    }
+    const category = cell('Kategorie');
+    if (!categoryPool(isIncome, categories).some((c) => c.value === category)) {
+      rejected.push({ line, reason: `Unbekannte Kategorie "${category}"` });
+      return;
+    }
+    const amount = parseAmount(cell('Betrag'));
+    if (!isValidAmount(amount)) {
+      rejected.push({ line, reason: 'Ungültiger Betrag (muss > 0 sein)' });
+      return;
+    }
+    const date = parseGermanDate(cell('Datum'));
+    if (!date) {
+      rejected.push({ line, reason: 'Ungültiges Datum' });
+      return;
+    }
+    const currency = (cell('Währung') || 'EUR').toUpperCase();
+    if (!CURRENCIES.some((c) => c.code === currency)) {
+      rejected.push({ line, reason: `Unbekannte Währung "${currency}"` });
+      return;
+    }
+    // Ohne Konto-Spalte landet alles im Hauptkonto
+    const account = cell('Konto') ? accounts.find((a) => a.name === cell('Konto')) : { id: MAIN_ACCOUNT_ID };
+    if (!account) {
+      rejected.push({ line, reason: `Unbekanntes Konto "${cell('Konto')}"` });
+      return;
+    }
+    let splits;
+    if (cell('Aufteilung')) {
+      const lines = cell('Aufteilung').split('|').map((part) => {
+        const at = part.lastIndexOf('=');
+        return { category: part.slice(0, at).trim(), amount: part.slice(at + 1).trim() };
+      });
+      const unknown = lines.find((l) => !categoryPool(isIncome, categories).some((c) => c.value === l.category));
+      if (unknown) {
+        rejected.push({ line, reason: `Unbekannte Kategorie "${unknown.category}" in der Aufteilung` });
+        return;
+      }
+      const result = parseSplitLines(lines, amount, currency);
+      if (result.error) {
+        rejected.push({ line, reason: result.error });
+        return;
+      }
+      splits = result.splits;
+    }
+
+    valid.push({
+      sourceId: cell('ID'),
+      amount,
+      currency,
+      ...(splits && { splits }),
+      category: splits ? splits[0].category : category,
+      accountId: account.id,
+      isIncome,
+      date: date.toISOString(),
+      note: cell('Notiz'),
+    });
+  });
+
+  return { valid, rejected, error: null };
+};
+
+const transactionSignature = (t) =>
+  [
+    t.isIncome ? 1 : 0,
+    dayKey(t.date),
+    t.category,
+    Number(t.amount).toFixed(2),
+    transactionCurrency(t),
+    (t.note || '').trim(),
+  ].join('|');
+
+// Trennt neue Einträge von solchen, die es schon gibt (gleiche ID oder gleiche Daten).
+// Gleiche Daten werden gezählt, damit zwei identische Spenden am selben Tag erhalten bleiben.
+const splitDuplicates = (existing, incoming) => {
+  const ids = new Set(existing.map((t) => String(t.id)));
+  const counts = {};
+  existing.forEach((t) => {
+    const sig = transactionSignature(t);
+    counts[sig] = (counts[sig] || 0) + 1;
+  });
+
+  const fresh = [];
+  const duplicates = [];
+  incoming.forEach((t) => {
+    const sig = transactionSignature(t);
+    if ((t.sourceId && ids.has(String(t.sourceId))) || counts[sig] > 0) {
+      if (counts[sig] > 0) counts[sig] -= 1;
+      duplicates.push(t);
+    } else {
+      const { sourceId, ...rest } = t;
+      fresh.push(rest);
+    }
+  });
+  return { fresh, duplicates };
+};
+
+const shareTextFile = async (fileName, content, mimeType) => {
+  const uri = FileSystem.cacheDirectory + fileName;
+  await FileSystem.writeAsStringAsync(uri, content, { encoding: FileSystem.EncodingType.UTF8 });
+  if (!(await Sharing.isAvailableAsync())) {
+    Alert.alert('Teilen nicht möglich', 'Auf diesem Gerät ist kein Teilen-Dialog verfügbar.');
+    return;
+  }
+  await Sharing.shareAsync(uri, { mimeType, dialogTitle: fileName });
+};
+
+// Öffnet die Dateiauswahl und liefert den Inhalt als Text (null bei Abbruch)
+const pickTextFile = async (types) => {
+  const result = await DocumentPicker.getDocumentAsync({ type: types, copyToCacheDirectory: true });
+  if (result.canceled || !result.assets?.length) return null;
+  return FileSystem.readAsStringAsync(result.assets[0].uri, { encoding: FileSystem.EncodingType.UTF8 });
+};
+
+const exportTransactionsCsv = async (list, accounts) => {
+  const fileName = `spenden-transaktionen-${dayKey(new Date().toISOString())}.csv`;
+  await shareTextFile(fileName, transactionsToCsv(list, accounts), 'text/csv');
+};
+
+// Kursdatei: "Währung;Datum;Kurs", Kurs = Einheiten je 1 €
+const RATE_CSV_COLUMNS = ['Währung', 'Datum', 'Kurs'];
+
+const parseRatesCsv = (text) => {
+  const rows = parseCsv(text);
+  const headerIndex = rows.findIndex((r) => !isBlankRow(r));
+  if (headerIndex === -1) return { valid: [], rejected: [], error: 'Die Datei ist leer.' };
+
+  const header = rows[headerIndex].map((h) => h.trim().toLowerCase());
+  const col = {};
+  RATE_CSV_COLUMNS.forEach((name) => {
+    col[name] = header.indexOf(name.toLowerCase());
+  });
+  const missing = RATE_CSV_COLUMNS.filter((name) => col[name] === -1);
+  if (missing.length > 0) {
+    return { valid: [], rejected: [], error: `Fehlende Spalten: ${missing.join(', ')}` };
+  }
+
+  const valid = [];
+  const rejected = [];
+  rows.slice(headerIndex + 1).forEach((row, i) => {
+    const line = headerIndex + i + 2;
+    if (isBlankRow(row)) return;
+    const cell = (name) => (row[col[name]] || '').trim();
+
+    const currency = cell('Währung').toUpperCase();
+    if (currency === 'EUR' || !CURRENCIES.some((c) => c.code === currency)) {
+      rejected.push({ line, reason: `Unbekannte Währung "${currency}"` });
+      return;
+    }
+    const date = parseGermanDate(cell('Datum'));
+    if (!date) {
+      rejected.push({ line, reason: 'Ungültiges Datum' });
+      return;
+    }
+    const rate = parseAmount(cell('Kurs'));
+    if (!isValidAmount(rate)) {
+      rejected.push({ line, reason: 'Ungültiger Kurs (muss > 0 sein)' });
+      return;
+    }
+    valid.push({ currency, date: dayKey(date.toISOString()), rate });
+  });
+  return { valid, rejected, error: null };
+};
+
+// ---------- Kontoauszug-Import ----------
+// Alle Formate liefern dieselben Zeilen:
+// { ref, date (ISO), amount (> 0), currency, isIncome, counterparty, purpose }
+// ref ist eine stabile Kennung der Buchung, damit ein erneuter Import sie wiedererkennt.
+
+// Ohne passende Regel vorgeschlagen (falls vorhanden, sonst die erste aktive Kategorie)
+const BANK_DEFAULT_CATEGORY = { income: 'Allgemeine Spenden', expense: 'Bank-Überweisung' };
+// Manuell erfasste Einträge gelten bis zu so vielen Tagen Abstand als mögliches Duplikat
+const BANK_DUPLICATE_DAYS = 3;
+
+const xmlText = (s) =>
+  (s || '')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCharCode(Number(n)))
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Namespace-Präfixe (z. B. <ns2:Ntry>) werden ignoriert
+const xmlElements = (xml, tag) =>
+  [...(xml || '').matchAll(new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'g'))].map((m) => m[1]);
+const xmlFirst = (xml, tag) => xmlElements(xml, tag)[0] ?? null;
+
+const parseCamt053 = (xml) => {
+  const lines = [];
+  const rejected = [];
+  xmlElements(xml, 'Ntry').forEach((entry, i) => {
+    // Vorgemerkte Umsätze können sich noch ändern
+    const status = xmlText(xmlFirst(entry, 'Sts'));
+    if (status && status !== 'BOOK') return;
+    const amt = entry.match(/<(?:\w+:)?Amt\b[^>]*Ccy="([A-Z]{3})"[^>]*>\s*([\d.]+)\s*</);
+    const booked = xmlFirst(entry, 'BookgDt') || xmlFirst(entry, 'ValDt');
+    const date = parseGermanDate(xmlText(xmlFirst(booked, 'Dt') || xmlFirst(booked, 'DtTm')));
+    const direction = xmlText(xmlFirst(entry, 'CdtDbtInd'));
+    if (!amt || !date || !['CRDT', 'DBIT'].includes(direction)) {
+      rejected.push({ line: i + 1, reason: 'Buchung unvollständig' });
+      return;
+    }
+    const isIncome = direction === 'CRDT';
+    const parties = xmlFirst(entry, 'RltdPties');
+    const party = xmlFirst(parties, isIncome ? 'Dbtr' : 'Cdtr');
+    const endToEnd = xmlText(xmlFirst(entry, 'EndToEndId'));
+    const purpose = xmlElements(entry, 'Ustrd').map(xmlText).join(' ');
+    lines.push({
+      ref: xmlText(xmlFirst(entry, 'AcctSvcrRef')) || (endToEnd && endToEnd !== 'NOTPROVIDED' ? endToEnd : null),
+      date: date.toISOString(),
+      amount: Number(amt[2]),
+      currency: amt[1],
+      isIncome,
+      counterparty: xmlText(xmlFirst(party, 'Nm')),
+      purpose: purpose || xmlText(xmlFirst(entry, 'AddtlNtryInf')),
+    });
+  });
+  return { lines, rejected };
+};
+
+// :86: im strukturierten Format (?20 … ?29 Verwendungszweck, ?32/?33 Name); bei SEPA steht der
+// eigentliche Zweck hinter SVWZ+
+const parseMt940Details = (value) => {
+  const flat = value.replace(/\r?\n/g, '');
+  if (!/\?\d{2}/.test(flat)) return { counterparty: '', purpose: flat.trim() };
+  const parts = {};
+  flat
+    .split(/\?(?=\d{2})/)
+    .slice(1)
+    .forEach((p) => {
+      parts[p.slice(0, 2)] = (parts[p.slice(0, 2)] || '') + p.slice(2);
+    });
+  const text = Object.keys(parts)
+    .filter((k) => (k >= '20' && k <= '29') || (k >= '60' && k <= '63'))
+    .sort()
+    .map((k) => parts[k])
+    .join('');
+  const sepa = text.match(/SVWZ\+(.*?)(?=[A-Z]{4}\+|$)/);
+  return {
+    counterparty: `${parts['32'] || ''}${parts['33'] || ''}`.trim(),
+    purpose: (sepa ? sepa[1] : text).trim(),
+  };
+};
+
+const parseMt940 = (text) => {
+  // Felder beginnen mit :NN: bzw. :NNa:, Folgezeilen gehören zum vorherigen Feld
+  const fields = [];
+  text.split(/\r?\n/).forEach((line) => {
+    const m = line.match(/^:(\d{2}[A-Z]?):(.*)$/);
+    if (m) fields.push({ tag: m[1], value: m[2] });
+    else if (fields.length > 0 && line.trim() !== '-') fields[fields.length - 1].value += `\n${line}`;
+  });
+
+  const lines = [];
+  const rejected = [];
+  let currency = 'EUR';
+  let count = 0;
+  fields.forEach(({ tag, value }, index) => {
+    if (tag === '60F' || tag === '60M') {
+      currency = value.match(/^[CD]\d{6}([A-Z]{3})/)?.[1] || currency;
+      return;
+    }
+    if (tag !== '61') return;
+    count += 1;
+    // JJMMTT Valuta, optional MMTT Buchung, (R)C/(R)D, optional Kapitalart, Betrag mit Komma
+    const m = value.replace(/\r?\n/g, '').match(/^(\d{2})(\d{2})(\d{2})(?:\d{4})?(R?[CD])[A-Z]?(\d+,\d*)(.*)$/);
+    if (!m) {
+      rejected.push({ line: count, reason: 'Umsatzzeile nicht lesbar' });
+      return;
+    }
+    const date = new Date(2000 + Number(m[1]), Number(m[2]) - 1, Number(m[3]), 12);
+    const next = fields[index + 1];
+    const details = next?.tag === '86' ? parseMt940Details(next.value) : { counterparty: '', purpose: '' };
+    const bankRef = m[6].split('//')[1]?.trim();
+    lines.push({
+      ref: bankRef && bankRef !== 'NONREF' ? bankRef : null,
+      date: date.toISOString(),
+      amount: Number(m[5].replace(',', '.')),
+      currency,
+      // RC = Storno einer Gutschrift (also Belastung), RD umgekehrt
+      isIncome: m[4] === 'C' || m[4] === 'RD',
+      ...details,
+    });
+  });
+  return { lines, rejected };
+};
+
+// Spaltennamen in Kleinbuchstaben; bei Listen gilt die erste vorhandene Spalte.
+// pending: Spalten, in denen die Bank vorgemerkte (noch nicht gebuchte) Umsätze kennzeichnet
+const BANK_CSV_LAYOUTS = [
+  {
+    name: 'Sparkasse',
+    detect: (h) => h.includes('auftragskonto') && h.includes('beguenstigter/zahlungspflichtiger'),
+    decimal: ',',
+    date: ['buchungstag'],
+    amount: ['betrag'],
+    currency: ['waehrung'],
+    counterparty: () => ['beguenstigter/zahlungspflichtiger'],
+    purpose: ['verwendungszweck'],
+    pending: ['info'],
+  },
+  {
+    name: 'DKB',
+    detect: (h) => h.includes('zahlungspflichtige*r') && h.includes('zahlungsempfänger*in'),
+    decimal: ',',
+    date: ['buchungsdatum'],
+    amount: ['betrag (€)', 'betrag (eur)'],
+    counterparty: (isIncome) => [isIncome ? 'zahlungspflichtige*r' : 'zahlungsempfänger*in'],
+    purpose: ['verwendungszweck'],
+    pending: ['status'],
+  },
+  {
+    name: 'DKB',
+    detect: (h) => h.includes('auftraggeber / begünstigter'),
+    decimal: ',',
+    date: ['buchungstag'],
+    amount: ['betrag (eur)'],
+    counterparty: () => ['auftraggeber / begünstigter'],
+    purpose: ['verwendungszweck'],
+  },
+  {
+    name: 'N26',
+    detect: (h) => h.includes('amount (eur)'),
+    decimal: '.',
+    date: ['booking date', 'date'],
+    amount: ['amount (eur)'],
+    counterparty: () => ['partner name', 'payee'],
+    purpose: ['payment reference'],
+  },
+];
+
+// "-1.234,56 €" bzw. "-1234.56"; liefert den Betrag mit Vorzeichen oder NaN
+const parseBankAmount = (text, decimal) => {
+  const cleaned = (text || '').replace(/[^\d,.\-+]/g, '');
+  const normalized = decimal === ',' ? cleaned.replace(/\./g, '').replace(',', '.') : cleaned.replace(/,/g, '');
+  return normalized ? Number(normalized) : NaN;
+};
+
+const parseBankCsv = (text) => {
+  for (const delimiter of [';', ',']) {
+    const rows = parseCsv(text, delimiter);
+    // Manche Banken stellen Kontoinformationen vor die Kopfzeile
+    for (let headerIndex = 0; headerIndex < Math.min(rows.length, 15); headerIndex++) {
+      const header = rows[headerIndex].map((h) => h.trim().toLowerCase());
+      const layout = BANK_CSV_LAYOUTS.find((l) => l.detect(header));
+      if (!layout) continue;
+
+      const lines = [];
+      const rejected = [];
+      rows.slice(headerIndex + 1).forEach((row, i) => {
+        if (isBlankRow(row)) return;
+        const get = (names) => {
+          const index = names.map((n) => header.indexOf(n)).find((x) => x !== -1);
+          return index === undefined ? '' : (row[index] || '').trim();
+        };
+        // Vorgemerkte Umsätze können sich noch ändern und kommen gebucht im nächsten Auszug
+        if (layout.pending && /vorgemerkt/i.test(get(layout.pending))) return;
+        const signed = parseBankAmount(get(layout.amount), layout.decimal);
+        const date = parseGermanDate(get(layout.date));
+        if (!Number.isFinite(signed) || signed === 0 || !date) {
+          rejected.push({ line: headerIndex + i + 2, reason: 'Datum oder Betrag nicht lesbar' });
+          return;
+        }
+        const isIncome = signed > 0;
+        lines.push({
+          ref: null,
+          date: date.toISOString(),
+          amount: Math.abs(signed),
+          currency: (layout.currency ? get(layout.currency) : '').toUpperCase() || 'EUR',
+          isIncome,
+          counterparty: get(layout.counterparty(isIncome)),
+          purpose: get(layout.purpose),
+        });
+      });
+      return { format: `${layout.name} (CSV)`, lines, rejected };
+    }
+  }
+  return { error: 'Unbekanntes Format. Unterstützt werden CAMT.053, MT940 und CSV von Sparkasse, DKB und N26.' };
+};
+
+// Ohne Bankreferenz wird eine Kennung aus den Buchungsdaten gebildet; gleiche Buchungen in
+// derselben Datei werden durchgezählt, damit sie getrennt bleiben
+const withStableRefs = (lines) => {
+  const seen = {};
+  return lines.map((l) => {
+    const base = l.ref || [dayKey(l.date), l.isIncome ? 'C' : 'D', l.amount.toFixed(2), l.currency, l.counterparty, l.purpose].join('|');
+    seen[base] = (seen[base] || 0) + 1;
+    return { ...l, ref: `${base}#${seen[base]}` };
+  });
+};
+
+const parseBankStatement = (text) => {
+  let result;
+  if (/<(?:\w+:)?BkToCstmrStmt\b/.test(text)) result = { format: 'CAMT.053', ...parseCamt053(text) };
+  else if (/^:61:/m.test(text)) result = { format: 'MT940', ...parseMt940(text) };
+  else result = parseBankCsv(text);
+  if (result.error) return result;
+  if (result.lines.length === 0 && result.rejected.length === 0) return { error: 'Die Datei enthält keine Buchungen.' };
+  return { ...result, lines: withStableRefs(result.lines) };
+};
+
+const bankText = (line) => `${line.counterparty} ${line.purpose}`.toLowerCase();
+const bankNote = (line) => [line.counterparty, line.purpose].filter(Boolean).join(' – ');
+
+// Erste passende Regel gewinnt, sonst die Standard-Kategorie der Richtung
+const suggestCategory = (line, rules, categories) => {
+  const rule = rules.find((r) => r.isIncome === line.isIncome && bankText(line).includes(r.pattern.toLowerCase()));
+  const active = activeCategories(line.isIncome, categories);
+  if (rule && active.some((c) => c.value === rule.category)) return rule.category;
+  const fallback = BANK_DEFAULT_CATEGORY[line.isIncome ? 'income' : 'expense'];
+  return active.some((c) => c.value === fallback) ? fallback : active[0]?.value || '';
+};
+
+// 'exact' = schon importiert (gleiche ref), 'possible' = gleicher Betrag und Richtung in wenigen
+// Tagen Abstand auf demselben Konto, z. B. von Hand erfasst. Jeder vorhandene Eintrag deckt höchstens
+// eine Zeile ab.
+const markBankDuplicates = (lines, existing, accountId) => {
+  const byRef = new Map(existing.filter((t) => t.bankRef).map((t) => [t.bankRef, t]));
+  const used = new Set();
+  return lines.map((l) => {
+    if (byRef.has(l.ref)) {
+      used.add(byRef.get(l.ref).id);
+      return { ...l, duplicate: 'exact' };
+    }
+    const match = existing.find(
+      (t) =>
+        !used.has(t.id) &&
+        transactionAccount(t) === accountId &&
+        t.isIncome === l.isIncome &&
+        transactionCurrency(t) === l.currency &&
+        Math.abs(t.amount - l.amount) < 0.005 &&
+        Math.abs(new Date(t.date) - new Date(l.date)) <= BANK_DUPLICATE_DAYS * 86400000
+    );
+    if (!match) return { ...l, duplicate: null };
+    used.add(match.id);
+    return { ...l, duplicate: 'possible' };
+  });
+};
+
+// Kontoauszüge sind oft noch ISO-8859-1 kodiert; ungültiges UTF-8 wird deshalb als Latin-1 gelesen
+const pickStatementFile = async () => {
+  const result = await DocumentPicker.getDocumentAsync({ type: '*/*', copyToCacheDirectory: true });
+  if (result.canceled || !result.assets?.length) return null;
+  const base64 = await FileSystem.readAsStringAsync(result.assets[0].uri, { encoding: FileSystem.EncodingType.Base64 });
+  const bytes = CryptoJS.enc.Base64.parse(base64);
+  try {
+    return CryptoJS.enc.Utf8.stringify(bytes).replace(/^\uFEFF/, '');
+  } catch (e) {
+    return CryptoJS.enc.Latin1.stringify(bytes);
+  }
+};
+
+// ---------- GoFundMe-Import ----------
+// Spalten des Spenden-/Auszahlungs-Exports in Kleinbuchstaben; je Feld gilt die erste vorhandene.
+// GoFundMe hat die Bezeichnungen mehrfach geändert, deshalb mehrere Kandidaten.
+const GOFUNDME_COLUMNS = {
+  id: ['donation id', 'transaction id', 'id'],
+  type: ['type', 'transaction type'],
+  date: ['donation date', 'date', 'created at', 'created', 'date (utc)'],
+  name: ['donor name', 'name', 'donor'],
+  firstName: ['first name', 'donor first name'],
+  lastName: ['last name', 'donor last name'],
+  amount: ['donation amount', 'amount', 'gross amount', 'gross'],
+  fee: ['transaction fee', 'processing fee', 'fee', 'fees'],
+  net: ['net amount', 'net'],
+  currency: ['currency'],
+  message: ['comment', 'message', 'donor message', 'comments'],
+  anonymous: ['anonymous', 'is anonymous'],
+};
+
+const CURRENCY_SIGNS = { $: 'USD', '£': 'GBP', '€': 'EUR' };
+
+// ISO mit Uhrzeit ("2024-03-05 14:22:01") oder US-Format MM/TT/JJJJ
+const parseGofundmeDate = (text) => {
+  const value = (text || '').trim();
+  const us = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (us) {
+    const d = new Date(Number(us[3]), Number(us[1]) - 1, Number(us[2]), 12);
+    return d.getMonth() === Number(us[1]) - 1 ? d : null;
+  }
+  return parseGermanDate(value.replace(' ', 'T'));
+};
+
+// Liefert { rows, rejected } mit rows = { ref, kind: 'donation' | 'withdrawal', date, amount, fee,
+// currency, donor, message } oder { error }. fallbackCurrency gilt, wenn die Datei keine Währung nennt.
+const parseGofundmeCsv = (text, fallbackCurrency) => {
+  for (const delimiter of [',', ';']) {
+    const rows = parseCsv(text, delimiter);
+    const headerIndex = rows.findIndex((r) => !isBlankRow(r));
+    if (headerIndex === -1) return { error: 'Die Datei ist leer.' };
+    const header = rows[headerIndex].map((h) => h.trim().toLowerCase());
+    const col = {};
+    Object.entries(GOFUNDME_COLUMNS).forEach(([field, names]) => {
+      col[field] = names.map((n) => header.indexOf(n)).find((i) => i !== -1) ?? -1;
+    });
+    if (col.date === -1 || col.amount === -1) continue;
+
+    const parsed = [];
+    const rejected = [];
+    rows.slice(headerIndex + 1).forEach((row, i) => {
+      const line = headerIndex + i + 2;
+      if (isBlankRow(row)) return;
+      const cell = (field) => (col[field] === -1 ? '' : (row[col[field]] || '').trim());
+
+      const type = cell('type').toLowerCase();
+      if (/refund|erstatt/.test(type)) {
+        rejected.push({ line, reason: 'Rückerstattung – bitte die Spende von Hand korrigieren' });
+        return;
+      }
+      const kind = /withdraw|payout|transfer|auszahlung/.test(type) ? 'withdrawal' : 'donation';
+      const rawAmount = cell('amount');
+      const gross = Math.abs(parseBankAmount(rawAmount, '.'));
+      const date = parseGofundmeDate(cell('date'));
+      if (!isValidAmount(gross) || !date) {
+        rejected.push({ line, reason: 'Datum oder Betrag nicht lesbar' });
+        return;
+      }
+      const sign = Object.keys(CURRENCY_SIGNS).find((s) => rawAmount.includes(s));
+      const currency = cell('currency').toUpperCase() || CURRENCY_SIGNS[sign] || fallbackCurrency;
+      if (!CURRENCIES.some((c) => c.code === currency)) {
+        rejected.push({ line, reason: `Währung ${currency} wird nicht unterstützt` });
+        return;
+      }
+      // Gebühr direkt oder als Differenz zwischen Brutto und Netto
+      const feeValue = col.fee !== -1 ? Math.abs(parseBankAmount(cell('fee'), '.')) : gross - Math.abs(parseBankAmount(cell('net'), '.'));
+      const fee = Number.isFinite(feeValue) && feeValue > 0.004 ? Math.round(feeValue * 100) / 100 : 0;
+      const anonymous = /^(true|yes|ja|1)$/i.test(cell('anonymous'));
+      const donor = anonymous ? 'Anonym' : cell('name') || `${cell('firstName')} ${cell('lastName')}`.trim();
+
+      parsed.push({
+        ref: cell('id') || null,
+        kind,
+        date: date.toISOString(),
+        amount: gross,
+        fee: kind === 'donation' ? fee : 0,
+        currency,
+        donor,
+        message: cell('message'),
+      });
+    });
+    // Ohne ID wie beim Kontoauszug: Kennung aus den Daten, gleiche Zeilen werden durchgezählt
+    const seen = {};
+    const withRefs = parsed.map((r) => {
+      const base = r.ref || [dayKey(r.date), r.kind, r.amount.toFixed(2), r.currency, r.donor].join('|');
+      seen[base] = (seen[base] || 0) + 1;
+      return { ...r, ref: r.ref ? `gofundme:${base}` : `gofundme:${base}#${seen[base]}` };
+    });
+    return { rows: withRefs, rejected };
+  }
+  return { error: 'Keine GoFundMe-Datei erkannt. Es fehlen die Spalten für Datum und Betrag.' };
+};
+
+// Baut die zu buchenden Einträge; schon importierte (gleiche gofundmeRef) werden übersprungen.
+// Gebühren werden nur mit feeCategory gebucht, Auszahlungen nur mit payoutAccountId als Umbuchung.
+const gofundmeTransactions = (rows, existing, options) => {
+  const { incomeCategory, feeCategory, accountId, payoutAccountId, campaignId, contacts } = options;
+  const known = new Set(existing.filter((t) => t.gofundmeRef).map((t) => t.gofundmeRef));
+  const contactFor = (name) => contacts.find((c) => c.name.trim().toLowerCase() === name.toLowerCase())?.id ?? null;
+  const list = [];
+  let duplicates = 0;
+  let skippedPayouts = 0;
+
+  rows.forEach((r) => {
+    if (r.kind === 'withdrawal') {
+      if (!payoutAccountId) skippedPayouts += 1;
+      else if (known.has(r.ref)) duplicates += 1;
+      else {
+        list.push({
+          isTransfer: true,
+          isIncome: false,
+          category: TRANSFER_CATEGORY,
+          accountId,
+          toAccountId: payoutAccountId,
+          amount: r.amount,
+          currency: r.currency,
+          date: r.date,
+          note: 'GoFundMe-Auszahlung',
+          gofundmeRef: r.ref,
+        });
+      }
+      return;
+    }
+    if (known.has(r.ref)) duplicates += 1;
+    else {
+      list.push({
+        amount: r.amount,
+        currency: r.currency,
+        category: incomeCategory,
+        isIncome: true,
+        date: r.date,
+        note: [r.donor, r.message].filter(Boolean).join(' – '),
+        contactId: r.donor && r.donor !== 'Anonym' ? contactFor(r.donor) : null,
+        campaignId,
+        accountId,
+        gofundmeRef: r.ref,
+      });
+    }
+    const feeRef = `${r.ref}:fee`;
+    if (feeCategory && r.fee > 0 && !known.has(feeRef)) {
+      list.push({
+        amount: r.fee,
+        currency: r.currency,
+        category: feeCategory,
+        isIncome: false,
+        date: r.date,
+        note: `GoFundMe-Gebühr${r.donor ? ` (Spende von ${r.donor})` : ''}`,
+        contactId: null,
+        campaignId,
+        accountId,
+        gofundmeRef: feeRef,
+      });
+    }
+  });
+  return { list, duplicates, skippedPayouts };
+};
+
+// ---------- Backup / Restore ----------
+const BACKUP_APP_ID = 'spenden-tracker';
+const BACKUP_SCHEMA_VERSION = 1;
+
+// Listen mit ID: lokale Einträge gewinnen, fehlende werden aus dem Backup ergänzt
+const mergeById = (local, incoming) => {
+  const base = Array.isArray(local) ? local : [];
+  const ids = new Set(base.map((item) => String(item.id)));
+  return [...base, ...(incoming || []).filter((item) => !ids.has(String(item.id)))];
+};
+
+// Jeder persistierte AsyncStorage-Schlüssel gehört hierher, damit Backups vollständig bleiben.
+// json: Wert wird als JSON gespeichert; merge: wie lokaler und Backup-Wert zusammengeführt werden.
+const BACKUP_ENTRIES = [
+  { key: 'transactions', json: true, encrypted: true, merge: mergeById },
+  { key: 'theme', json: false, merge: (local, incoming) => local ?? incoming },
+  {
+    key: 'categories',
+    json: true,
+    merge: (local, incoming) => {
+      const base = local || DEFAULT_CATEGORIES;
+      const byValue = (a, b) => [...a, ...b.filter((c) => !a.some((x) => x.value === c.value))];
+      return { income: byValue(base.income, incoming.income || []), expense: byValue(base.expense, incoming.expense || []) };
+    },
+  },
+  { key: 'contacts', json: true, merge: mergeById },
+  { key: 'receipts', json: true, merge: mergeById },
+  {
+    key: 'receiptSettings',
+    json: true,
+    // Nummernkreis darf nie zurückspringen
+    merge: (local, incoming) =>
+      local ? { ...local, nextNumber: Math.max(local.nextNumber || 1, incoming.nextNumber || 1) } : incoming,
+  },
+  { key: 'recurringRules', json: true, merge: mergeById },
+  { key: 'campaigns', json: true, merge: mergeById },
+  { key: 'accounts', json: true, merge: mergeById },
+  { key: 'budgets', json: true, merge: mergeById },
+  { key: 'importRules', json: true, merge: mergeById },
+  { key: 'reminderSettings', json: true, merge: (local, incoming) => local ?? incoming },
+  { key: 'exchangeRates', json: true, merge: mergeById },
+  { key: 'currencySettings', json: true, merge: (local, incoming) => local ?? incoming },
+  // Enthält Kopien der Einträge und wird deshalb wie diese verschlüsselt
+  { key: 'operationLog', json: true, encrypted: true, merge: mergeById },
+  { key: 'editorName', json: false, merge: (local, incoming) => local ?? incoming },
+  { key: 'tombstones', json: true, merge: mergeById },
+  { key: 'syncState', json: true, merge: (local, incoming) => local ?? incoming },
+];
+
+// Schrittweise Migrationen: MIGRATIONS[n] hebt ein Dokument von Version n auf n + 1
+const BACKUP_MIGRATIONS = {
+  // Version 0: nackte Transaktionsliste (Inhalt des alten `transactions`-Schlüssels)
+  0: (doc) => ({
+    app: BACKUP_APP_ID,
+    schemaVersion: 1,
+    createdAt: new Date().toISOString(),
+    data: { transactions: doc },
+  }),
+};
+
+const migrateBackup = (input) => {
+  let doc = input;
+  let version = Array.isArray(doc) ? 0 : doc?.schemaVersion;
+  if (!Number.isInteger(version)) throw new Error('Unbekanntes Backup-Format.');
+  if (version > BACKUP_SCHEMA_VERSION) {
+    throw new Error('Das Backup stammt aus einer neueren App-Version. Bitte die App aktualisieren.');
+  }
+  while (version < BACKUP_SCHEMA_VERSION) {
+    doc = BACKUP_MIGRATIONS[version](doc);
+    version = doc.schemaVersion;
+  }
+  return doc;
+};
+
+const isValidStoredTransaction = (t) =>
+  t != null &&
+  (typeof t.id === 'number' || typeof t.id === 'string') &&
+  typeof t.isIncome === 'boolean' &&
+  typeof t.category === 'string' &&
+  Number.isFinite(t.amount) &&
+  t.amount > 0 &&
+  !isNaN(new Date(t.date).getTime());
+
+// Wirft einen Fehler mit lesbarer Meldung, wenn das (migrierte) Dokument nicht passt
+const validateBackup = (doc) => {
+  if (!doc || doc.app !== BACKUP_APP_ID || typeof doc.data !== 'object' || doc.data === null) {
+    throw new Error('Die Datei ist kein Backup dieser App.');
+  }
+  const list = doc.data.transactions;
+  if (!Array.isArray(list)) throw new Error('Das Backup enthält keine Transaktionen.');
+  const badIndex = list.findIndex((t) => !isValidStoredTransaction(t));
+  if (badIndex !== -1) throw new Error(`Transaktion Nr. ${badIndex + 1} im Backup ist ungültig.`);
+  return doc;
+};
+
+const readBackupText = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse((text || '').replace(/^\uFEFF/, ''));
+  } catch (e) {
+    throw new Error('Die Datei ist kein gültiges JSON.');
+  }
+  return validateBackup(migrateBackup(parsed));
+};
+
+// Backups enthalten immer Klartext, damit sie auf einem anderen Gerät lesbar sind
+const decodeEntry = async (entry, raw) => {
+  const text = entry.encrypted ? await decryptStored(raw) : raw;
+  return entry.json ? JSON.parse(text) : text;
+};
+
+const encodeEntry = async (entry, value) => {
+  const text = entry.json ? JSON.stringify(value) : String(value);
+  return entry.encrypted ? encryptStored(text) : text;
+};
+
+const createBackupDocument = async () => {
+  const pairs = await AsyncStorage.multiGet(BACKUP_ENTRIES.map((e) => e.key));
+  const data = {};
+  for (let i = 0; i < pairs.length; i++) {
+    const [key, raw] = pairs[i];
+    if (raw != null) data[key] = await decodeEntry(BACKUP_ENTRIES[i], raw);
+  }
+  return {
+    app: BACKUP_APP_ID,
+    schemaVersion: BACKUP_SCHEMA_VERSION,
+    createdAt: new Date().toISOString(),
+    data,
+  };
+};
+
+const exportBackup = async () => {
+  const doc = await createBackupDocument();
+  const fileName = `spenden-backup-${dayKey(doc.createdAt)}.json`;
+  await shareTextFile(fileName, JSON.stringify(doc, null, 2), 'application/json');
+};
+
+// mode: 'replace' überschreibt alles, 'merge' ergänzt die lokalen Daten.
+// Alle Schlüssel werden in einem Rutsch geschrieben; schlägt das fehl, wird der alte Stand zurückgeschrieben.
+const applyBackup = async (doc, mode) => {
+  const keys = BACKUP_ENTRIES.map((e) => e.key);
+  const previous = await AsyncStorage.multiGet(keys);
+
+  const toSet = [];
+  const toRemove = [];
+  for (let i = 0; i < BACKUP_ENTRIES.length; i++) {
+    const entry = BACKUP_ENTRIES[i];
+    const rawLocal = previous[i][1];
+    const incoming = doc.data[entry.key];
+    let next;
+    if (mode === 'replace') {
+      next = incoming;
+    } else {
+      const local = rawLocal == null ? undefined : await decodeEntry(entry, rawLocal);
+      next = incoming === undefined ? local : entry.merge(local, incoming);
+    }
+    if (next === undefined) toRemove.push(entry.key);
+    else toSet.push([entry.key, await encodeEntry(entry, next)]);
+  }
+
+  try {
+    if (toSet.length > 0) await AsyncStorage.multiSet(toSet);
+    if (toRemove.length > 0) await AsyncStorage.multiRemove(toRemove);
+  } catch (e) {
+    const restore = previous.filter(([, raw]) => raw != null);
+    const absent = previous.filter(([, raw]) => raw == null).map(([key]) => key);
+    if (restore.length > 0) await AsyncStorage.multiSet(restore);
+    if (absent.length > 0) await AsyncStorage.multiRemove(absent);
+    throw e;
+  }
+};
+
+// ---------- Geräte-Abgleich ----------
+// Mehrere Handys tauschen Änderungsdateien über den Teilen-Dialog aus (AirDrop, Nearby Share,
+// Messenger, E-Mail). QR-Codes fassen nur wenige Kilobyte und reichen für ein Kassenbuch nicht;
+// WLAN direkt zwischen Geräten bräuchte native Netzwerk-Module, die Expo nicht mitbringt.
+const SYNC_VERSION = 1;
+
+// Listen, auf die Einträge verweisen; sie werden wie beim Zusammenführen eines Backups ergänzt
+const SYNC_SHARED_KEYS = ['categories', 'contacts', 'campaigns', 'accounts', 'recurringRules'];
+
+const DEFAULT_SYNC_STATE = { lastExportAt: null, lastImportAt: null, lastImportFrom: null };
+
+// Zufällige UUID statt Date.now(): zwei Geräte erzeugen sonst in derselben Millisekunde dieselbe ID.
+// Ältere Einträge behalten ihre Zahlen-IDs, weil Belege, Protokoll und Regeln darauf verweisen.
+const newId = () => Crypto.randomUUID();
+
+// Stempel für "wer gewinnt": Zeitpunkt, bei Gleichstand die Geräte-ID, damit alle Geräte gleich entscheiden.
+// Einträge von vor dem Abgleich haben keinen Stempel; der leere Stempel ist älter als jeder andere.
+const changeStamp = (t) => (t.updatedAt ? `${t.updatedAt}|${t.updatedBy || ''}` : '');
+const deletionStamp = (d) => (d.deletedAt ? `${d.deletedAt}|${d.deletedBy || ''}` : '');
+
+const syncContent = ({ updatedAt, updatedBy, ...t }) => JSON.stringify(t);
+
+// Stempelt alle Einträge, deren Inhalt sich gegenüber previous geändert hat (auch neue)
+const stampChanges = (previous, next, at, by) => {
+  const before = new Map(previous.map((t) => [String(t.id), syncContent(t)]));
+  return next.map((t) => (before.get(String(t.id)) === syncContent(t) ? t : { ...t, updatedAt: at, updatedBy: by }));
+};
+
+// Grabsteine für entfernte Einträge; wieder aufgetauchte (z. B. nach Rückgängig) verlieren ihren.
+// Liefert dieselbe Liste zurück, wenn sich nichts geändert hat.
+const updateTombstones = (tombstones, previous, next, at, by) => {
+  const nextIds = new Set(next.map((t) => String(t.id)));
+  const removed = previous.filter((t) => !nextIds.has(String(t.id)));
+  const revived = tombstones.filter((d) => nextIds.has(String(d.id)));
+  if (removed.length === 0 && revived.length === 0) return tombstones;
+  const removedIds = new Set(removed.map((t) => String(t.id)));
+  return [
+    ...tombstones.filter((d) => !nextIds.has(String(d.id)) && !removedIds.has(String(d.id))),
+    ...removed.map((t) => ({ id: t.id, deletedAt: at, deletedBy: by })),
+  ];
+};
+
+// Anhänge sind Dateien auf dem jeweiligen Gerät und werden nicht übertragen. Ungestempelte Einträge
+// gehen immer mit, weil sie zu keinem Zeitpunkt als gesendet gelten können (z. B. nach einer Wiederherstellung).
+const createChangeSet = (list, tombstones, { deviceId, author, since, shared }) => ({
+  app: BACKUP_APP_ID,
+  kind: 'changeset',
+  syncVersion: SYNC_VERSION,
+  deviceId,
+  author,
+  since,
+  createdAt: new Date().toISOString(),
+  transactions: list.filter((t) => !since || !t.updatedAt || t.updatedAt > since).map(({ attachments, ...t }) => t),
+  tombstones: tombstones.filter((d) => !since || d.deletedAt > since),
+  data: shared,
+});
+
+const readChangeSetText = (text) => {
+  let doc;
+  try {
+    doc = JSON.parse((text || '').replace(/^\uFEFF/, ''));
+  } catch (e) {
+    throw new Error('Die Datei ist kein gültiges JSON.');
+  }
+  if (doc?.app !== BACKUP_APP_ID || doc.kind !== 'changeset') {
+    throw new Error('Das ist keine Abgleich-Datei des Spenden-Trackers. Backups bitte über „Backup wiederherstellen“ einlesen.');
+  }
+  if (!Number.isInteger(doc.syncVersion) || doc.syncVersion > SYNC_VERSION) {
+    throw new Error('Die Datei stammt aus einer neueren App-Version. Bitte die App aktualisieren.');
+  }
+  if (!Array.isArray(doc.transactions) || !Array.isArray(doc.tombstones)) throw new Error('Die Datei ist unvollständig.');
+  if (doc.transactions.some((t) => t?.id == null || !t.date || !Number.isFinite(t.amount))) {
+    throw new Error('Die Datei enthält ungültige Einträge.');
+  }
+  return doc;
+};
+
+// Je Eintrag gewinnt die jüngere Änderung (Last Writer Wins), Löschungen eingeschlossen.
+// Liefert die neue Liste, die neuen Grabsteine und before/after für das Änderungsprotokoll.
+const mergeChangeSet = (local, tombstones, doc) => {
+  const byId = new Map(local.map((t) => [String(t.id), t]));
+  const tombs = new Map(tombstones.map((d) => [String(d.id), d]));
+  let keptLocal = 0;
+
+  doc.transactions.forEach((remote) => {
+    const key = String(remote.id);
+    const mine = byId.get(key);
+    if (mine) {
+      if (changeStamp(remote) > changeStamp(mine)) byId.set(key, { ...remote, attachments: mine.attachments || [] });
+      else if (changeStamp(remote) < changeStamp(mine)) keptLocal += 1;
+      return;
+    }
+    const tomb = tombs.get(key);
+    if (tomb && deletionStamp(tomb) >= changeStamp(remote)) return;
+    tombs.delete(key);
+    byId.set(key, { ...remote, attachments: [] });
+  });
+
+  doc.tombstones.forEach((d) => {
+    const key = String(d.id);
+    const mine = byId.get(key);
+    if (mine && changeStamp(mine) > deletionStamp(d)) {
+      keptLocal += 1;
+      return;
+    }
+    byId.delete(key);
+    const known = tombs.get(key);
+    if (!known || deletionStamp(d) > deletionStamp(known)) tombs.set(key, d);
+  });
+
+  const list = [...byId.values()];
+  const unchanged = new Set(local);
+  const before = local.filter((t) => byId.get(String(t.id)) !== t);
+  const after = list.filter((t) => !unchanged.has(t));
+  const localIds = new Set(local.map((t) => String(t.id)));
+  return {
+    list,
+    tombstones: [...tombs.values()],
+    before,
+    after,
+    added: after.filter((t) => !localIds.has(String(t.id))).length,
+    updated: after.filter((t) => localIds.has(String(t.id))).length,
+    removed: before.filter((t) => !byId.has(String(t.id))).length,
+    keptLocal,
+  };
+};
+
+// ---------- Sync-Server ----------
+// Optional ein eigener Server (siehe server/README.md) statt oder zusätzlich zum Dateiaustausch.
+// Lokale Änderungen landen in einer Warteschlange und gehen raus, sobald der Server erreichbar ist;
+// abgeholt wird alles seit dem letzten Cursor. Adresse und Token liegen im SecureStore, Warteschlange
+// und Cursor gehören zu diesem Gerät und deshalb nicht ins Backup.
+const SYNC_SERVER_KEY = 'syncServer';
+const DEFAULT_SYNC_SERVER = { enabled: false, url: '', token: '' };
+const DEFAULT_SERVER_OUTBOX = { cursor: 0, queue: [], lastSyncAt: null };
+const SYNC_REQUEST_TIMEOUT_MS = 10000;
+const SYNC_PAGE_SIZE = 500;
+const SYNC_DEBOUNCE_MS = 3000;
+
+// kind 'offline': später erneut versuchen; 'auth' und 'server': der Nutzer muss etwas ändern
+const syncServerError = (kind, message) => Object.assign(new Error(message), { kind });
+
+const serverRequest = async ({ url, token }, method, path, body) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), SYNC_REQUEST_TIMEOUT_MS);
+  let res;
+  try {
+    res = await fetch(`${url.trim().replace(/\/+$/, '')}${path}`, {
+      method,
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: controller.signal,
+    });
+  } catch (e) {
+    throw syncServerError('offline', 'Der Server ist nicht erreichbar.');
+  } finally {
+    clearTimeout(timer);
+  }
+  const json = await res.json().catch(() => ({}));
+  if (res.status === 401) throw syncServerError('auth', 'Der Server hat das Token abgelehnt.');
+  if (res.status >= 500) throw syncServerError('offline', json.error || `Serverfehler ${res.status}`);
+  return { status: res.status, body: json };
+};
+
+// Neuere Vorgänge für denselben Eintrag ersetzen ältere, die noch nicht gesendet wurden
+const enqueueServerOps = (queue, ops) => {
+  const ids = new Set(ops.map((op) => String(op.id)));
+  return [...queue.filter((op) => !ids.has(String(op.id))), ...ops];
+};
+
+// Der Server stempelt Einträge ohne Stempel mit "jetzt"; Einträge von vor dem Abgleich bekommen deshalb
+// den ältesten möglichen Stempel, damit sie beim Hochladen keine echte Änderung überschreiben
+const LEGACY_STAMP = { updatedAt: new Date(0).toISOString(), updatedBy: '' };
+
+const upsertOp = ({ attachments, ...t }) => ({
+  type: 'upsert',
+  id: t.id,
+  transaction: t.updatedAt ? t : { ...t, ...LEGACY_STAMP },
+});
+const deleteOp = (d) => ({ type: 'delete', id: d.id, deletedAt: d.deletedAt, deletedBy: d.deletedBy });
+
+// Vorgänge für alles, was sich zwischen zwei Ständen geändert hat; geänderte Einträge erkennt man am
+// Stempel, entfernte am Grabstein
+const serverOpsFor = (previous, next, tombstones) => {
+  const before = new Map(previous.map((t) => [String(t.id), changeStamp(t)]));
+  const nextIds = new Set(next.map((t) => String(t.id)));
+  const removed = new Set(previous.filter((t) => !nextIds.has(String(t.id))).map((t) => String(t.id)));
+  return [
+    ...next.filter((t) => before.get(String(t.id)) !== changeStamp(t)).map(upsertOp),
+    ...tombstones.filter((d) => removed.has(String(d.id))).map(deleteOp),
+  ];
+};
+
+// Antwort von GET /changes in die Form einer Änderungsdatei bringen, damit mergeChangeSet sie versteht
+const changesToChangeSet = (changes) => ({
+  transactions: changes.filter((c) => c.type === 'upsert').map((c) => c.transaction),
+  tombstones: changes
+    .filter((c) => c.type === 'delete')
+    .map(({ id, deletedAt, deletedBy }) => ({ id, deletedAt, deletedBy })),
+});
+
+// ---------- UI: Filter Component (Bubbles bleiben) ----------
+const FilterBar = ({
+  selectedCategories,
+  onCategoryToggle,
+  isIncome,
+  searchText,
+  onSearchChange,
+  dateFilter,
+  onDateFilterChange,
+  amountFilter,
+  onAmountFilterChange,
+  pinnedOnly,
+  onPinnedOnlyChange,
+}) => {
+  const { isDarkMode, categories: allCategories, transactions, baseCurrency } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  const [showMore, setShowMore] = useState(false);
+  const [pickerFor, setPickerFor] = useState(null); // 'from' | 'to'
+  const moreActive = dateFilter.preset !== 'all' || isAmountFilterActive(amountFilter);
+  // Archivierte Kategorien nur, solange es noch Einträge dazu gibt
+  const categories = categoryPool(isIncome, allCategories).filter(
+    (c) => !c.archived || transactions.some((t) => t.isIncome === isIncome && hasCategory(t, c.value))
+  );
+
+  const onPickDate = (_, selected) => {
+    const target = pickerFor;
+    setPickerFor(null);
+    if (selected) onDateFilterChange({ ...dateFilter, [target]: selected });
+  };
+
+  return (
+    <View style={styles.filterContainer}>
+      <View style={{ flexDirection: 'row', gap: 8 }}>
+        <TextInput
+          style={[
+            styles.searchInput,
+            { flex: 1, backgroundColor: theme.card, borderColor: theme.secondary, color: theme.text }
+          ]}
+          placeholder="Suchen..."
+          placeholderTextColor={isDarkMode ? '#9fb1c6' : '#7a8ca1'}
+          value={searchText}
+          onChangeText={onSearchChange}
+        />
+        <TouchableOpacity
+          onPress={() => setShowMore(!showMore)}
+          style={[
+            styles.searchInput,
+            styles.filterToggle,
+            { backgroundColor: moreActive ? theme.accent : theme.card, borderColor: theme.secondary },
+          ]}
+        >
+          <Feather name="sliders" size={16} color={moreActive ? 'white' : theme.text} />
+        </TouchableOpacity>
+      </View>
+
+      {showMore && (
+        <View style={{ marginBottom: 8 }}>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.categoryScrollContent}>
+            {DATE_PRESETS.map((p) => {
+              const active = dateFilter.preset === p.key;
+              return (
+                <TouchableOpacity
+                  key={p.key}
+                  onPress={() => onDateFilterChange({ ...dateFilter, preset: p.key })}
+                  style={[styles.filterChip, { backgroundColor: active ? theme.accent : theme.card, borderColor: theme.accent }]}
+                >
+                  <Text style={[styles.filterChipText, { marginLeft: 0, color: active ? 'white' : theme.accent }]}>{p.label}</Text>
+                </TouchableOpacity>
+              );
+            })}
+          </ScrollView>
+
+          {dateFilter.preset === 'custom' && (
+            <View style={{ flexDirection: 'row', gap: 8, marginTop: 8 }}>
+              {['from', 'to'].map((key) => (
+                <TouchableOpacity
+                  key={key}
+                  onPress={() => setPickerFor(key)}
+                  style={[styles.filterField, { backgroundColor: theme.card, borderColor: theme.secondary }]}
+                >
+                  <Feather name="calendar" size={14} color={theme.text} />
+                  <Text style={{ color: theme.text, fontSize: 13 }}>
+                    {key === 'from' ? 'Von ' : 'Bis '}
+                    {dateFilter[key] ? formatDateDe(dateFilter[key]) : '…'}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+          {pickerFor && (
+            <DateTimePicker
+              value={dateFilter[pickerFor] || new Date()}
+              mode="date"
+              is24Hour
+              display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+              onChange={onPickDate}
+            />
+          )}
+
+          <View style={{ flexDirection: 'row', gap: 8, marginTop: 8 }}>
+            {[
+              { key: 'min', placeholder: `Min. ${currencySymbol(baseCurrency)}` },
+              { key: 'max', placeholder: `Max. ${currencySymbol(baseCurrency)}` },
+            ].map((f) => (
+              <TextInput
+                key={f.key}
+                style={[styles.filterField, { backgroundColor: theme.card, borderColor: theme.secondary, color: theme.text }]}
+                keyboardType="decimal-pad"
+                placeholder={f.placeholder}
+                placeholderTextColor={isDarkMode ? '#9fb1c6' : '#7a8ca1'}
+                value={amountFilter[f.key]}
+                onChangeText={(text) => onAmountFilterChange({ ...amountFilter, [f.key]: text })}
+              />
+            ))}
+            {moreActive && (
+              <TouchableOpacity
+                onPress={() => {
+                  onDateFilterChange(EMPTY_DATE_FILTER);
+                  onAmountFilterChange(EMPTY_AMOUNT_FILTER);
+                }}
+                style={{ justifyContent: 'center', paddingHorizontal: 4 }}
+              >
+                <Feather name="x-circle" size={18} color={theme.text} />
+              </TouchableOpacity>
+            )}
+          </View>
+        </View>
+      )}
+
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        style={styles.categoryScrollView}
+        contentContainerStyle={styles.categoryScrollContent}
+      >
+        {onPinnedOnlyChange && (
+          <TouchableOpacity
+            onPress={() => onPinnedOnlyChange(!pinnedOnly)}
+            style={[styles.filterChip, { backgroundColor: pinnedOnly ? theme.accent : theme.card, borderColor: theme.accent }]}
+          >
+            <MaterialIcons name="push-pin" size={14} color={pinnedOnly ? 'white' : theme.accent} />
+            <Text style={[styles.filterChipText, { color: pinnedOnly ? 'white' : theme.accent }]}>Angepinnt</Text>
+          </TouchableOpacity>
+        )}
+        {categories.map((cat) => (
+          <TouchableOpacity
+            key={cat.value}
+            onPress={() => onCategoryToggle(cat.value)}
+            style={[
+              styles.filterChip,
+              {
+                backgroundColor: selectedCategories.includes(cat.value) ? cat.color : theme.card,
+                borderColor: cat.color,
+              },
+            ]}
+          >
+            <Feather
+              name={cat.icon}
+              size={14}
+              color={selectedCategories.includes(cat.value) ? 'white' : cat.color}
+            />
+            <Text
+              style={[
+                styles.filterChipText,
+                { color: selectedCategories.includes(cat.value) ? 'white' : cat.color },
+              ]}
+            >
+              {cat.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+    </View>
+  );
+};
+
+// ---------- UI: Category Chip ----------
+const CategoryChip = ({ category, isIncome, isSelected, onPress }) => {
+  const { isDarkMode, categories } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  const color = categoryColor(category, isIncome, categories);
+  const icon = categoryIcon(category, isIncome, categories);
+
+  return (
+    <TouchableOpacity
+      onPress={onPress}
+      style={[
+        styles.categoryChip,
+        {
+          backgroundColor: isSelected ? color : theme.card,
+          borderColor: color,
+          borderWidth: 2,
+        },
+      ]}
+    >
+      <Feather name={icon} size={14} color={isSelected ? 'white' : color} style={{ marginRight: 6 }} />
+      <Text style={[styles.categoryChipText, { color: isSelected ? 'white' : color }]}>
+        {category}
+      </Text>
+    </TouchableOpacity>
+  );
+};
+
+// ---------- UI: Split Editor ----------
+const SplitEditor = ({ lines, onChange, categories, isIncome, total, currency }) => {
+  const { isDarkMode } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  const assigned = lines.reduce((s, l) => s + (isValidAmount(parseAmount(l.amount)) ? toCents(parseAmount(l.amount)) : 0), 0);
+  const rest = (isValidAmount(total) ? toCents(total) : 0) - assigned;
+
+  const updateLine = (key, changes) => onChange(lines.map((l) => (l.key === key ? { ...l, ...changes } : l)));
+
+  return (
+    <View>
+      {lines.map((l, index) => (
+        <View key={l.key} style={[styles.statsCard, { backgroundColor: theme.card, marginTop: 8 }]}>
+          <View style={{ flexDirection: 'row', alignItems: 'center', gap: 8 }}>
+            <Text style={{ color: theme.text, fontWeight: '700' }}>Teil {index + 1}</Text>
+            <TextInput
+              style={[styles.filterField, { borderColor: theme.secondary, color: theme.text, backgroundColor: theme.primary }]}
+              keyboardType="decimal-pad"
+              value={l.amount}
+              onChangeText={(amount) => updateLine(l.key, { amount })}
+              placeholder="0,00"
+              placeholderTextColor={isDarkMode ? '#9fb1c6' : '#7a8ca1'}
+            />
+            {lines.length > 2 && (
+              <TouchableOpacity onPress={() => onChange(lines.filter((x) => x.key !== l.key))}>
+                <Feather name="x" size={18} color={theme.text} />
+              </TouchableOpacity>
+            )}
+          </View>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={{ marginTop: 8 }}>
+            <View style={{ flexDirection: 'row', gap: 8 }}>
+              {categories.map((cat) => (
+                <CategoryChip
+                  key={cat.value}
+                  category={cat.label}
+                  isIncome={isIncome}
+                  isSelected={l.category === cat.value}
+                  onPress={() => updateLine(l.key, { category: cat.value })}
+                />
+              ))}
+            </View>
+          </ScrollView>
+        </View>
+      ))}
+      <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', marginTop: 8 }}>
+        <Text style={{ fontSize: 12, fontWeight: '600', color: rest === 0 ? '#22c55e' : '#f59e0b' }}>
+          {rest === 0 ? 'Vollständig verteilt' : `Noch zu verteilen: ${money(rest / 100, currency)}`}
+        </Text>
+        <View style={{ flexDirection: 'row', gap: 16 }}>
+          <TouchableOpacity
+            onPress={() => onChange([...lines, { key: Date.now(), category: '', amount: rest > 0 ? (rest / 100).toFixed(2).replace('.', ',') : '' }])}
+          >
+            <Text style={{ color: theme.accent, fontWeight: '600' }}>+ Zeile</Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => onChange(null)}>
+            <Text style={{ color: theme.text, fontWeight: '600' }}>Aufheben</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </View>
+  );
+};
+
+// Startzeilen beim Aufteilen: die bisherige Kategorie mit dem ganzen Betrag plus eine leere Zeile
+const initialSplitLines = (category, amount) => [
+  { key: 1, category, amount },
+  { key: 2, category: '', amount: '' },
+];
+
+// ---------- UI: Add Modal ----------
+const AddModal = ({ visible, isIncome, onClose, onSave }) => {
+  const { isDarkMode, categories: allCategories, baseCurrency, transactions, budgets, exchangeRates } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+
+  const [amount, setAmount] = useState('');
+  const [date, setDate] = useState(new Date());
+  const [showDate, setShowDate] = useState(false);
+  const [note, setNote] = useState('');
+  const [category, setCategory] = useState('');
+  const [contactId, setContactId] = useState(null);
+  const [campaignId, setCampaignId] = useState(null);
+  const [currency, setCurrency] = useState('EUR');
+  const [attachments, setAttachments] = useState([]);
+  const [splitLines, setSplitLines] = useState(null); // null = nicht aufgeteilt
+  const [accountId, setAccountId] = useState(MAIN_ACCOUNT_ID);
+
+  const categories = activeCategories(isIncome, allCategories);
+
+  useEffect(() => {
+    if (visible) {
+      setCategory(categories[0]?.value || '');
+      setAmount('');
+      setNote('');
+      setDate(new Date());
+      setContactId(null);
+      setCampaignId(null);
+      setCurrency(baseCurrency);
+      setAttachments([]);
+      setSplitLines(null);
+      setAccountId(MAIN_ACCOUNT_ID);
+    }
+  }, [visible, isIncome]);
+
+  // Beim Abbrechen schon kopierte Belege wieder entfernen
+  const handleCancel = () => {
+    deleteAttachmentFiles(attachments).catch((e) => console.error('Failed to delete attachments', e));
+    onClose();
+  };
+
+  const handleSave = () => {
+    const val = parseAmount(amount);
+    if (!isValidAmount(val)) {
+      Alert.alert('Fehler', 'Bitte gib einen gültigen Betrag > 0 ein.');
+      return;
+    }
+    const split = splitLines ? parseSplitLines(splitLines, val, currency) : null;
+    if (split?.error) {
+      Alert.alert('Aufteilung prüfen', split.error);
+      return;
+    }
+
+    const payload = {
+      amount: val,
+      currency,
+      category: split ? split.splits[0].category : category,
+      splits: split ? split.splits : undefined,
+      isIncome,
+      date: date.toISOString(),
+      note: note.trim(),
+      contactId,
+      campaignId,
+      accountId,
+      attachments,
+    };
+    confirmBudgetWarnings(budgetWarnings(transactions, budgets, payload, baseCurrency, exchangeRates), () => {
+      onSave(payload);
+      onClose();
+    });
+  };
+
+  const onDateChange = (_, selected) => {
+    setShowDate(false);
+    if (selected) setDate(selected);
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" presentationStyle="pageSheet">
+      <SafeAreaView style={{ flex: 1, backgroundColor: theme.primary }}>
+        <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', padding: 16 }}>
+          <TouchableOpacity onPress={handleCancel}>
+            <Feather name="x" size={22} color={theme.text} />
+          </TouchableOpacity>
+          <Text style={{ fontSize: 18, fontWeight: 'bold', color: theme.text }}>
+            {isIncome ? 'Neue Einnahme' : 'Neue Ausgabe'}
+          </Text>
+          <TouchableOpacity onPress={handleSave}>
+            <Feather name="check" size={22} color={theme.accent} />
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView style={{ flex: 1, padding: 16 }}>
+          {/* Betrag */}
+          <View style={styles.inputContainer}>
+            <Text style={[styles.label, { color: theme.text }]}>Betrag ({currencySymbol(currency)})</Text>
+            <TextInput
+              style={[
+                styles.input,
+                { borderColor: theme.secondary, color: theme.text, backgroundColor: theme.card },
+              ]}
+              keyboardType="decimal-pad"
+              value={amount}
+              onChangeText={setAmount}
+              placeholder="0,00"
+              placeholderTextColor={isDarkMode ? '#9fb1c6' : '#7a8ca1'}
+            />
+          </View>
+
+          {/* Währung */}
+          <CurrencyPicker value={currency} onChange={setCurrency} amount={amount} date={date} />
+
+          {/* Kategorie */}
+          <View style={styles.inputContainer}>
+            <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
+              <Text style={[styles.label, { color: theme.text }]}>{splitLines ? 'Aufteilung' : 'Kategorie'}</Text>
+              {!splitLines && (
+                <TouchableOpacity onPress={() => setSplitLines(initialSplitLines(category, amount))}>
+                  <Text style={{ color: theme.accent, fontWeight: '600' }}>Aufteilen</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+            {splitLines ? (
+              <SplitEditor
+                lines={splitLines}
+                onChange={setSplitLines}
+                categories={categories}
+                isIncome={isIncome}
+                total={parseAmount(amount)}
+                currency={currency}
+              />
+            ) : (
+              <ScrollView horizontal showsHorizontalScrollIndicator={false} style={{ marginTop: 8 }}>
+                <View style={{ flexDirection: 'row', gap: 8 }}>
+                  {categories.map((cat) => (
+                    <CategoryChip
+                      key={cat.value}
+                      category={cat.label}
+                      isIncome={isIncome}
+                      isSelected={category === cat.value}
+                      onPress={() => setCategory(cat.value)}
+                    />
+                  ))}
+                </View>
+              </ScrollView>
+            )}
+          </View>
+
+          {/* Datum */}
+          <View style={styles.inputContainer}>
+            <Text style={[styles.label, { color: theme.text }]}>Datum</Text>
+            <TouchableOpacity
+              onPress={() => setShowDate(true)}
+              style={[
+                styles.input,
+                {
+                  flexDirection: 'row',
+                  justifyContent: 'space-between',
+                  alignItems: 'center',
+                  backgroundColor: theme.card,
+                  borderColor: theme.secondary,
+                },
+              ]}
+            >
+              <Text style={{ color: theme.text }}>{date.toLocaleDateString('de-DE')}</Text>
+              <Feather name="calendar" size={20} color={theme.text} />
+            </TouchableOpacity>
+            {showDate && (
+              <DateTimePicker
+                value={date}
+                mode="date"
+                is24Hour
+                display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+                onChange={onDateChange}
+              />
+            )}
+          </View>
+
+          {/* Kontakt */}
+          <View style={styles.inputContainer}>
+            <Text style={[styles.label, { color: theme.text }]}>{isIncome ? 'Von (optional)' : 'An (optional)'}</Text>
+            <ContactPicker value={contactId} onChange={setContactId} />
+          </View>
+
+          {/* Konto */}
+          <AccountPicker value={accountId} onChange={setAccountId} />
+
+          {/* Kampagne */}
+          <CampaignPicker value={campaignId} onChange={setCampaignId} />
+
+          {/* Belege */}
+          <AttachmentEditor value={attachments} onChange={setAttachments} />
+
+          {/* Notiz */}
+          <View style={styles.inputContainer}>
+            <Text style={[styles.label, { color: theme.text }]}>Notiz (optional)</Text>
+            <TextInput
+              style={[
+                styles.input,
+                {
+                  height: 90,
+                  borderColor: theme.secondary,
+                  color: theme.text,
+                  backgroundColor: theme.card,
+                  textAlignVertical: 'top',
+                },
+              ]}
+              multiline
+              value={note}
+              onChangeText={setNote}
+              placeholder="z. B. Anlass, Empfänger, Zweck…"
+              placeholderTextColor={isDarkMode ? '#9fb1c6' : '#7a8ca1'}
+            />
+          </View>
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+// ---------- UI: Edit Modal ----------
+const EditModal = ({ visible, transaction, onClose, onSave }) => {
+  const { isDarkMode, categories: allCategories, baseCurrency, transactions, budgets, exchangeRates } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+
+  const [amount, setAmount] = useState('');
+  const [date, setDate] = useState(new Date());
+  const [showDate, setShowDate] = useState(false);
+  const [note, setNote] = useState('');
+  const [category, setCategory] = useState('');
+  const [contactId, setContactId] = useState(null);
+  const [campaignId, setCampaignId] = useState(null);
+  const [currency, setCurrency] = useState('EUR');
+  const [attachments, setAttachments] = useState([]);
+  const [splitLines, setSplitLines] = useState(null);
+  const [accountId, setAccountId] = useState(MAIN_ACCOUNT_ID);
+
+  useEffect(() => {
+    if (transaction) {
+      setAmount(transaction.amount.toString().replace('.', ','));
+      setDate(new Date(transaction.date));
+      setNote(transaction.note || '');
+      setCategory(transaction.category);
+      setContactId(transaction.contactId ?? null);
+      setCampaignId(transaction.campaignId ?? null);
+      setCurrency(transactionCurrency(transaction));
+      setAttachments(transaction.attachments || []);
+      setSplitLines(
+        transaction.splits?.length
+          ? transaction.splits.map((p, i) => ({ key: i + 1, category: p.category, amount: p.amount.toString().replace('.', ',') }))
+          : null
+      );
+      setAccountId(transactionAccount(transaction));
+    }
+  }, [transaction]);
+
+  // Nur die in dieser Bearbeitung neu hinzugefügten Dateien löschen; entfernte bleiben bis zum Speichern
+  const handleCancel = () => {
+    const known = new Set((transaction.attachments || []).map((a) => a.id));
+    deleteAttachmentFiles(attachments.filter((a) => !known.has(a.id))).catch((e) =>
+      console.error('Failed to delete attachments', e)
+    );
+    onClose();
+  };
+
+  const handleSave = () => {
+    const val = parseAmount(amount);
+    if (!isValidAmount(val)) {
+      Alert.alert('Fehler', 'Bitte gib einen gültigen Betrag > 0 ein.');
+      return;
+    }
+    const split = splitLines ? parseSplitLines(splitLines, val, currency) : null;
+    if (split?.error) {
+      Alert.alert('Aufteilung prüfen', split.error);
+      return;
+    }
+
+    const payload = {
+      ...transaction,
+      amount: val,
+      currency,
+      category: split ? split.splits[0].category : category,
+      splits: split ? split.splits : undefined,
+      date: date.toISOString(),
+      note: note.trim(),
+      contactId,
+      campaignId,
+      accountId,
+      attachments,
+    };
+    confirmBudgetWarnings(budgetWarnings(transactions, budgets, payload, baseCurrency, exchangeRates), () => {
+      onSave(payload);
+      onClose();
+    });
+  };
+
+  const onDateChange = (_, selected) => {
+    setShowDate(false);
+    if (selected) setDate(selected);
+  };
+
+  if (!transaction) return null;
+
+  // Eine inzwischen archivierte Kategorie bleibt für diesen Eintrag auswählbar
+  const categories = categoryPool(transaction.isIncome, allCategories).filter(
+    (c) => !c.archived || hasCategory(transaction, c.value)
+  );
+
+  return (
+    <Modal visible={visible} animationType="slide" presentationStyle="pageSheet">
+      <SafeAreaView style={{ flex: 1, backgroundColor: theme.primary }}>
+        <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', padding: 16 }}>
+          <TouchableOpacity onPress={handleCancel}>
+            <Feather name="x" size={22} color={theme.text} />
+          </TouchableOpacity>
+          <Text style={{ fontSize: 18, fontWeight: 'bold', color: theme.text }}>
+            Eintrag bearbeiten
+          </Text>
+          <TouchableOpacity onPress={handleSave}>
+            <Feather name="check" size={22} color={theme.accent} />
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView style={{ flex: 1, padding: 16 }}>
+          {/* Betrag */}
+          <View style={styles.inputContainer}>
+            <Text style={[styles.label, { color: theme.text }]}>Betrag ({currencySymbol(currency)})</Text>
+            <TextInput
+              style={[
+                styles.input,
+                { borderColor: theme.secondary, color: theme.text, backgroundColor: theme.card },
+              ]}
+              keyboardType="decimal-pad"
+              value={amount}
+              onChangeText={setAmount}
+              placeholder="0,00"
+              placeholderTextColor={isDarkMode ? '#9fb1c6' : '#7a8ca1'}
+            />
+          </View>
+
+          {/* Währung */}
+          <CurrencyPicker value={currency} onChange={setCurrency} amount={amount} date={date} />
+
+          {/* Kategorie */}
+          <View style={styles.inputContainer}>
+            <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
+              <Text style={[styles.label, { color: theme.text }]}>{splitLines ? 'Aufteilung' : 'Kategorie'}</Text>
+              {!splitLines && (
+                <TouchableOpacity onPress={() => setSplitLines(initialSplitLines(category, amount))}>
+                  <Text style={{ color: theme.accent, fontWeight: '600' }}>Aufteilen</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+            {splitLines ? (
+              <SplitEditor
+                lines={splitLines}
+                onChange={setSplitLines}
+                categories={categories}
+                isIncome={transaction.isIncome}
+                total={parseAmount(amount)}
+                currency={currency}
+              />
+            ) : (
+              <ScrollView horizontal showsHorizontalScrollIndicator={false} style={{ marginTop: 8 }}>
+                <View style={{ flexDirection: 'row', gap: 8 }}>
+                  {categories.map((cat) => (
+                    <CategoryChip
+                      key={cat.value}
+                      category={cat.label}
+                      isIncome={transaction.isIncome}
+                      isSelected={category === cat.value}
+                      onPress={() => setCategory(cat.value)}
+                    />
+                  ))}
+                </View>
+              </ScrollView>
+            )}
+          </View>
+
+          {/* Datum */}
+          <View style={styles.inputContainer}>
+            <Text style={[styles.label, { color: theme.text }]}>Datum</Text>
+            <TouchableOpacity
+              onPress={() => setShowDate(true)}
+              style={[
+                styles.input,
+                {
+                  flexDirection: 'row',
+                  justifyContent: 'space-between',
+                  alignItems: 'center',
+                  backgroundColor: theme.card,
+                  borderColor: theme.secondary,
+                },
+              ]}
+            >
+              <Text style={{ color: theme.text }}>{date.toLocaleDateString('de-DE')}</Text>
+              <Feather name="calendar" size={20} color={theme.text} />
+            </TouchableOpacity>
+            {showDate && (
+              <DateTimePicker
+                value={date}
+                mode="date"
+                is24Hour
+                display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+                onChange={onDateChange}
+              />
+            )}
+          </View>
+
+          {/* Kontakt */}
+          <View style={styles.inputContainer}>
+            <Text style={[styles.label, { color: theme.text }]}>
+              {transaction.isIncome ? 'Von (optional)' : 'An (optional)'}
+            </Text>
+            <ContactPicker value={contactId} onChange={setContactId} />
+          </View>
+
+          {/* Konto */}
+          <AccountPicker value={accountId} onChange={setAccountId} />
+
+          {/* Kampagne */}
+          <CampaignPicker value={campaignId} onChange={setCampaignId} />
+
+          {/* Belege */}
+          <AttachmentEditor value={attachments} onChange={setAttachments} />
+
+          {/* Notiz */}
+          <View style={styles.inputContainer}>
+            <Text style={[styles.label, { color: theme.text }]}>Notiz (optional)</Text>
+            <TextInput
+              style={[
+                styles.input,
+                {
+                  height: 90,
+                  borderColor: theme.secondary,
+                  color: theme.text,
+                  backgroundColor: theme.card,
+                  textAlignVertical: 'top',
+                },
+              ]}
+              multiline
+              value={note}
+              onChangeText={setNote}
+              placeholder="z. B. Anlass, Empfänger, Zweck…"
+              placeholderTextColor={isDarkMode ? '#9fb1c6' : '#7a8ca1'}
+            />
+          </View>
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+// ---------- App ----------
+const Tab = createBottomTabNavigator();
+
+// Für Sprünge von außerhalb der Screens (z. B. aus einer Benachrichtigung)
+const navigationRef = createNavigationContainerRef();
+
+const App = () => {
+  return (
+    <DonationProvider>
+      <AppLockGate>
+        <NavigationContainer ref={navigationRef}>
+          <AppContent />
+        </NavigationContainer>
+      </AppLockGate>
+    </DonationProvider>
+  );
+};
+
+// Solange gesperrt, wird der Inhalt gar nicht erst gerendert (auch keine offenen Modals).
+// Nach dem Entsperren kommt bei unlesbaren Daten zuerst die Wiederherstellung.
+const AppLockGate = ({ children }) => {
+  const { lockState, storageError, isDarkMode } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  if (lockState === 'loading') return <View style={{ flex: 1, backgroundColor: theme.primary }} />;
+  if (lockState === 'locked') return <LockScreen />;
+  if (storageError) return <StorageRecoveryScreen />;
+  return children;
+};
+
+const AppContent = () => {
+  const { isDarkMode, toggleTheme, pendingAddType } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+
+  // Das Formular öffnet der Home-Screen; ist die Navigation noch nicht bereit, ist Home ohnehin der Start
+  useEffect(() => {
+    if (pendingAddType && navigationRef.isReady()) navigationRef.navigate('Home');
+  }, [pendingAddType]);
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: theme.primary }}>
+      <StatusBar style={isDarkMode ? 'light' : 'dark'} />
+      <Tab.Navigator
+        screenOptions={({ route }) => ({
+          headerStyle: { backgroundColor: theme.primary, elevation: 0, shadowOpacity: 0 },
+          headerTintColor: theme.text,
+          headerTitleStyle: { fontWeight: 'bold' },
+          tabBarStyle: { backgroundColor: theme.card, borderTopColor: theme.secondary },
+          tabBarActiveTintColor: theme.accent,
+          tabBarInactiveTintColor: theme.text,
+          headerRight: () => (
+            <TouchableOpacity onPress={toggleTheme} style={{ marginRight: 15 }}>
+              <Feather name={isDarkMode ? 'sun' : 'moon'} size={20} color={theme.text} />
+            </TouchableOpacity>
+          ),
+          tabBarIcon: ({ color, size }) => {
+            let icon = 'home';
+            if (route.name === 'Home') icon = 'home';
+            if (route.name === 'Einnahmen') icon = 'trending-up';
+            if (route.name === 'Ausgaben') icon = 'trending-down';
+            if (route.name === 'Statistik') icon = 'bar-chart-2';
+            if (route.name === 'Einstellungen') icon = 'settings';
+            return <Feather name={icon} size={size} color={color} />;
+          },
+        })}
+      >
+        <Tab.Screen name="Home" component={HomeScreen} />
+        <Tab.Screen name="Einnahmen" component={IncomeScreen} />
+        <Tab.Screen name="Ausgaben" component={ExpenseScreen} />
+        <Tab.Screen name="Statistik" component={StatisticsScreen} />
+        <Tab.Screen name="Einstellungen" component={SettingsScreen} />
+      </Tab.Navigator>
+      <UndoSnackbar />
+    </SafeAreaView>
+  );
+};
+
+// ---------- UI: Compact StatsBox ----------
+const CompactStatsBox = ({ label, value, currency = 'EUR', gradientColors, icon, customIcon }) => {
+  const animatedValue = useRef(new Animated.Value(0)).current;
+  const [display, setDisplay] = useState(0);
+
+  useEffect(() => {
+    const id = animatedValue.addListener(({ value: v }) => setDisplay(v));
+    Animated.timing(animatedValue, {
+      toValue: value,
+      duration: 700,
+      easing: Easing.out(Easing.ease),
+      useNativeDriver: false,
+    }).start(() => {
+      animatedValue.removeListener(id);
+    });
+    return () => animatedValue.removeListener(id);
+  }, [value]);
+
+  return (
+    <LinearGradient colors={gradientColors} start={{ x: 0, y: 0 }} end={{ x: 1, y: 1 }} style={styles.compactStatsBox}>
+      <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between' }}>
+        <View>
+          <Text style={styles.compactStatsLabel}>{label}</Text>
+          <Text style={styles.compactStatsValue}>{money(display, currency)}</Text>
+        </View>
+        {customIcon ? customIcon : <Feather name={icon} size={18} color="rgba(255,255,255,0.85)" />}
+      </View>
+    </LinearGradient>
+  );
+};
+
+// ---------- UI: Transaction Item ----------
+// Mit onSelect wird der Eintrag auswählbar (z. B. für Zuwendungsbestätigungen) statt editierbar
+const TransactionItem = ({ t, onEdit, onDelete, onSelect, selected }) => {
+  const { isDarkMode, categories, contacts, receipts, accounts, baseCurrency, togglePinned } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  const sign = t.isIncome ? '+' : '-';
+  const foreign = transactionCurrency(t) !== baseCurrency;
+  const attachments = t.attachments || [];
+  const [showAttachments, setShowAttachments] = useState(false);
+  const amountColor = t.isIncome ? categoryColor(t.category, t.isIncome, categories) : '#ef4444'; // Ausgaben immer rot
+  const dotColor = categoryColor(t.category, t.isIncome, categories);
+  const icon = categoryIcon(t.category, t.isIncome, categories);
+  const formattedDate = new Date(t.date).toLocaleDateString('de-DE');
+  const hasReceipt = t.isIncome && receipts.some((r) => r.transactionIds.includes(t.id));
+  const Card = onSelect ? TouchableOpacity : View;
+
+  const handleDelete = () => {
+    Alert.alert('Löschen bestätigen', 'Möchten Sie diesen Eintrag wirklich löschen?', [
+      { text: 'Abbrechen', style: 'cancel' },
+      { text: 'Löschen', style: 'destructive', onPress: () => onDelete(t.id) },
+    ]);
+  };
+
+  return (
+    <Card
+      onPress={onSelect ? () => onSelect(t) : undefined}
+      style={[styles.txCard, { backgroundColor: theme.card }, selected && { borderWidth: 2, borderColor: theme.accent }]}
+    >
+      <View style={[styles.colorDot, { backgroundColor: dotColor }]}>
+        <Feather name={icon} size={8} color="white" />
+      </View>
+      <View style={{ flex: 1 }}>
+        <View style={{ flexDirection: 'row', alignItems: 'center', gap: 6 }}>
+          <Text style={{ fontWeight: '700', fontSize: 15, color: theme.text }}>{t.category}</Text>
+          {t.splits?.length > 1 && (
+            <View style={{ flexDirection: 'row', alignItems: 'center', gap: 2 }}>
+              <Feather name="layers" size={12} color={theme.accent} />
+              <Text style={{ fontSize: 11, color: theme.accent }}>+{t.splits.length - 1}</Text>
+            </View>
+          )}
+          {hasReceipt && <Feather name="file-text" size={12} color={theme.accent} />}
+          {attachments.length > 0 && (
+            <TouchableOpacity onPress={() => setShowAttachments(true)} style={{ flexDirection: 'row', alignItems: 'center', gap: 2 }}>
+              <Feather name="paperclip" size={12} color={theme.accent} />
+              {attachments.length > 1 && <Text style={{ fontSize: 11, color: theme.accent }}>{attachments.length}</Text>}
+            </TouchableOpacity>
+          )}
+          {t.recurringRuleId != null && <Feather name="repeat" size={12} color={theme.text} style={{ opacity: 0.6 }} />}
+        </View>
+        <Text style={{ fontSize: 12, color: theme.text, opacity: 0.7 }}>
+          {formattedDate}
+          {accounts.length > 1 ? ` • ${accountName(accounts, transactionAccount(t))}` : ''}
+          {contactName(contacts, t.contactId) ? ` • ${contactName(contacts, t.contactId)}` : ''}
+          {t.note ? ` • ${t.note}` : ''}
+        </Text>
+      </View>
+      <View style={{ alignItems: 'flex-end', marginRight: 10 }}>
+        <Text style={{ fontWeight: '700', fontSize: 15, color: amountColor }}>
+          {sign} {money(t.amount, transactionCurrency(t))}
+        </Text>
+        {foreign && (
+          <Text style={{ fontSize: 11, color: t.missingRate ? '#f59e0b' : theme.text, opacity: t.missingRate ? 1 : 0.6 }}>
+            {t.missingRate ? 'Kurs fehlt' : `≈ ${money(t.baseAmount, baseCurrency)}`}
+          </Text>
+        )}
+      </View>
+      {onSelect ? (
+        <Feather name={selected ? 'check-circle' : 'circle'} size={18} color={selected ? theme.accent : theme.text} />
+      ) : (
+        <View style={{ flexDirection: 'row', gap: 6 }}>
+          <TouchableOpacity onPress={() => togglePinned(t.id)} style={{ padding: 4 }}>
+            <MaterialIcons
+              name="push-pin"
+              size={16}
+              color={t.isPinned ? theme.accent : theme.text}
+              style={{ opacity: t.isPinned ? 1 : 0.35 }}
+            />
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => onEdit(t)} style={{ padding: 4 }}>
+            <Feather name="edit-2" size={16} color={theme.text} />
+          </TouchableOpacity>
+          <TouchableOpacity onPress={handleDelete} style={{ padding: 4 }}>
+            <Feather name="trash-2" size={16} color="#ef4444" />
+          </TouchableOpacity>
+        </View>
+      )}
+      {attachments.length > 0 && (
+        <AttachmentViewer visible={showAttachments} attachments={attachments} onClose={() => setShowAttachments(false)} />
+      )}
+    </Card>
+  );
+};
+
+// ---------- UI: Pinned Section ----------
+// Angepinnte Einträge stehen vor der nach Datum sortierten Liste
+const PinnedSection = ({ list, renderItem }) => {
+  const { isDarkMode } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  if (list.length === 0) return null;
+
+  return (
+    <View style={{ marginBottom: 8 }}>
+      <View style={{ flexDirection: 'row', alignItems: 'center', gap: 4, marginBottom: 6 }}>
+        <MaterialIcons name="push-pin" size={14} color={theme.accent} />
+        <Text style={{ fontSize: 13, fontWeight: '700', color: theme.text }}>Angepinnt ({list.length})</Text>
+      </View>
+      {list.map(renderItem)}
+    </View>
+  );
+};
+
+// ---------- UI: Compact Sticky Dashboard (kleiner, kompakter, mit €-Icon) ----------
+const CompactStickyDashboard = () => {
+  const { totalIncome, totalExpense, balance, isDarkMode, baseCurrency, budgetSummaries } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  const currencyIcon = CURRENCIES.find((c) => c.code === baseCurrency)?.icon || 'attach-money';
+  const overBudget = budgetSummaries.filter((b) => b.over);
+
+  return (
+    <View style={[styles.compactStickyDashboard, { backgroundColor: theme.primary }]}>
+      <View style={{ flexDirection: 'row', gap: 8 }}>
+        <View style={{ flex: 1 }}>
+          <CompactStatsBox
+            label="Einnahmen"
+            value={totalIncome}
+            currency={baseCurrency}
+            gradientColors={['#22c55e', '#10b981']}
+            icon="trending-up"
+          />
+        </View>
+        <View style={{ flex: 1 }}>
+          <CompactStatsBox
+            label="Ausgaben"
+            value={totalExpense}
+            currency={baseCurrency}
+            gradientColors={['#ef4444', '#f97316']}
+            icon="trending-down"
+          />
+        </View>
+      </View>
+      <View style={{ marginTop: 8 }}>
+        <CompactStatsBox
+          label="Saldo"
+          value={balance}
+          currency={baseCurrency}
+          gradientColors={balance >= 0 ? ['#2563eb', '#0ea5e9'] : ['#ef4444', '#f97316']}
+          customIcon={<MaterialIcons name={currencyIcon} size={18} color="rgba(255,255,255,0.9)" />}
+        />
+      </View>
+      {overBudget.length > 0 && (
+        <View style={[styles.budgetAlert, { backgroundColor: theme.card, borderColor: '#ef4444' }]}>
+          <Feather name="alert-triangle" size={14} color="#ef4444" />
+          <Text style={{ flex: 1, fontSize: 12, fontWeight: '600', color: theme.text }} numberOfLines={2}>
+            {overBudget.length === 1 ? 'Budget überschritten: ' : `${overBudget.length} Budgets überschritten: `}
+            {overBudget.map((b) => `${b.category} (${Math.round(b.progress * 100)} %)`).join(', ')}
+          </Text>
+        </View>
+      )}
+    </View>
+  );
+};
+
+// ---------- Screen: Home ----------
+const HomeScreen = () => {
+  const { transactions, isDarkMode, updateTransaction, deleteTransaction, addTransaction, pendingAddType, clearPendingAddType } =
+    useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  const [editingTransaction, setEditingTransaction] = useState(null);
+  const [showAddModal, setShowAddModal] = useState(false);
+  const [addModalType, setAddModalType] = useState(true); // true = income, false = expense
+  const [selectedCampaign, setSelectedCampaign] = useState(null);
+  const [selectedAccount, setSelectedAccount] = useState(null);
+  const [showAll, setShowAll] = useState(false);
+
+  useEffect(() => {
+    if (!pendingAddType) return;
+    setAddModalType(pendingAddType === 'income');
+    setShowAddModal(true);
+    clearPendingAddType();
+  }, [pendingAddType]);
+
+  const pinned = transactions.filter((t) => t.isPinned);
+  const latest = transactions.filter((t) => !t.isPinned).slice(0, 8); // Mehr Einträge sichtbar
+  const renderTransaction = (t) => <TransactionItem key={t.id} t={t} onEdit={handleEdit} onDelete={deleteTransaction} />;
+
+  const handleEdit = (transaction) => setEditingTransaction(transaction);
+
+  const handleSaveEdit = (updatedTransaction) => {
+    updateTransaction(updatedTransaction.id, updatedTransaction);
+    setEditingTransaction(null);
+  };
+
+  const handleAddIncome = () => {
+    setAddModalType(true);
+    setShowAddModal(true);
+  };
+  const handleAddExpense = () => {
+    setAddModalType(false);
+    setShowAddModal(true);
+  };
+  const handleSaveAdd = (newTransaction) => {
+    addTransaction(newTransaction);
+    setShowAddModal(false);
+  };
+
+  return (
+    <View style={{ flex: 1, backgroundColor: theme.primary }}>
+      <CompactStickyDashboard />
+      <AccountStrip onSelect={setSelectedAccount} />
+      <CampaignStrip onSelect={setSelectedCampaign} />
+
+      <View style={{ flex: 1, padding: 12 }}>
+        <View style={{ flexDirection: 'row', gap: 10, marginBottom: 10 }}>
+          <TouchableOpacity
+            style={[styles.compactQuickBtn, { backgroundColor: theme.card, borderColor: theme.secondary }]}
+            onPress={handleAddIncome}
+          >
+            <Feather name="plus-circle" size={16} color="#22c55e" />
+            <Text style={{ color: theme.text, fontWeight: '600', fontSize: 13 }}>Einnahme</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.compactQuickBtn, { backgroundColor: theme.card, borderColor: theme.secondary }]}
+            onPress={handleAddExpense}
+          >
+            <Feather name="minus-circle" size={16} color="#ef4444" />
+            <Text style={{ color: theme.text, fontWeight: '600', fontSize: 13 }}>Ausgabe</Text>
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView showsVerticalScrollIndicator={false}>
+          <PinnedSection list={pinned} renderItem={renderTransaction} />
+
+          <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 }}>
+            <Text style={{ fontSize: 16, fontWeight: '700', color: theme.text }}>Letzte Transaktionen</Text>
+            {transactions.length > 0 && (
+              <TouchableOpacity onPress={() => setShowAll(true)}>
+                <Text style={{ color: theme.accent, fontWeight: '600' }}>Alle anzeigen</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+
+          {transactions.length === 0 ? (
+            <View style={{ alignItems: 'center', paddingVertical: 28 }}>
+              <Feather name="inbox" size={44} color={theme.text} opacity={0.3} />
+              <Text style={{ color: theme.text, marginTop: 10, opacity: 0.7 }}>Noch keine Einträge. Leg los! 💪</Text>
+            </View>
+          ) : (
+            latest.map(renderTransaction)
+          )}
+        </ScrollView>
+      </View>
+
+      <AddModal visible={showAddModal} isIncome={addModalType} onClose={() => setShowAddModal(false)} onSave={handleSaveAdd} />
+      <TransactionListModal
+        visible={!!selectedCampaign}
+        title={selectedCampaign?.name || ''}
+        list={selectedCampaign ? transactions.filter((t) => t.campaignId === selectedCampaign.id) : []}
+        onClose={() => setSelectedCampaign(null)}
+      />
+      <TransactionListModal
+        visible={!!selectedAccount}
+        title={selectedAccount?.name || ''}
+        list={selectedAccount ? transactions.filter((t) => transactionAccount(t) === selectedAccount.id) : []}
+        onClose={() => setSelectedAccount(null)}
+      />
+      <AllTransactionsModal visible={showAll} onClose={() => setShowAll(false)} />
+      <EditModal visible={!!editingTransaction} transaction={editingTransaction} onClose={() => setEditingTransaction(null)} onSave={handleSaveEdit} />
+    </View>
+  );
+};
+
+// ---------- Screen: Income ----------
+const IncomeScreen = () => {
+  const { transactions, isDarkMode, updateTransaction, deleteTransaction, addTransaction, contacts, baseCurrency } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  const [editingTransaction, setEditingTransaction] = useState(null);
+  const [showAddModal, setShowAddModal] = useState(false);
+  const [selectedCategories, setSelectedCategories] = useState([]);
+  const [searchText, setSearchText] = useState('');
+  const [dateFilter, setDateFilter] = useState(EMPTY_DATE_FILTER);
+  const [amountFilter, setAmountFilter] = useState(EMPTY_AMOUNT_FILTER);
+  const [pinnedOnly, setPinnedOnly] = useState(false);
+  const [selectionMode, setSelectionMode] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [showReceiptModal, setShowReceiptModal] = useState(false);
+
+  const handleCategoryToggle = (category) => {
+    setSelectedCategories((prev) => (prev.includes(category) ? prev.filter((c) => c !== category) : [...prev, category]));
+  };
+
+  const toggleSelected = (t) => {
+    setSelectedIds((prev) => (prev.includes(t.id) ? prev.filter((id) => id !== t.id) : [...prev, t.id]));
+  };
+
+  const toggleSelectionMode = () => {
+    setSelectionMode(!selectionMode);
+    setSelectedIds([]);
+  };
+
+  const handleReceiptIssued = () => {
+    setShowReceiptModal(false);
+    setSelectionMode(false);
+    setSelectedIds([]);
+  };
+
+  const filteredTransactions = applyTransactionFilters(
+    transactions.filter((t) => t.isIncome),
+    { selectedCategories, searchText, dateFilter, amountFilter, pinnedOnly, contacts }
+  );
+  const filteredTotal = categoryShareTotal(filteredTransactions, selectedCategories);
+  const pinnedTransactions = filteredTransactions.filter((t) => t.isPinned);
+  const unpinnedTransactions = filteredTransactions.filter((t) => !t.isPinned);
+
+  const handleEdit = (transaction) => setEditingTransaction(transaction);
+  const handleSaveEdit = (updatedTransaction) => {
+    updateTransaction(updatedTransaction.id, updatedTransaction);
+    setEditingTransaction(null);
+  };
+  const handleSaveAdd = (newTransaction) => {
+    addTransaction(newTransaction);
+    setShowAddModal(false);
+  };
+
+  const renderTransaction = (item) => (
+    <TransactionItem
+      key={item.id}
+      t={item}
+      onEdit={handleEdit}
+      onDelete={deleteTransaction}
+      onSelect={selectionMode ? toggleSelected : undefined}
+      selected={selectedIds.includes(item.id)}
+    />
+  );
+
+  return (
+    <View style={{ flex: 1, backgroundColor: theme.primary }}>
+      <View style={{ padding: 12 }}>
+        <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 10 }}>
+          <View>
+            <Text style={{ fontSize: 16, fontWeight: '700', color: theme.text }}>Einnahmen ({filteredTransactions.length})</Text>
+            <Text style={{ fontSize: 12, color: theme.text, opacity: 0.7 }}>Summe: {money(filteredTotal, baseCurrency)}</Text>
+          </View>
+          <View style={{ flexDirection: 'row', gap: 8 }}>
+            <TouchableOpacity
+              onPress={toggleSelectionMode}
+              style={[styles.addButton, { backgroundColor: selectionMode ? theme.accent : theme.card }]}
+            >
+              <Feather name={selectionMode ? 'x' : 'file-text'} size={16} color={selectionMode ? 'white' : theme.accent} />
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => setShowAddModal(true)} style={[styles.addButton, { backgroundColor: '#22c55e' }]}>
+              <Feather name="plus" size={18} color="white" />
+              <Text style={{ color: 'white', fontWeight: '600', marginLeft: 4, fontSize: 13 }}>Hinzufügen</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        {selectionMode && (
+          <View style={[styles.txCard, { backgroundColor: theme.card, justifyContent: 'space-between' }]}>
+            <Text style={{ color: theme.text, flex: 1 }}>
+              {selectedIds.length === 0 ? 'Einträge für die Bestätigung antippen' : `${selectedIds.length} ausgewählt`}
+            </Text>
+            <TouchableOpacity
+              disabled={selectedIds.length === 0}
+              onPress={() => setShowReceiptModal(true)}
+              style={[styles.addButton, { backgroundColor: theme.accent, opacity: selectedIds.length === 0 ? 0.4 : 1 }]}
+            >
+              <Text style={{ color: 'white', fontWeight: '600', fontSize: 13 }}>Bestätigung erstellen</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        <FilterBar
+          selectedCategories={selectedCategories}
+          onCategoryToggle={handleCategoryToggle}
+          isIncome={true}
+          searchText={searchText}
+          onSearchChange={setSearchText}
+          dateFilter={dateFilter}
+          onDateFilterChange={setDateFilter}
+          amountFilter={amountFilter}
+          onAmountFilterChange={setAmountFilter}
+          pinnedOnly={pinnedOnly}
+          onPinnedOnlyChange={setPinnedOnly}
+        />
+
+        {filteredTransactions.length === 0 ? (
+          <View style={{ alignItems: 'center', paddingVertical: 48 }}>
+            <Feather name="trending-up" size={44} color="#22c55e" opacity={0.3} />
+            <Text style={{ color: theme.text, marginTop: 10, opacity: 0.7 }}>
+              {transactions.filter((t) => t.isIncome).length === 0 ? 'Noch keine Einnahmen vorhanden' : 'Keine Einträge entsprechen den Filtern'}
+            </Text>
+          </View>
+        ) : (
+          <FlatList
+            data={unpinnedTransactions}
+            keyExtractor={(item) => item.id.toString()}
+            ListHeaderComponent={<PinnedSection list={pinnedTransactions} renderItem={renderTransaction} />}
+            renderItem={({ item }) => renderTransaction(item)}
+            showsVerticalScrollIndicator={false}
+          />
+        )}
+      </View>
+
+      <AddModal visible={showAddModal} isIncome={true} onClose={() => setShowAddModal(false)} onSave={handleSaveAdd} />
+      <ReceiptModal
+        visible={showReceiptModal}
+        transactions={transactions.filter((t) => selectedIds.includes(t.id))}
+        onClose={() => setShowReceiptModal(false)}
+        onIssued={handleReceiptIssued}
+      />
+      <EditModal visible={!!editingTransaction} transaction={editingTransaction} onClose={() => setEditingTransaction(null)} onSave={handleSaveEdit} />
+    </View>
+  );
+};
+
+// ---------- Screen: Expense ----------
+const ExpenseScreen = () => {
+  const { transactions, isDarkMode, updateTransaction, deleteTransaction, addTransaction, contacts, baseCurrency } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  const [editingTransaction, setEditingTransaction] = useState(null);
+  const [showAddModal, setShowAddModal] = useState(false);
+  const [selectedCategories, setSelectedCategories] = useState([]);
+  const [searchText, setSearchText] = useState('');
+  const [dateFilter, setDateFilter] = useState(EMPTY_DATE_FILTER);
+  const [amountFilter, setAmountFilter] = useState(EMPTY_AMOUNT_FILTER);
+  const [pinnedOnly, setPinnedOnly] = useState(false);
+  const [showBudgets, setShowBudgets] = useState(false);
+
+  const handleCategoryToggle = (category) => {
+    setSelectedCategories((prev) => (prev.includes(category) ? prev.filter((c) => c !== category) : [...prev, category]));
+  };
+
+  const filteredTransactions = applyTransactionFilters(
+    transactions.filter((t) => !t.isIncome),
+    { selectedCategories, searchText, dateFilter, amountFilter, pinnedOnly, contacts }
+  );
+  const filteredTotal = categoryShareTotal(filteredTransactions, selectedCategories);
+  const pinnedTransactions = filteredTransactions.filter((t) => t.isPinned);
+  const unpinnedTransactions = filteredTransactions.filter((t) => !t.isPinned);
+
+  const handleEdit = (transaction) => setEditingTransaction(transaction);
+  const handleSaveEdit = (updatedTransaction) => {
+    updateTransaction(updatedTransaction.id, updatedTransaction);
+    setEditingTransaction(null);
+  };
+  const handleSaveAdd = (newTransaction) => {
+    addTransaction(newTransaction);
+    setShowAddModal(false);
+  };
+
+  const renderTransaction = (item) => (
+    <TransactionItem key={item.id} t={item} onEdit={handleEdit} onDelete={deleteTransaction} />
+  );
+
+  return (
+    <View style={{ flex: 1, backgroundColor: theme.primary }}>
+      <View style={{ padding: 12 }}>
+        <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 10 }}>
+          <View>
+            <Text style={{ fontSize: 16, fontWeight: '700', color: theme.text }}>Ausgaben ({filteredTransactions.length})</Text>
+            <Text style={{ fontSize: 12, color: theme.text, opacity: 0.7 }}>Summe: {money(filteredTotal, baseCurrency)}</Text>
+          </View>
+          <TouchableOpacity onPress={() => setShowAddModal(true)} style={[styles.addButton, { backgroundColor: '#ef4444' }]}>
+            <Feather name="plus" size={18} color="white" />
+            <Text style={{ color: 'white', fontWeight: '600', marginLeft: 4, fontSize: 13 }}>Hinzufügen</Text>
+          </TouchableOpacity>
+        </View>
+
+        <BudgetStrip onSelect={(b) => setSelectedCategories([b.category])} onManage={() => setShowBudgets(true)} />
+
+        <FilterBar
+          selectedCategories={selectedCategories}
+          onCategoryToggle={handleCategoryToggle}
+          isIncome={false}
+          searchText={searchText}
+          onSearchChange={setSearchText}
+          dateFilter={dateFilter}
+          onDateFilterChange={setDateFilter}
+          amountFilter={amountFilter}
+          onAmountFilterChange={setAmountFilter}
+          pinnedOnly={pinnedOnly}
+          onPinnedOnlyChange={setPinnedOnly}
+        />
+
+        {filteredTransactions.length === 0 ? (
+          <View style={{ alignItems: 'center', paddingVertical: 48 }}>
+            <Feather name="trending-down" size={44} color="#ef4444" opacity={0.3} />
+            <Text style={{ color: theme.text, marginTop: 10, opacity: 0.7 }}>
+              {transactions.filter((t) => !t.isIncome).length === 0 ? 'Noch keine Ausgaben vorhanden' : 'Keine Einträge entsprechen den Filtern'}
+            </Text>
+          </View>
+        ) : (
+          <FlatList
+            data={unpinnedTransactions}
+            keyExtractor={(item) => item.id.toString()}
+            ListHeaderComponent={<PinnedSection list={pinnedTransactions} renderItem={renderTransaction} />}
+            renderItem={({ item }) => renderTransaction(item)}
+            showsVerticalScrollIndicator={false}
+          />
+        )}
+      </View>
+
+      <AddModal visible={showAddModal} isIncome={false} onClose={() => setShowAddModal(false)} onSave={handleSaveAdd} />
+      <EditModal visible={!!editingTransaction} transaction={editingTransaction} onClose={() => setEditingTransaction(null)} onSave={handleSaveEdit} />
+      <BudgetsModal visible={showBudgets} onClose={() => setShowBudgets(false)} />
+    </View>
+  );
+};
+
+// ---------- UI: Contact Picker ----------
+const ContactPicker = ({ value, onChange }) => {
+  const { isDarkMode, contacts, addContact } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  const [newName, setNewName] = useState(null); // null = Eingabefeld zu
+
+  const handleQuickAdd = async () => {
+    const name = (newName || '').trim();
+    if (!name) {
+      setNewName(null);
+      return;
+    }
+    const created = await addContact({ name, kind: 'person', relation: '', phone: '', email: '' });
+    onChange(created.id);
+    setNewName(null);
+  };
+
+  const chip = (key, label, icon, selected, onPress) => (
+    <TouchableOpacity
+      key={key}
+      onPress={onPress}
+      style={[
+        styles.categoryChip,
+        { backgroundColor: selected ? theme.accent : theme.card, borderColor: theme.accent, borderWidth: 2 },
+      ]}
+    >
+      <Feather name={icon} size={14} color={selected ? 'white' : theme.accent} style={{ marginRight: 6 }} />
+      <Text style={[styles.categoryChipText, { color: selected ? 'white' : theme.accent }]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={{ marginTop: 8 }}>
+        <View style={{ flexDirection: 'row', gap: 8 }}>
+          {chip('none', 'Keiner', 'minus', value == null, () => onChange(null))}
+          {contacts.map((c) =>
+            chip(c.id, c.name, c.kind === 'organisation' ? 'briefcase' : 'user', value === c.id, () => onChange(c.id))
+          )}
+          {chip('new', 'Neu', 'user-plus', false, () => setNewName(''))}
+        </View>
+      </ScrollView>
+      {newName !== null && (
+        <View style={{ flexDirection: 'row', gap: 8, marginTop: 8, alignItems: 'center' }}>
+          <TextInput
+            style={[styles.input, { flex: 1, borderColor: theme.secondary, color: theme.text, backgroundColor: theme.card }]}
+            value={newName}
+            onChangeText={setNewName}
+            placeholder="Name des Kontakts"
+            placeholderTextColor={isDarkMode ? '#9fb1c6' : '#7a8ca1'}
+            autoFocus
+            onSubmitEditing={handleQuickAdd}
+          />
+          <TouchableOpacity onPress={handleQuickAdd} style={{ padding: 4 }}>
+            <Feather name="check" size={22} color={theme.accent} />
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+};
+
+// ---------- UI: Progress Bar ----------
+const ProgressBar = ({ progress, color, height = 8 }) => {
+  const { isDarkMode } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  const clamped = Math.max(0, Math.min(1, Number.isFinite(progress) ? progress : 0));
+
+  return (
+    <View style={{ height, borderRadius: height / 2, backgroundColor: theme.secondary, overflow: 'hidden' }}>
+      <View style={{ width: `${clamped * 100}%`, height, borderRadius: height / 2, backgroundColor: color }} />
+    </View>
+  );
+};
+
+// ---------- UI: Campaign Picker ----------
+// Zeigt nur aktive Kampagnen, plus die bereits zugeordnete (auch wenn archiviert)
+const CampaignPicker = ({ value, onChange }) => {
+  const { isDarkMode, campaigns } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  const options = campaigns.filter((c) => !c.archived || c.id === value);
+  if (options.length === 0) return null;
+
+  return (
+    <View style={styles.inputContainer}>
+      <Text style={[styles.label, { color: theme.text }]}>Kampagne (optional)</Text>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={{ marginTop: 8 }}>
+        <View style={{ flexDirection: 'row', gap: 8 }}>
+          {[{ id: null, name: 'Keine' }, ...options].map((c) => {
+            const selected = value === c.id;
+            return (
+              <TouchableOpacity
+                key={String(c.id)}
+                onPress={() => onChange(c.id)}
+                style={[
+                  styles.categoryChip,
+                  { backgroundColor: selected ? theme.accent : theme.card, borderColor: theme.accent, borderWidth: 2 },
+                ]}
+              >
+                <Feather name={c.id == null ? 'minus' : 'flag'} size={14} color={selected ? 'white' : theme.accent} style={{ marginRight: 6 }} />
+                <Text style={[styles.categoryChipText, { color: selected ? 'white' : theme.accent }]}>{c.name}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      </ScrollView>
+    </View>
+  );
+};
+
+// ---------- UI: Account Picker ----------
+// Erst ab zwei aktiven Konten sichtbar; exclude blendet z. B. das Quellkonto einer Umbuchung aus
+const AccountPicker = ({ label = 'Konto', value, onChange, exclude }) => {
+  const { isDarkMode, accounts } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  if (accounts.filter((a) => !a.archived).length < 2) return null;
+  const options = accounts.filter((a) => (!a.archived || a.id === value) && a.id !== exclude);
+
+  return (
+    <View style={styles.inputContainer}>
+      <Text style={[styles.label, { color: theme.text }]}>{label}</Text>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={{ marginTop: 8 }}>
+        <View style={{ flexDirection: 'row', gap: 8 }}>
+          {options.map((a) => {
+            const selected = value === a.id;
+            return (
+              <TouchableOpacity
+                key={String(a.id)}
+                onPress={() => onChange(a.id)}
+                style={[
+                  styles.categoryChip,
+                  { backgroundColor: selected ? theme.accent : theme.card, borderColor: theme.accent, borderWidth: 2 },
+                ]}
+              >
+                <Feather name={a.icon} size={14} color={selected ? 'white' : theme.accent} style={{ marginRight: 6 }} />
+                <Text style={[styles.categoryChipText, { color: selected ? 'white' : theme.accent }]}>{a.name}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      </ScrollView>
+    </View>
+  );
+};
+
+// ---------- UI: Currency Picker ----------
+// Zeigt unter der Auswahl, was der Betrag in der Basiswährung ergibt
+const CurrencyPicker = ({ value, onChange, amount, date }) => {
+  const { isDarkMode, baseCurrency, exchangeRates } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  const val = parseAmount(amount || '');
+  const converted = value !== baseCurrency && isValidAmount(val)
+    ? convertAmount(val, value, baseCurrency, date.toISOString(), exchangeRates)
+    : undefined;
+
+  return (
+    <View style={styles.inputContainer}>
+      <Text style={[styles.label, { color: theme.text }]}>Währung</Text>
+      <View style={[styles.pickerGrid, { marginTop: 8 }]}>
+        {CURRENCIES.map((c) => {
+          const selected = value === c.code;
+          return (
+            <TouchableOpacity
+              key={c.code}
+              onPress={() => onChange(c.code)}
+              style={[styles.filterChip, { backgroundColor: selected ? theme.accent : theme.card, borderColor: theme.accent }]}
+            >
+              <Text style={[styles.filterChipText, { marginLeft: 0, color: selected ? 'white' : theme.accent }]}>
+                {c.symbol} {c.code}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+      {converted === null && (
+        <Text style={{ fontSize: 12, color: '#f59e0b', marginTop: 6 }}>
+          Kein Wechselkurs hinterlegt – der Eintrag zählt bis dahin nicht in den Summen.
+        </Text>
+      )}
+      {converted != null && (
+        <Text style={{ fontSize: 12, color: theme.text, opacity: 0.7, marginTop: 6 }}>≈ {money(converted, baseCurrency)}</Text>
+      )}
+    </View>
+  );
+};
+
+// ---------- UI: Attachments ----------
+// Belege im Formular: hinzufügen per Kamera oder Datei, entfernen per x
+const AttachmentEditor = ({ value, onChange }) => {
+  const { isDarkMode, withAutoLockPaused } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  const [busy, setBusy] = useState(false);
+
+  const add = async (source) => {
+    setBusy(true);
+    try {
+      const attachment = await withAutoLockPaused(source);
+      if (attachment) onChange([...value, attachment]);
+    } catch (e) {
+      console.error('Failed to add attachment', e);
+      Alert.alert('Fehler', 'Der Beleg konnte nicht gespeichert werden.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <View style={styles.inputContainer}>
+      <Text style={[styles.label, { color: theme.text }]}>Belege (optional)</Text>
+      {value.map((a) => (
+        <View key={a.id} style={[styles.attachmentRow, { backgroundColor: theme.card, borderColor: theme.secondary }]}>
+          <Feather name={isImageAttachment(a) ? 'image' : 'file'} size={16} color={theme.accent} />
+          <Text style={{ flex: 1, color: theme.text }} numberOfLines={1}>
+            {a.name}
+          </Text>
+          <TouchableOpacity onPress={() => onChange(value.filter((x) => x.id !== a.id))}>
+            <Feather name="x" size={18} color={theme.text} />
+          </TouchableOpacity>
+        </View>
+      ))}
+      <View style={{ flexDirection: 'row', gap: 8, marginTop: 8, opacity: busy ? 0.5 : 1 }}>
+        {[
+          { label: 'Kamera', icon: 'camera', source: captureAttachment },
+          { label: 'Datei', icon: 'paperclip', source: pickAttachmentFile },
+        ].map((b) => (
+          <TouchableOpacity
+            key={b.label}
+            disabled={busy}
+            onPress={() => add(b.source)}
+            style={[styles.compactQuickBtn, { flex: 1, backgroundColor: theme.card, borderColor: theme.secondary }]}
+          >
+            <Feather name={b.icon} size={16} color={theme.accent} />
+            <Text style={{ color: theme.text, fontWeight: '600', fontSize: 13 }}>{b.label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    </View>
+  );
+};
+
+const AttachmentViewer = ({ visible, attachments, onClose }) => {
+  const { isDarkMode } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  const [missing, setMissing] = useState([]);
+
+  // Nach einer Wiederherstellung aus dem Backup fehlen die Dateien selbst
+  useEffect(() => {
+    if (!visible) return;
+    Promise.all(attachments.map((a) => FileSystem.getInfoAsync(attachmentUri(a))))
+      .then((infos) => setMissing(attachments.filter((a, i) => !infos[i].exists).map((a) => a.id)))
+      .catch((e) => console.error('Failed to check attachments', e));
+  }, [visible]);
+
+  const share = async (a) => {
+    try {
+      if (!(await Sharing.isAvailableAsync())) {
+        Alert.alert('Teilen nicht möglich', 'Auf diesem Gerät ist kein Teilen-Dialog verfügbar.');
+        return;
+      }
+      await Sharing.shareAsync(attachmentUri(a), { mimeType: a.mimeType, dialogTitle: a.name });
+    } catch (e) {
+      console.error('Failed to share attachment', e);
+      Alert.alert('Fehler', 'Der Beleg konnte nicht geöffnet werden.');
+    }
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" presentationStyle="pageSheet">
+      <SafeAreaView style={{ flex: 1, backgroundColor: theme.primary }}>
+        <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', padding: 16 }}>
+          <TouchableOpacity onPress={onClose}>
+            <Feather name="x" size={22} color={theme.text} />
+          </TouchableOpacity>
+          <Text style={{ fontSize: 18, fontWeight: 'bold', color: theme.text }}>Belege ({attachments.length})</Text>
+          <View style={{ width: 22 }} />
+        </View>
+        <ScrollView style={{ flex: 1, padding: 16 }}>
+          {attachments.map((a) => (
+            <View key={a.id} style={[styles.statsCard, { backgroundColor: theme.card }]}>
+              {missing.includes(a.id) ? (
+                <Text style={{ color: '#f59e0b', marginBottom: 8 }}>Datei nicht mehr vorhanden</Text>
+              ) : (
+                isImageAttachment(a) && (
+                  <Image source={{ uri: attachmentUri(a) }} style={styles.attachmentImage} resizeMode="contain" />
+                )
+              )}
+              <View style={{ flexDirection: 'row', alignItems: 'center', gap: 8 }}>
+                <Feather name={isImageAttachment(a) ? 'image' : 'file'} size={16} color={theme.accent} />
+                <Text style={{ flex: 1, color: theme.text }} numberOfLines={1}>
+                  {a.name}
+                </Text>
+                {!missing.includes(a.id) && (
+                  <TouchableOpacity onPress={() => share(a)} style={{ flexDirection: 'row', alignItems: 'center', gap: 4 }}>
+                    <Feather name="share" size={14} color={theme.accent} />
+                    <Text style={{ color: theme.accent, fontWeight: '600' }}>Öffnen</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+            </View>
+          ))}
+          <View style={{ height: 32 }} />
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+// ---------- UI: Campaign Progress ----------
+const daysUntil = (iso) => Math.ceil((new Date(iso).setHours(23, 59, 59, 999) - Date.now()) / 86400000);
+
+const deadlineLabel = (iso) => {
+  if (!iso) return null;
+  const days = daysUntil(iso);
+  if (days < 0) return 'abgelaufen';
+  if (days === 0) return 'endet heute';
+  return `noch ${days} ${days === 1 ? 'Tag' : 'Tage'}`;
+};
+
+const CampaignCard = ({ campaign, onPress, style }) => {
+  const { isDarkMode, baseCurrency } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  const progress = campaign.target > 0 ? campaign.income / campaign.target : 0;
+  const reached = progress >= 1;
+
+  return (
+    <TouchableOpacity onPress={onPress} style={[styles.campaignCard, { backgroundColor: theme.card }, style]}>
+      <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 6 }}>
+        <Text style={{ fontWeight: '700', color: theme.text, flex: 1 }} numberOfLines={1}>
+          {campaign.name}
+        </Text>
+        <Text style={{ fontSize: 12, fontWeight: '700', color: reached ? '#22c55e' : theme.accent }}>
+          {Math.round(progress * 100)} %
+        </Text>
+      </View>
+      <ProgressBar progress={progress} color={reached ? '#22c55e' : theme.accent} />
+      <Text style={{ fontSize: 12, color: theme.text, marginTop: 6 }}>
+        {money(campaign.income, baseCurrency)} von {money(campaign.target, baseCurrency)}
+      </Text>
+      <Text style={{ fontSize: 11, color: theme.text, opacity: 0.7 }}>
+        Saldo {money(campaign.balance, baseCurrency)}
+        {campaign.deadline ? ` • ${deadlineLabel(campaign.deadline)}` : ''}
+      </Text>
+    </TouchableOpacity>
+  );
+};
+
+// Fortschritt aller aktiven Kampagnen unter dem Dashboard
+const CampaignStrip = ({ onSelect }) => {
+  const { campaignSummaries } = useContext(DonationContext);
+  const active = campaignSummaries.filter((c) => !c.archived);
+  if (active.length === 0) return null;
+
+  return (
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      style={{ flexGrow: 0 }}
+      contentContainerStyle={{ paddingHorizontal: 12, paddingBottom: 4, gap: 8 }}
+    >
+      {active.map((c) => (
+        <CampaignCard key={c.id} campaign={c} onPress={() => onSelect(c)} style={{ width: 220 }} />
+      ))}
+    </ScrollView>
+  );
+};
+
+// ---------- UI: Budget Progress ----------
+const BudgetCard = ({ budget, onPress, style }) => {
+  const { isDarkMode, categories, baseCurrency } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  const color = budget.over ? '#ef4444' : categoryColor(budget.category, false, categories);
+
+  return (
+    <TouchableOpacity
+      onPress={onPress}
+      style={[styles.campaignCard, { backgroundColor: theme.card }, budget.over && { borderWidth: 1, borderColor: '#ef4444' }, style]}
+    >
+      <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 6 }}>
+        <View style={{ flexDirection: 'row', alignItems: 'center', gap: 6, flex: 1 }}>
+          <View style={[styles.colorDot, { backgroundColor: categoryColor(budget.category, false, categories) }]} />
+          <Text style={{ fontWeight: '700', color: theme.text, flex: 1 }} numberOfLines={1}>
+            {budget.category}
+          </Text>
+        </View>
+        <Text style={{ fontSize: 12, fontWeight: '700', color }}>{Math.round(budget.progress * 100)} %</Text>
+      </View>
+      <ProgressBar progress={budget.progress} color={color} />
+      <Text style={{ fontSize: 12, color: theme.text, marginTop: 6 }}>
+        {money(budget.spent, baseCurrency)} von {money(budget.limit, baseCurrency)}
+      </Text>
+      <Text style={{ fontSize: 11, color: budget.over ? '#ef4444' : theme.text, opacity: budget.over ? 1 : 0.7 }}>
+        {budget.over ? `${money(budget.spent - budget.limit, baseCurrency)} darüber` : `noch ${money(budget.limit - budget.spent, baseCurrency)}`}
+        {` • ${budget.periodLabel}`}
+      </Text>
+    </TouchableOpacity>
+  );
+};
+
+// Budgets der Ausgaben-Kategorien im laufenden Monat/Jahr
+const BudgetStrip = ({ onSelect, onManage }) => {
+  const { isDarkMode, budgetSummaries } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  if (budgetSummaries.length === 0) return null;
+
+  return (
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      style={{ flexGrow: 0, marginBottom: 10 }}
+      contentContainerStyle={{ gap: 8 }}
+    >
+      {budgetSummaries.map((b) => (
+        <BudgetCard key={b.id} budget={b} onPress={() => onSelect(b)} style={{ width: 200 }} />
+      ))}
+      <TouchableOpacity onPress={onManage} style={[styles.campaignCard, { backgroundColor: theme.card, justifyContent: 'center', alignItems: 'center', width: 90 }]}>
+        <Feather name="sliders" size={18} color={theme.accent} />
+        <Text style={{ fontSize: 12, fontWeight: '600', color: theme.accent, marginTop: 4 }}>Budgets</Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+};
+
+// ---------- UI: Account Balances ----------
+const AccountCard = ({ account, onPress, style }) => {
+  const { isDarkMode, baseCurrency } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+
+  return (
+    <TouchableOpacity onPress={onPress} disabled={!onPress} style={[styles.campaignCard, { backgroundColor: theme.card }, style]}>
+      <View style={{ flexDirection: 'row', alignItems: 'center', gap: 6, marginBottom: 4 }}>
+        <Feather name={account.icon} size={14} color={theme.accent} />
+        <Text style={{ fontWeight: '700', color: theme.text, flex: 1 }} numberOfLines={1}>
+          {account.name}
+        </Text>
+      </View>
+      <Text style={{ fontSize: 16, fontWeight: '700', color: account.balance >= 0 ? theme.text : '#ef4444' }}>
+        {money(account.balance, baseCurrency)}
+      </Text>
+      {account.missingRate && (
+        <Text style={{ fontSize: 11, color: '#f59e0b' }}>Kurs für den Anfangsbestand fehlt</Text>
+      )}
+    </TouchableOpacity>
+  );
+};
+
+// Stand je Konto und Gesamtstand unter dem Dashboard, sobald es mehr als ein Konto gibt
+const AccountStrip = ({ onSelect }) => {
+  const { accountSummaries, combinedBalance } = useContext(DonationContext);
+  if (accountSummaries.length < 2) return null;
+  const total = { id: 'total', name: 'Gesamt', icon: 'layers', balance: combinedBalance };
+
+  return (
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      style={{ flexGrow: 0 }}
+      contentContainerStyle={{ paddingHorizontal: 12, paddingBottom: 8, gap: 8 }}
+    >
+      <AccountCard account={total} style={{ width: 150 }} />
+      {accountSummaries
+        .filter((a) => !a.archived)
+        .map((a) => (
+          <AccountCard key={a.id} account={a} onPress={() => onSelect(a)} style={{ width: 150 }} />
+        ))}
+    </ScrollView>
+  );
+};
+
+// ---------- UI: Segmented Toggle (Einnahmen / Ausgaben) ----------
+const TypeToggle = ({ isIncome, onChange }) => {
+  const { isDarkMode } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+
+  return (
+    <View style={[styles.typeToggle, { backgroundColor: theme.secondary }]}>
+      {[true, false].map((value) => (
+        <TouchableOpacity
+          key={String(value)}
+          onPress={() => onChange(value)}
+          style={[styles.typeToggleItem, isIncome === value && { backgroundColor: value ? '#22c55e' : '#ef4444' }]}
+        >
+          <Text style={{ fontWeight: '600', fontSize: 13, color: isIncome === value ? 'white' : theme.text }}>
+            {value ? 'Einnahmen' : 'Ausgaben'}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+};
+
+// ---------- UI: Category Manager ----------
+const CategoryManagerModal = ({ visible, onClose }) => {
+  const {
+    isDarkMode,
+    categories,
+    transactions,
+    recurringRules,
+    addCategory,
+    updateCategory,
+    moveCategory,
+    setCategoryArchived,
+    deleteCategory,
+  } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+
+  const [isIncome, setIsIncome] = useState(true);
+  const [form, setForm] = useState(null); // { original, label, color, icon } beim Bearbeiten/Anlegen
+  const [reassigning, setReassigning] = useState(null); // Kategorie, die gelöscht werden soll, aber noch verwendet wird
+
+  const pool = categoryPool(isIncome, categories);
+  const entryCount = (value) => transactions.filter((t) => t.isIncome === isIncome && hasCategory(t, value)).length;
+  const ruleCount = (value) => recurringRules.filter((r) => r.isIncome === isIncome && r.category === value).length;
+  // Wiederkehrende Buchungen zählen mit, sonst buchen sie nach dem Löschen in eine Kategorie, die es nicht mehr gibt
+  const usageCount = (value) => entryCount(value) + ruleCount(value);
+  const usageText = (value) =>
+    [`${entryCount(value)} Einträge`, ruleCount(value) > 0 && `${ruleCount(value)} wiederkehrende Buchungen`].filter(Boolean).join(' und ');
+
+  useEffect(() => {
+    if (visible) {
+      setForm(null);
+      setReassigning(null);
+    }
+  }, [visible]);
+
+  const startNew = () => setForm({ original: null, label: '', color: CATEGORY_COLORS[0], icon: CATEGORY_ICONS[0] });
+  const startEdit = (cat) => setForm({ original: cat.value, label: cat.label, color: cat.color, icon: cat.icon });
+
+  const handleSaveForm = async () => {
+    const label = form.label.trim();
+    if (!label) {
+      Alert.alert('Fehler', 'Bitte gib einen Namen ein.');
+      return;
+    }
+    if (pool.some((c) => c.value === label && c.value !== form.original)) {
+      Alert.alert('Fehler', `Die Kategorie "${label}" gibt es bereits.`);
+      return;
+    }
+    if (form.original) {
+      await updateCategory(isIncome, form.original, { label, color: form.color, icon: form.icon });
+    } else {
+      await addCategory(isIncome, { label, color: form.color, icon: form.icon });
+    }
+    setForm(null);
+  };
+
+  const handleArchive = (cat) => {
+    if (!cat.archived && activeCategories(isIncome, categories).length === 1) {
+      Alert.alert('Nicht möglich', 'Mindestens eine aktive Kategorie wird benötigt.');
+      return;
+    }
+    setCategoryArchived(isIncome, cat.value, !cat.archived);
+  };
+
+  const handleDelete = (cat) => {
+    const remaining = pool.filter((c) => c.value !== cat.value && !c.archived);
+    if (remaining.length === 0) {
+      Alert.alert('Nicht möglich', 'Mindestens eine aktive Kategorie wird benötigt.');
+      return;
+    }
+    if (usageCount(cat.value) > 0) {
+      setReassigning(cat);
+      return;
+    }
+    Alert.alert('Kategorie löschen', `"${cat.label}" wirklich löschen?`, [
+      { text: 'Abbrechen', style: 'cancel' },
+      { text: 'Löschen', style: 'destructive', onPress: () => deleteCategory(isIncome, cat.value) },
+    ]);
+  };
+
+  const handleReassign = async (target) => {
+    await deleteCategory(isIncome, reassigning.value, target.value);
+    setReassigning(null);
+  };
+
+  const renderForm = () => (
+    <ScrollView style={{ flex: 1, padding: 16 }}>
+      <View style={styles.inputContainer}>
+        <Text style={[styles.label, { color: theme.text }]}>Name</Text>
+        <TextInput
+          style={[styles.input, { borderColor: theme.secondary, color: theme.text, backgroundColor: theme.card }]}
+          value={form.label}
+          onChangeText={(label) => setForm({ ...form, label })}
+          placeholder="z. B. Betterplace"
+          placeholderTextColor={isDarkMode ? '#9fb1c6' : '#7a8ca1'}
+        />
+        {form.original && form.label.trim() !== form.original && usageCount(form.original) > 0 ? (
+          <Text style={{ fontSize: 12, color: theme.text, opacity: 0.7, marginTop: 6 }}>
+            {usageText(form.original)} werden mit umbenannt.
+          </Text>
+        ) : null}
+      </View>
+
+      <View style={styles.inputContainer}>
+        <Text style={[styles.label, { color: theme.text }]}>Farbe</Text>
+        <View style={styles.pickerGrid}>
+          {CATEGORY_COLORS.map((color) => (
+            <TouchableOpacity
+              key={color}
+              onPress={() => setForm({ ...form, color })}
+              style={[styles.colorSwatch, { backgroundColor: color, borderColor: form.color === color ? theme.text : 'transparent' }]}
+            />
+          ))}
+        </View>
+      </View>
+
+      <View style={styles.inputContainer}>
+        <Text style={[styles.label, { color: theme.text }]}>Symbol</Text>
+        <View style={styles.pickerGrid}>
+          {CATEGORY_ICONS.map((icon) => (
+            <TouchableOpacity
+              key={icon}
+              onPress={() => setForm({ ...form, icon })}
+              style={[
+                styles.iconSwatch,
+                { backgroundColor: form.icon === icon ? form.color : theme.card, borderColor: form.color },
+              ]}
+            >
+              <Feather name={icon} size={18} color={form.icon === icon ? 'white' : form.color} />
+            </TouchableOpacity>
+          ))}
+        </View>
+      </View>
+    </ScrollView>
+  );
+
+  const renderReassign = () => (
+    <ScrollView style={{ flex: 1, padding: 16 }}>
+      <Text style={{ color: theme.text, marginBottom: 12 }}>
+        "{reassigning.label}" wird noch verwendet ({usageText(reassigning.value)}). Wähle eine Kategorie, in die diese
+        verschoben werden:
+      </Text>
+      <View style={{ flexDirection: 'row', flexWrap: 'wrap', gap: 8 }}>
+        {pool
+          .filter((c) => c.value !== reassigning.value && !c.archived)
+          .map((c) => (
+            <CategoryChip
+              key={c.value}
+              category={c.value}
+              isIncome={isIncome}
+              isSelected={false}
+              onPress={() => handleReassign(c)}
+            />
+          ))}
+      </View>
+    </ScrollView>
+  );
+
+  const renderList = () => (
+    <ScrollView style={{ flex: 1, padding: 16 }}>
+      <TypeToggle isIncome={isIncome} onChange={setIsIncome} />
+      {pool.map((cat, index) => (
+        <View key={cat.value} style={[styles.txCard, { backgroundColor: theme.card, opacity: cat.archived ? 0.6 : 1 }]}>
+          <View style={[styles.categoryIconBadge, { backgroundColor: cat.color }]}>
+            <Feather name={cat.icon} size={14} color="white" />
+          </View>
+          <View style={{ flex: 1 }}>
+            <Text style={{ fontWeight: '700', fontSize: 15, color: theme.text }}>{cat.label}</Text>
+            <Text style={{ fontSize: 12, color: theme.text, opacity: 0.7 }}>
+              {usageText(cat.value)}{cat.archived ? ' • archiviert' : ''}
+            </Text>
+          </View>
+          <View style={{ flexDirection: 'row', gap: 2 }}>
+            <TouchableOpacity disabled={index === 0} onPress={() => moveCategory(isIncome, cat.value, -1)} style={{ padding: 4 }}>
+              <Feather name="chevron-up" size={16} color={theme.text} style={{ opacity: index === 0 ? 0.3 : 1 }} />
+            </TouchableOpacity>
+            <TouchableOpacity
+              disabled={index === pool.length - 1}
+              onPress={() => moveCategory(isIncome, cat.value, 1)}
+              style={{ padding: 4 }}
+            >
+              <Feather name="chevron-down" size={16} color={theme.text} style={{ opacity: index === pool.length - 1 ? 0.3 : 1 }} />
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => startEdit(cat)} style={{ padding: 4 }}>
+              <Feather name="edit-2" size={16} color={theme.text} />
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => handleArchive(cat)} style={{ padding: 4 }}>
+              <Feather name={cat.archived ? 'rotate-ccw' : 'archive'} size={16} color={theme.text} />
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => handleDelete(cat)} style={{ padding: 4 }}>
+              <Feather name="trash-2" size={16} color="#ef4444" />
+            </TouchableOpacity>
+          </View>
+        </View>
+      ))}
+      <TouchableOpacity
+        onPress={startNew}
+        style={[styles.compactQuickBtn, { backgroundColor: theme.card, borderColor: theme.secondary, marginTop: 4, marginBottom: 32 }]}
+      >
+        <Feather name="plus-circle" size={16} color={theme.accent} />
+        <Text style={{ color: theme.text, fontWeight: '600', fontSize: 13 }}>Neue Kategorie</Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+
+  const title = form ? (form.original ? 'Kategorie bearbeiten' : 'Neue Kategorie') : reassigning ? 'Einträge verschieben' : 'Kategorien';
+  const handleBack = () => {
+    if (form) setForm(null);
+    else if (reassigning) setReassigning(null);
+    else onClose();
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" presentationStyle="pageSheet">
+      <SafeAreaView style={{ flex: 1, backgroundColor: theme.primary }}>
+        <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', padding: 16 }}>
+          <TouchableOpacity onPress={handleBack}>
+            <Feather name={form || reassigning ? 'arrow-left' : 'x'} size={22} color={theme.text} />
+          </TouchableOpacity>
+          <Text style={{ fontSize: 18, fontWeight: 'bold', color: theme.text }}>{title}</Text>
+          {form ? (
+            <TouchableOpacity onPress={handleSaveForm}>
+              <Feather name="check" size={22} color={theme.accent} />
+            </TouchableOpacity>
+          ) : (
+            <View style={{ width: 22 }} />
+          )}
+        </View>
+        {form ? renderForm() : reassigning ? renderReassign() : renderList()}
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+// ---------- UI: Charts ----------
+const CHART_HEIGHT = 160;
+const MONTH_INITIALS = MONTH_NAMES.map((m) => m[0]);
+
+// Einnahmen (grün) und Ausgaben (rot) je Monat nebeneinander
+const MonthlyBarChart = ({ months, highlight, onSelect }) => {
+  const { isDarkMode } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  const [width, setWidth] = useState(0);
+
+  const max = Math.max(1, ...months.map((m) => Math.max(m.income, m.expense)));
+  const labelSpace = 16;
+  const slot = width / months.length;
+  const barWidth = Math.max(2, slot / 2 - 3);
+  const scale = (v) => (v / max) * (CHART_HEIGHT - labelSpace - 4);
+
+  return (
+    <View onLayout={(e) => setWidth(e.nativeEvent.layout.width)}>
+      {width > 0 && (
+        <Svg width={width} height={CHART_HEIGHT}>
+          {months.map((m, i) => {
+            const x = i * slot + (slot - barWidth * 2 - 2) / 2;
+            const base = CHART_HEIGHT - labelSpace;
+            const faded = highlight !== null && highlight !== i;
+            return (
+              <React.Fragment key={i}>
+                <Rect
+                  x={x}
+                  y={base - scale(m.income)}
+                  width={barWidth}
+                  height={scale(m.income)}
+                  rx={2}
+                  fill="#22c55e"
+                  opacity={faded ? 0.35 : 1}
+                  onPress={() => onSelect(i, true)}
+                />
+                <Rect
+                  x={x + barWidth + 2}
+                  y={base - scale(m.expense)}
+                  width={barWidth}
+                  height={scale(m.expense)}
+                  rx={2}
+                  fill="#ef4444"
+                  opacity={faded ? 0.35 : 1}
+                  onPress={() => onSelect(i, false)}
+                />
+                <SvgText
+                  x={i * slot + slot / 2}
+                  y={CHART_HEIGHT - 3}
+                  fontSize={10}
+                  fill={theme.text}
+                  textAnchor="middle"
+                  fontWeight={highlight === i ? 'bold' : 'normal'}
+                >
+                  {MONTH_INITIALS[i]}
+                </SvgText>
+              </React.Fragment>
+            );
+          })}
+        </Svg>
+      )}
+    </View>
+  );
+};
+
+// Verlauf des Gesamtsaldos; points: [{ label, value }]
+const BalanceLineChart = ({ points, onSelect }) => {
+  const { isDarkMode } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  const [width, setWidth] = useState(0);
+
+  const values = points.map((p) => p.value);
+  const min = Math.min(0, ...values);
+  const max = Math.max(1, ...values);
+  const pad = 8;
+  const x = (i) => pad + (points.length > 1 ? (i / (points.length - 1)) * (width - pad * 2) : (width - pad * 2) / 2);
+  const y = (v) => pad + (1 - (v - min) / (max - min || 1)) * (CHART_HEIGHT - pad * 2);
+  const path = points.map((p, i) => `${i === 0 ? 'M' : 'L'}${x(i)},${y(p.value)}`).join(' ');
+
+  return (
+    <View onLayout={(e) => setWidth(e.nativeEvent.layout.width)}>
+      {width > 0 && points.length > 0 && (
+        <Svg width={width} height={CHART_HEIGHT}>
+          <Line x1={pad} x2={width - pad} y1={y(0)} y2={y(0)} stroke={theme.text} strokeOpacity={0.3} strokeDasharray="4 4" />
+          <Path d={path} stroke={theme.accent} strokeWidth={2} fill="none" />
+          {points.map((p, i) => (
+            <Circle
+              key={i}
+              cx={x(i)}
+              cy={y(p.value)}
+              r={points.length > 16 ? 2.5 : 4}
+              fill={p.value >= 0 ? theme.accent : '#ef4444'}
+              onPress={() => onSelect(i)}
+            />
+          ))}
+        </Svg>
+      )}
+    </View>
+  );
+};
+
+const polar = (c, r, angle) => [c + r * Math.sin(angle), c - r * Math.cos(angle)];
+
+// Ringsegment von a0 bis a1 (Bogenmaß, 0 = oben, im Uhrzeigersinn)
+const donutSegmentPath = (c, outer, inner, a0, a1) => {
+  const end = Math.min(a1, a0 + Math.PI * 2 - 0.0001);
+  const large = end - a0 > Math.PI ? 1 : 0;
+  const [ox0, oy0] = polar(c, outer, a0);
+  const [ox1, oy1] = polar(c, outer, end);
+  const [ix1, iy1] = polar(c, inner, end);
+  const [ix0, iy0] = polar(c, inner, a0);
+  return `M${ox0},${oy0} A${outer},${outer} 0 ${large} 1 ${ox1},${oy1} L${ix1},${iy1} A${inner},${inner} 0 ${large} 0 ${ix0},${iy0} Z`;
+};
+
+// slices: [{ key, value, color }]
+const DonutChart = ({ slices, size = 170, centerLabel, onSelect }) => {
+  const { isDarkMode } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  const total = slices.reduce((s, x) => s + x.value, 0);
+  const c = size / 2;
+
+  let angle = 0;
+  return (
+    <Svg width={size} height={size}>
+      {slices.map((slice) => {
+        const a0 = angle;
+        angle += (slice.value / total) * Math.PI * 2;
+        return (
+          <Path
+            key={slice.key}
+            d={donutSegmentPath(c, c, c * 0.6, a0, angle)}
+            fill={slice.color}
+            onPress={() => onSelect(slice)}
+          />
+        );
+      })}
+      {centerLabel ? (
+        <SvgText x={c} y={c + 5} fontSize={14} fontWeight="bold" fill={theme.text} textAnchor="middle">
+          {centerLabel}
+        </SvgText>
+      ) : null}
+    </Svg>
+  );
+};
+
+// ---------- UI: Transaction List Modal ----------
+const TransactionListModal = ({ visible, title, list, onClose }) => {
+  const { isDarkMode, updateTransaction, deleteTransaction } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  const [editingTransaction, setEditingTransaction] = useState(null);
+
+  const handleSaveEdit = (updatedTransaction) => {
+    updateTransaction(updatedTransaction.id, updatedTransaction);
+    setEditingTransaction(null);
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" presentationStyle="pageSheet">
+      <SafeAreaView style={{ flex: 1, backgroundColor: theme.primary }}>
+        <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', padding: 16 }}>
+          <TouchableOpacity onPress={onClose}>
+            <Feather name="x" size={22} color={theme.text} />
+          </TouchableOpacity>
+          <Text style={{ fontSize: 18, fontWeight: 'bold', color: theme.text }}>{title}</Text>
+          <View style={{ width: 22 }} />
+        </View>
+        <FlatList
+          data={list}
+          keyExtractor={(item) => item.id.toString()}
+          renderItem={({ item }) => <TransactionItem t={item} onEdit={setEditingTransaction} onDelete={deleteTransaction} />}
+          contentContainerStyle={{ padding: 12 }}
+          ListEmptyComponent={
+            <Text style={{ color: theme.text, opacity: 0.7, textAlign: 'center', marginTop: 24 }}>Keine Einträge</Text>
+          }
+        />
+        <EditModal
+          visible={!!editingTransaction}
+          transaction={editingTransaction}
+          onClose={() => setEditingTransaction(null)}
+          onSave={handleSaveEdit}
+        />
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+// ---------- UI: All Transactions ----------
+const HISTORY_PAGE_SIZE = 50;
+
+// Einnahmen und Ausgaben gemeinsam, nach Monaten gruppiert; weitere Einträge werden beim Scrollen nachgeladen
+const AllTransactionsModal = ({ visible, onClose }) => {
+  const { transactions, isDarkMode, updateTransaction, deleteTransaction, baseCurrency } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  const [visibleCount, setVisibleCount] = useState(HISTORY_PAGE_SIZE);
+  const [editingTransaction, setEditingTransaction] = useState(null);
+
+  useEffect(() => {
+    if (visible) setVisibleCount(HISTORY_PAGE_SIZE);
+  }, [visible]);
+
+  const sections = useMemo(() => monthSections(transactions, visibleCount), [transactions, visibleCount]);
+  const hasMore = visibleCount < transactions.length;
+
+  const handleSaveEdit = (updatedTransaction) => {
+    updateTransaction(updatedTransaction.id, updatedTransaction);
+    setEditingTransaction(null);
+  };
+
+  const renderSectionHeader = ({ section }) => {
+    const net = section.income - section.expense;
+    return (
+      <View style={[styles.monthHeader, { backgroundColor: theme.primary, borderBottomColor: theme.secondary }]}>
+        <Text style={{ fontSize: 15, fontWeight: '700', color: theme.text }}>{section.title}</Text>
+        <View style={{ flexDirection: 'row', gap: 10, marginTop: 2 }}>
+          <Text style={{ fontSize: 12, color: '#22c55e', fontWeight: '600' }}>+ {money(section.income, baseCurrency)}</Text>
+          <Text style={{ fontSize: 12, color: '#ef4444', fontWeight: '600' }}>- {money(section.expense, baseCurrency)}</Text>
+          <Text style={{ fontSize: 12, color: net >= 0 ? theme.text : '#ef4444', fontWeight: '700' }}>
+            Netto {money(net, baseCurrency)}
+          </Text>
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" presentationStyle="pageSheet">
+      <SafeAreaView style={{ flex: 1, backgroundColor: theme.primary }}>
+        <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', padding: 16 }}>
+          <TouchableOpacity onPress={onClose}>
+            <Feather name="x" size={22} color={theme.text} />
+          </TouchableOpacity>
+          <Text style={{ fontSize: 18, fontWeight: 'bold', color: theme.text }}>Alle Transaktionen ({transactions.length})</Text>
+          <View style={{ width: 22 }} />
+        </View>
+        <SectionList
+          sections={sections}
+          keyExtractor={(item) => item.id.toString()}
+          renderItem={({ item }) => (
+            <View style={{ paddingHorizontal: 12 }}>
+              <TransactionItem t={item} onEdit={setEditingTransaction} onDelete={deleteTransaction} />
+            </View>
+          )}
+          renderSectionHeader={renderSectionHeader}
+          stickySectionHeadersEnabled
+          initialNumToRender={20}
+          onEndReached={() => hasMore && setVisibleCount((c) => c + HISTORY_PAGE_SIZE)}
+          onEndReachedThreshold={0.5}
+          ListEmptyComponent={
+            <Text style={{ color: theme.text, opacity: 0.7, textAlign: 'center', marginTop: 24 }}>Keine Einträge</Text>
+          }
+          ListFooterComponent={
+            hasMore ? (
+              <Text style={{ color: theme.text, opacity: 0.6, textAlign: 'center', paddingVertical: 16 }}>Weitere werden geladen…</Text>
+            ) : (
+              <View style={{ height: 24 }} />
+            )
+          }
+        />
+        <EditModal
+          visible={!!editingTransaction}
+          transaction={editingTransaction}
+          onClose={() => setEditingTransaction(null)}
+          onSave={handleSaveEdit}
+        />
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+// ---------- Screen: Statistics ----------
+const StatisticsScreen = () => {
+  const { transactions, isDarkMode, categories, baseCurrency } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  const now = new Date();
+  const [year, setYear] = useState(now.getFullYear());
+  const [month, setMonth] = useState(now.getMonth()); // null = ganzes Jahr
+  const [breakdownIncome, setBreakdownIncome] = useState(true);
+  const [drilldown, setDrilldown] = useState(null); // { title, filter }
+
+  const { from, to } = periodRange(year, month);
+  const periodList = transactions.filter((t) => inRange(t, from, to));
+  const periodIncome = sumAmounts(periodList.filter((t) => t.isIncome));
+  const periodExpense = sumAmounts(periodList.filter((t) => !t.isIncome));
+  const periodLabel = month === null ? String(year) : `${MONTH_NAMES[month]} ${year}`;
+
+  const months = monthlyTotals(transactions, year);
+
+  // Jahr: Saldo am Monatsende; Monat: Saldo am Ende jedes Tages
+  const balancePoints = (() => {
+    if (month === null) {
+      const cutoffs = MONTH_NAMES.map((_, i) => new Date(year, i + 1, 1));
+      return runningBalance(transactions, cutoffs).map((value, i) => ({ label: `Ende ${MONTH_NAMES[i]}`, value, index: i }));
+    }
+    const days = new Date(year, month + 1, 0).getDate();
+    const cutoffs = Array.from({ length: days }, (_, i) => new Date(year, month, i + 2));
+    return runningBalance(transactions, cutoffs).map((value, i) => ({ label: `${i + 1}. ${MONTH_NAMES[month]}`, value, index: i }));
+  })();
+
+  const breakdown = categoryBreakdown(periodList, breakdownIncome);
+  const breakdownTotal = breakdown.reduce((sum, b) => sum + b.total, 0);
+
+  const shiftPeriod = (dir) => {
+    if (month === null) {
+      setYear(year + dir);
+      return;
+    }
+    const d = new Date(year, month + dir, 1);
+    setYear(d.getFullYear());
+    setMonth(d.getMonth());
+  };
+
+  const openMonth = (m, isIncome) => {
+    const range = periodRange(year, m);
+    setDrilldown({
+      title: `${isIncome ? 'Einnahmen' : 'Ausgaben'} ${MONTH_NAMES[m]}`,
+      filter: (t) => t.isIncome === isIncome && inRange(t, range.from, range.to),
+    });
+  };
+
+  const openBalancePoint = (point) => {
+    const range =
+      month === null
+        ? periodRange(year, point.index)
+        : { from: new Date(year, month, point.index + 1), to: new Date(year, month, point.index + 2) };
+    setDrilldown({ title: point.label, filter: (t) => inRange(t, range.from, range.to) });
+  };
+
+  const openCategory = (slice) => {
+    setDrilldown({
+      title: slice.key,
+      filter: (t) => t.isIncome === breakdownIncome && hasCategory(t, slice.key) && inRange(t, from, to),
+    });
+  };
+
+  return (
+    <View style={{ flex: 1, backgroundColor: theme.primary }}>
+      <ScrollView contentContainerStyle={{ padding: 12, paddingBottom: 32 }}>
+        {/* Zeitraum */}
+        <View style={[styles.txCard, { backgroundColor: theme.card, justifyContent: 'space-between' }]}>
+          <TouchableOpacity onPress={() => shiftPeriod(-1)} style={{ padding: 4 }}>
+            <Feather name="chevron-left" size={20} color={theme.text} />
+          </TouchableOpacity>
+          <Text style={{ fontWeight: '700', fontSize: 16, color: theme.text }}>{periodLabel}</Text>
+          <TouchableOpacity onPress={() => shiftPeriod(1)} style={{ padding: 4 }}>
+            <Feather name="chevron-right" size={20} color={theme.text} />
+          </TouchableOpacity>
+        </View>
+        <View style={[styles.typeToggle, { backgroundColor: theme.secondary }]}>
+          {[
+            { label: 'Monat', active: month !== null, onPress: () => setMonth(month === null ? now.getMonth() : month) },
+            { label: 'Jahr', active: month === null, onPress: () => setMonth(null) },
+          ].map((opt) => (
+            <TouchableOpacity
+              key={opt.label}
+              onPress={opt.onPress}
+              style={[styles.typeToggleItem, opt.active && { backgroundColor: theme.accent }]}
+            >
+              <Text style={{ fontWeight: '600', fontSize: 13, color: opt.active ? 'white' : theme.text }}>{opt.label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {/* Kennzahlen */}
+        <View style={{ flexDirection: 'row', gap: 8, marginBottom: 8 }}>
+          {[
+            { label: 'Einnahmen', value: periodIncome, color: '#22c55e' },
+            { label: 'Ausgaben', value: periodExpense, color: '#ef4444' },
+            { label: 'Saldo', value: periodIncome - periodExpense, color: theme.accent },
+          ].map((k) => (
+            <View key={k.label} style={[styles.statsKpi, { backgroundColor: theme.card }]}>
+              <Text style={{ fontSize: 11, color: theme.text, opacity: 0.7 }}>{k.label}</Text>
+              <Text style={{ fontSize: 14, fontWeight: '800', color: k.color }}>{money(k.value, baseCurrency)}</Text>
+            </View>
+          ))}
+        </View>
+
+        {/* Balken */}
+        <View style={[styles.statsCard, { backgroundColor: theme.card }]}>
+          <Text style={[styles.statsCardTitle, { color: theme.text }]}>Einnahmen vs. Ausgaben {year}</Text>
+          <MonthlyBarChart months={months} highlight={month} onSelect={openMonth} />
+        </View>
+
+        {/* Saldo-Verlauf */}
+        <View style={[styles.statsCard, { backgroundColor: theme.card }]}>
+          <Text style={[styles.statsCardTitle, { color: theme.text }]}>Saldo-Verlauf</Text>
+          <BalanceLineChart points={balancePoints} onSelect={(i) => openBalancePoint(balancePoints[i])} />
+        </View>
+
+        {/* Kategorien */}
+        <View style={[styles.statsCard, { backgroundColor: theme.card }]}>
+          <Text style={[styles.statsCardTitle, { color: theme.text }]}>Nach Kategorie</Text>
+          <TypeToggle isIncome={breakdownIncome} onChange={setBreakdownIncome} />
+          {breakdown.length === 0 ? (
+            <Text style={{ color: theme.text, opacity: 0.7, textAlign: 'center', paddingVertical: 24 }}>
+              Keine Einträge in diesem Zeitraum
+            </Text>
+          ) : (
+            <View style={{ alignItems: 'center' }}>
+              <DonutChart
+                slices={breakdown.map((b) => ({
+                  key: b.category,
+                  value: b.total,
+                  color: categoryColor(b.category, breakdownIncome, categories),
+                }))}
+                centerLabel={money(breakdownTotal, baseCurrency)}
+                onSelect={openCategory}
+              />
+              <View style={{ alignSelf: 'stretch', marginTop: 12 }}>
+                {breakdown.map((b) => (
+                  <TouchableOpacity
+                    key={b.category}
+                    onPress={() => openCategory({ key: b.category })}
+                    style={styles.legendRow}
+                  >
+                    <View style={[styles.colorDot, { backgroundColor: categoryColor(b.category, breakdownIncome, categories) }]} />
+                    <Text style={{ flex: 1, color: theme.text }}>{b.category}</Text>
+                    <Text style={{ color: theme.text, opacity: 0.7, marginRight: 8 }}>
+                      {Math.round((b.total / breakdownTotal) * 100)} %
+                    </Text>
+                    <Text style={{ color: theme.text, fontWeight: '700' }}>{money(b.total, baseCurrency)}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+          )}
+        </View>
+      </ScrollView>
+
+      <TransactionListModal
+        visible={!!drilldown}
+        title={drilldown?.title || ''}
+        list={drilldown ? transactions.filter(drilldown.filter) : []}
+        onClose={() => setDrilldown(null)}
+      />
+    </View>
+  );
+};
+
+// ---------- UI: Contacts ----------
+const CONTACT_RELATIONS = ['Familie', 'Freund/in', 'Spender/in', 'Organisation', 'Sonstiges'];
+
+const contactTotals = (list, id) => {
+  const own = list.filter((t) => t.contactId === id);
+  return {
+    count: own.length,
+    received: sumAmounts(own.filter((t) => t.isIncome)),
+    given: sumAmounts(own.filter((t) => !t.isIncome)),
+  };
+};
+
+const ContactsModal = ({ visible, onClose }) => {
+  const {
+    isDarkMode,
+    contacts,
+    transactions,
+    addContact,
+    updateContact,
+    deleteContact,
+    updateTransaction,
+    deleteTransaction,
+    baseCurrency,
+  } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+
+  const [search, setSearch] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+  const [form, setForm] = useState(null); // { id, name, kind, relation, phone, email }
+  const [editingTransaction, setEditingTransaction] = useState(null);
+
+  const selected = contacts.find((c) => c.id === selectedId) || null;
+
+  useEffect(() => {
+    if (visible) {
+      setSearch('');
+      setSelectedId(null);
+      setForm(null);
+    }
+  }, [visible]);
+
+  const startNew = () => setForm({ id: null, name: '', kind: 'person', relation: '', phone: '', email: '' });
+  const startEdit = (c) => setForm({ ...c });
+
+  const handleSaveForm = async () => {
+    const name = form.name.trim();
+    if (!name) {
+      Alert.alert('Fehler', 'Bitte gib einen Namen ein.');
+      return;
+    }
+    const payload = {
+      name,
+      kind: form.kind,
+      relation: form.relation.trim(),
+      phone: form.phone.trim(),
+      email: form.email.trim(),
+    };
+    if (form.id) {
+      await updateContact(form.id, payload);
+    } else {
+      const created = await addContact(payload);
+      setSelectedId(created.id);
+    }
+    setForm(null);
+  };
+
+  const handleDelete = (c) => {
+    const { count } = contactTotals(transactions, c.id);
+    Alert.alert(
+      'Kontakt löschen',
+      count > 0
+        ? `"${c.name}" ist mit ${count} Einträgen verknüpft. Die Einträge bleiben erhalten, verlieren aber die Zuordnung.`
+        : `"${c.name}" wirklich löschen?`,
+      [
+        { text: 'Abbrechen', style: 'cancel' },
+        {
+          text: 'Löschen',
+          style: 'destructive',
+          onPress: async () => {
+            await deleteContact(c.id);
+            setSelectedId(null);
+          },
+        },
+      ]
+    );
+  };
+
+  const handleSaveEdit = (updatedTransaction) => {
+    updateTransaction(updatedTransaction.id, updatedTransaction);
+    setEditingTransaction(null);
+  };
+
+  const field = (key, label, props = {}) => (
+    <View style={styles.inputContainer}>
+      <Text style={[styles.label, { color: theme.text }]}>{label}</Text>
+      <TextInput
+        style={[styles.input, { borderColor: theme.secondary, color: theme.text, backgroundColor: theme.card }]}
+        value={form[key]}
+        onChangeText={(text) => setForm({ ...form, [key]: text })}
+        placeholderTextColor={isDarkMode ? '#9fb1c6' : '#7a8ca1'}
+        {...props}
+      />
+    </View>
+  );
+
+  const renderForm = () => (
+    <ScrollView style={{ flex: 1, padding: 16 }}>
+      {field('name', 'Name', { placeholder: 'z. B. Onkel Ahmed oder Moschee-Verein' })}
+      <View style={[styles.typeToggle, { backgroundColor: theme.secondary }]}>
+        {[
+          { key: 'person', label: 'Person' },
+          { key: 'organisation', label: 'Organisation' },
+        ].map((opt) => (
+          <TouchableOpacity
+            key={opt.key}
+            onPress={() => setForm({ ...form, kind: opt.key })}
+            style={[styles.typeToggleItem, form.kind === opt.key && { backgroundColor: theme.accent }]}
+          >
+            <Text style={{ fontWeight: '600', fontSize: 13, color: form.kind === opt.key ? 'white' : theme.text }}>
+              {opt.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      {field('relation', 'Beziehung', { placeholder: 'z. B. Familie' })}
+      <View style={[styles.pickerGrid, { marginTop: -4, marginBottom: 12 }]}>
+        {CONTACT_RELATIONS.map((r) => (
+          <TouchableOpacity
+            key={r}
+            onPress={() => setForm({ ...form, relation: r })}
+            style={[styles.filterChip, { backgroundColor: form.relation === r ? theme.accent : theme.card, borderColor: theme.accent }]}
+          >
+            <Text style={[styles.filterChipText, { marginLeft: 0, color: form.relation === r ? 'white' : theme.accent }]}>{r}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      {field('phone', 'Telefon (optional)', { keyboardType: 'phone-pad' })}
+      {field('email', 'E-Mail (optional)', { keyboardType: 'email-address', autoCapitalize: 'none' })}
+    </ScrollView>
+  );
+
+  const renderDetail = () => {
+    const totals = contactTotals(transactions, selected.id);
+    const history = transactions.filter((t) => t.contactId === selected.id);
+    return (
+      <FlatList
+        data={history}
+        keyExtractor={(item) => item.id.toString()}
+        contentContainerStyle={{ padding: 12 }}
+        ListHeaderComponent={
+          <View>
+            <View style={[styles.statsCard, { backgroundColor: theme.card }]}>
+              <Text style={{ fontSize: 18, fontWeight: '800', color: theme.text }}>{selected.name}</Text>
+              <Text style={{ fontSize: 13, color: theme.text, opacity: 0.7 }}>
+                {[selected.kind === 'organisation' ? 'Organisation' : 'Person', selected.relation].filter(Boolean).join(' • ')}
+              </Text>
+              {selected.phone ? <Text style={{ color: theme.text, marginTop: 6 }}>📞 {selected.phone}</Text> : null}
+              {selected.email ? <Text style={{ color: theme.text, marginTop: 2 }}>✉️ {selected.email}</Text> : null}
+              <View style={{ flexDirection: 'row', gap: 16, marginTop: 10 }}>
+                <TouchableOpacity onPress={() => startEdit(selected)} style={{ flexDirection: 'row', alignItems: 'center', gap: 4 }}>
+                  <Feather name="edit-2" size={14} color={theme.accent} />
+                  <Text style={{ color: theme.accent, fontWeight: '600' }}>Bearbeiten</Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => handleDelete(selected)} style={{ flexDirection: 'row', alignItems: 'center', gap: 4 }}>
+                  <Feather name="trash-2" size={14} color="#ef4444" />
+                  <Text style={{ color: '#ef4444', fontWeight: '600' }}>Löschen</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+            <View style={{ flexDirection: 'row', gap: 8, marginBottom: 10 }}>
+              {[
+                { label: 'Erhalten', value: totals.received, color: '#22c55e' },
+                { label: 'Gegeben', value: totals.given, color: '#ef4444' },
+                { label: 'Einträge', value: null, text: String(totals.count), color: theme.accent },
+              ].map((k) => (
+                <View key={k.label} style={[styles.statsKpi, { backgroundColor: theme.card }]}>
+                  <Text style={{ fontSize: 11, color: theme.text, opacity: 0.7 }}>{k.label}</Text>
+                  <Text style={{ fontSize: 14, fontWeight: '800', color: k.color }}>{k.text || money(k.value, baseCurrency)}</Text>
+                </View>
+              ))}
+            </View>
+            <Text style={{ fontSize: 16, fontWeight: '700', marginBottom: 8, color: theme.text }}>Verlauf</Text>
+          </View>
+        }
+        renderItem={({ item }) => <TransactionItem t={item} onEdit={setEditingTransaction} onDelete={deleteTransaction} />}
+        ListEmptyComponent={
+          <Text style={{ color: theme.text, opacity: 0.7, textAlign: 'center', marginTop: 12 }}>Noch keine Einträge</Text>
+        }
+      />
+    );
+  };
+
+  const renderList = () => {
+    const query = search.toLowerCase();
+    const visibleContacts = contacts.filter(
+      (c) => query === '' || c.name.toLowerCase().includes(query) || (c.relation || '').toLowerCase().includes(query)
+    );
+    return (
+      <ScrollView style={{ flex: 1, padding: 16 }}>
+        <TextInput
+          style={[styles.searchInput, { backgroundColor: theme.card, borderColor: theme.secondary, color: theme.text }]}
+          placeholder="Suchen..."
+          placeholderTextColor={isDarkMode ? '#9fb1c6' : '#7a8ca1'}
+          value={search}
+          onChangeText={setSearch}
+        />
+        {visibleContacts.length === 0 ? (
+          <View style={{ alignItems: 'center', paddingVertical: 28 }}>
+            <Feather name="users" size={44} color={theme.text} opacity={0.3} />
+            <Text style={{ color: theme.text, marginTop: 10, opacity: 0.7 }}>
+              {contacts.length === 0 ? 'Noch keine Kontakte' : 'Keine Treffer'}
+            </Text>
+          </View>
+        ) : (
+          visibleContacts.map((c) => {
+            const totals = contactTotals(transactions, c.id);
+            return (
+              <TouchableOpacity key={c.id} onPress={() => setSelectedId(c.id)} style={[styles.txCard, { backgroundColor: theme.card }]}>
+                <View style={[styles.categoryIconBadge, { backgroundColor: theme.accent }]}>
+                  <Feather name={c.kind === 'organisation' ? 'briefcase' : 'user'} size={14} color="white" />
+                </View>
+                <View style={{ flex: 1 }}>
+                  <Text style={{ fontWeight: '700', fontSize: 15, color: theme.text }}>{c.name}</Text>
+                  <Text style={{ fontSize: 12, color: theme.text, opacity: 0.7 }}>
+                    {[c.relation, `${totals.count} Einträge`].filter(Boolean).join(' • ')}
+                  </Text>
+                </View>
+                <View style={{ alignItems: 'flex-end' }}>
+                  {totals.received > 0 && <Text style={{ color: '#22c55e', fontWeight: '700', fontSize: 13 }}>+ {money(totals.received, baseCurrency)}</Text>}
+                  {totals.given > 0 && <Text style={{ color: '#ef4444', fontWeight: '700', fontSize: 13 }}>- {money(totals.given, baseCurrency)}</Text>}
+                </View>
+              </TouchableOpacity>
+            );
+          })
+        )}
+        <TouchableOpacity
+          onPress={startNew}
+          style={[styles.compactQuickBtn, { backgroundColor: theme.card, borderColor: theme.secondary, marginTop: 4, marginBottom: 32 }]}
+        >
+          <Feather name="user-plus" size={16} color={theme.accent} />
+          <Text style={{ color: theme.text, fontWeight: '600', fontSize: 13 }}>Neuer Kontakt</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    );
+  };
+
+  const title = form ? (form.id ? 'Kontakt bearbeiten' : 'Neuer Kontakt') : selected ? 'Kontakt' : 'Kontakte';
+  const handleBack = () => {
+    if (form) setForm(null);
+    else if (selected) setSelectedId(null);
+    else onClose();
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" presentationStyle="pageSheet">
+      <SafeAreaView style={{ flex: 1, backgroundColor: theme.primary }}>
+        <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', padding: 16 }}>
+          <TouchableOpacity onPress={handleBack}>
+            <Feather name={form || selected ? 'arrow-left' : 'x'} size={22} color={theme.text} />
+          </TouchableOpacity>
+          <Text style={{ fontSize: 18, fontWeight: 'bold', color: theme.text }}>{title}</Text>
+          {form ? (
+            <TouchableOpacity onPress={handleSaveForm}>
+              <Feather name="check" size={22} color={theme.accent} />
+            </TouchableOpacity>
+          ) : (
+            <View style={{ width: 22 }} />
+          )}
+        </View>
+        {form ? renderForm() : selected ? renderDetail() : renderList()}
+        <EditModal
+          visible={!!editingTransaction}
+          transaction={editingTransaction}
+          onClose={() => setEditingTransaction(null)}
+          onSave={handleSaveEdit}
+        />
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+// ---------- UI: Receipts ----------
+const RECEIPT_TEMPLATE_FIELDS = [
+  { key: 'title', label: 'Überschrift' },
+  { key: 'issuerName', label: 'Aussteller/in' },
+  { key: 'issuerAddress', label: 'Anschrift Aussteller/in', multiline: true },
+  { key: 'intro', label: 'Einleitungstext', multiline: true },
+  { key: 'defaultPurpose', label: 'Zweck, wenn keine Notiz vorhanden ist' },
+  { key: 'closing', label: 'Schlusstext', multiline: true },
+  { key: 'place', label: 'Ort' },
+  { key: 'signer', label: 'Unterschrift (Name)' },
+  { key: 'numberPrefix', label: 'Präfix der Belegnummer' },
+];
+
+// Erstellt eine Bestätigung für die ausgewählten Einnahmen
+const ReceiptModal = ({ visible, transactions: selected, onClose, onIssued }) => {
+  const { isDarkMode, contacts, receipts, receiptSettings, issueReceipt, exchangeRates } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  const [donorName, setDonorName] = useState('');
+  const [donorAddress, setDonorAddress] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const contactIds = [...new Set(selected.map((t) => t.contactId).filter((id) => id != null))];
+  const total = selected.reduce(
+    (s, t) => s + (convertAmount(t.amount, transactionCurrency(t), 'EUR', t.date, exchangeRates) ?? 0),
+    0
+  );
+
+  useEffect(() => {
+    if (visible) {
+      setDonorName(contactIds.length === 1 ? contactName(contacts, contactIds[0]) || '' : '');
+      setDonorAddress('');
+    }
+  }, [visible]);
+
+  const issue = async () => {
+    // Zuwendungsbestätigungen werden immer in Euro ausgestellt
+    const withoutRate = selected.filter(
+      (t) => convertAmount(t.amount, transactionCurrency(t), 'EUR', t.date, exchangeRates) === null
+    );
+    if (withoutRate.length > 0) {
+      Alert.alert(
+        'Wechselkurs fehlt',
+        `Für ${withoutRate.length} Buchung(en) ist kein Kurs zum Euro hinterlegt. Bitte zuerst unter Einstellungen → Wechselkurse eintragen.`
+      );
+      return;
+    }
+    setBusy(true);
+    try {
+      const items = [...selected]
+        .sort((a, b) => new Date(a.date) - new Date(b.date))
+        .map((t) => ({
+          transactionId: t.id,
+          date: t.date,
+          amount: convertAmount(t.amount, transactionCurrency(t), 'EUR', t.date, exchangeRates),
+          currency: transactionCurrency(t),
+          originalAmount: t.amount,
+          purpose: t.note || receiptSettings.defaultPurpose,
+        }));
+      const receipt = await issueReceipt({ donor: { name: donorName.trim(), address: donorAddress.trim() }, items });
+      onIssued(receipt);
+      await shareReceiptPdf(receipt);
+    } catch (e) {
+      console.error('Failed to create receipt', e);
+      Alert.alert('Fehler', 'Die Bestätigung konnte nicht erstellt werden.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = () => {
+    if (!donorName.trim()) {
+      Alert.alert('Fehler', 'Bitte gib den Namen der/des Zuwendenden ein.');
+      return;
+    }
+    if (contactIds.length > 1) {
+      Alert.alert('Fehler', 'Die ausgewählten Einträge gehören zu verschiedenen Kontakten.');
+      return;
+    }
+    const already = selected.filter((t) => receipts.some((r) => r.transactionIds.includes(t.id)));
+    if (already.length > 0) {
+      Alert.alert('Bereits bestätigt', `${already.length} der Einträge haben schon eine Bestätigung. Trotzdem eine neue erstellen?`, [
+        { text: 'Abbrechen', style: 'cancel' },
+        { text: 'Erstellen', onPress: issue },
+      ]);
+      return;
+    }
+    issue();
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" presentationStyle="pageSheet">
+      <SafeAreaView style={{ flex: 1, backgroundColor: theme.primary }}>
+        <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', padding: 16 }}>
+          <TouchableOpacity onPress={onClose}>
+            <Feather name="x" size={22} color={theme.text} />
+          </TouchableOpacity>
+          <Text style={{ fontSize: 18, fontWeight: 'bold', color: theme.text }}>Bestätigung erstellen</Text>
+          <TouchableOpacity onPress={handleSave} disabled={busy}>
+            <Feather name="check" size={22} color={theme.accent} style={{ opacity: busy ? 0.4 : 1 }} />
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView style={{ flex: 1, padding: 16 }}>
+          <View style={[styles.statsCard, { backgroundColor: theme.card }]}>
+            <Text style={{ fontSize: 12, color: theme.text, opacity: 0.7 }}>
+              Nr. {formatReceiptNumber(receiptSettings, new Date())} • {selected.length} Einträge
+            </Text>
+            <Text style={{ fontSize: 20, fontWeight: '800', color: '#22c55e', marginTop: 4 }}>{eur(total)}</Text>
+            <Text style={{ fontSize: 12, color: theme.text, marginTop: 2 }}>{amountInWords(total)}</Text>
+          </View>
+
+          <View style={styles.inputContainer}>
+            <Text style={[styles.label, { color: theme.text }]}>Zuwendende/r</Text>
+            <TextInput
+              style={[styles.input, { borderColor: theme.secondary, color: theme.text, backgroundColor: theme.card }]}
+              value={donorName}
+              onChangeText={setDonorName}
+              placeholder="Name"
+              placeholderTextColor={isDarkMode ? '#9fb1c6' : '#7a8ca1'}
+            />
+          </View>
+          <View style={styles.inputContainer}>
+            <Text style={[styles.label, { color: theme.text }]}>Anschrift (optional)</Text>
+            <TextInput
+              style={[
+                styles.input,
+                { height: 70, borderColor: theme.secondary, color: theme.text, backgroundColor: theme.card, textAlignVertical: 'top' },
+              ]}
+              multiline
+              value={donorAddress}
+              onChangeText={setDonorAddress}
+              placeholder="Straße, PLZ Ort"
+              placeholderTextColor={isDarkMode ? '#9fb1c6' : '#7a8ca1'}
+            />
+          </View>
+
+          {selected.map((t) => (
+            <View key={t.id} style={[styles.legendRow, { borderBottomWidth: 1, borderBottomColor: theme.secondary }]}>
+              <Text style={{ color: theme.text, width: 90 }}>{formatDateDe(new Date(t.date))}</Text>
+              <Text style={{ color: theme.text, flex: 1 }} numberOfLines={1}>
+                {t.note || receiptSettings.defaultPurpose}
+              </Text>
+              <Text style={{ color: theme.text, fontWeight: '700' }}>{money(t.amount, transactionCurrency(t))}</Text>
+            </View>
+          ))}
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+// Liste aller ausgestellten Bestätigungen (Nachdruck) und Vorlage
+const ReceiptsModal = ({ visible, onClose }) => {
+  const { isDarkMode, receipts, receiptSettings, saveReceiptSettings, transactions } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  const [form, setForm] = useState(null);
+
+  useEffect(() => {
+    if (visible) setForm(null);
+  }, [visible]);
+
+  const handleReprint = async (receipt) => {
+    try {
+      await shareReceiptPdf(receipt);
+    } catch (e) {
+      console.error('Failed to reprint receipt', e);
+      Alert.alert('Fehler', 'Das PDF konnte nicht erstellt werden.');
+    }
+  };
+
+  const handleSaveForm = async () => {
+    await saveReceiptSettings({ ...receiptSettings, ...form });
+    setForm(null);
+  };
+
+  const renderForm = () => (
+    <ScrollView style={{ flex: 1, padding: 16 }}>
+      {RECEIPT_TEMPLATE_FIELDS.map((f) => (
+        <View key={f.key} style={styles.inputContainer}>
+          <Text style={[styles.label, { color: theme.text }]}>{f.label}</Text>
+          <TextInput
+            style={[
+              styles.input,
+              { borderColor: theme.secondary, color: theme.text, backgroundColor: theme.card },
+              f.multiline && { height: 70, textAlignVertical: 'top' },
+            ]}
+            multiline={!!f.multiline}
+            value={form[f.key]}
+            onChangeText={(text) => setForm({ ...form, [f.key]: text })}
+          />
+        </View>
+      ))}
+      <Text style={{ color: theme.text, opacity: 0.7, marginBottom: 32 }}>
+        Nächste Nummer: {formatReceiptNumber({ ...receiptSettings, ...form }, new Date())}
+      </Text>
+    </ScrollView>
+  );
+
+  const renderList = () => (
+    <FlatList
+      data={receipts}
+      keyExtractor={(item) => item.id.toString()}
+      contentContainerStyle={{ padding: 12 }}
+      ListEmptyComponent={
+        <View style={{ alignItems: 'center', paddingVertical: 28 }}>
+          <Feather name="file-text" size={44} color={theme.text} opacity={0.3} />
+          <Text style={{ color: theme.text, marginTop: 10, opacity: 0.7, textAlign: 'center' }}>
+            Noch keine Bestätigungen. Wähle unter „Einnahmen“ Einträge aus, um eine zu erstellen.
+          </Text>
+        </View>
+      }
+      renderItem={({ item }) => {
+        const missing = item.transactionIds.filter((id) => !transactions.some((t) => t.id === id)).length;
+        return (
+          <TouchableOpacity onPress={() => handleReprint(item)} style={[styles.txCard, { backgroundColor: theme.card }]}>
+            <Feather name="file-text" size={18} color={theme.accent} />
+            <View style={{ flex: 1 }}>
+              <Text style={{ fontWeight: '700', fontSize: 15, color: theme.text }}>{item.donor.name}</Text>
+              <Text style={{ fontSize: 12, color: theme.text, opacity: 0.7 }}>
+                {item.number} • {formatDateDe(new Date(item.issuedAt))} • {item.items.length} Einträge
+                {missing > 0 ? ` • ${missing} gelöscht` : ''}
+              </Text>
+            </View>
+            <Text style={{ fontWeight: '700', fontSize: 15, color: '#22c55e' }}>{eur(item.total)}</Text>
+            <Feather name="printer" size={16} color={theme.text} />
+          </TouchableOpacity>
+        );
+      }}
+    />
+  );
+
+  return (
+    <Modal visible={visible} animationType="slide" presentationStyle="pageSheet">
+      <SafeAreaView style={{ flex: 1, backgroundColor: theme.primary }}>
+        <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', padding: 16 }}>
+          <TouchableOpacity onPress={form ? () => setForm(null) : onClose}>
+            <Feather name={form ? 'arrow-left' : 'x'} size={22} color={theme.text} />
+          </TouchableOpacity>
+          <Text style={{ fontSize: 18, fontWeight: 'bold', color: theme.text }}>{form ? 'Vorlage' : 'Bestätigungen'}</Text>
+          {form ? (
+            <TouchableOpacity onPress={handleSaveForm}>
+              <Feather name="check" size={22} color={theme.accent} />
+            </TouchableOpacity>
+          ) : (
+            <TouchableOpacity onPress={() => setForm({ ...receiptSettings })}>
+              <Feather name="settings" size={20} color={theme.text} />
+            </TouchableOpacity>
+          )}
+        </View>
+        {form ? renderForm() : renderList()}
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+// ---------- UI: Recurring Rules ----------
+const frequencyLabel = (key) => FREQUENCIES.find((f) => f.key === key)?.label || key;
+
+const RecurringModal = ({ visible, onClose }) => {
+  const {
+    isDarkMode,
+    categories,
+    contacts,
+    recurringRules,
+    baseCurrency,
+    addRecurringRule,
+    updateRecurringRule,
+    setRecurringRulePaused,
+    deleteRecurringRule,
+  } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  const [form, setForm] = useState(null);
+  const [pickerFor, setPickerFor] = useState(null); // 'startDate' | 'endDate'
+
+  useEffect(() => {
+    if (visible) setForm(null);
+  }, [visible]);
+
+  const startNew = () =>
+    setForm({
+      id: null,
+      isIncome: true,
+      amount: '',
+      category: activeCategories(true, categories)[0]?.value || '',
+      currency: baseCurrency,
+      contactId: null,
+      frequency: 'monthly',
+      startDate: new Date(),
+      endDate: null,
+      note: '',
+    });
+
+  const startEdit = (rule) =>
+    setForm({
+      ...rule,
+      amount: rule.amount.toString().replace('.', ','),
+      startDate: new Date(rule.startDate),
+      endDate: rule.endDate ? new Date(rule.endDate) : null,
+    });
+
+  const setType = (isIncome) =>
+    setForm({ ...form, isIncome, category: activeCategories(isIncome, categories)[0]?.value || '' });
+
+  const handleSaveForm = async () => {
+    const val = parseAmount(form.amount);
+    if (!isValidAmount(val)) {
+      Alert.alert('Fehler', 'Bitte gib einen gültigen Betrag > 0 ein.');
+      return;
+    }
+    if (form.endDate && dayKey(form.endDate.toISOString()) < dayKey(form.startDate.toISOString())) {
+      Alert.alert('Fehler', 'Das Enddatum liegt vor dem Startdatum.');
+      return;
+    }
+    const payload = {
+      isIncome: form.isIncome,
+      amount: val,
+      currency: form.currency || 'EUR',
+      category: form.category,
+      contactId: form.contactId,
+      frequency: form.frequency,
+      startDate: form.startDate.toISOString(),
+      endDate: form.endDate ? form.endDate.toISOString() : null,
+      note: form.note.trim(),
+    };
+    const created = form.id ? await updateRecurringRule(form.id, payload) : await addRecurringRule(payload);
+    setForm(null);
+    if (created > 0) Alert.alert('Nachgebucht', `${created} fällige Einträge wurden angelegt.`);
+  };
+
+  const handleDelete = (rule) => {
+    Alert.alert('Regel löschen', 'Bereits gebuchte Einträge bleiben erhalten.', [
+      { text: 'Abbrechen', style: 'cancel' },
+      { text: 'Löschen', style: 'destructive', onPress: () => deleteRecurringRule(rule.id) },
+    ]);
+  };
+
+  const onPickDate = (_, selected) => {
+    const target = pickerFor;
+    setPickerFor(null);
+    if (selected) setForm({ ...form, [target]: selected });
+  };
+
+  const renderForm = () => (
+    <ScrollView style={{ flex: 1, padding: 16 }}>
+      {!form.id && <TypeToggle isIncome={form.isIncome} onChange={setType} />}
+
+      <View style={styles.inputContainer}>
+        <Text style={[styles.label, { color: theme.text }]}>Betrag ({currencySymbol(form.currency || 'EUR')})</Text>
+        <TextInput
+          style={[styles.input, { borderColor: theme.secondary, color: theme.text, backgroundColor: theme.card }]}
+          keyboardType="decimal-pad"
+          value={form.amount}
+          onChangeText={(amount) => setForm({ ...form, amount })}
+          placeholder="0,00"
+          placeholderTextColor={isDarkMode ? '#9fb1c6' : '#7a8ca1'}
+        />
+      </View>
+
+      <CurrencyPicker
+        value={form.currency || 'EUR'}
+        onChange={(currency) => setForm({ ...form, currency })}
+        amount={form.amount}
+        date={form.startDate}
+      />
+
+      <View style={styles.inputContainer}>
+        <Text style={[styles.label, { color: theme.text }]}>Kategorie</Text>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={{ marginTop: 8 }}>
+          <View style={{ flexDirection: 'row', gap: 8 }}>
+            {activeCategories(form.isIncome, categories).map((cat) => (
+              <CategoryChip
+                key={cat.value}
+                category={cat.label}
+                isIncome={form.isIncome}
+                isSelected={form.category === cat.value}
+                onPress={() => setForm({ ...form, category: cat.value })}
+              />
+            ))}
+          </View>
+        </ScrollView>
+      </View>
+
+      <View style={styles.inputContainer}>
+        <Text style={[styles.label, { color: theme.text }]}>Rhythmus</Text>
+        <View style={styles.pickerGrid}>
+          {FREQUENCIES.map((f) => (
+            <TouchableOpacity
+              key={f.key}
+              onPress={() => setForm({ ...form, frequency: f.key })}
+              style={[styles.filterChip, { backgroundColor: form.frequency === f.key ? theme.accent : theme.card, borderColor: theme.accent }]}
+            >
+              <Text style={[styles.filterChipText, { marginLeft: 0, color: form.frequency === f.key ? 'white' : theme.accent }]}>
+                {f.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      </View>
+
+      <View style={[styles.inputContainer, { flexDirection: 'row', gap: 8 }]}>
+        {[
+          { key: 'startDate', label: 'Start' },
+          { key: 'endDate', label: 'Ende (optional)' },
+        ].map((f) => (
+          <View key={f.key} style={{ flex: 1 }}>
+            <Text style={[styles.label, { color: theme.text }]}>{f.label}</Text>
+            <TouchableOpacity
+              onPress={() => setPickerFor(f.key)}
+              style={[
+                styles.input,
+                { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', backgroundColor: theme.card, borderColor: theme.secondary },
+              ]}
+            >
+              <Text style={{ color: theme.text }}>{form[f.key] ? formatDateDe(form[f.key]) : 'offen'}</Text>
+              {f.key === 'endDate' && form.endDate ? (
+                <TouchableOpacity onPress={() => setForm({ ...form, endDate: null })}>
+                  <Feather name="x-circle" size={18} color={theme.text} />
+                </TouchableOpacity>
+              ) : (
+                <Feather name="calendar" size={18} color={theme.text} />
+              )}
+            </TouchableOpacity>
+          </View>
+        ))}
+      </View>
+      {pickerFor && (
+        <DateTimePicker
+          value={form[pickerFor] || form.startDate}
+          mode="date"
+          is24Hour
+          display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+          onChange={onPickDate}
+        />
+      )}
+
+      <View style={styles.inputContainer}>
+        <Text style={[styles.label, { color: theme.text }]}>{form.isIncome ? 'Von (optional)' : 'An (optional)'}</Text>
+        <ContactPicker value={form.contactId} onChange={(contactId) => setForm({ ...form, contactId })} />
+      </View>
+
+      <View style={[styles.inputContainer, { marginBottom: 32 }]}>
+        <Text style={[styles.label, { color: theme.text }]}>Notiz (optional)</Text>
+        <TextInput
+          style={[styles.input, { borderColor: theme.secondary, color: theme.text, backgroundColor: theme.card }]}
+          value={form.note}
+          onChangeText={(note) => setForm({ ...form, note })}
+          placeholder="z. B. Monatliche Unterstützung"
+          placeholderTextColor={isDarkMode ? '#9fb1c6' : '#7a8ca1'}
+        />
+      </View>
+    </ScrollView>
+  );
+
+  const renderList = () => (
+    <ScrollView style={{ flex: 1, padding: 16 }}>
+      {recurringRules.length === 0 && (
+        <View style={{ alignItems: 'center', paddingVertical: 28 }}>
+          <Feather name="repeat" size={44} color={theme.text} opacity={0.3} />
+          <Text style={{ color: theme.text, marginTop: 10, opacity: 0.7 }}>Noch keine wiederkehrenden Buchungen</Text>
+        </View>
+      )}
+      {recurringRules.map((rule) => {
+        const next = upcomingOccurrences(rule, 3);
+        return (
+          <View key={rule.id} style={[styles.statsCard, { backgroundColor: theme.card, opacity: rule.paused ? 0.6 : 1 }]}>
+            <View style={{ flexDirection: 'row', alignItems: 'center', gap: 8 }}>
+              <View style={[styles.categoryIconBadge, { backgroundColor: categoryColor(rule.category, rule.isIncome, categories) }]}>
+                <Feather name={categoryIcon(rule.category, rule.isIncome, categories)} size={14} color="white" />
+              </View>
+              <View style={{ flex: 1 }}>
+                <Text style={{ fontWeight: '700', fontSize: 15, color: theme.text }}>
+                  {rule.category}
+                  {contactName(contacts, rule.contactId) ? ` • ${contactName(contacts, rule.contactId)}` : ''}
+                </Text>
+                <Text style={{ fontSize: 12, color: theme.text, opacity: 0.7 }}>
+                  {frequencyLabel(rule.frequency)} ab {formatDateDe(new Date(rule.startDate))}
+                  {rule.endDate ? ` bis ${formatDateDe(new Date(rule.endDate))}` : ''}
+                  {rule.paused ? ' • pausiert' : ''}
+                </Text>
+              </View>
+              <Text style={{ fontWeight: '700', color: rule.isIncome ? '#22c55e' : '#ef4444' }}>
+                {rule.isIncome ? '+' : '-'} {money(rule.amount, rule.currency || 'EUR')}
+              </Text>
+            </View>
+            <Text style={{ fontSize: 12, color: theme.text, marginTop: 8 }}>
+              {next.length > 0 ? `Nächste: ${next.map((k) => formatDateDe(new Date(`${k}T12:00:00`))).join(', ')}` : 'Keine anstehenden Termine'}
+            </Text>
+            <View style={{ flexDirection: 'row', gap: 16, marginTop: 8 }}>
+              <TouchableOpacity onPress={() => setRecurringRulePaused(rule.id, !rule.paused)} style={{ flexDirection: 'row', alignItems: 'center', gap: 4 }}>
+                <Feather name={rule.paused ? 'play' : 'pause'} size={14} color={theme.accent} />
+                <Text style={{ color: theme.accent, fontWeight: '600' }}>{rule.paused ? 'Fortsetzen' : 'Pausieren'}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={() => startEdit(rule)} style={{ flexDirection: 'row', alignItems: 'center', gap: 4 }}>
+                <Feather name="edit-2" size={14} color={theme.accent} />
+                <Text style={{ color: theme.accent, fontWeight: '600' }}>Bearbeiten</Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={() => handleDelete(rule)} style={{ flexDirection: 'row', alignItems: 'center', gap: 4 }}>
+                <Feather name="trash-2" size={14} color="#ef4444" />
+                <Text style={{ color: '#ef4444', fontWeight: '600' }}>Löschen</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        );
+      })}
+      <TouchableOpacity
+        onPress={startNew}
+        style={[styles.compactQuickBtn, { backgroundColor: theme.card, borderColor: theme.secondary, marginTop: 4, marginBottom: 32 }]}
+      >
+        <Feather name="plus-circle" size={16} color={theme.accent} />
+        <Text style={{ color: theme.text, fontWeight: '600', fontSize: 13 }}>Neue Regel</Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+
+  return (
+    <Modal visible={visible} animationType="slide" presentationStyle="pageSheet">
+      <SafeAreaView style={{ flex: 1, backgroundColor: theme.primary }}>
+        <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', padding: 16 }}>
+          <TouchableOpacity onPress={form ? () => setForm(null) : onClose}>
+            <Feather name={form ? 'arrow-left' : 'x'} size={22} color={theme.text} />
+          </TouchableOpacity>
+          <Text style={{ fontSize: 18, fontWeight: 'bold', color: theme.text }}>
+            {form ? (form.id ? 'Regel bearbeiten' : 'Neue Regel') : 'Wiederkehrend'}
+          </Text>
+          {form ? (
+            <TouchableOpacity onPress={handleSaveForm}>
+              <Feather name="check" size={22} color={theme.accent} />
+            </TouchableOpacity>
+          ) : (
+            <View style={{ width: 22 }} />
+          )}
+        </View>
+        {form ? renderForm() : renderList()}
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+// ---------- UI: Campaigns ----------
+const CampaignsModal = ({ visible, onClose }) => {
+  const { isDarkMode, campaignSummaries, transactions, addCampaign, updateCampaign, deleteCampaign, baseCurrency } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  const [form, setForm] = useState(null); // { id, name, target, deadline }
+  const [showDate, setShowDate] = useState(false);
+  const [drilldown, setDrilldown] = useState(null);
+
+  useEffect(() => {
+    if (visible) setForm(null);
+  }, [visible]);
+
+  const startNew = () => setForm({ id: null, name: '', target: '', deadline: null });
+  const startEdit = (c) =>
+    setForm({ id: c.id, name: c.name, target: c.target.toString().replace('.', ','), deadline: c.deadline ? new Date(c.deadline) : null });
+
+  const handleSaveForm = async () => {
+    const name = form.name.trim();
+    const target = parseAmount(form.target);
+    if (!name) {
+      Alert.alert('Fehler', 'Bitte gib einen Namen ein.');
+      return;
+    }
+    if (!isValidAmount(target)) {
+      Alert.alert('Fehler', 'Bitte gib ein gültiges Ziel > 0 ein.');
+      return;
+    }
+    const payload = { name, target, deadline: form.deadline ? form.deadline.toISOString() : null };
+    if (form.id) await updateCampaign(form.id, payload);
+    else await addCampaign(payload);
+    setForm(null);
+  };
+
+  const handleDelete = (c) => {
+    Alert.alert('Kampagne löschen', 'Die zugeordneten Einträge bleiben erhalten, verlieren aber die Zuordnung.', [
+      { text: 'Abbrechen', style: 'cancel' },
+      { text: 'Löschen', style: 'destructive', onPress: () => deleteCampaign(c.id) },
+    ]);
+  };
+
+  const renderForm = () => (
+    <ScrollView style={{ flex: 1, padding: 16 }}>
+      <View style={styles.inputContainer}>
+        <Text style={[styles.label, { color: theme.text }]}>Name</Text>
+        <TextInput
+          style={[styles.input, { borderColor: theme.secondary, color: theme.text, backgroundColor: theme.card }]}
+          value={form.name}
+          onChangeText={(name) => setForm({ ...form, name })}
+          placeholder="z. B. Arztrechnung"
+          placeholderTextColor={isDarkMode ? '#9fb1c6' : '#7a8ca1'}
+        />
+      </View>
+      <View style={styles.inputContainer}>
+        <Text style={[styles.label, { color: theme.text }]}>Ziel ({currencySymbol(baseCurrency)})</Text>
+        <TextInput
+          style={[styles.input, { borderColor: theme.secondary, color: theme.text, backgroundColor: theme.card }]}
+          keyboardType="decimal-pad"
+          value={form.target}
+          onChangeText={(target) => setForm({ ...form, target })}
+          placeholder="0,00"
+          placeholderTextColor={isDarkMode ? '#9fb1c6' : '#7a8ca1'}
+        />
+      </View>
+      <View style={styles.inputContainer}>
+        <Text style={[styles.label, { color: theme.text }]}>Frist (optional)</Text>
+        <TouchableOpacity
+          onPress={() => setShowDate(true)}
+          style={[
+            styles.input,
+            { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', backgroundColor: theme.card, borderColor: theme.secondary },
+          ]}
+        >
+          <Text style={{ color: theme.text }}>{form.deadline ? formatDateDe(form.deadline) : 'keine'}</Text>
+          {form.deadline ? (
+            <TouchableOpacity onPress={() => setForm({ ...form, deadline: null })}>
+              <Feather name="x-circle" size={18} color={theme.text} />
+            </TouchableOpacity>
+          ) : (
+            <Feather name="calendar" size={18} color={theme.text} />
+          )}
+        </TouchableOpacity>
+        {showDate && (
+          <DateTimePicker
+            value={form.deadline || new Date()}
+            mode="date"
+            is24Hour
+            display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+            onChange={(_, selected) => {
+              setShowDate(false);
+              if (selected) setForm({ ...form, deadline: selected });
+            }}
+          />
+        )}
+      </View>
+    </ScrollView>
+  );
+
+  const renderList = () => (
+    <ScrollView style={{ flex: 1, padding: 16 }}>
+      {campaignSummaries.length === 0 && (
+        <View style={{ alignItems: 'center', paddingVertical: 28 }}>
+          <Feather name="flag" size={44} color={theme.text} opacity={0.3} />
+          <Text style={{ color: theme.text, marginTop: 10, opacity: 0.7 }}>Noch keine Kampagnen</Text>
+        </View>
+      )}
+      {campaignSummaries.map((c) => (
+        <View key={c.id} style={{ marginBottom: 10, opacity: c.archived ? 0.6 : 1 }}>
+          <CampaignCard campaign={c} onPress={() => setDrilldown(c)} style={{ marginBottom: 6 }} />
+          <View style={{ flexDirection: 'row', gap: 16, paddingHorizontal: 4 }}>
+            <TouchableOpacity onPress={() => startEdit(c)} style={{ flexDirection: 'row', alignItems: 'center', gap: 4 }}>
+              <Feather name="edit-2" size={14} color={theme.accent} />
+              <Text style={{ color: theme.accent, fontWeight: '600' }}>Bearbeiten</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => updateCampaign(c.id, { archived: !c.archived })} style={{ flexDirection: 'row', alignItems: 'center', gap: 4 }}>
+              <Feather name={c.archived ? 'rotate-ccw' : 'archive'} size={14} color={theme.accent} />
+              <Text style={{ color: theme.accent, fontWeight: '600' }}>{c.archived ? 'Reaktivieren' : 'Archivieren'}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => handleDelete(c)} style={{ flexDirection: 'row', alignItems: 'center', gap: 4 }}>
+              <Feather name="trash-2" size={14} color="#ef4444" />
+              <Text style={{ color: '#ef4444', fontWeight: '600' }}>Löschen</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      ))}
+      <TouchableOpacity
+        onPress={startNew}
+        style={[styles.compactQuickBtn, { backgroundColor: theme.card, borderColor: theme.secondary, marginTop: 4, marginBottom: 32 }]}
+      >
+        <Feather name="plus-circle" size={16} color={theme.accent} />
+        <Text style={{ color: theme.text, fontWeight: '600', fontSize: 13 }}>Neue Kampagne</Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+
+  return (
+    <Modal visible={visible} animationType="slide" presentationStyle="pageSheet">
+      <SafeAreaView style={{ flex: 1, backgroundColor: theme.primary }}>
+        <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', padding: 16 }}>
+          <TouchableOpacity onPress={form ? () => setForm(null) : onClose}>
+            <Feather name={form ? 'arrow-left' : 'x'} size={22} color={theme.text} />
+          </TouchableOpacity>
+          <Text style={{ fontSize: 18, fontWeight: 'bold', color: theme.text }}>
+            {form ? (form.id ? 'Kampagne bearbeiten' : 'Neue Kampagne') : 'Kampagnen'}
+          </Text>
+          {form ? (
+            <TouchableOpacity onPress={handleSaveForm}>
+              <Feather name="check" size={22} color={theme.accent} />
+            </TouchableOpacity>
+          ) : (
+            <View style={{ width: 22 }} />
+          )}
+        </View>
+        {form ? renderForm() : renderList()}
+        <TransactionListModal
+          visible={!!drilldown}
+          title={drilldown?.name || ''}
+          list={drilldown ? transactions.filter((t) => t.campaignId === drilldown.id) : []}
+          onClose={() => setDrilldown(null)}
+        />
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+// ---------- UI: Budgets ----------
+const BudgetsModal = ({ visible, onClose }) => {
+  const { isDarkMode, categories, budgets, budgetSummaries, saveBudget, deleteBudget, baseCurrency } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  const [form, setForm] = useState(null); // { id, category, period, limit }
+
+  useEffect(() => {
+    if (visible) setForm(null);
+  }, [visible]);
+
+  // Kategorien ohne Budget, plus die gerade bearbeitete
+  const available = activeCategories(false, categories).filter(
+    (c) => c.value === form?.category || !budgets.some((b) => b.category === c.value)
+  );
+
+  const startNew = () => {
+    const free = activeCategories(false, categories).filter((c) => !budgets.some((b) => b.category === c.value));
+    if (free.length === 0) {
+      Alert.alert('Nicht möglich', 'Alle aktiven Ausgaben-Kategorien haben bereits ein Budget.');
+      return;
+    }
+    setForm({ id: null, category: free[0].value, period: 'month', limit: '' });
+  };
+  const startEdit = (b) => setForm({ id: b.id, category: b.category, period: b.period, limit: b.limit.toString().replace('.', ',') });
+
+  const handleSaveForm = async () => {
+    const limit = parseAmount(form.limit);
+    if (!isValidAmount(limit)) {
+      Alert.alert('Fehler', 'Bitte gib ein gültiges Limit > 0 ein.');
+      return;
+    }
+    await saveBudget({ id: form.id, category: form.category, period: form.period, limit });
+    setForm(null);
+  };
+
+  const handleDelete = (b) => {
+    Alert.alert('Budget löschen', `Budget für "${b.category}" wirklich löschen?`, [
+      { text: 'Abbrechen', style: 'cancel' },
+      { text: 'Löschen', style: 'destructive', onPress: () => deleteBudget(b.id) },
+    ]);
+  };
+
+  const renderForm = () => (
+    <ScrollView style={{ flex: 1, padding: 16 }}>
+      <View style={styles.inputContainer}>
+        <Text style={[styles.label, { color: theme.text }]}>Kategorie</Text>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={{ marginTop: 8 }}>
+          <View style={{ flexDirection: 'row', gap: 8 }}>
+            {available.map((cat) => (
+              <CategoryChip
+                key={cat.value}
+                category={cat.label}
+                isIncome={false}
+                isSelected={form.category === cat.value}
+                onPress={() => setForm({ ...form, category: cat.value })}
+              />
+            ))}
+          </View>
+        </ScrollView>
+      </View>
+      <View style={styles.inputContainer}>
+        <Text style={[styles.label, { color: theme.text }]}>Zeitraum</Text>
+        <View style={[styles.pickerGrid, { marginTop: 8 }]}>
+          {BUDGET_PERIODS.map((p) => {
+            const selected = form.period === p.value;
+            return (
+              <TouchableOpacity
+                key={p.value}
+                onPress={() => setForm({ ...form, period: p.value })}
+                style={[styles.filterChip, { backgroundColor: selected ? theme.accent : theme.card, borderColor: theme.accent }]}
+              >
+                <Text style={[styles.filterChipText, { marginLeft: 0, color: selected ? 'white' : theme.accent }]}>{p.label}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      </View>
+      <View style={styles.inputContainer}>
+        <Text style={[styles.label, { color: theme.text }]}>Limit ({currencySymbol(baseCurrency)})</Text>
+        <TextInput
+          style={[styles.input, { borderColor: theme.secondary, color: theme.text, backgroundColor: theme.card }]}
+          keyboardType="decimal-pad"
+          value={form.limit}
+          onChangeText={(limit) => setForm({ ...form, limit })}
+          placeholder="0,00"
+          placeholderTextColor={isDarkMode ? '#9fb1c6' : '#7a8ca1'}
+        />
+      </View>
+    </ScrollView>
+  );
+
+  const renderList = () => (
+    <ScrollView style={{ flex: 1, padding: 16 }}>
+      {budgetSummaries.length === 0 && (
+        <View style={{ alignItems: 'center', paddingVertical: 28 }}>
+          <Feather name="sliders" size={44} color={theme.text} opacity={0.3} />
+          <Text style={{ color: theme.text, marginTop: 10, opacity: 0.7 }}>Noch keine Budgets</Text>
+        </View>
+      )}
+      {budgetSummaries.map((b) => (
+        <View key={b.id} style={{ marginBottom: 10 }}>
+          <BudgetCard budget={b} onPress={() => startEdit(b)} style={{ marginBottom: 6 }} />
+          <View style={{ flexDirection: 'row', gap: 16, paddingHorizontal: 4 }}>
+            <Text style={{ fontSize: 12, color: theme.text, opacity: 0.7, flex: 1 }}>
+              {BUDGET_PERIODS.find((p) => p.value === b.period)?.label}
+            </Text>
+            <TouchableOpacity onPress={() => startEdit(b)} style={{ flexDirection: 'row', alignItems: 'center', gap: 4 }}>
+              <Feather name="edit-2" size={14} color={theme.accent} />
+              <Text style={{ color: theme.accent, fontWeight: '600' }}>Bearbeiten</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => handleDelete(b)} style={{ flexDirection: 'row', alignItems: 'center', gap: 4 }}>
+              <Feather name="trash-2" size={14} color="#ef4444" />
+              <Text style={{ color: '#ef4444', fontWeight: '600' }}>Löschen</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      ))}
+      <TouchableOpacity
+        onPress={startNew}
+        style={[styles.compactQuickBtn, { backgroundColor: theme.card, borderColor: theme.secondary, marginTop: 4, marginBottom: 32 }]}
+      >
+        <Feather name="plus-circle" size={16} color={theme.accent} />
+        <Text style={{ color: theme.text, fontWeight: '600', fontSize: 13 }}>Neues Budget</Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+
+  return (
+    <Modal visible={visible} animationType="slide" presentationStyle="pageSheet">
+      <SafeAreaView style={{ flex: 1, backgroundColor: theme.primary }}>
+        <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', padding: 16 }}>
+          <TouchableOpacity onPress={form ? () => setForm(null) : onClose}>
+            <Feather name={form ? 'arrow-left' : 'x'} size={22} color={theme.text} />
+          </TouchableOpacity>
+          <Text style={{ fontSize: 18, fontWeight: 'bold', color: theme.text }}>
+            {form ? (form.id ? 'Budget bearbeiten' : 'Neues Budget') : 'Budgets'}
+          </Text>
+          {form ? (
+            <TouchableOpacity onPress={handleSaveForm}>
+              <Feather name="check" size={22} color={theme.accent} />
+            </TouchableOpacity>
+          ) : (
+            <View style={{ width: 22 }} />
+          )}
+        </View>
+        {form ? renderForm() : renderList()}
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+// ---------- UI: Accounts & Transfers ----------
+const AccountsModal = ({ visible, onClose }) => {
+  const {
+    isDarkMode,
+    accounts,
+    accountSummaries,
+    transactions,
+    transfers,
+    addAccount,
+    updateAccount,
+    deleteAccount,
+    addTransaction,
+    updateTransaction,
+    deleteTransaction,
+    baseCurrency,
+  } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  // { kind: 'account', id, name, icon, currency, openingBalance } oder
+  // { kind: 'transfer', id, from, to, amount, currency, date, note }
+  const [form, setForm] = useState(null);
+  const [showDate, setShowDate] = useState(false);
+  const [reassigning, setReassigning] = useState(null); // Konto, das gelöscht werden soll, aber noch verwendet wird
+  const [drilldown, setDrilldown] = useState(null);
+
+  const active = accounts.filter((a) => !a.archived);
+  const usageCount = (id) =>
+    transactions.filter((t) => transactionAccount(t) === id).length +
+    transfers.filter((t) => transactionAccount(t) === id || t.toAccountId === id).length;
+
+  useEffect(() => {
+    if (visible) {
+      setForm(null);
+      setReassigning(null);
+    }
+  }, [visible]);
+
+  const startNewAccount = () =>
+    setForm({ kind: 'account', id: null, name: '', icon: ACCOUNT_ICONS[0], currency: baseCurrency, openingBalance: '' });
+  const startEditAccount = (a) =>
+    setForm({
+      kind: 'account',
+      id: a.id,
+      name: a.name,
+      icon: a.icon,
+      currency: a.currency || 'EUR',
+      openingBalance: a.openingBalance ? a.openingBalance.toString().replace('.', ',') : '',
+    });
+
+  const startNewTransfer = () => {
+    if (active.length < 2) {
+      Alert.alert('Nicht möglich', 'Für eine Umbuchung werden mindestens zwei aktive Konten benötigt.');
+      return;
+    }
+    setForm({ kind: 'transfer', id: null, from: active[0].id, to: active[1].id, amount: '', currency: baseCurrency, date: new Date(), note: '' });
+  };
+  const startEditTransfer = (t) =>
+    setForm({
+      kind: 'transfer',
+      id: t.id,
+      from: transactionAccount(t),
+      to: t.toAccountId,
+      amount: t.amount.toString().replace('.', ','),
+      currency: transactionCurrency(t),
+      date: new Date(t.date),
+      note: t.note || '',
+    });
+
+  const saveAccountForm = async () => {
+    const name = form.name.trim();
+    // Anfangsbestand darf 0 oder negativ sein (z. B. überzogenes Konto)
+    const openingBalance = form.openingBalance.trim() ? parseAmount(form.openingBalance) : 0;
+    if (!name) {
+      Alert.alert('Fehler', 'Bitte gib einen Namen ein.');
+      return;
+    }
+    if (accounts.some((a) => a.id !== form.id && a.name.toLowerCase() === name.toLowerCase())) {
+      Alert.alert('Fehler', 'Ein Konto mit diesem Namen gibt es schon.');
+      return;
+    }
+    if (!Number.isFinite(openingBalance)) {
+      Alert.alert('Fehler', 'Bitte gib einen gültigen Anfangsbestand ein.');
+      return;
+    }
+    const payload = { name, icon: form.icon, currency: form.currency, openingBalance };
+    if (form.id) await updateAccount(form.id, payload);
+    else await addAccount(payload);
+    setForm(null);
+  };
+
+  const saveTransferForm = async () => {
+    const amount = parseAmount(form.amount);
+    if (!isValidAmount(amount)) {
+      Alert.alert('Fehler', 'Bitte gib einen gültigen Betrag > 0 ein.');
+      return;
+    }
+    if (form.from === form.to) {
+      Alert.alert('Fehler', 'Quell- und Zielkonto müssen verschieden sein.');
+      return;
+    }
+    const payload = {
+      isTransfer: true,
+      isIncome: false,
+      category: TRANSFER_CATEGORY,
+      accountId: form.from,
+      toAccountId: form.to,
+      amount,
+      currency: form.currency,
+      date: form.date.toISOString(),
+      note: form.note.trim(),
+    };
+    if (form.id) await updateTransaction(form.id, payload);
+    else await addTransaction(payload);
+    setForm(null);
+  };
+
+  const handleDeleteAccount = (a) => {
+    if (usageCount(a.id) > 0) {
+      setReassigning(a);
+      return;
+    }
+    Alert.alert('Konto löschen', `"${a.name}" wirklich löschen?`, [
+      { text: 'Abbrechen', style: 'cancel' },
+      { text: 'Löschen', style: 'destructive', onPress: () => deleteAccount(a.id) },
+    ]);
+  };
+
+  const handleReassign = async (target) => {
+    await deleteAccount(reassigning.id, target.id);
+    setReassigning(null);
+  };
+
+  const handleDeleteTransfer = (t) => {
+    Alert.alert('Löschen bestätigen', 'Möchten Sie diese Umbuchung wirklich löschen?', [
+      { text: 'Abbrechen', style: 'cancel' },
+      { text: 'Löschen', style: 'destructive', onPress: () => deleteTransaction(t.id) },
+    ]);
+  };
+
+  const renderAccountForm = () => (
+    <ScrollView style={{ flex: 1, padding: 16 }}>
+      <View style={styles.inputContainer}>
+        <Text style={[styles.label, { color: theme.text }]}>Name</Text>
+        <TextInput
+          style={[styles.input, { borderColor: theme.secondary, color: theme.text, backgroundColor: theme.card }]}
+          value={form.name}
+          onChangeText={(name) => setForm({ ...form, name })}
+          placeholder="z. B. Kasse"
+          placeholderTextColor={isDarkMode ? '#9fb1c6' : '#7a8ca1'}
+        />
+      </View>
+      <View style={styles.inputContainer}>
+        <Text style={[styles.label, { color: theme.text }]}>Symbol</Text>
+        <View style={styles.pickerGrid}>
+          {ACCOUNT_ICONS.map((icon) => (
+            <TouchableOpacity
+              key={icon}
+              onPress={() => setForm({ ...form, icon })}
+              style={[styles.iconSwatch, { backgroundColor: form.icon === icon ? theme.accent : theme.card, borderColor: theme.accent }]}
+            >
+              <Feather name={icon} size={18} color={form.icon === icon ? 'white' : theme.accent} />
+            </TouchableOpacity>
+          ))}
+        </View>
+      </View>
+      <CurrencyPicker value={form.currency} onChange={(currency) => setForm({ ...form, currency })} amount={form.openingBalance} date={new Date()} />
+      <View style={styles.inputContainer}>
+        <Text style={[styles.label, { color: theme.text }]}>Anfangsbestand ({currencySymbol(form.currency)})</Text>
+        <TextInput
+          style={[styles.input, { borderColor: theme.secondary, color: theme.text, backgroundColor: theme.card }]}
+          keyboardType="numbers-and-punctuation"
+          value={form.openingBalance}
+          onChangeText={(openingBalance) => setForm({ ...form, openingBalance })}
+          placeholder="0,00"
+          placeholderTextColor={isDarkMode ? '#9fb1c6' : '#7a8ca1'}
+        />
+      </View>
+    </ScrollView>
+  );
+
+  const renderTransferForm = () => (
+    <ScrollView style={{ flex: 1, padding: 16 }}>
+      <View style={styles.inputContainer}>
+        <Text style={[styles.label, { color: theme.text }]}>Betrag ({currencySymbol(form.currency)})</Text>
+        <TextInput
+          style={[styles.input, { borderColor: theme.secondary, color: theme.text, backgroundColor: theme.card }]}
+          keyboardType="decimal-pad"
+          value={form.amount}
+          onChangeText={(amount) => setForm({ ...form, amount })}
+          placeholder="0,00"
+          placeholderTextColor={isDarkMode ? '#9fb1c6' : '#7a8ca1'}
+        />
+      </View>
+      <CurrencyPicker value={form.currency} onChange={(currency) => setForm({ ...form, currency })} amount={form.amount} date={form.date} />
+      <AccountPicker label="Von" value={form.from} onChange={(from) => setForm({ ...form, from })} />
+      <AccountPicker label="Nach" value={form.to} onChange={(to) => setForm({ ...form, to })} exclude={form.from} />
+      <View style={styles.inputContainer}>
+        <Text style={[styles.label, { color: theme.text }]}>Datum</Text>
+        <TouchableOpacity
+          onPress={() => setShowDate(true)}
+          style={[
+            styles.input,
+            { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', backgroundColor: theme.card, borderColor: theme.secondary },
+          ]}
+        >
+          <Text style={{ color: theme.text }}>{formatDateDe(form.date)}</Text>
+          <Feather name="calendar" size={18} color={theme.text} />
+        </TouchableOpacity>
+        {showDate && (
+          <DateTimePicker
+            value={form.date}
+            mode="date"
+            is24Hour
+            display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+            onChange={(_, selected) => {
+              setShowDate(false);
+              if (selected) setForm({ ...form, date: selected });
+            }}
+          />
+        )}
+      </View>
+      <View style={styles.inputContainer}>
+        <Text style={[styles.label, { color: theme.text }]}>Notiz (optional)</Text>
+        <TextInput
+          style={[styles.input, { borderColor: theme.secondary, color: theme.text, backgroundColor: theme.card }]}
+          value={form.note}
+          onChangeText={(note) => setForm({ ...form, note })}
+          placeholder="z. B. Bargeld eingezahlt"
+          placeholderTextColor={isDarkMode ? '#9fb1c6' : '#7a8ca1'}
+        />
+      </View>
+    </ScrollView>
+  );
+
+  const renderReassign = () => (
+    <ScrollView style={{ flex: 1, padding: 16 }}>
+      <Text style={{ color: theme.text, marginBottom: 12 }}>
+        "{reassigning.name}" wird noch von {usageCount(reassigning.id)} Einträgen verwendet. Wähle ein Konto, auf das diese
+        Einträge verschoben werden:
+      </Text>
+      <View style={styles.pickerGrid}>
+        {active
+          .filter((a) => a.id !== reassigning.id)
+          .map((a) => (
+            <TouchableOpacity
+              key={String(a.id)}
+              onPress={() => handleReassign(a)}
+              style={[styles.categoryChip, { backgroundColor: theme.card, borderColor: theme.accent, borderWidth: 2 }]}
+            >
+              <Feather name={a.icon} size={14} color={theme.accent} style={{ marginRight: 6 }} />
+              <Text style={[styles.categoryChipText, { color: theme.accent }]}>{a.name}</Text>
+            </TouchableOpacity>
+          ))}
+      </View>
+    </ScrollView>
+  );
+
+  const renderList = () => (
+    <ScrollView style={{ flex: 1, padding: 16 }}>
+      {accountSummaries.map((a) => (
+        <View key={a.id} style={{ marginBottom: 10, opacity: a.archived ? 0.6 : 1 }}>
+          <AccountCard account={a} onPress={() => setDrilldown(a)} style={{ marginBottom: 6 }} />
+          <Text style={{ fontSize: 11, color: theme.text, opacity: 0.7, paddingHorizontal: 4, marginBottom: 4 }}>
+            Anfang {money(a.opening, baseCurrency)} • Ein {money(a.income, baseCurrency)} • Aus {money(a.expense, baseCurrency)} •
+            Umbuchungen {money(a.transfersIn - a.transfersOut, baseCurrency)}
+          </Text>
+          <View style={{ flexDirection: 'row', gap: 16, paddingHorizontal: 4 }}>
+            <TouchableOpacity onPress={() => startEditAccount(a)} style={{ flexDirection: 'row', alignItems: 'center', gap: 4 }}>
+              <Feather name="edit-2" size={14} color={theme.accent} />
+              <Text style={{ color: theme.accent, fontWeight: '600' }}>Bearbeiten</Text>
+            </TouchableOpacity>
+            {/* Das Hauptkonto nimmt Einträge ohne Zuordnung auf und bleibt deshalb immer bestehen */}
+            {a.id !== MAIN_ACCOUNT_ID && (
+              <>
+                <TouchableOpacity onPress={() => updateAccount(a.id, { archived: !a.archived })} style={{ flexDirection: 'row', alignItems: 'center', gap: 4 }}>
+                  <Feather name={a.archived ? 'rotate-ccw' : 'archive'} size={14} color={theme.accent} />
+                  <Text style={{ color: theme.accent, fontWeight: '600' }}>{a.archived ? 'Reaktivieren' : 'Archivieren'}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => handleDeleteAccount(a)} style={{ flexDirection: 'row', alignItems: 'center', gap: 4 }}>
+                  <Feather name="trash-2" size={14} color="#ef4444" />
+                  <Text style={{ color: '#ef4444', fontWeight: '600' }}>Löschen</Text>
+                </TouchableOpacity>
+              </>
+            )}
+          </View>
+        </View>
+      ))}
+      <TouchableOpacity
+        onPress={startNewAccount}
+        style={[styles.compactQuickBtn, { backgroundColor: theme.card, borderColor: theme.secondary, marginTop: 4 }]}
+      >
+        <Feather name="plus-circle" size={16} color={theme.accent} />
+        <Text style={{ color: theme.text, fontWeight: '600', fontSize: 13 }}>Neues Konto</Text>
+      </TouchableOpacity>
+
+      <Text style={[styles.settingsSectionTitle, { color: theme.text }]}>Umbuchungen</Text>
+      {transfers.length === 0 && (
+        <Text style={{ color: theme.text, opacity: 0.7, marginBottom: 8 }}>Noch keine Umbuchungen</Text>
+      )}
+      {transfers.map((t) => (
+        <View key={t.id} style={[styles.txCard, { backgroundColor: theme.card }]}>
+          <Feather name="shuffle" size={16} color={theme.accent} style={{ marginRight: 10 }} />
+          <View style={{ flex: 1 }}>
+            <Text style={{ fontWeight: '700', fontSize: 14, color: theme.text }}>{transferLabel(accounts, t)}</Text>
+            <Text style={{ fontSize: 12, color: theme.text, opacity: 0.7 }}>
+              {formatDateDe(new Date(t.date))}
+              {t.note ? ` • ${t.note}` : ''}
+            </Text>
+          </View>
+          <Text style={{ fontWeight: '700', color: theme.text, marginRight: 10 }}>{money(t.amount, transactionCurrency(t))}</Text>
+          <TouchableOpacity onPress={() => startEditTransfer(t)} style={{ padding: 4 }}>
+            <Feather name="edit-2" size={16} color={theme.text} />
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => handleDeleteTransfer(t)} style={{ padding: 4 }}>
+            <Feather name="trash-2" size={16} color="#ef4444" />
+          </TouchableOpacity>
+        </View>
+      ))}
+      <TouchableOpacity
+        onPress={startNewTransfer}
+        style={[styles.compactQuickBtn, { backgroundColor: theme.card, borderColor: theme.secondary, marginTop: 4, marginBottom: 32 }]}
+      >
+        <Feather name="shuffle" size={16} color={theme.accent} />
+        <Text style={{ color: theme.text, fontWeight: '600', fontSize: 13 }}>Neue Umbuchung</Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+
+  let title = 'Konten & Umbuchungen';
+  if (form?.kind === 'account') title = form.id ? 'Konto bearbeiten' : 'Neues Konto';
+  if (form?.kind === 'transfer') title = form.id ? 'Umbuchung bearbeiten' : 'Neue Umbuchung';
+  if (!form && reassigning) title = 'Einträge verschieben';
+  const handleBack = () => {
+    if (form) setForm(null);
+    else if (reassigning) setReassigning(null);
+    else onClose();
+  };
+
+  let content = renderList();
+  if (form?.kind === 'account') content = renderAccountForm();
+  else if (form?.kind === 'transfer') content = renderTransferForm();
+  else if (reassigning) content = renderReassign();
+
+  return (
+    <Modal visible={visible} animationType="slide" presentationStyle="pageSheet">
+      <SafeAreaView style={{ flex: 1, backgroundColor: theme.primary }}>
+        <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', padding: 16 }}>
+          <TouchableOpacity onPress={handleBack}>
+            <Feather name={form || reassigning ? 'arrow-left' : 'x'} size={22} color={theme.text} />
+          </TouchableOpacity>
+          <Text style={{ fontSize: 18, fontWeight: 'bold', color: theme.text }}>{title}</Text>
+          {form ? (
+            <TouchableOpacity onPress={form.kind === 'account' ? saveAccountForm : saveTransferForm}>
+              <Feather name="check" size={22} color={theme.accent} />
+            </TouchableOpacity>
+          ) : (
+            <View style={{ width: 22 }} />
+          )}
+        </View>
+        {content}
+        <TransactionListModal
+          visible={!!drilldown}
+          title={drilldown?.name || ''}
+          list={drilldown ? transactions.filter((t) => transactionAccount(t) === drilldown.id) : []}
+          onClose={() => setDrilldown(null)}
+        />
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+// ---------- UI: Exchange Rates ----------
+const ExchangeRatesModal = ({ visible, onClose }) => {
+  const {
+    isDarkMode,
+    transactions,
+    exchangeRates,
+    upsertExchangeRates,
+    deleteExchangeRate,
+    baseCurrency,
+    changeBaseCurrency,
+  } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  const [form, setForm] = useState(null); // { id, currency, date, rate }
+  const [showDate, setShowDate] = useState(false);
+
+  useEffect(() => {
+    if (visible) setForm(null);
+  }, [visible]);
+
+  const foreignCurrencies = CURRENCIES.filter((c) => c.code !== 'EUR');
+  const withoutRate = transactions.filter((t) => t.missingRate);
+  // Währungen, für die überhaupt noch kein Kurs existiert
+  const missingCodes = [...new Set(withoutRate.flatMap((t) => [transactionCurrency(t), baseCurrency]))].filter(
+    (code) => findRate(exchangeRates, code, '9999-12-31') === null
+  );
+
+  const startNew = (currency = foreignCurrencies[0].code) => setForm({ id: null, currency, date: new Date(), rate: '' });
+  const startEdit = (r) =>
+    setForm({ id: r.id, currency: r.currency, date: new Date(`${r.date}T12:00:00`), rate: r.rate.toString().replace('.', ',') });
+
+  const handleSaveForm = async () => {
+    const rate = parseAmount(form.rate);
+    if (!isValidAmount(rate)) {
+      Alert.alert('Fehler', 'Bitte gib einen gültigen Kurs > 0 ein.');
+      return;
+    }
+    const entry = { currency: form.currency, date: dayKey(form.date.toISOString()), rate };
+    // Beim Bearbeiten mit neuem Datum/Währung den alten Eintrag entfernen
+    const previous = exchangeRates.find((r) => r.id === form.id);
+    if (previous && (previous.currency !== entry.currency || previous.date !== entry.date)) {
+      await deleteExchangeRate(previous.id);
+    }
+    await upsertExchangeRates([entry]);
+    setForm(null);
+  };
+
+  const handleDelete = (r) => {
+    Alert.alert('Kurs löschen', 'Einträge an diesem Tag werden danach mit dem nächstgelegenen Kurs umgerechnet.', [
+      { text: 'Abbrechen', style: 'cancel' },
+      { text: 'Löschen', style: 'destructive', onPress: () => deleteExchangeRate(r.id) },
+    ]);
+  };
+
+  const handleImport = async () => {
+    try {
+      const text = await pickTextFile(['text/csv', 'text/comma-separated-values', 'text/plain']);
+      if (text == null) return;
+      const { valid, rejected, error } = parseRatesCsv(text);
+      if (error) {
+        Alert.alert('Import fehlgeschlagen', error);
+        return;
+      }
+      if (valid.length > 0) await upsertExchangeRates(valid);
+      const details = rejected.slice(0, 10).map((r) => `Zeile ${r.line}: ${r.reason}`);
+      if (rejected.length > details.length) details.push(`… und ${rejected.length - details.length} weitere`);
+      Alert.alert(
+        'Import abgeschlossen',
+        [`${valid.length} Kurse übernommen\n${rejected.length} abgelehnt`, details.join('\n')].filter(Boolean).join('\n\n')
+      );
+    } catch (e) {
+      console.error('Failed to import exchange rates', e);
+      Alert.alert('Fehler', 'Die Datei konnte nicht gelesen werden.');
+    }
+  };
+
+  const renderForm = () => (
+    <ScrollView style={{ flex: 1, padding: 16 }}>
+      <View style={styles.inputContainer}>
+        <Text style={[styles.label, { color: theme.text }]}>Währung</Text>
+        <View style={[styles.pickerGrid, { marginTop: 8 }]}>
+          {foreignCurrencies.map((c) => (
+            <TouchableOpacity
+              key={c.code}
+              onPress={() => setForm({ ...form, currency: c.code })}
+              style={[styles.filterChip, { backgroundColor: form.currency === c.code ? theme.accent : theme.card, borderColor: theme.accent }]}
+            >
+              <Text style={[styles.filterChipText, { marginLeft: 0, color: form.currency === c.code ? 'white' : theme.accent }]}>
+                {c.symbol} {c.code}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      </View>
+      <View style={styles.inputContainer}>
+        <Text style={[styles.label, { color: theme.text }]}>Gültig ab</Text>
+        <TouchableOpacity
+          onPress={() => setShowDate(true)}
+          style={[
+            styles.input,
+            { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', backgroundColor: theme.card, borderColor: theme.secondary },
+          ]}
+        >
+          <Text style={{ color: theme.text }}>{formatDateDe(form.date)}</Text>
+          <Feather name="calendar" size={18} color={theme.text} />
+        </TouchableOpacity>
+        {showDate && (
+          <DateTimePicker
+            value={form.date}
+            mode="date"
+            is24Hour
+            display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+            onChange={(_, selected) => {
+              setShowDate(false);
+              if (selected) setForm({ ...form, date: selected });
+            }}
+          />
+        )}
+      </View>
+      <View style={styles.inputContainer}>
+        <Text style={[styles.label, { color: theme.text }]}>Kurs (1 € = … {form.currency})</Text>
+        <TextInput
+          style={[styles.input, { borderColor: theme.secondary, color: theme.text, backgroundColor: theme.card }]}
+          keyboardType="decimal-pad"
+          value={form.rate}
+          onChangeText={(rate) => setForm({ ...form, rate })}
+          placeholder="z. B. 1,0850"
+          placeholderTextColor={isDarkMode ? '#9fb1c6' : '#7a8ca1'}
+        />
+      </View>
+    </ScrollView>
+  );
+
+  const renderList = () => (
+    <ScrollView style={{ flex: 1, padding: 16 }}>
+      <Text style={[styles.settingsSectionTitle, { color: theme.text, marginTop: 0 }]}>Basiswährung</Text>
+      <Text style={{ fontSize: 12, color: theme.text, opacity: 0.7, marginBottom: 8 }}>
+        Alle Summen, Statistiken und Kampagnenziele werden in dieser Währung angezeigt.
+      </Text>
+      <View style={[styles.pickerGrid, { marginBottom: 12 }]}>
+        {CURRENCIES.map((c) => (
+          <TouchableOpacity
+            key={c.code}
+            onPress={() => changeBaseCurrency(c.code)}
+            style={[styles.filterChip, { backgroundColor: baseCurrency === c.code ? theme.accent : theme.card, borderColor: theme.accent }]}
+          >
+            <Text style={[styles.filterChipText, { marginLeft: 0, color: baseCurrency === c.code ? 'white' : theme.accent }]}>
+              {c.symbol} {c.code}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {withoutRate.length > 0 && (
+        <View style={[styles.statsCard, { backgroundColor: theme.card, borderWidth: 1, borderColor: '#f59e0b' }]}>
+          <View style={{ flexDirection: 'row', alignItems: 'center', gap: 8 }}>
+            <Feather name="alert-triangle" size={16} color="#f59e0b" />
+            <Text style={{ flex: 1, color: theme.text, fontWeight: '600' }}>
+              {withoutRate.length} Einträge ohne Kurs ({missingCodes.join(', ')})
+            </Text>
+          </View>
+          <Text style={{ fontSize: 12, color: theme.text, opacity: 0.7, marginTop: 4 }}>
+            Sie werden in den Summen mit 0 gezählt, bis ein Kurs hinterlegt ist.
+          </Text>
+        </View>
+      )}
+
+      <Text style={[styles.settingsSectionTitle, { color: theme.text }]}>Kurse (1 € = …)</Text>
+      {exchangeRates.length === 0 && (
+        <View style={{ alignItems: 'center', paddingVertical: 28 }}>
+          <Feather name="trending-up" size={44} color={theme.text} opacity={0.3} />
+          <Text style={{ color: theme.text, marginTop: 10, opacity: 0.7 }}>Noch keine Kurse hinterlegt</Text>
+        </View>
+      )}
+      {exchangeRates.map((r) => (
+        <View key={r.id} style={[styles.settingsRow, { backgroundColor: theme.card }]}>
+          <View style={{ flex: 1 }}>
+            <Text style={{ fontWeight: '700', fontSize: 15, color: theme.text }}>
+              {r.rate.toString().replace('.', ',')} {r.currency}
+            </Text>
+            <Text style={{ fontSize: 12, color: theme.text, opacity: 0.7 }}>
+              ab {formatDateDe(new Date(`${r.date}T12:00:00`))}
+            </Text>
+          </View>
+          <TouchableOpacity onPress={() => startEdit(r)} style={{ padding: 4 }}>
+            <Feather name="edit-2" size={16} color={theme.text} />
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => handleDelete(r)} style={{ padding: 4 }}>
+            <Feather name="trash-2" size={16} color="#ef4444" />
+          </TouchableOpacity>
+        </View>
+      ))}
+      <View style={{ flexDirection: 'row', gap: 8, marginTop: 4, marginBottom: 32 }}>
+        <TouchableOpacity
+          onPress={() => startNew()}
+          style={[styles.compactQuickBtn, { flex: 1, backgroundColor: theme.card, borderColor: theme.secondary }]}
+        >
+          <Feather name="plus-circle" size={16} color={theme.accent} />
+          <Text style={{ color: theme.text, fontWeight: '600', fontSize: 13 }}>Neuer Kurs</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          onPress={handleImport}
+          style={[styles.compactQuickBtn, { flex: 1, backgroundColor: theme.card, borderColor: theme.secondary }]}
+        >
+          <Feather name="upload" size={16} color={theme.accent} />
+          <Text style={{ color: theme.text, fontWeight: '600', fontSize: 13 }}>Kursdatei laden</Text>
+        </TouchableOpacity>
+      </View>
+    </ScrollView>
+  );
+
+  return (
+    <Modal visible={visible} animationType="slide" presentationStyle="pageSheet">
+      <SafeAreaView style={{ flex: 1, backgroundColor: theme.primary }}>
+        <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', padding: 16 }}>
+          <TouchableOpacity onPress={form ? () => setForm(null) : onClose}>
+            <Feather name={form ? 'arrow-left' : 'x'} size={22} color={theme.text} />
+          </TouchableOpacity>
+          <Text style={{ fontSize: 18, fontWeight: 'bold', color: theme.text }}>
+            {form ? (form.id ? 'Kurs bearbeiten' : 'Neuer Kurs') : 'Wechselkurse'}
+          </Text>
+          {form ? (
+            <TouchableOpacity onPress={handleSaveForm}>
+              <Feather name="check" size={22} color={theme.accent} />
+            </TouchableOpacity>
+          ) : (
+            <View style={{ width: 22 }} />
+          )}
+        </View>
+        {form ? renderForm() : renderList()}
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+// ---------- UI: Bank Import ----------
+const BankImportModal = ({ visible, onClose }) => {
+  const { isDarkMode, categories, contacts, transactions, addTransaction, importRules, addImportRule, deleteImportRule } =
+    useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  const [accountId, setAccountId] = useState(MAIN_ACCOUNT_ID);
+  const [statement, setStatement] = useState(null); // { format, rejected }
+  const [lines, setLines] = useState([]); // Zeilen mit category, note, contactId, accept, edited
+  const [form, setForm] = useState(null); // { index, category, note, contactId, remember, pattern }
+
+  // Duplikate hängen vom gewählten Konto ab und werden deshalb bei jedem Kontowechsel neu gesucht.
+  // accept: null heißt "nicht angefasst": übernommen wird dann alles, was kein Duplikat ist.
+  const rows = useMemo(
+    () => markBankDuplicates(lines, transactions, accountId).map((l) => ({ ...l, accept: l.accept ?? !l.duplicate })),
+    [lines, transactions, accountId]
+  );
+
+  useEffect(() => {
+    if (visible) {
+      setStatement(null);
+      setLines([]);
+      setForm(null);
+    }
+  }, [visible]);
+
+  const matchContact = (name) => {
+    const key = name.trim().toLowerCase();
+    return key ? contacts.find((c) => c.name.trim().toLowerCase() === key)?.id ?? null : null;
+  };
+
+  const handlePick = async () => {
+    let parsed;
+    try {
+      const text = await pickStatementFile();
+      if (text == null) return;
+      parsed = parseBankStatement(text);
+    } catch (e) {
+      console.error('Failed to read bank statement', e);
+      Alert.alert('Fehler', 'Die Datei konnte nicht gelesen werden.');
+      return;
+    }
+    if (parsed.error) {
+      Alert.alert('Import fehlgeschlagen', parsed.error);
+      return;
+    }
+    const supported = parsed.lines.filter((l) => CURRENCIES.some((c) => c.code === l.currency));
+    const unsupported = parsed.lines
+      .filter((l) => !supported.includes(l))
+      .map((l) => ({ line: parsed.lines.indexOf(l) + 1, reason: `Währung ${l.currency} wird nicht unterstützt` }));
+    setStatement({ format: parsed.format, rejected: [...parsed.rejected, ...unsupported] });
+    setLines(
+      supported.map((l) => ({
+        ...l,
+        category: suggestCategory(l, importRules, categories),
+        note: bankNote(l),
+        contactId: matchContact(l.counterparty),
+        accept: null,
+        edited: false,
+      }))
+    );
+  };
+
+  const toggle = (index) =>
+    setLines((prev) => prev.map((l, i) => (i === index ? { ...l, accept: !rows[index].accept } : l)));
+
+  const startEdit = (index) => {
+    const l = lines[index];
+    setForm({
+      index,
+      category: l.category,
+      note: l.note,
+      contactId: l.contactId,
+      remember: false,
+      pattern: l.counterparty || l.purpose.slice(0, 30),
+    });
+  };
+
+  const handleSaveForm = async () => {
+    const pattern = form.pattern.trim();
+    if (form.remember && !pattern) {
+      Alert.alert('Fehler', 'Bitte gib einen Suchbegriff für die Regel ein.');
+      return;
+    }
+    const current = lines[form.index];
+    let rules = importRules;
+    if (form.remember) {
+      rules = await addImportRule({ pattern, isIncome: current.isIncome, category: form.category });
+    }
+    // Eine neue Regel gilt sofort auch für die noch nicht bearbeiteten Zeilen
+    setLines((prev) =>
+      prev.map((l, i) => {
+        if (i === form.index) {
+          return { ...l, category: form.category, note: form.note.trim(), contactId: form.contactId, accept: true, edited: true };
+        }
+        return form.remember && !l.edited ? { ...l, category: suggestCategory(l, rules, categories) } : l;
+      })
+    );
+    setForm(null);
+  };
+
+  const handleImport = async () => {
+    const accepted = rows.filter((l) => l.accept);
+    if (accepted.length === 0) {
+      Alert.alert('Nichts ausgewählt', 'Bitte wähle mindestens eine Buchung zum Übernehmen aus.');
+      return;
+    }
+    if (accepted.some((l) => !l.category)) {
+      Alert.alert('Fehler', 'Es gibt keine aktive Kategorie für alle ausgewählten Buchungen.');
+      return;
+    }
+    const saved = await addTransaction(
+      accepted.map((l) => ({
+        amount: l.amount,
+        currency: l.currency,
+        category: l.category,
+        isIncome: l.isIncome,
+        date: l.date,
+        note: l.note,
+        contactId: l.contactId,
+        campaignId: null,
+        accountId,
+        bankRef: l.ref,
+      }))
+    );
+    if (!saved) {
+      Alert.alert('Fehler', 'Die Buchungen konnten nicht gespeichert werden. Es wurde nichts übernommen.');
+      return;
+    }
+    const summary = [
+      `${accepted.length} übernommen`,
+      `${lines.length - accepted.length} übersprungen`,
+      `${statement.rejected.length} abgelehnt`,
+    ];
+    const details = statement.rejected.slice(0, 10).map((r) => `Buchung ${r.line}: ${r.reason}`);
+    if (statement.rejected.length > details.length) details.push(`… und ${statement.rejected.length - details.length} weitere`);
+    Alert.alert('Import abgeschlossen', [summary.join('\n'), details.join('\n')].filter(Boolean).join('\n\n'));
+    onClose();
+  };
+
+  const handleDeleteRule = (rule) => {
+    Alert.alert('Regel löschen', `Regel "${rule.pattern}" → ${rule.category} wirklich löschen?`, [
+      { text: 'Abbrechen', style: 'cancel' },
+      { text: 'Löschen', style: 'destructive', onPress: () => deleteImportRule(rule.id) },
+    ]);
+  };
+
+  const renderStart = () => (
+    <ScrollView style={{ flex: 1, padding: 16 }}>
+      <Text style={{ color: theme.text, opacity: 0.8, marginBottom: 12 }}>
+        Unterstützt werden CAMT.053 (XML), MT940 und die CSV-Exporte von Sparkasse, DKB und N26. Gutschriften werden
+        zu Einnahmen, Belastungen zu Ausgaben. Vor dem Speichern kannst du jede Buchung prüfen.
+      </Text>
+      <AccountPicker label="Auf Konto buchen" value={accountId} onChange={setAccountId} />
+      <TouchableOpacity
+        onPress={handlePick}
+        style={[styles.compactQuickBtn, { backgroundColor: theme.card, borderColor: theme.secondary, marginBottom: 20 }]}
+      >
+        <Feather name="file-plus" size={16} color={theme.accent} />
+        <Text style={{ color: theme.text, fontWeight: '600', fontSize: 13 }}>Datei wählen</Text>
+      </TouchableOpacity>
+
+      <Text style={[styles.settingsSectionTitle, { color: theme.text }]}>Kategorie-Regeln</Text>
+      {importRules.length === 0 && (
+        <Text style={{ color: theme.text, opacity: 0.7, marginBottom: 12 }}>
+          Noch keine Regeln. Beim Bearbeiten einer Buchung kannst du „Regel merken“ einschalten.
+        </Text>
+      )}
+      {importRules.map((r) => (
+        <View key={r.id} style={[styles.settingsRow, { backgroundColor: theme.card }]}>
+          <Feather name={r.isIncome ? 'arrow-down-left' : 'arrow-up-right'} size={18} color={r.isIncome ? '#10b981' : '#ef4444'} />
+          <View style={{ flex: 1 }}>
+            <Text style={{ color: theme.text, fontWeight: '600' }}>„{r.pattern}“</Text>
+            <Text style={{ color: theme.text, opacity: 0.7, fontSize: 12 }}>→ {r.category}</Text>
+          </View>
+          <TouchableOpacity onPress={() => handleDeleteRule(r)} style={{ padding: 4 }}>
+            <Feather name="trash-2" size={18} color="#ef4444" />
+          </TouchableOpacity>
+        </View>
+      ))}
+      <View style={{ height: 32 }} />
+    </ScrollView>
+  );
+
+  const renderReview = () => (
+    <ScrollView style={{ flex: 1, padding: 16 }}>
+      <Text style={{ color: theme.text, opacity: 0.8, marginBottom: 12 }}>
+        {statement.format}: {rows.length} Buchungen, {rows.filter((l) => l.accept).length} ausgewählt
+        {statement.rejected.length > 0 ? `, ${statement.rejected.length} nicht lesbar` : ''}
+      </Text>
+      <AccountPicker label="Auf Konto buchen" value={accountId} onChange={setAccountId} />
+      {rows.map((l, index) => (
+        <View key={l.ref} style={[styles.txCard, { backgroundColor: theme.card, flexDirection: 'column', alignItems: 'stretch', opacity: l.accept ? 1 : 0.55 }]}>
+          <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+            <TouchableOpacity onPress={() => toggle(index)} style={{ paddingRight: 10 }}>
+              <Feather name={l.accept ? 'check-square' : 'square'} size={22} color={theme.accent} />
+            </TouchableOpacity>
+            <View style={{ flex: 1 }}>
+              <Text style={{ color: theme.text, fontWeight: '600' }} numberOfLines={1}>
+                {l.counterparty || l.purpose || 'Ohne Text'}
+              </Text>
+              <Text style={{ color: theme.text, opacity: 0.7, fontSize: 12 }}>
+                {formatDateDe(new Date(l.date))} · {l.category || 'Keine Kategorie'}
+              </Text>
+            </View>
+            <Text style={{ color: l.isIncome ? '#10b981' : '#ef4444', fontWeight: 'bold' }}>
+              {l.isIncome ? '+' : '−'}
+              {money(l.amount, l.currency)}
+            </Text>
+          </View>
+          {!!l.purpose && !!l.counterparty && (
+            <Text style={{ color: theme.text, opacity: 0.7, fontSize: 12, marginTop: 6 }} numberOfLines={2}>
+              {l.purpose}
+            </Text>
+          )}
+          <View style={{ flexDirection: 'row', alignItems: 'center', marginTop: 8 }}>
+            {l.duplicate && (
+              <View style={{ flexDirection: 'row', alignItems: 'center', gap: 4, flex: 1 }}>
+                <Feather name="alert-triangle" size={14} color="#f59e0b" />
+                <Text style={{ color: '#f59e0b', fontSize: 12, fontWeight: '600' }}>
+                  {l.duplicate === 'exact' ? 'Bereits importiert' : 'Mögliches Duplikat'}
+                </Text>
+              </View>
+            )}
+            <View style={{ flex: l.duplicate ? 0 : 1 }} />
+            <TouchableOpacity onPress={() => startEdit(index)} style={{ flexDirection: 'row', alignItems: 'center', gap: 4 }}>
+              <Feather name="edit-2" size={14} color={theme.accent} />
+              <Text style={{ color: theme.accent, fontWeight: '600' }}>Bearbeiten</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      ))}
+      <View style={{ height: 32 }} />
+    </ScrollView>
+  );
+
+  const renderForm = () => {
+    const line = lines[form.index];
+    return (
+      <ScrollView style={{ flex: 1, padding: 16 }}>
+        <Text style={{ color: theme.text, opacity: 0.8, marginBottom: 12 }}>
+          {formatDateDe(new Date(line.date))} · {line.isIncome ? 'Einnahme' : 'Ausgabe'} {money(line.amount, line.currency)}
+        </Text>
+        <View style={styles.inputContainer}>
+          <Text style={[styles.label, { color: theme.text }]}>Kategorie</Text>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={{ marginTop: 8 }}>
+            <View style={{ flexDirection: 'row', gap: 8 }}>
+              {activeCategories(line.isIncome, categories).map((cat) => (
+                <CategoryChip
+                  key={cat.value}
+                  category={cat.label}
+                  isIncome={line.isIncome}
+                  isSelected={form.category === cat.value}
+                  onPress={() => setForm({ ...form, category: cat.value })}
+                />
+              ))}
+            </View>
+          </ScrollView>
+        </View>
+        <View style={styles.inputContainer}>
+          <Text style={[styles.label, { color: theme.text }]}>{line.isIncome ? 'Spender/in' : 'Empfänger/in'}</Text>
+          <ContactPicker value={form.contactId} onChange={(contactId) => setForm({ ...form, contactId })} />
+        </View>
+        <View style={styles.inputContainer}>
+          <Text style={[styles.label, { color: theme.text }]}>Notiz</Text>
+          <TextInput
+            style={[styles.input, { borderColor: theme.secondary, color: theme.text, backgroundColor: theme.card, minHeight: 60 }]}
+            value={form.note}
+            onChangeText={(note) => setForm({ ...form, note })}
+            multiline
+          />
+        </View>
+        <View style={[styles.settingsRow, { backgroundColor: theme.card }]}>
+          <View style={{ flex: 1 }}>
+            <Text style={{ color: theme.text, fontWeight: '600' }}>Regel merken</Text>
+            <Text style={{ color: theme.text, opacity: 0.7, fontSize: 12 }}>
+              Buchungen mit diesem Text künftig dieser Kategorie zuordnen
+            </Text>
+          </View>
+          <Switch value={form.remember} onValueChange={(remember) => setForm({ ...form, remember })} />
+        </View>
+        {form.remember && (
+          <View style={styles.inputContainer}>
+            <Text style={[styles.label, { color: theme.text }]}>Enthält (Name oder Verwendungszweck)</Text>
+            <TextInput
+              style={[styles.input, { borderColor: theme.secondary, color: theme.text, backgroundColor: theme.card }]}
+              value={form.pattern}
+              onChangeText={(pattern) => setForm({ ...form, pattern })}
+              autoCapitalize="none"
+            />
+          </View>
+        )}
+        <View style={{ height: 32 }} />
+      </ScrollView>
+    );
+  };
+
+  const back = form ? () => setForm(null) : statement ? () => setStatement(null) : onClose;
+  const title = form ? 'Buchung bearbeiten' : statement ? 'Buchungen prüfen' : 'Kontoauszug importieren';
+  const confirm = form ? handleSaveForm : statement ? handleImport : null;
+
+  return (
+    <Modal visible={visible} animationType="slide" presentationStyle="pageSheet">
+      <SafeAreaView style={{ flex: 1, backgroundColor: theme.primary }}>
+        <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', padding: 16 }}>
+          <TouchableOpacity onPress={back}>
+            <Feather name={form || statement ? 'arrow-left' : 'x'} size={22} color={theme.text} />
+          </TouchableOpacity>
+          <Text style={{ fontSize: 18, fontWeight: 'bold', color: theme.text }}>{title}</Text>
+          {confirm ? (
+            <TouchableOpacity onPress={confirm}>
+              <Feather name="check" size={22} color={theme.accent} />
+            </TouchableOpacity>
+          ) : (
+            <View style={{ width: 22 }} />
+          )}
+        </View>
+        {form ? renderForm() : statement ? renderReview() : renderStart()}
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+// ---------- UI: GoFundMe Import ----------
+const GofundmeImportModal = ({ visible, onClose }) => {
+  const { isDarkMode, categories, contacts, accounts, transactions, transfers, addTransaction } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  const pick = (isIncome, preferred) => {
+    const active = activeCategories(isIncome, categories);
+    return active.some((c) => c.value === preferred) ? preferred : active[0]?.value || '';
+  };
+  const [incomeCategory, setIncomeCategory] = useState('GoFundMe');
+  const [bookFees, setBookFees] = useState(true);
+  const [feeCategory, setFeeCategory] = useState('Sonstiges');
+  const [accountId, setAccountId] = useState(MAIN_ACCOUNT_ID);
+  const [bookPayouts, setBookPayouts] = useState(false);
+  const [payoutAccountId, setPayoutAccountId] = useState(null);
+  const [campaignId, setCampaignId] = useState(null);
+  const multipleAccounts = accounts.filter((a) => !a.archived).length > 1;
+
+  useEffect(() => {
+    if (visible) {
+      setIncomeCategory(pick(true, 'GoFundMe'));
+      setFeeCategory(pick(false, 'Sonstiges'));
+      // Ein Konto namens "GoFundMe" ist die naheliegende Quelle
+      const gofundme = accounts.find((a) => !a.archived && /gofundme/i.test(a.name));
+      setAccountId(gofundme?.id ?? MAIN_ACCOUNT_ID);
+      setBookPayouts(false);
+      setPayoutAccountId(null);
+      setCampaignId(null);
+    }
+  }, [visible]);
+
+  const runImport = async (list, summary) => {
+    if (list.length > 0 && !(await addTransaction(list))) {
+      Alert.alert('Fehler', 'Die Einträge konnten nicht gespeichert werden. Es wurde nichts importiert.');
+      return;
+    }
+    Alert.alert('Import abgeschlossen', summary);
+    onClose();
+  };
+
+  const handlePick = async () => {
+    if (bookPayouts && (payoutAccountId == null || payoutAccountId === accountId)) {
+      Alert.alert('Fehler', 'Bitte wähle das Konto, auf das GoFundMe auszahlt.');
+      return;
+    }
+    let parsed;
+    try {
+      const text = await pickTextFile(['text/csv', 'text/comma-separated-values', 'text/plain']);
+      if (text == null) return;
+      const account = accounts.find((a) => a.id === accountId);
+      parsed = parseGofundmeCsv(text, account?.currency || 'EUR');
+    } catch (e) {
+      console.error('Failed to read GoFundMe export', e);
+      Alert.alert('Fehler', 'Die Datei konnte nicht gelesen werden.');
+      return;
+    }
+    if (parsed.error) {
+      Alert.alert('Import fehlgeschlagen', parsed.error);
+      return;
+    }
+
+    const { list, duplicates, skippedPayouts } = gofundmeTransactions(parsed.rows, [...transactions, ...transfers], {
+      incomeCategory,
+      feeCategory: bookFees ? feeCategory : null,
+      accountId,
+      payoutAccountId: bookPayouts ? payoutAccountId : null,
+      campaignId,
+      contacts,
+    });
+    const donations = list.filter((t) => t.isIncome);
+    const fees = list.filter((t) => !t.isIncome && !t.isTransfer);
+    const payouts = list.filter((t) => t.isTransfer);
+    const lines = [
+      `${donations.length} Spenden`,
+      bookFees ? `${fees.length} Gebühren` : null,
+      bookPayouts ? `${payouts.length} Auszahlungen` : null,
+      `${duplicates} bereits importiert`,
+      skippedPayouts > 0 ? `${skippedPayouts} Auszahlungen nicht gebucht` : null,
+      `${parsed.rejected.length} abgelehnt`,
+    ].filter(Boolean);
+    const details = parsed.rejected.slice(0, 10).map((r) => `Zeile ${r.line}: ${r.reason}`);
+    if (parsed.rejected.length > details.length) details.push(`… und ${parsed.rejected.length - details.length} weitere`);
+    const summary = [lines.join('\n'), details.join('\n')].filter(Boolean).join('\n\n');
+
+    if (list.length === 0) {
+      Alert.alert('Nichts Neues', summary);
+      return;
+    }
+    Alert.alert('GoFundMe importieren', summary, [
+      { text: 'Abbrechen', style: 'cancel' },
+      { text: 'Importieren', onPress: () => runImport(list, summary) },
+    ]);
+  };
+
+  const categoryChips = (isIncome, value, onChange) => (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false} style={{ marginTop: 8 }}>
+      <View style={{ flexDirection: 'row', gap: 8 }}>
+        {activeCategories(isIncome, categories).map((cat) => (
+          <CategoryChip
+            key={cat.value}
+            category={cat.label}
+            isIncome={isIncome}
+            isSelected={value === cat.value}
+            onPress={() => onChange(cat.value)}
+          />
+        ))}
+      </View>
+    </ScrollView>
+  );
+
+  const switchRow = (label, description, value, onChange) => (
+    <View style={[styles.settingsRow, { backgroundColor: theme.card }]}>
+      <View style={{ flex: 1 }}>
+        <Text style={{ color: theme.text, fontWeight: '600' }}>{label}</Text>
+        <Text style={{ color: theme.text, opacity: 0.7, fontSize: 12 }}>{description}</Text>
+      </View>
+      <Switch value={value} onValueChange={onChange} />
+    </View>
+  );
+
+  return (
+    <Modal visible={visible} animationType="slide" presentationStyle="pageSheet">
+      <SafeAreaView style={{ flex: 1, backgroundColor: theme.primary }}>
+        <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', padding: 16 }}>
+          <TouchableOpacity onPress={onClose}>
+            <Feather name="x" size={22} color={theme.text} />
+          </TouchableOpacity>
+          <Text style={{ fontSize: 18, fontWeight: 'bold', color: theme.text }}>GoFundMe importieren</Text>
+          <View style={{ width: 22 }} />
+        </View>
+        <ScrollView style={{ flex: 1, padding: 16 }}>
+          <Text style={{ color: theme.text, opacity: 0.8, marginBottom: 12 }}>
+            Lade im GoFundMe-Dashboard die Spenden als CSV herunter. Jede Spende wird eine Einnahme mit Name und
+            Nachricht in der Notiz. Bereits importierte Spenden werden erkannt, du kannst überlappende Zeiträume also
+            gefahrlos erneut importieren.
+          </Text>
+          <View style={styles.inputContainer}>
+            <Text style={[styles.label, { color: theme.text }]}>Kategorie der Spenden</Text>
+            {categoryChips(true, incomeCategory, setIncomeCategory)}
+          </View>
+          <AccountPicker label="Konto" value={accountId} onChange={setAccountId} />
+          <CampaignPicker value={campaignId} onChange={setCampaignId} />
+          {switchRow('Gebühren buchen', 'Plattform- und Zahlungsgebühren als eigene Ausgaben', bookFees, setBookFees)}
+          {bookFees && (
+            <View style={styles.inputContainer}>
+              <Text style={[styles.label, { color: theme.text }]}>Kategorie der Gebühren</Text>
+              {categoryChips(false, feeCategory, setFeeCategory)}
+            </View>
+          )}
+          {multipleAccounts &&
+            switchRow(
+              'Auszahlungen buchen',
+              'Als Umbuchung auf das Bankkonto; aus, wenn sie über den Kontoauszug kommen',
+              bookPayouts,
+              setBookPayouts
+            )}
+          {multipleAccounts && bookPayouts && (
+            <AccountPicker label="Auszahlung auf" value={payoutAccountId} onChange={setPayoutAccountId} exclude={accountId} />
+          )}
+          <TouchableOpacity
+            onPress={handlePick}
+            style={[styles.compactQuickBtn, { backgroundColor: theme.card, borderColor: theme.secondary, marginTop: 4, marginBottom: 32 }]}
+          >
+            <Feather name="file-plus" size={16} color={theme.accent} />
+            <Text style={{ color: theme.text, fontWeight: '600', fontSize: 13 }}>Datei wählen</Text>
+          </TouchableOpacity>
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+// ---------- UI: Annual Report ----------
+const ReportModal = ({ visible, onClose }) => {
+  const { isDarkMode, transactions, categories, contacts, accounts, accountSummaries, baseCurrency, receiptSettings } =
+    useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  const [period, setPeriod] = useState({ preset: 'thisYear', from: null, to: null });
+  const [pickerFor, setPickerFor] = useState(null); // 'from' | 'to'
+  const [title, setTitle] = useState('');
+  const [includeEntries, setIncludeEntries] = useState(false);
+  const [anonymize, setAnonymize] = useState(true);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      // Zu Jahresbeginn wird meist das Vorjahr abgeschlossen
+      const now = new Date();
+      setPeriod({ preset: now.getMonth() < 3 ? 'lastYear' : 'thisYear', from: new Date(now.getFullYear(), 0, 1), to: now });
+      setPickerFor(null);
+      setTitle('');
+      setIncludeEntries(false);
+      setAnonymize(true);
+    }
+  }, [visible]);
+
+  const range = reportRange(period);
+  const validRange = range.from < range.to;
+  const report = validRange
+    ? buildReport(transactions, {
+        ...range,
+        openingBase: accountSummaries.reduce((s, a) => s + a.opening, 0),
+        categories,
+      })
+    : null;
+  const defaultTitle = validRange ? `Jahresabschluss ${reportPeriodLabel(range.from, range.to)}` : 'Jahresabschluss';
+
+  const onPickDate = (_, selected) => {
+    const key = pickerFor;
+    setPickerFor(Platform.OS === 'ios' ? key : null);
+    if (selected) setPeriod({ ...period, [key]: selected });
+  };
+
+  const handleExport = async (share) => {
+    if (!report) {
+      Alert.alert('Fehler', 'Das Bis-Datum muss nach dem Von-Datum liegen.');
+      return;
+    }
+    setBusy(true);
+    try {
+      await share(report, {
+        title: title.trim() || defaultTitle,
+        issuer: receiptSettings.issuerName,
+        baseCurrency,
+        includeEntries,
+        anonymize,
+        contacts,
+        accounts,
+      });
+    } catch (e) {
+      console.error('Failed to create report', e);
+      Alert.alert('Fehler', 'Der Bericht konnte nicht erstellt werden.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const switchRow = (label, description, value, onChange) => (
+    <View style={[styles.settingsRow, { backgroundColor: theme.card }]}>
+      <View style={{ flex: 1 }}>
+        <Text style={{ color: theme.text, fontWeight: '600' }}>{label}</Text>
+        <Text style={{ color: theme.text, opacity: 0.7, fontSize: 12 }}>{description}</Text>
+      </View>
+      <Switch value={value} onValueChange={onChange} />
+    </View>
+  );
+
+  const summaryRow = (label, value, bold) => (
+    <View style={{ flexDirection: 'row', justifyContent: 'space-between', paddingVertical: 3 }}>
+      <Text style={{ color: theme.text, fontWeight: bold ? '700' : '400' }}>{label}</Text>
+      <Text style={{ color: theme.text, fontWeight: bold ? '700' : '600' }}>{money(value, baseCurrency)}</Text>
+    </View>
+  );
+
   return (
     <Modal visible={visible} animationType="slide" presentationStyle="pageSheet">
       <SafeAreaView style={{ flex: 1, backgroundColor: theme.primary }}>
@@ -293,151 +8527,243 @@ const AddModal = ({ visible, isIncome, onClose, onSave }) => {
           <TouchableOpacity onPress={onClose}>
             <Feather name="x" size={22} color={theme.text} />
           </TouchableOpacity>
-          <Text style={{ fontSize: 18, fontWeight: 'bold', color: theme.text }}>
-            {isIncome ? 'Neue Einnahme' : 'Neue Ausgabe'}
-          </Text>
-          <TouchableOpacity onPress={handleSave}>
-            <Feather name="check" size={22} color={theme.accent} />
-          </TouchableOpacity>
+          <Text style={{ fontSize: 18, fontWeight: 'bold', color: theme.text }}>Jahresabschluss</Text>
+          <View style={{ width: 22 }} />
         </View>
-
         <ScrollView style={{ flex: 1, padding: 16 }}>
-          {/* Betrag */}
-          <View style={styles.inputContainer}>
-            <Text style={[styles.label, { color: theme.text }]}>Betrag (€)</Text>
-            <TextInput
-              style={[
-                styles.input,
-                { borderColor: theme.secondary, color: theme.text, backgroundColor: theme.card },
-              ]}
-              keyboardType="decimal-pad"
-              value={amount}
-              onChangeText={setAmount}
-              placeholder="0,00"
-              placeholderTextColor={isDarkMode ? '#9fb1c6' : '#7a8ca1'}
-            />
-          </View>
-
-          {/* Kategorie */}
           <View style={styles.inputContainer}>
-            <Text style={[styles.label, { color: theme.text }]}>Kategorie</Text>
-            <ScrollView horizontal showsHorizontalScrollIndicator={false} style={{ marginTop: 8 }}>
-              <View style={{ flexDirection: 'row', gap: 8 }}>
-                {categories.map((cat) => (
-                  <CategoryChip
-                    key={cat.value}
-                    category={cat.label}
-                    isIncome={isIncome}
-                    isSelected={category === cat.value}
-                    onPress={() => setCategory(cat.value)}
-                  />
+            <Text style={[styles.label, { color: theme.text }]}>Zeitraum</Text>
+            <View style={[styles.pickerGrid, { marginTop: 8 }]}>
+              {REPORT_PRESETS.map((p) => {
+                const selected = period.preset === p.key;
+                return (
+                  <TouchableOpacity
+                    key={p.key}
+                    onPress={() => setPeriod({ ...period, preset: p.key })}
+                    style={[styles.filterChip, { backgroundColor: selected ? theme.accent : theme.card, borderColor: theme.accent }]}
+                  >
+                    <Text style={[styles.filterChipText, { marginLeft: 0, color: selected ? 'white' : theme.accent }]}>{p.label}</Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+            {period.preset === 'custom' && (
+              <View style={{ flexDirection: 'row', gap: 8, marginTop: 8 }}>
+                {['from', 'to'].map((key) => (
+                  <TouchableOpacity
+                    key={key}
+                    onPress={() => setPickerFor(key)}
+                    style={[styles.filterField, { backgroundColor: theme.card, borderColor: theme.secondary }]}
+                  >
+                    <Feather name="calendar" size={14} color={theme.text} />
+                    <Text style={{ color: theme.text, fontSize: 13 }}>
+                      {key === 'from' ? 'Von ' : 'Bis '}
+                      {formatDateDe(period[key])}
+                    </Text>
+                  </TouchableOpacity>
                 ))}
               </View>
-            </ScrollView>
-          </View>
-
-          {/* Datum */}
-          <View style={styles.inputContainer}>
-            <Text style={[styles.label, { color: theme.text }]}>Datum</Text>
-            <TouchableOpacity
-              onPress={() => setShowDate(true)}
-              style={[
-                styles.input,
-                {
-                  flexDirection: 'row',
-                  justifyContent: 'space-between',
-                  alignItems: 'center',
-                  backgroundColor: theme.card,
-                  borderColor: theme.secondary,
-                },
-              ]}
-            >
-              <Text style={{ color: theme.text }}>{date.toLocaleDateString('de-DE')}</Text>
-              <Feather name="calendar" size={20} color={theme.text} />
-            </TouchableOpacity>
-            {showDate && (
+            )}
+            {pickerFor && (
               <DateTimePicker
-                value={date}
+                value={period[pickerFor]}
                 mode="date"
                 is24Hour
                 display={Platform.OS === 'ios' ? 'spinner' : 'default'}
-                onChange={onDateChange}
+                onChange={onPickDate}
               />
             )}
           </View>
 
-          {/* Notiz */}
           <View style={styles.inputContainer}>
-            <Text style={[styles.label, { color: theme.text }]}>Notiz (optional)</Text>
+            <Text style={[styles.label, { color: theme.text }]}>Titel</Text>
             <TextInput
-              style={[
-                styles.input,
-                {
-                  height: 90,
-                  borderColor: theme.secondary,
-                  color: theme.text,
-                  backgroundColor: theme.card,
-                  textAlignVertical: 'top',
-                },
-              ]}
-              multiline
-              value={note}
-              onChangeText={setNote}
-              placeholder="z. B. Anlass, Empfänger, Zweck…"
+              style={[styles.input, { borderColor: theme.secondary, color: theme.text, backgroundColor: theme.card }]}
+              value={title}
+              onChangeText={setTitle}
+              placeholder={defaultTitle}
               placeholderTextColor={isDarkMode ? '#9fb1c6' : '#7a8ca1'}
             />
           </View>
+
+          {report && (
+            <View style={[styles.statsCard, { backgroundColor: theme.card, marginBottom: 12 }]}>
+              {summaryRow('Anfangsbestand', report.opening)}
+              {summaryRow('+ Einnahmen', report.income)}
+              {summaryRow('− Ausgaben', report.expense)}
+              {summaryRow('Endbestand', report.closing, true)}
+              <Text style={{ color: theme.text, opacity: 0.7, fontSize: 12, marginTop: 6 }}>
+                {report.entries.length} Einträge · {report.months.length} Monate
+              </Text>
+              {report.withoutRate.length > 0 && (
+                <Text style={{ color: '#f59e0b', fontSize: 12, marginTop: 4 }}>
+                  {report.withoutRate.length} Fremdwährungs-Einträge ohne Kurs sind nicht enthalten und werden im Bericht aufgeführt.
+                </Text>
+              )}
+            </View>
+          )}
+
+          {switchRow('Transaktionsliste anhängen', 'Alle Einträge des Zeitraums als eigene Seite bzw. Tabelle', includeEntries, setIncludeEntries)}
+          {includeEntries &&
+            switchRow('Anonymisieren', 'Ohne Namen und Notizen, z. B. für Spender/innen', anonymize, setAnonymize)}
+
+          <View style={{ flexDirection: 'row', gap: 8, marginTop: 4, marginBottom: 32 }}>
+            {[
+              { label: 'PDF', icon: 'file-text', share: shareReportPdf },
+              { label: 'Excel (XLSX)', icon: 'grid', share: shareReportXlsx },
+            ].map((b) => (
+              <TouchableOpacity
+                key={b.label}
+                disabled={busy}
+                onPress={() => handleExport(b.share)}
+                style={[styles.compactQuickBtn, { backgroundColor: theme.card, borderColor: theme.secondary, opacity: busy ? 0.5 : 1 }]}
+              >
+                <Feather name={b.icon} size={16} color={theme.accent} />
+                <Text style={{ color: theme.text, fontWeight: '600', fontSize: 13 }}>{b.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
         </ScrollView>
       </SafeAreaView>
     </Modal>
   );
 };
 
-// ---------- UI: Edit Modal ----------
-const EditModal = ({ visible, transaction, onClose, onSave }) => {
-  const { isDarkMode } = useContext(DonationContext);
+// ---------- UI: Device Sync ----------
+const SyncModal = ({ visible, onClose }) => {
+  const {
+    isDarkMode,
+    editorName,
+    changeEditorName,
+    syncState,
+    exportChangeSet,
+    importChangeSet,
+    syncServer,
+    serverOutbox,
+    serverStatus,
+    changeSyncServer,
+    syncWithServer,
+  } = useContext(DonationContext);
   const theme = isDarkMode ? darkTheme : lightTheme;
-
-  const [amount, setAmount] = useState('');
-  const [date, setDate] = useState(new Date());
-  const [showDate, setShowDate] = useState(false);
-  const [note, setNote] = useState('');
-  const [category, setCategory] = useState('');
+  const [name, setName] = useState('');
+  const [onlyChanges, setOnlyChanges] = useState(false);
+  const [serverUrl, setServerUrl] = useState('');
+  const [serverToken, setServerToken] = useState('');
+  const [busy, setBusy] = useState(false);
 
   useEffect(() => {
-    if (transaction) {
-      setAmount(transaction.amount.toString().replace('.', ','));
-      setDate(new Date(transaction.date));
-      setNote(transaction.note || '');
-      setCategory(transaction.category);
+    if (visible) {
+      setName(editorName);
+      setOnlyChanges(!!syncState.lastExportAt);
+      setServerUrl(syncServer.url);
+      setServerToken(syncServer.token);
     }
-  }, [transaction]);
+  }, [visible]);
 
-  const handleSave = () => {
-    const val = parseFloat((amount || '').replace(',', '.'));
-    if (isNaN(val) || val <= 0) {
-      Alert.alert('Fehler', 'Bitte gib einen gültigen Betrag > 0 ein.');
+  const formatStamp = (iso) =>
+    iso ? `${formatDateDe(new Date(iso))}, ${pad2(new Date(iso).getHours())}:${pad2(new Date(iso).getMinutes())} Uhr` : 'noch nie';
+
+  const handleExport = async () => {
+    if (!name.trim()) {
+      Alert.alert('Name fehlt', 'Bitte gib diesem Gerät einen Namen, damit die anderen sehen, von wem die Änderungen kommen.');
       return;
     }
+    setBusy(true);
+    try {
+      if (name.trim() !== editorName) await changeEditorName(name.trim());
+      await exportChangeSet({ onlyChanges, author: name.trim() });
+    } catch (e) {
+      console.error('Failed to export change set', e);
+      Alert.alert('Fehler', 'Die Abgleich-Datei konnte nicht erstellt werden.');
+    } finally {
+      setBusy(false);
+    }
+  };
 
-    onSave({
-      ...transaction,
-      amount: val,
-      category,
-      date: date.toISOString(),
-      note: note.trim(),
-    });
-    onClose();
+  const handleImport = async () => {
+    let doc;
+    try {
+      const text = await pickTextFile(['application/json', 'text/plain']);
+      if (text == null) return;
+      doc = readChangeSetText(text);
+    } catch (e) {
+      Alert.alert('Ungültige Datei', e.message);
+      return;
+    }
+    setBusy(true);
+    try {
+      const result = await importChangeSet(doc);
+      if (!result) {
+        Alert.alert('Fehler', 'Die Änderungen konnten nicht gespeichert werden. Deine Daten wurden nicht verändert.');
+        return;
+      }
+      Alert.alert(
+        'Abgleich abgeschlossen',
+        [
+          `Von: ${doc.author} (${formatStamp(doc.createdAt)})`,
+          '',
+          `${result.added} neu`,
+          `${result.updated} aktualisiert`,
+          `${result.removed} gelöscht`,
+          `${result.keptLocal} hier neuer und behalten`,
+        ].join('\n')
+      );
+    } catch (e) {
+      console.error('Failed to import change set', e);
+      Alert.alert('Fehler', 'Der Abgleich ist fehlgeschlagen.');
+    } finally {
+      setBusy(false);
+    }
   };
 
-  const onDateChange = (_, selected) => {
-    setShowDate(false);
-    if (selected) setDate(selected);
+  // Erst prüfen, ob Adresse und Token stimmen, dann einschalten
+  const handleConnect = async () => {
+    const config = { url: serverUrl.trim().replace(/\/+$/, ''), token: serverToken.trim() };
+    if (!/^https?:\/\/\S+$/i.test(config.url) || !config.token) {
+      Alert.alert('Angaben fehlen', 'Bitte die Adresse des Servers (http://… oder https://…) und das Zugriffstoken eintragen.');
+      return;
+    }
+    setBusy(true);
+    try {
+      const { status } = await serverRequest(config, 'GET', '/changes?since=0&limit=1');
+      if (status !== 200) throw syncServerError('server', `Unerwartete Antwort (${status}). Stimmt die Adresse?`);
+      await changeSyncServer({ ...config, enabled: true });
+    } catch (e) {
+      if (!e.kind) console.error('Failed to connect sync server', e);
+      Alert.alert('Verbindung fehlgeschlagen', e.message);
+    } finally {
+      setBusy(false);
+    }
   };
 
-  if (!transaction) return null;
+  const handleDisconnect = () => {
+    const pending = serverOutbox.queue.length;
+    Alert.alert(
+      'Server trennen?',
+      pending > 0
+        ? `${pending} Änderung(en) wurden noch nicht gesendet. Beim erneuten Verbinden wird alles neu hochgeladen.`
+        : 'Die Einträge auf diesem Gerät bleiben erhalten.',
+      [
+        { text: 'Abbrechen', style: 'cancel' },
+        {
+          text: 'Trennen',
+          style: 'destructive',
+          onPress: () =>
+            changeSyncServer({ enabled: false }).catch((e) => {
+              console.error('Failed to disconnect sync server', e);
+              Alert.alert('Fehler', 'Die Einstellung konnte nicht gespeichert werden.');
+            }),
+        },
+      ]
+    );
+  };
 
-  const categories = transaction.isIncome ? INCOME_CATEGORIES : EXPENSE_CATEGORIES;
+  const serverStatusText = {
+    idle: `Zuletzt synchronisiert: ${formatStamp(serverOutbox.lastSyncAt)}`,
+    syncing: 'Wird synchronisiert …',
+    offline: 'Server nicht erreichbar – Änderungen werden gesammelt und später gesendet',
+    error: serverStatus.message,
+  }[serverStatus.state];
 
   return (
     <Modal visible={visible} animationType="slide" presentationStyle="pageSheet">
@@ -446,497 +8772,1063 @@ const EditModal = ({ visible, transaction, onClose, onSave }) => {
           <TouchableOpacity onPress={onClose}>
             <Feather name="x" size={22} color={theme.text} />
           </TouchableOpacity>
-          <Text style={{ fontSize: 18, fontWeight: 'bold', color: theme.text }}>
-            Eintrag bearbeiten
-          </Text>
-          <TouchableOpacity onPress={handleSave}>
-            <Feather name="check" size={22} color={theme.accent} />
-          </TouchableOpacity>
+          <Text style={{ fontSize: 18, fontWeight: 'bold', color: theme.text }}>Geräte abgleichen</Text>
+          <View style={{ width: 22 }} />
         </View>
-
         <ScrollView style={{ flex: 1, padding: 16 }}>
-          {/* Betrag */}
+          <Text style={{ color: theme.text, opacity: 0.8, marginBottom: 12 }}>
+            Sende deine Änderungen als Datei an die anderen (z. B. per AirDrop, Nearby Share oder Messenger) und lies
+            deren Dateien hier ein. Bei widersprüchlichen Änderungen gewinnt je Eintrag die jüngere. Anhänge bleiben
+            auf dem jeweiligen Gerät.
+          </Text>
           <View style={styles.inputContainer}>
-            <Text style={[styles.label, { color: theme.text }]}>Betrag (€)</Text>
+            <Text style={[styles.label, { color: theme.text }]}>Name dieses Geräts</Text>
             <TextInput
-              style={[
-                styles.input,
-                { borderColor: theme.secondary, color: theme.text, backgroundColor: theme.card },
-              ]}
-              keyboardType="decimal-pad"
-              value={amount}
-              onChangeText={setAmount}
-              placeholder="0,00"
+              style={[styles.input, { borderColor: theme.secondary, color: theme.text, backgroundColor: theme.card }]}
+              value={name}
+              onChangeText={setName}
+              placeholder="z. B. Handy von Sara"
               placeholderTextColor={isDarkMode ? '#9fb1c6' : '#7a8ca1'}
             />
           </View>
 
-          {/* Kategorie */}
-          <View style={styles.inputContainer}>
-            <Text style={[styles.label, { color: theme.text }]}>Kategorie</Text>
-            <ScrollView horizontal showsHorizontalScrollIndicator={false} style={{ marginTop: 8 }}>
-              <View style={{ flexDirection: 'row', gap: 8 }}>
-                {categories.map((cat) => (
-                  <CategoryChip
-                    key={cat.value}
-                    category={cat.label}
-                    isIncome={transaction.isIncome}
-                    isSelected={category === cat.value}
-                    onPress={() => setCategory(cat.value)}
-                  />
-                ))}
+          <View style={[styles.statsCard, { backgroundColor: theme.card }]}>
+            <Text style={{ color: theme.text }}>Zuletzt gesendet: {formatStamp(syncState.lastExportAt)}</Text>
+            <Text style={{ color: theme.text, marginTop: 4 }}>
+              Zuletzt empfangen: {formatStamp(syncState.lastImportAt)}
+              {syncState.lastImportFrom ? ` von ${syncState.lastImportFrom}` : ''}
+            </Text>
+          </View>
+
+          {!!syncState.lastExportAt && (
+            <View style={[styles.settingsRow, { backgroundColor: theme.card }]}>
+              <View style={{ flex: 1 }}>
+                <Text style={{ color: theme.text, fontWeight: '600' }}>Nur Änderungen seit dem letzten Senden</Text>
+                <Text style={{ color: theme.text, opacity: 0.7, fontSize: 12 }}>
+                  Aus, wenn ein neues Gerät dazukommt oder eine Datei verloren ging
+                </Text>
               </View>
-            </ScrollView>
+              <Switch value={onlyChanges} onValueChange={setOnlyChanges} />
+            </View>
+          )}
+
+          <View style={{ flexDirection: 'row', gap: 8, marginTop: 4 }}>
+            {[
+              { label: 'Änderungen senden', icon: 'send', onPress: handleExport },
+              { label: 'Datei einlesen', icon: 'download', onPress: handleImport },
+            ].map((b) => (
+              <TouchableOpacity
+                key={b.label}
+                disabled={busy}
+                onPress={b.onPress}
+                style={[styles.compactQuickBtn, { backgroundColor: theme.card, borderColor: theme.secondary, opacity: busy ? 0.5 : 1 }]}
+              >
+                <Feather name={b.icon} size={16} color={theme.accent} />
+                <Text style={{ color: theme.text, fontWeight: '600', fontSize: 13 }}>{b.label}</Text>
+              </TouchableOpacity>
+            ))}
           </View>
 
-          {/* Datum */}
+          <Text style={[styles.settingsSectionTitle, { color: theme.text }]}>Sync-Server</Text>
+          <Text style={{ color: theme.text, opacity: 0.8, marginBottom: 12 }}>
+            Mit einem eigenen Server gleichen sich die Geräte automatisch ab. Ohne Verbindung werden Änderungen
+            gesammelt und später gesendet. Über den Server laufen nur die Einträge; Kategorien, Kontakte, Kampagnen,
+            Konten und Regeln weiterhin per Datei.
+          </Text>
           <View style={styles.inputContainer}>
-            <Text style={[styles.label, { color: theme.text }]}>Datum</Text>
-            <TouchableOpacity
-              onPress={() => setShowDate(true)}
-              style={[
-                styles.input,
-                {
-                  flexDirection: 'row',
-                  justifyContent: 'space-between',
-                  alignItems: 'center',
-                  backgroundColor: theme.card,
-                  borderColor: theme.secondary,
-                },
-              ]}
-            >
-              <Text style={{ color: theme.text }}>{date.toLocaleDateString('de-DE')}</Text>
-              <Feather name="calendar" size={20} color={theme.text} />
-            </TouchableOpacity>
-            {showDate && (
-              <DateTimePicker
-                value={date}
-                mode="date"
-                is24Hour
-                display={Platform.OS === 'ios' ? 'spinner' : 'default'}
-                onChange={onDateChange}
-              />
-            )}
+            <Text style={[styles.label, { color: theme.text }]}>Adresse</Text>
+            <TextInput
+              style={[styles.input, { borderColor: theme.secondary, color: theme.text, backgroundColor: theme.card }]}
+              value={serverUrl}
+              onChangeText={setServerUrl}
+              editable={!syncServer.enabled}
+              autoCapitalize="none"
+              autoCorrect={false}
+              keyboardType="url"
+              placeholder="https://spenden.example.org"
+              placeholderTextColor={isDarkMode ? '#9fb1c6' : '#7a8ca1'}
+            />
+          </View>
+          <View style={styles.inputContainer}>
+            <Text style={[styles.label, { color: theme.text }]}>Zugriffstoken</Text>
+            <TextInput
+              style={[styles.input, { borderColor: theme.secondary, color: theme.text, backgroundColor: theme.card }]}
+              value={serverToken}
+              onChangeText={setServerToken}
+              editable={!syncServer.enabled}
+              autoCapitalize="none"
+              autoCorrect={false}
+              secureTextEntry
+              placeholder="SYNC_TOKEN des Servers"
+              placeholderTextColor={isDarkMode ? '#9fb1c6' : '#7a8ca1'}
+            />
+          </View>
+
+          {syncServer.enabled && (
+            <View style={[styles.statsCard, { backgroundColor: theme.card }]}>
+              <Text style={{ color: serverStatus.state === 'error' ? '#e74c3c' : theme.text }}>{serverStatusText}</Text>
+              {serverOutbox.queue.length > 0 && (
+                <Text style={{ color: theme.text, opacity: 0.7, marginTop: 4 }}>
+                  {serverOutbox.queue.length} Änderung(en) warten auf das Senden
+                </Text>
+              )}
+            </View>
+          )}
+
+          <View style={{ flexDirection: 'row', gap: 8, marginTop: 4, marginBottom: 32 }}>
+            {(syncServer.enabled
+              ? [
+                  { label: 'Jetzt synchronisieren', icon: 'refresh-cw', onPress: syncWithServer },
+                  { label: 'Trennen', icon: 'x-circle', onPress: handleDisconnect },
+                ]
+              : [{ label: 'Verbinden', icon: 'link', onPress: handleConnect }]
+            ).map((b) => (
+              <TouchableOpacity
+                key={b.label}
+                disabled={busy || serverStatus.state === 'syncing'}
+                onPress={b.onPress}
+                style={[
+                  styles.compactQuickBtn,
+                  {
+                    backgroundColor: theme.card,
+                    borderColor: theme.secondary,
+                    opacity: busy || serverStatus.state === 'syncing' ? 0.5 : 1,
+                  },
+                ]}
+              >
+                <Feather name={b.icon} size={16} color={theme.accent} />
+                <Text style={{ color: theme.text, fontWeight: '600', fontSize: 13 }}>{b.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+// ---------- UI: Undo Snackbar ----------
+const UNDO_SNACKBAR_MS = 5000;
+
+const UndoSnackbar = () => {
+  const { isDarkMode, lastOperation, dismissLastOperation, undoOperation } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+
+  useEffect(() => {
+    if (!lastOperation) return undefined;
+    const timer = setTimeout(dismissLastOperation, UNDO_SNACKBAR_MS);
+    return () => clearTimeout(timer);
+  }, [lastOperation]);
+
+  if (!lastOperation) return null;
+
+  return (
+    <View style={[styles.snackbar, { backgroundColor: isDarkMode ? theme.card : '#1f2937' }]}>
+      <Text style={{ color: 'white', flex: 1 }}>{operationLabel(lastOperation)}</Text>
+      <TouchableOpacity onPress={undoOperation} style={{ paddingHorizontal: 8, paddingVertical: 4 }}>
+        <Text style={{ color: '#60a5fa', fontWeight: '700' }}>Rückgängig</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+// ---------- UI: Audit Log ----------
+const AuditLogModal = ({ visible, onClose }) => {
+  const {
+    isDarkMode,
+    operationLog,
+    canUndo,
+    canRedo,
+    undoOperation,
+    redoOperation,
+    editorName,
+    changeEditorName,
+    contacts,
+    campaigns,
+    accounts,
+  } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  const [name, setName] = useState('');
+  const ctx = { contacts, campaigns, accounts };
+
+  useEffect(() => {
+    if (visible) setName(editorName);
+  }, [visible]);
+
+  const describe = (t) =>
+    `${t.isTransfer ? transferLabel(accounts, t) : t.category} • ${money(t.amount, transactionCurrency(t))} • ${formatDateDe(new Date(t.date))}`;
+
+  const renderDetails = (entry) => {
+    if (entry.type === 'update') {
+      const changes = transactionChanges(entry.before[0], entry.after[0], ctx);
+      if (changes.length === 0) return <Text style={{ fontSize: 12, color: theme.text, opacity: 0.7 }}>Keine sichtbaren Änderungen</Text>;
+      return changes.map((c) => (
+        <Text key={c.label} style={{ fontSize: 12, color: theme.text }}>
+          {c.label}: <Text style={{ textDecorationLine: 'line-through', opacity: 0.6 }}>{c.from}</Text> → {c.to}
+        </Text>
+      ));
+    }
+    if (entry.type === 'sync') {
+      return (
+        <Text style={{ fontSize: 12, color: theme.text }}>
+          {entry.after.length} übernommen · {entry.before.length} ersetzt oder gelöscht
+        </Text>
+      );
+    }
+    const list = entry.type === 'add' ? entry.after : entry.before;
+    return (
+      <>
+        {list.slice(0, 3).map((t) => (
+          <Text key={t.id} style={{ fontSize: 12, color: theme.text }}>
+            {describe(t)}
+          </Text>
+        ))}
+        {list.length > 3 && (
+          <Text style={{ fontSize: 12, color: theme.text, opacity: 0.7 }}>… und {list.length - 3} weitere</Text>
+        )}
+      </>
+    );
+  };
+
+  const icons = { add: 'plus-circle', update: 'edit-2', delete: 'trash-2', sync: 'refresh-cw' };
+
+  return (
+    <Modal visible={visible} animationType="slide" presentationStyle="pageSheet">
+      <SafeAreaView style={{ flex: 1, backgroundColor: theme.primary }}>
+        <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', padding: 16 }}>
+          <TouchableOpacity onPress={onClose}>
+            <Feather name="x" size={22} color={theme.text} />
+          </TouchableOpacity>
+          <Text style={{ fontSize: 18, fontWeight: 'bold', color: theme.text }}>Änderungsprotokoll</Text>
+          <View style={{ width: 22 }} />
+        </View>
+
+        <ScrollView style={{ flex: 1, padding: 16 }}>
+          <View style={{ flexDirection: 'row', gap: 8, marginBottom: 12 }}>
+            {[
+              { label: 'Rückgängig', icon: 'corner-up-left', enabled: canUndo, onPress: undoOperation },
+              { label: 'Wiederholen', icon: 'corner-up-right', enabled: canRedo, onPress: redoOperation },
+            ].map((b) => (
+              <TouchableOpacity
+                key={b.label}
+                disabled={!b.enabled}
+                onPress={b.onPress}
+                style={[styles.compactQuickBtn, { flex: 1, backgroundColor: theme.card, borderColor: theme.secondary, opacity: b.enabled ? 1 : 0.4 }]}
+              >
+                <Feather name={b.icon} size={16} color={theme.accent} />
+                <Text style={{ color: theme.text, fontWeight: '600', fontSize: 13 }}>{b.label}</Text>
+              </TouchableOpacity>
+            ))}
           </View>
 
-          {/* Notiz */}
           <View style={styles.inputContainer}>
-            <Text style={[styles.label, { color: theme.text }]}>Notiz (optional)</Text>
+            <Text style={[styles.label, { color: theme.text }]}>Dein Name (für das Protokoll)</Text>
             <TextInput
-              style={[
-                styles.input,
-                {
-                  height: 90,
-                  borderColor: theme.secondary,
-                  color: theme.text,
-                  backgroundColor: theme.card,
-                  textAlignVertical: 'top',
-                },
-              ]}
-              multiline
-              value={note}
-              onChangeText={setNote}
-              placeholder="z. B. Anlass, Empfänger, Zweck…"
+              style={[styles.input, { borderColor: theme.secondary, color: theme.text, backgroundColor: theme.card }]}
+              value={name}
+              onChangeText={setName}
+              onEndEditing={() => changeEditorName(name.trim())}
+              placeholder="Dieses Gerät"
               placeholderTextColor={isDarkMode ? '#9fb1c6' : '#7a8ca1'}
             />
           </View>
+
+          {operationLog.length === 0 && (
+            <View style={{ alignItems: 'center', paddingVertical: 28 }}>
+              <Feather name="clock" size={44} color={theme.text} opacity={0.3} />
+              <Text style={{ color: theme.text, marginTop: 10, opacity: 0.7 }}>Noch keine Änderungen protokolliert</Text>
+            </View>
+          )}
+          {[...operationLog].reverse().map((entry) => (
+            <View key={entry.id} style={[styles.statsCard, { backgroundColor: theme.card, opacity: entry.undone ? 0.55 : 1 }]}>
+              <View style={{ flexDirection: 'row', alignItems: 'center', gap: 8, marginBottom: 4 }}>
+                <Feather name={icons[entry.type]} size={14} color={entry.type === 'delete' ? '#ef4444' : theme.accent} />
+                <Text style={{ flex: 1, fontWeight: '700', color: theme.text }}>{operationLabel(entry)}</Text>
+                {entry.undone && <Text style={{ fontSize: 11, color: theme.text }}>rückgängig gemacht</Text>}
+              </View>
+              <Text style={{ fontSize: 12, color: theme.text, opacity: 0.7, marginBottom: 4 }}>
+                {formatDateTimeDe(new Date(entry.at))} • {entry.author}
+              </Text>
+              {renderDetails(entry)}
+            </View>
+          ))}
+          <View style={{ height: 32 }} />
         </ScrollView>
       </SafeAreaView>
     </Modal>
   );
 };
 
-// ---------- App ----------
-const Tab = createBottomTabNavigator();
-
-const App = () => {
-  return (
-    <DonationProvider>
-      <NavigationContainer>
-        <AppContent />
-      </NavigationContainer>
-    </DonationProvider>
-  );
-};
+// ---------- UI: Lock Screen ----------
+const KEYPAD = ['1', '2', '3', '4', '5', '6', '7', '8', '9', 'bio', '0', 'del'];
 
-const AppContent = () => {
-  const { isDarkMode, toggleTheme } = useContext(DonationContext);
+const LockScreen = () => {
+  const { isDarkMode, appLock, unlockWithPin, unlockWithBiometrics } = useContext(DonationContext);
   const theme = isDarkMode ? darkTheme : lightTheme;
+  const [pin, setPin] = useState('');
+  const [message, setMessage] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const tryBiometrics = async () => {
+    try {
+      await unlockWithBiometrics();
+    } catch (e) {
+      console.error('Biometric unlock failed', e);
+    }
+  };
+
+  useEffect(() => {
+    if (appLock.biometrics) tryBiometrics();
+  }, []);
+
+  const submit = async (value) => {
+    setBusy(true);
+    try {
+      const result = await unlockWithPin(value);
+      if (result.wiped) {
+        Alert.alert('Daten gelöscht', 'Zu viele Fehlversuche. Alle Daten auf diesem Gerät wurden gelöscht.');
+      } else if (!result.ok) {
+        setMessage(result.remaining !== null ? `Falsche PIN – noch ${result.remaining} Versuche` : 'Falsche PIN');
+      }
+    } catch (e) {
+      console.error('PIN unlock failed', e);
+      setMessage('Entsperren fehlgeschlagen – bitte erneut versuchen');
+    } finally {
+      setBusy(false);
+      setPin('');
+    }
+  };
+
+  const press = (key) => {
+    if (busy) return;
+    if (key === 'bio') {
+      tryBiometrics();
+      return;
+    }
+    if (key === 'del') {
+      setPin(pin.slice(0, -1));
+      return;
+    }
+    const next = pin + key;
+    setPin(next);
+    setMessage('');
+    if (next.length === appLock.pinLength) submit(next);
+  };
 
   return (
-    <SafeAreaView style={{ flex: 1, backgroundColor: theme.primary }}>
-      <StatusBar style={isDarkMode ? 'light' : 'dark'} />
-      <Tab.Navigator
-        screenOptions={({ route }) => ({
-          headerStyle: { backgroundColor: theme.primary, elevation: 0, shadowOpacity: 0 },
-          headerTintColor: theme.text,
-          headerTitleStyle: { fontWeight: 'bold' },
-          tabBarStyle: { backgroundColor: theme.card, borderTopColor: theme.secondary },
-          tabBarActiveTintColor: theme.accent,
-          tabBarInactiveTintColor: theme.text,
-          headerRight: () => (
-            <TouchableOpacity onPress={toggleTheme} style={{ marginRight: 15 }}>
-              <Feather name={isDarkMode ? 'sun' : 'moon'} size={20} color={theme.text} />
+    <SafeAreaView style={{ flex: 1, backgroundColor: theme.primary, alignItems: 'center', justifyContent: 'center' }}>
+      <Feather name="lock" size={40} color={theme.accent} />
+      <Text style={{ fontSize: 20, fontWeight: '800', color: theme.text, marginTop: 12 }}>Spenden-Tracker gesperrt</Text>
+      <Text style={{ color: theme.text, opacity: 0.7, marginTop: 4 }}>PIN eingeben</Text>
+
+      <View style={{ flexDirection: 'row', gap: 14, marginVertical: 24 }}>
+        {Array.from({ length: appLock.pinLength }, (_, i) => (
+          <View
+            key={i}
+            style={[styles.pinDot, { borderColor: theme.accent, backgroundColor: i < pin.length ? theme.accent : 'transparent' }]}
+          />
+        ))}
+      </View>
+      <Text style={{ color: '#ef4444', height: 20, marginBottom: 8 }}>{message}</Text>
+
+      <View style={styles.keypad}>
+        {KEYPAD.map((key) => {
+          if (key === 'bio' && !appLock.biometrics) return <View key={key} style={styles.keypadKey} />;
+          return (
+            <TouchableOpacity key={key} onPress={() => press(key)} style={[styles.keypadKey, { backgroundColor: theme.card }]}>
+              {key === 'bio' ? (
+                <MaterialIcons name="fingerprint" size={28} color={theme.accent} />
+              ) : key === 'del' ? (
+                <Feather name="delete" size={22} color={theme.text} />
+              ) : (
+                <Text style={{ fontSize: 24, fontWeight: '600', color: theme.text }}>{key}</Text>
+              )}
             </TouchableOpacity>
-          ),
-          tabBarIcon: ({ color, size }) => {
-            let icon = 'home';
-            if (route.name === 'Home') icon = 'home';
-            if (route.name === 'Einnahmen') icon = 'trending-up';
-            if (route.name === 'Ausgaben') icon = 'trending-down';
-            return <Feather name={icon} size={size} color={color} />;
-          },
+          );
         })}
-      >
-        <Tab.Screen name="Home" component={HomeScreen} />
-        <Tab.Screen name="Einnahmen" component={IncomeScreen} />
-        <Tab.Screen name="Ausgaben" component={ExpenseScreen} />
-      </Tab.Navigator>
+      </View>
     </SafeAreaView>
   );
 };
 
-// ---------- UI: Compact StatsBox ----------
-const CompactStatsBox = ({ label, value, gradientColors, icon, customIcon }) => {
-  const animatedValue = useRef(new Animated.Value(0)).current;
-  const [display, setDisplay] = useState(0);
+// ---------- UI: Storage Recovery ----------
+const StorageRecoveryScreen = () => {
+  const { isDarkMode, storageError, reloadFromStorage, discardUnreadableData, readRawStorage } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  const [busy, setBusy] = useState(false);
 
-  useEffect(() => {
-    const id = animatedValue.addListener(({ value: v }) => setDisplay(v));
-    Animated.timing(animatedValue, {
-      toValue: value,
-      duration: 700,
-      easing: Easing.out(Easing.ease),
-      useNativeDriver: false,
-    }).start(() => {
-      animatedValue.removeListener(id);
-    });
-    return () => animatedValue.removeListener(id);
-  }, [value]);
+  const run = async (action, errorText) => {
+    setBusy(true);
+    try {
+      await action();
+    } catch (e) {
+      console.error('Storage recovery failed', e);
+      Alert.alert('Fehler', errorText);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRestore = () =>
+    run(async () => {
+      const text = await pickTextFile(['application/json', 'text/plain']);
+      if (text == null) return;
+      let doc;
+      try {
+        doc = readBackupText(text);
+      } catch (e) {
+        Alert.alert('Ungültiges Backup', e.message);
+        return;
+      }
+      await applyBackup(doc, 'replace');
+      await reloadFromStorage();
+    }, 'Die Wiederherstellung ist fehlgeschlagen.');
+
+  const handleExportRaw = () =>
+    run(
+      async () => shareTextFile(`spenden-rohdaten-${dayKey(new Date().toISOString())}.txt`, await readRawStorage(), 'text/plain'),
+      'Die Rohdaten konnten nicht geteilt werden.'
+    );
+
+  const handleDiscard = () => {
+    Alert.alert(
+      'Neu beginnen',
+      'Die nicht lesbaren Einträge werden endgültig gelöscht. Kategorien, Kontakte und Einstellungen bleiben erhalten.',
+      [
+        { text: 'Abbrechen', style: 'cancel' },
+        { text: 'Löschen', style: 'destructive', onPress: () => run(discardUnreadableData, 'Die Daten konnten nicht gelöscht werden.') },
+      ]
+    );
+  };
 
   return (
-    <LinearGradient colors={gradientColors} start={{ x: 0, y: 0 }} end={{ x: 1, y: 1 }} style={styles.compactStatsBox}>
-      <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between' }}>
-        <View>
-          <Text style={styles.compactStatsLabel}>{label}</Text>
-          <Text style={styles.compactStatsValue}>{eur(display)}</Text>
+    <SafeAreaView style={{ flex: 1, backgroundColor: theme.primary }}>
+      <ScrollView contentContainerStyle={{ padding: 20 }}>
+        <View style={{ alignItems: 'center', marginVertical: 24 }}>
+          <Feather name="alert-octagon" size={44} color="#ef4444" />
+          <Text style={{ fontSize: 20, fontWeight: '800', color: theme.text, marginTop: 12 }}>Daten nicht lesbar</Text>
+          <Text style={{ color: theme.text, opacity: 0.8, marginTop: 8, textAlign: 'center' }}>{storageError.message}</Text>
+          <Text style={{ color: theme.text, opacity: 0.7, marginTop: 8, textAlign: 'center' }}>
+            Bis das geklärt ist, speichert die App keine Änderungen, damit nichts überschrieben wird.
+          </Text>
         </View>
-        {customIcon ? customIcon : <Feather name={icon} size={18} color="rgba(255,255,255,0.85)" />}
-      </View>
-    </LinearGradient>
+        <View style={{ opacity: busy ? 0.5 : 1 }} pointerEvents={busy ? 'none' : 'auto'}>
+          <SettingsRow
+            icon="refresh-cw"
+            label="Erneut versuchen"
+            description="Daten noch einmal laden"
+            onPress={() => run(reloadFromStorage, 'Laden fehlgeschlagen.')}
+          />
+          <SettingsRow
+            icon="rotate-ccw"
+            label="Backup wiederherstellen"
+            description="Alle Daten durch ein JSON-Backup ersetzen"
+            onPress={handleRestore}
+          />
+          <SettingsRow
+            icon="share"
+            label="Rohdaten sichern"
+            description="Die unlesbaren Daten unverändert als Datei teilen"
+            onPress={handleExportRaw}
+          />
+          <SettingsRow
+            icon="trash-2"
+            label="Neu beginnen"
+            description="Nicht lesbare Einträge löschen"
+            color="#ef4444"
+            onPress={handleDiscard}
+          />
+        </View>
+      </ScrollView>
+    </SafeAreaView>
   );
 };
 
-// ---------- UI: Transaction Item ----------
-const TransactionItem = ({ t, onEdit, onDelete }) => {
-  const { isDarkMode } = useContext(DonationContext);
+// ---------- UI: App Lock Settings ----------
+const AppLockModal = ({ visible, onClose }) => {
+  const { isDarkMode, appLock, setupPin, updateAppLock, disableAppLock, lockNow } = useContext(DonationContext);
   const theme = isDarkMode ? darkTheme : lightTheme;
-  const sign = t.isIncome ? '+' : '-';
-  const amountColor = t.isIncome ? categoryColor(t.category, t.isIncome) : '#ef4444'; // Ausgaben immer rot
-  const dotColor = categoryColor(t.category, t.isIncome);
-  const icon = categoryIcon(t.category, t.isIncome);
-  const formattedDate = new Date(t.date).toLocaleDateString('de-DE');
+  const [pinForm, setPinForm] = useState(null); // { pin, confirm }
+  const [biometricsAvailable, setBiometricsAvailable] = useState(false);
 
-  const handleDelete = () => {
-    Alert.alert('Löschen bestätigen', 'Möchten Sie diesen Eintrag wirklich löschen?', [
+  useEffect(() => {
+    if (!visible) return;
+    setPinForm(null);
+    Promise.all([LocalAuthentication.hasHardwareAsync(), LocalAuthentication.isEnrolledAsync()])
+      .then(([hardware, enrolled]) => setBiometricsAvailable(hardware && enrolled))
+      .catch(() => setBiometricsAvailable(false));
+  }, [visible]);
+
+  const run = async (action, errorText) => {
+    try {
+      await action();
+    } catch (e) {
+      console.error('Failed to update app lock', e);
+      Alert.alert('Fehler', errorText);
+    }
+  };
+
+  const handleSavePin = async () => {
+    if (!/^\d{4,6}$/.test(pinForm.pin)) {
+      Alert.alert('Fehler', 'Die PIN muss aus 4 bis 6 Ziffern bestehen.');
+      return;
+    }
+    if (pinForm.pin !== pinForm.confirm) {
+      Alert.alert('Fehler', 'Die beiden Eingaben stimmen nicht überein.');
+      return;
+    }
+    await run(() => setupPin(pinForm.pin), 'Die PIN konnte nicht gespeichert werden.');
+    setPinForm(null);
+  };
+
+  const handleDisable = () => {
+    Alert.alert('App-Sperre ausschalten', 'Die App ist danach ohne PIN zugänglich.', [
       { text: 'Abbrechen', style: 'cancel' },
-      { text: 'Löschen', style: 'destructive', onPress: () => onDelete(t.id) },
+      { text: 'Ausschalten', style: 'destructive', onPress: () => run(disableAppLock, 'Die Sperre konnte nicht ausgeschaltet werden.') },
     ]);
   };
 
-  return (
-    <View style={[styles.txCard, { backgroundColor: theme.card }]}>
-      <View style={[styles.colorDot, { backgroundColor: dotColor }]}>
-        <Feather name={icon} size={8} color="white" />
-      </View>
-      <View style={{ flex: 1 }}>
-        <Text style={{ fontWeight: '700', fontSize: 15, color: theme.text }}>{t.category}</Text>
-        <Text style={{ fontSize: 12, color: theme.text, opacity: 0.7 }}>
-          {formattedDate}{t.note ? ` • ${t.note}` : ''}
-        </Text>
-      </View>
-      <Text style={{ fontWeight: '700', fontSize: 15, color: amountColor, marginRight: 10 }}>
-        {sign} {eur(t.amount)}
-      </Text>
-      <View style={{ flexDirection: 'row', gap: 6 }}>
-        <TouchableOpacity onPress={() => onEdit(t)} style={{ padding: 4 }}>
-          <Feather name="edit-2" size={16} color={theme.text} />
-        </TouchableOpacity>
-        <TouchableOpacity onPress={handleDelete} style={{ padding: 4 }}>
-          <Feather name="trash-2" size={16} color="#ef4444" />
-        </TouchableOpacity>
-      </View>
+  const chipRow = (options, selectedValue, valueOf, onSelect) => (
+    <View style={[styles.pickerGrid, { marginTop: 8 }]}>
+      {options.map((o) => {
+        const active = valueOf(o) === selectedValue;
+        return (
+          <TouchableOpacity
+            key={o.label}
+            onPress={() => onSelect(o)}
+            style={[styles.filterChip, { backgroundColor: active ? theme.accent : theme.card, borderColor: theme.accent }]}
+          >
+            <Text style={[styles.filterChipText, { marginLeft: 0, color: active ? 'white' : theme.accent }]}>{o.label}</Text>
+          </TouchableOpacity>
+        );
+      })}
     </View>
   );
-};
-
-// ---------- UI: Compact Sticky Dashboard (kleiner, kompakter, mit €-Icon) ----------
-const CompactStickyDashboard = () => {
-  const { totalIncome, totalExpense, balance, isDarkMode } = useContext(DonationContext);
-  const theme = isDarkMode ? darkTheme : lightTheme;
 
-  return (
-    <View style={[styles.compactStickyDashboard, { backgroundColor: theme.primary }]}>
-      <View style={{ flexDirection: 'row', gap: 8 }}>
-        <View style={{ flex: 1 }}>
-          <CompactStatsBox
-            label="Einnahmen"
-            value={totalIncome}
-            gradientColors={['#22c55e', '#10b981']}
-            icon="trending-up"
-          />
-        </View>
-        <View style={{ flex: 1 }}>
-          <CompactStatsBox
-            label="Ausgaben"
-            value={totalExpense}
-            gradientColors={['#ef4444', '#f97316']}
-            icon="trending-down"
+  const renderPinForm = () => (
+    <ScrollView style={{ flex: 1, padding: 16 }}>
+      {[
+        { key: 'pin', label: 'Neue PIN (4–6 Ziffern)' },
+        { key: 'confirm', label: 'PIN wiederholen' },
+      ].map((f) => (
+        <View key={f.key} style={styles.inputContainer}>
+          <Text style={[styles.label, { color: theme.text }]}>{f.label}</Text>
+          <TextInput
+            style={[styles.input, { borderColor: theme.secondary, color: theme.text, backgroundColor: theme.card }]}
+            keyboardType="number-pad"
+            secureTextEntry
+            maxLength={6}
+            value={pinForm[f.key]}
+            onChangeText={(text) => setPinForm({ ...pinForm, [f.key]: text })}
           />
         </View>
-      </View>
-      <View style={{ marginTop: 8 }}>
-        <CompactStatsBox
-          label="Saldo"
-          value={balance}
-          gradientColors={balance >= 0 ? ['#2563eb', '#0ea5e9'] : ['#ef4444', '#f97316']}
-          customIcon={<MaterialIcons name="euro" size={18} color="rgba(255,255,255,0.9)" />}
-        />
-      </View>
-    </View>
+      ))}
+    </ScrollView>
   );
-};
 
-// ---------- Screen: Home ----------
-const HomeScreen = () => {
-  const { transactions, isDarkMode, updateTransaction, deleteTransaction, addTransaction } = useContext(DonationContext);
-  const theme = isDarkMode ? darkTheme : lightTheme;
-  const [editingTransaction, setEditingTransaction] = useState(null);
-  const [showAddModal, setShowAddModal] = useState(false);
-  const [addModalType, setAddModalType] = useState(true); // true = income, false = expense
+  const renderSettings = () => (
+    <ScrollView style={{ flex: 1, padding: 16 }}>
+      {!appLock.enabled ? (
+        <>
+          <Text style={{ color: theme.text, marginBottom: 12 }}>
+            Schützt die App mit einer PIN. Beim Öffnen und nach der eingestellten Zeit im Hintergrund wird sie abgefragt.
+          </Text>
+          <SettingsRow icon="lock" label="App-Sperre einschalten" description="PIN festlegen" onPress={() => setPinForm({ pin: '', confirm: '' })} />
+        </>
+      ) : (
+        <>
+          <SettingsRow icon="key" label="PIN ändern" onPress={() => setPinForm({ pin: '', confirm: '' })} />
+          <SettingsRow
+            icon="lock"
+            label="Jetzt sperren"
+            onPress={() => {
+              onClose();
+              lockNow();
+            }}
+          />
 
-  const latest = transactions.slice(0, 8); // Mehr Einträge sichtbar
+          {biometricsAvailable && (
+            <View style={[styles.settingsRow, { backgroundColor: theme.card }]}>
+              <MaterialIcons name="fingerprint" size={18} color={theme.accent} />
+              <View style={{ flex: 1 }}>
+                <Text style={{ fontWeight: '700', fontSize: 15, color: theme.text }}>Fingerabdruck / Gesichtserkennung</Text>
+                <Text style={{ fontSize: 12, color: theme.text, opacity: 0.7 }}>Die PIN bleibt als Alternative</Text>
+              </View>
+              <Switch
+                value={appLock.biometrics}
+                onValueChange={(biometrics) => run(() => updateAppLock({ biometrics }), 'Die Einstellung konnte nicht gespeichert werden.')}
+              />
+            </View>
+          )}
 
-  const handleEdit = (transaction) => setEditingTransaction(transaction);
+          <Text style={[styles.settingsSectionTitle, { color: theme.text }]}>Automatisch sperren</Text>
+          {chipRow(AUTO_LOCK_OPTIONS, appLock.autoLockSeconds, (o) => o.seconds, (o) =>
+            run(() => updateAppLock({ autoLockSeconds: o.seconds }), 'Die Einstellung konnte nicht gespeichert werden.')
+          )}
 
-  const handleSaveEdit = (updatedTransaction) => {
-    updateTransaction(updatedTransaction.id, updatedTransaction);
-    setEditingTransaction(null);
-  };
+          <Text style={[styles.settingsSectionTitle, { color: theme.text }]}>Daten löschen nach Fehlversuchen</Text>
+          <Text style={{ fontSize: 12, color: theme.text, opacity: 0.7 }}>
+            Löscht alle Einträge, Belege und Einstellungen auf diesem Gerät. Vorher ein Backup erstellen!
+          </Text>
+          {chipRow(WIPE_OPTIONS, appLock.wipeAfter, (o) => o.attempts, (o) =>
+            run(() => updateAppLock({ wipeAfter: o.attempts }), 'Die Einstellung konnte nicht gespeichert werden.')
+          )}
 
-  const handleAddIncome = () => {
-    setAddModalType(true);
-    setShowAddModal(true);
-  };
-  const handleAddExpense = () => {
-    setAddModalType(false);
-    setShowAddModal(true);
-  };
-  const handleSaveAdd = (newTransaction) => {
-    addTransaction(newTransaction);
-    setShowAddModal(false);
-  };
+          <View style={{ marginTop: 16 }}>
+            <SettingsRow icon="unlock" label="App-Sperre ausschalten" color="#ef4444" onPress={handleDisable} />
+          </View>
+        </>
+      )}
+      <View style={{ height: 32 }} />
+    </ScrollView>
+  );
 
   return (
-    <View style={{ flex: 1, backgroundColor: theme.primary }}>
-      <CompactStickyDashboard />
+    <Modal visible={visible} animationType="slide" presentationStyle="pageSheet">
+      <SafeAreaView style={{ flex: 1, backgroundColor: theme.primary }}>
+        <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', padding: 16 }}>
+          <TouchableOpacity onPress={pinForm ? () => setPinForm(null) : onClose}>
+            <Feather name={pinForm ? 'arrow-left' : 'x'} size={22} color={theme.text} />
+          </TouchableOpacity>
+          <Text style={{ fontSize: 18, fontWeight: 'bold', color: theme.text }}>{pinForm ? 'PIN festlegen' : 'App-Sperre'}</Text>
+          {pinForm ? (
+            <TouchableOpacity onPress={handleSavePin}>
+              <Feather name="check" size={22} color={theme.accent} />
+            </TouchableOpacity>
+          ) : (
+            <View style={{ width: 22 }} />
+          )}
+        </View>
+        {pinForm ? renderPinForm() : renderSettings()}
+      </SafeAreaView>
+    </Modal>
+  );
+};
 
-      <View style={{ flex: 1, padding: 12 }}>
-        <View style={{ flexDirection: 'row', gap: 10, marginBottom: 10 }}>
+// ---------- UI: Reminder Settings ----------
+const RemindersModal = ({ visible, onClose }) => {
+  const { isDarkMode, reminderSettings, changeReminderSettings } = useContext(DonationContext);
+  const theme = isDarkMode ? darkTheme : lightTheme;
+  const [showTime, setShowTime] = useState(false);
+  const s = reminderSettings;
+
+  const update = async (changes) => {
+    try {
+      if (!(await changeReminderSettings(changes))) {
+        Alert.alert('Keine Berechtigung', 'Bitte erlaube Benachrichtigungen für den Spenden-Tracker in den Systemeinstellungen.');
+      }
+    } catch (e) {
+      console.error('Failed to update reminders', e);
+      Alert.alert('Fehler', 'Die Einstellung konnte nicht gespeichert werden.');
+    }
+  };
+
+  const chipRow = (options, selectedValue, valueOf, onSelect) => (
+    <View style={[styles.pickerGrid, { marginTop: 8 }]}>
+      {options.map((o) => {
+        const active = valueOf(o) === selectedValue;
+        return (
           <TouchableOpacity
-            style={[styles.compactQuickBtn, { backgroundColor: theme.card, borderColor: theme.secondary }]}
-            onPress={handleAddIncome}
+            key={o.label}
+            onPress={() => onSelect(o)}
+            style={[styles.filterChip, { backgroundColor: active ? theme.accent : theme.card, borderColor: theme.accent }]}
           >
-            <Feather name="plus-circle" size={16} color="#22c55e" />
-            <Text style={{ color: theme.text, fontWeight: '600', fontSize: 13 }}>Einnahme</Text>
+            <Text style={[styles.filterChipText, { marginLeft: 0, color: active ? 'white' : theme.accent }]}>{o.label}</Text>
           </TouchableOpacity>
-          <TouchableOpacity
-            style={[styles.compactQuickBtn, { backgroundColor: theme.card, borderColor: theme.secondary }]}
-            onPress={handleAddExpense}
-          >
-            <Feather name="minus-circle" size={16} color="#ef4444" />
-            <Text style={{ color: theme.text, fontWeight: '600', fontSize: 13 }}>Ausgabe</Text>
+        );
+      })}
+    </View>
+  );
+
+  const switchRow = (icon, label, description, value, onChange) => (
+    <View style={[styles.settingsRow, { backgroundColor: theme.card }]}>
+      <Feather name={icon} size={18} color={theme.accent} />
+      <View style={{ flex: 1 }}>
+        <Text style={{ fontWeight: '700', fontSize: 15, color: theme.text }}>{label}</Text>
+        <Text style={{ fontSize: 12, color: theme.text, opacity: 0.7 }}>{description}</Text>
+      </View>
+      <Switch value={value} onValueChange={onChange} />
+    </View>
+  );
+
+  return (
+    <Modal visible={visible} animationType="slide" presentationStyle="pageSheet">
+      <SafeAreaView style={{ flex: 1, backgroundColor: theme.primary }}>
+        <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', padding: 16 }}>
+          <TouchableOpacity onPress={onClose}>
+            <Feather name="x" size={22} color={theme.text} />
           </TouchableOpacity>
+          <Text style={{ fontSize: 18, fontWeight: 'bold', color: theme.text }}>Erinnerungen</Text>
+          <View style={{ width: 22 }} />
         </View>
 
-        <Text style={{ fontSize: 16, fontWeight: '700', marginBottom: 8, color: theme.text }}>
-          Letzte Transaktionen
-        </Text>
+        <ScrollView style={{ flex: 1, padding: 16 }}>
+          <Text style={{ color: theme.text, marginBottom: 4 }}>
+            Die Erinnerungen werden nur auf diesem Gerät geplant. Ein Tippen darauf öffnet direkt das passende Formular.
+          </Text>
 
-        <ScrollView showsVerticalScrollIndicator={false}>
-          {latest.length === 0 ? (
-            <View style={{ alignItems: 'center', paddingVertical: 28 }}>
-              <Feather name="inbox" size={44} color={theme.text} opacity={0.3} />
-              <Text style={{ color: theme.text, marginTop: 10, opacity: 0.7 }}>Noch keine Einträge. Leg los! 💪</Text>
+          <Text style={[styles.settingsSectionTitle, { color: theme.text }]}>An das Eintragen erinnern</Text>
+          {chipRow(LOG_REMINDER_OPTIONS, s.logReminder, (o) => o.value, (o) => update({ logReminder: o.value }))}
+          {s.logReminder === 'weekly' && chipRow(WEEKDAY_OPTIONS, s.weekday, (o) => o.value, (o) => update({ weekday: o.value }))}
+
+          <TouchableOpacity
+            onPress={() => setShowTime(true)}
+            style={[styles.settingsRow, { backgroundColor: theme.card, marginTop: 12 }]}
+          >
+            <Feather name="clock" size={18} color={theme.accent} />
+            <View style={{ flex: 1 }}>
+              <Text style={{ fontWeight: '700', fontSize: 15, color: theme.text }}>Uhrzeit</Text>
+              <Text style={{ fontSize: 12, color: theme.text, opacity: 0.7 }}>Gilt für alle Erinnerungen</Text>
             </View>
-          ) : (
-            latest.map((t) => (
-              <TransactionItem key={t.id} t={t} onEdit={handleEdit} onDelete={deleteTransaction} />
-            ))
+            <Text style={{ color: theme.text, fontWeight: '600' }}>
+              {pad2(s.hour)}:{pad2(s.minute)}
+            </Text>
+          </TouchableOpacity>
+          {showTime && (
+            <DateTimePicker
+              value={new Date(2000, 0, 1, s.hour, s.minute)}
+              mode="time"
+              is24Hour
+              display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+              onChange={(_, selected) => {
+                setShowTime(false);
+                if (selected) update({ hour: selected.getHours(), minute: selected.getMinutes() });
+              }}
+            />
           )}
-        </ScrollView>
-      </View>
 
-      <AddModal visible={showAddModal} isIncome={addModalType} onClose={() => setShowAddModal(false)} onSave={handleSaveAdd} />
-      <EditModal visible={!!editingTransaction} transaction={editingTransaction} onClose={() => setEditingTransaction(null)} onSave={handleSaveEdit} />
-    </View>
+          <Text style={[styles.settingsSectionTitle, { color: theme.text }]}>Fällige Buchungen</Text>
+          {switchRow('repeat', 'Wiederkehrende Buchungen', 'Hinweis vor jedem Termin', s.recurringAlerts, (recurringAlerts) =>
+            update({ recurringAlerts })
+          )}
+          {s.recurringAlerts &&
+            chipRow(RECURRING_LEAD_OPTIONS, s.recurringLeadDays, (o) => o.days, (o) => update({ recurringLeadDays: o.days }))}
+
+          <Text style={[styles.settingsSectionTitle, { color: theme.text }]}>Kampagnen</Text>
+          {switchRow('flag', 'Fristen', 'Hinweis, bevor eine Kampagne endet', s.campaignAlerts, (campaignAlerts) =>
+            update({ campaignAlerts })
+          )}
+          {s.campaignAlerts &&
+            chipRow(CAMPAIGN_LEAD_OPTIONS, s.campaignLeadDays, (o) => o.days, (o) => update({ campaignLeadDays: o.days }))}
+          <View style={{ height: 32 }} />
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
   );
 };
 
-// ---------- Screen: Income ----------
-const IncomeScreen = () => {
-  const { transactions, isDarkMode, updateTransaction, deleteTransaction, addTransaction } = useContext(DonationContext);
+// ---------- UI: Settings Row ----------
+const SettingsRow = ({ icon, label, description, onPress, color }) => {
+  const { isDarkMode } = useContext(DonationContext);
   const theme = isDarkMode ? darkTheme : lightTheme;
-  const [editingTransaction, setEditingTransaction] = useState(null);
-  const [showAddModal, setShowAddModal] = useState(false);
-  const [selectedCategories, setSelectedCategories] = useState([]);
-  const [searchText, setSearchText] = useState('');
-
-  const handleCategoryToggle = (category) => {
-    setSelectedCategories((prev) => (prev.includes(category) ? prev.filter((c) => c !== category) : [...prev, category]));
-  };
-
-  const filteredTransactions = transactions
-    .filter((t) => t.isIncome)
-    .filter((t) => {
-      const matchesCategory = selectedCategories.length === 0 || selectedCategories.includes(t.category);
-      const matchesSearch =
-        searchText === '' ||
-        t.category.toLowerCase().includes(searchText.toLowerCase()) ||
-        (t.note && t.note.toLowerCase().includes(searchText.toLowerCase()));
-      return matchesCategory && matchesSearch;
-    });
-
-  const handleEdit = (transaction) => setEditingTransaction(transaction);
-  const handleSaveEdit = (updatedTransaction) => {
-    updateTransaction(updatedTransaction.id, updatedTransaction);
-    setEditingTransaction(null);
-  };
-  const handleSaveAdd = (newTransaction) => {
-    addTransaction(newTransaction);
-    setShowAddModal(false);
-  };
 
   return (
-    <View style={{ flex: 1, backgroundColor: theme.primary }}>
-      <View style={{ padding: 12 }}>
-        <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 10 }}>
-          <Text style={{ fontSize: 16, fontWeight: '700', color: theme.text }}>Einnahmen ({filteredTransactions.length})</Text>
-          <TouchableOpacity onPress={() => setShowAddModal(true)} style={[styles.addButton, { backgroundColor: '#22c55e' }]}>
-            <Feather name="plus" size={18} color="white" />
-            <Text style={{ color: 'white', fontWeight: '600', marginLeft: 4, fontSize: 13 }}>Hinzufügen</Text>
-          </TouchableOpacity>
-        </View>
-
-        <FilterBar
-          selectedCategories={selectedCategories}
-          onCategoryToggle={handleCategoryToggle}
-          isIncome={true}
-          searchText={searchText}
-          onSearchChange={setSearchText}
-        />
-
-        {filteredTransactions.length === 0 ? (
-          <View style={{ alignItems: 'center', paddingVertical: 48 }}>
-            <Feather name="trending-up" size={44} color="#22c55e" opacity={0.3} />
-            <Text style={{ color: theme.text, marginTop: 10, opacity: 0.7 }}>
-              {transactions.filter((t) => t.isIncome).length === 0 ? 'Noch keine Einnahmen vorhanden' : 'Keine Einträge entsprechen den Filtern'}
-            </Text>
-          </View>
-        ) : (
-          <FlatList
-            data={filteredTransactions}
-            keyExtractor={(item) => item.id.toString()}
-            renderItem={({ item }) => <TransactionItem t={item} onEdit={handleEdit} onDelete={deleteTransaction} />}
-            showsVerticalScrollIndicator={false}
-          />
-        )}
+    <TouchableOpacity onPress={onPress} style={[styles.settingsRow, { backgroundColor: theme.card }]}>
+      <Feather name={icon} size={18} color={color || theme.accent} />
+      <View style={{ flex: 1 }}>
+        <Text style={{ fontWeight: '700', fontSize: 15, color: theme.text }}>{label}</Text>
+        {description ? (
+          <Text style={{ fontSize: 12, color: theme.text, opacity: 0.7 }}>{description}</Text>
+        ) : null}
       </View>
-
-      <AddModal visible={showAddModal} isIncome={true} onClose={() => setShowAddModal(false)} onSave={handleSaveAdd} />
-      <EditModal visible={!!editingTransaction} transaction={editingTransaction} onClose={() => setEditingTransaction(null)} onSave={handleSaveEdit} />
-    </View>
+      <Feather name="chevron-right" size={18} color={theme.text} />
+    </TouchableOpacity>
   );
 };
 
-// ---------- Screen: Expense ----------
-const ExpenseScreen = () => {
-  const { transactions, isDarkMode, updateTransaction, deleteTransaction, addTransaction } = useContext(DonationContext);
+// ---------- Screen: Settings ----------
+const SettingsScreen = () => {
+  const { transactions, addTransaction, isDarkMode, reloadFromStorage, categories, accounts, appLock, reminderSettings } =
+    useContext(DonationContext);
   const theme = isDarkMode ? darkTheme : lightTheme;
-  const [editingTransaction, setEditingTransaction] = useState(null);
-  const [showAddModal, setShowAddModal] = useState(false);
-  const [selectedCategories, setSelectedCategories] = useState([]);
-  const [searchText, setSearchText] = useState('');
+  const [showCategories, setShowCategories] = useState(false);
+  const [showContacts, setShowContacts] = useState(false);
+  const [showReceipts, setShowReceipts] = useState(false);
+  const [showRecurring, setShowRecurring] = useState(false);
+  const [showCampaigns, setShowCampaigns] = useState(false);
+  const [showAccounts, setShowAccounts] = useState(false);
+  const [showBudgets, setShowBudgets] = useState(false);
+  const [showRates, setShowRates] = useState(false);
+  const [showAuditLog, setShowAuditLog] = useState(false);
+  const [showAppLock, setShowAppLock] = useState(false);
+  const [showReminders, setShowReminders] = useState(false);
+  const [showBankImport, setShowBankImport] = useState(false);
+  const [showGofundmeImport, setShowGofundmeImport] = useState(false);
+  const [showReport, setShowReport] = useState(false);
+  const [showSync, setShowSync] = useState(false);
 
-  const handleCategoryToggle = (category) => {
-    setSelectedCategories((prev) => (prev.includes(category) ? prev.filter((c) => c !== category) : [...prev, category]));
+  const handleExportCsv = async () => {
+    if (transactions.length === 0) {
+      Alert.alert('Export', 'Es gibt noch keine Transaktionen zum Exportieren.');
+      return;
+    }
+    try {
+      await exportTransactionsCsv(transactions, accounts);
+    } catch (e) {
+      console.error('Failed to export CSV', e);
+      Alert.alert('Fehler', 'Die CSV-Datei konnte nicht erstellt werden.');
+    }
   };
 
-  const filteredTransactions = transactions
-    .filter((t) => !t.isIncome)
-    .filter((t) => {
-      const matchesCategory = selectedCategories.length === 0 || selectedCategories.includes(t.category);
-      const matchesSearch =
-        searchText === '' ||
-        t.category.toLowerCase().includes(searchText.toLowerCase()) ||
-        (t.note && t.note.toLowerCase().includes(searchText.toLowerCase()));
-      return matchesCategory && matchesSearch;
-    });
+  const handleImportCsv = async () => {
+    try {
+      const text = await pickTextFile(['text/csv', 'text/comma-separated-values', 'text/plain']);
+      if (text == null) return;
 
-  const handleEdit = (transaction) => setEditingTransaction(transaction);
-  const handleSaveEdit = (updatedTransaction) => {
-    updateTransaction(updatedTransaction.id, updatedTransaction);
-    setEditingTransaction(null);
+      const { valid, rejected, error } = parseTransactionsCsv(text, categories, accounts);
+      if (error) {
+        Alert.alert('Import fehlgeschlagen', error);
+        return;
+      }
+      const { fresh, duplicates } = splitDuplicates(transactions, valid);
+      if (fresh.length > 0 && !(await addTransaction(fresh))) {
+        Alert.alert('Fehler', 'Die Einträge konnten nicht gespeichert werden. Es wurde nichts importiert.');
+        return;
+      }
+
+      const lines = [
+        `${fresh.length} importiert`,
+        `${duplicates.length} Duplikate übersprungen`,
+        `${rejected.length} abgelehnt`,
+      ];
+      const details = rejected.slice(0, 10).map((r) => `Zeile ${r.line}: ${r.reason}`);
+      if (rejected.length > details.length) details.push(`… und ${rejected.length - details.length} weitere`);
+      Alert.alert('Import abgeschlossen', [lines.join('\n'), details.join('\n')].filter(Boolean).join('\n\n'));
+    } catch (e) {
+      console.error('Failed to import CSV', e);
+      Alert.alert('Fehler', 'Die Datei konnte nicht gelesen werden.');
+    }
   };
-  const handleSaveAdd = (newTransaction) => {
-    addTransaction(newTransaction);
-    setShowAddModal(false);
+
+  const handleExportBackup = async () => {
+    try {
+      await exportBackup();
+    } catch (e) {
+      console.error('Failed to export backup', e);
+      Alert.alert('Fehler', 'Das Backup konnte nicht erstellt werden.');
+    }
+  };
+
+  const runRestore = async (doc, mode) => {
+    try {
+      await applyBackup(doc, mode);
+      await reloadFromStorage();
+      Alert.alert('Wiederherstellung abgeschlossen', `${doc.data.transactions.length} Transaktionen im Backup.`);
+    } catch (e) {
+      console.error('Failed to restore backup', e);
+      Alert.alert('Fehler', 'Die Wiederherstellung ist fehlgeschlagen. Deine Daten wurden nicht verändert.');
+    }
+  };
+
+  const handleRestoreBackup = async () => {
+    let doc;
+    try {
+      const text = await pickTextFile(['application/json', 'text/plain']);
+      if (text == null) return;
+      doc = readBackupText(text);
+    } catch (e) {
+      Alert.alert('Ungültiges Backup', e.message);
+      return;
+    }
+
+    const created = doc.createdAt ? formatDateDe(new Date(doc.createdAt)) : 'unbekannt';
+    Alert.alert(
+      'Backup wiederherstellen',
+      `Backup vom ${created} mit ${doc.data.transactions.length} Transaktionen.\n\n` +
+        'Zusammenführen ergänzt fehlende Einträge. Ersetzen löscht alle aktuellen Daten.',
+      [
+        { text: 'Abbrechen', style: 'cancel' },
+        { text: 'Zusammenführen', onPress: () => runRestore(doc, 'merge') },
+        { text: 'Ersetzen', style: 'destructive', onPress: () => runRestore(doc, 'replace') },
+      ]
+    );
   };
 
   return (
-    <View style={{ flex: 1, backgroundColor: theme.primary }}>
-      <View style={{ padding: 12 }}>
-        <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 10 }}>
-          <Text style={{ fontSize: 16, fontWeight: '700', color: theme.text }}>Ausgaben ({filteredTransactions.length})</Text>
-          <TouchableOpacity onPress={() => setShowAddModal(true)} style={[styles.addButton, { backgroundColor: '#ef4444' }]}>
-            <Feather name="plus" size={18} color="white" />
-            <Text style={{ color: 'white', fontWeight: '600', marginLeft: 4, fontSize: 13 }}>Hinzufügen</Text>
-          </TouchableOpacity>
-        </View>
+    <ScrollView style={{ flex: 1, backgroundColor: theme.primary }} contentContainerStyle={{ padding: 12 }}>
+      <Text style={[styles.settingsSectionTitle, { color: theme.text }]}>Verwaltung</Text>
+      <SettingsRow
+        icon="tag"
+        label="Kategorien verwalten"
+        description="Hinzufügen, umbenennen, sortieren und archivieren"
+        onPress={() => setShowCategories(true)}
+      />
+      <SettingsRow
+        icon="users"
+        label="Kontakte"
+        description="Spender/innen und Empfänger/innen mit Verlauf"
+        onPress={() => setShowContacts(true)}
+      />
+      <SettingsRow
+        icon="file-text"
+        label="Zuwendungsbestätigungen"
+        description="Ausgestellte Belege nachdrucken, Vorlage anpassen"
+        onPress={() => setShowReceipts(true)}
+      />
+      <SettingsRow
+        icon="repeat"
+        label="Wiederkehrende Buchungen"
+        description="Daueraufträge und regelmäßige Spenden"
+        onPress={() => setShowRecurring(true)}
+      />
+      <SettingsRow
+        icon="flag"
+        label="Kampagnen"
+        description="Spendenziele mit eigenem Fortschritt und Saldo"
+        onPress={() => setShowCampaigns(true)}
+      />
+      <SettingsRow
+        icon="credit-card"
+        label="Konten & Umbuchungen"
+        description="Bank, PayPal, Kasse mit Anfangsbestand; Geld zwischen Konten verschieben"
+        onPress={() => setShowAccounts(true)}
+      />
+      <SettingsRow
+        icon="sliders"
+        label="Budgets"
+        description="Monats- oder Jahreslimits je Ausgaben-Kategorie"
+        onPress={() => setShowBudgets(true)}
+      />
+      <SettingsRow
+        icon="dollar-sign"
+        label="Wechselkurse"
+        description="Basiswährung und Kurse für Fremdwährungen"
+        onPress={() => setShowRates(true)}
+      />
+      <SettingsRow
+        icon="clock"
+        label="Änderungsprotokoll"
+        description="Wer hat wann was geändert, mit Rückgängig/Wiederholen"
+        onPress={() => setShowAuditLog(true)}
+      />
 
-        <FilterBar
-          selectedCategories={selectedCategories}
-          onCategoryToggle={handleCategoryToggle}
-          isIncome={false}
-          searchText={searchText}
-          onSearchChange={setSearchText}
-        />
+      <Text style={[styles.settingsSectionTitle, { color: theme.text }]}>Daten</Text>
+      <SettingsRow
+        icon="book-open"
+        label="Jahresabschluss"
+        description="Bericht für Familie und Spender/innen als PDF oder Excel"
+        onPress={() => setShowReport(true)}
+      />
+      <SettingsRow
+        icon="download"
+        label="CSV exportieren"
+        description="Alle Transaktionen für die Kassenprüfung teilen"
+        onPress={handleExportCsv}
+      />
+      <SettingsRow
+        icon="upload"
+        label="CSV importieren"
+        description="Einträge aus einer exportierten Datei übernehmen"
+        onPress={handleImportCsv}
+      />
+      <SettingsRow
+        icon="file-text"
+        label="Kontoauszug importieren"
+        description="CAMT.053, MT940 oder CSV von Sparkasse, DKB und N26"
+        onPress={() => setShowBankImport(true)}
+      />
+      <SettingsRow
+        icon="heart"
+        label="GoFundMe importieren"
+        description="Spenden-Export mit Namen, Nachrichten und Gebühren"
+        onPress={() => setShowGofundmeImport(true)}
+      />
 
-        {filteredTransactions.length === 0 ? (
-          <View style={{ alignItems: 'center', paddingVertical: 48 }}>
-            <Feather name="trending-down" size={44} color="#ef4444" opacity={0.3} />
-            <Text style={{ color: theme.text, marginTop: 10, opacity: 0.7 }}>
-              {transactions.filter((t) => !t.isIncome).length === 0 ? 'Noch keine Ausgaben vorhanden' : 'Keine Einträge entsprechen den Filtern'}
-            </Text>
-          </View>
-        ) : (
-          <FlatList
-            data={filteredTransactions}
-            keyExtractor={(item) => item.id.toString()}
-            renderItem={({ item }) => <TransactionItem t={item} onEdit={handleEdit} onDelete={deleteTransaction} />}
-            showsVerticalScrollIndicator={false}
-          />
-        )}
-      </View>
+      <Text style={[styles.settingsSectionTitle, { color: theme.text }]}>Abgleich</Text>
+      <SettingsRow
+        icon="refresh-cw"
+        label="Geräte abgleichen"
+        description="Änderungen per Datei mit den Handys der anderen austauschen"
+        onPress={() => setShowSync(true)}
+      />
 
-      <AddModal visible={showAddModal} isIncome={false} onClose={() => setShowAddModal(false)} onSave={handleSaveAdd} />
-      <EditModal visible={!!editingTransaction} transaction={editingTransaction} onClose={() => setEditingTransaction(null)} onSave={handleSaveEdit} />
-    </View>
+      <Text style={[styles.settingsSectionTitle, { color: theme.text }]}>Benachrichtigungen</Text>
+      <SettingsRow
+        icon="bell"
+        label="Erinnerungen"
+        description={remindersEnabled(reminderSettings) ? 'Eingeschaltet' : 'Eintragen, fällige Buchungen, Kampagnen-Fristen'}
+        onPress={() => setShowReminders(true)}
+      />
+
+      <Text style={[styles.settingsSectionTitle, { color: theme.text }]}>Sicherheit</Text>
+      <SettingsRow
+        icon="lock"
+        label="App-Sperre"
+        description={appLock.enabled ? 'Eingeschaltet' : 'PIN und Fingerabdruck/Gesichtserkennung'}
+        onPress={() => setShowAppLock(true)}
+      />
+
+      <Text style={[styles.settingsSectionTitle, { color: theme.text }]}>Sicherung</Text>
+      <SettingsRow
+        icon="save"
+        label="Backup erstellen"
+        description="Alle gespeicherten Daten als JSON-Datei sichern"
+        onPress={handleExportBackup}
+      />
+      <SettingsRow
+        icon="rotate-ccw"
+        label="Backup wiederherstellen"
+        description="Ersetzen oder mit den aktuellen Daten zusammenführen"
+        onPress={handleRestoreBackup}
+      />
+
+      <CategoryManagerModal visible={showCategories} onClose={() => setShowCategories(false)} />
+      <ContactsModal visible={showContacts} onClose={() => setShowContacts(false)} />
+      <ReceiptsModal visible={showReceipts} onClose={() => setShowReceipts(false)} />
+      <RecurringModal visible={showRecurring} onClose={() => setShowRecurring(false)} />
+      <CampaignsModal visible={showCampaigns} onClose={() => setShowCampaigns(false)} />
+      <AccountsModal visible={showAccounts} onClose={() => setShowAccounts(false)} />
+      <BudgetsModal visible={showBudgets} onClose={() => setShowBudgets(false)} />
+      <ExchangeRatesModal visible={showRates} onClose={() => setShowRates(false)} />
+      <AuditLogModal visible={showAuditLog} onClose={() => setShowAuditLog(false)} />
+      <AppLockModal visible={showAppLock} onClose={() => setShowAppLock(false)} />
+      <RemindersModal visible={showReminders} onClose={() => setShowReminders(false)} />
+      <BankImportModal visible={showBankImport} onClose={() => setShowBankImport(false)} />
+      <GofundmeImportModal visible={showGofundmeImport} onClose={() => setShowGofundmeImport(false)} />
+      <ReportModal visible={showReport} onClose={() => setShowReport(false)} />
+      <SyncModal visible={showSync} onClose={() => setShowSync(false)} />
+    </ScrollView>
   );
 };
 
 // ---------- Styles ----------
 const styles = StyleSheet.create({
+  // Sperrbildschirm
+  pinDot: { width: 14, height: 14, borderRadius: 7, borderWidth: 2 },
+  keypad: { flexDirection: 'row', flexWrap: 'wrap', width: 264, gap: 12, justifyContent: 'center' },
+  keypadKey: { width: 72, height: 72, borderRadius: 36, alignItems: 'center', justifyContent: 'center' },
+
+  // Belege
+  attachmentRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    borderWidth: 1,
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    marginTop: 8,
+  },
+  attachmentImage: { width: '100%', height: 320, borderRadius: 8, marginBottom: 8 },
+
+  // Rückgängig-Leiste über der Tab-Bar
+  snackbar: {
+    position: 'absolute',
+    left: 12,
+    right: 12,
+    bottom: 90,
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 10,
+    paddingVertical: 10,
+    paddingHorizontal: 14,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 3 },
+    shadowOpacity: 0.2,
+    shadowRadius: 6,
+    elevation: 6,
+  },
+
   // Compact sticky dashboard
   compactStickyDashboard: {
     paddingHorizontal: 12,
@@ -983,6 +9875,12 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     justifyContent: 'center',
   },
+  monthHeader: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    marginBottom: 6,
+    borderBottomWidth: 1,
+  },
 
   // Filter bubbles
   filterContainer: { marginBottom: 10 },
@@ -993,6 +9891,18 @@ const styles = StyleSheet.create({
     fontSize: 14,
     marginBottom: 8,
   },
+  filterToggle: { width: 42, alignItems: 'center', justifyContent: 'center' },
+  filterField: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    borderRadius: 10,
+    borderWidth: 1,
+    fontSize: 13,
+  },
   categoryScrollView: { marginBottom: 4 },
   categoryScrollContent: { paddingHorizontal: 2 },
   filterChip: {
@@ -1041,6 +9951,75 @@ const styles = StyleSheet.create({
     paddingVertical: 6,
     borderRadius: 18,
   },
+
+  // Statistics
+  statsCard: {
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.08,
+    shadowRadius: 3,
+    elevation: 1,
+  },
+  statsCardTitle: { fontSize: 15, fontWeight: '700', marginBottom: 10 },
+  statsKpi: { flex: 1, borderRadius: 12, padding: 10, elevation: 1 },
+  legendRow: { flexDirection: 'row', alignItems: 'center', gap: 6, paddingVertical: 6 },
+
+  // Campaigns
+  budgetAlert: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginTop: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    borderRadius: 10,
+    borderWidth: 1,
+  },
+  campaignCard: {
+    borderRadius: 12,
+    padding: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.08,
+    shadowRadius: 3,
+    elevation: 1,
+  },
+
+  // Income/expense segmented toggle
+  typeToggle: { flexDirection: 'row', borderRadius: 12, padding: 3, marginBottom: 12 },
+  typeToggleItem: { flex: 1, alignItems: 'center', paddingVertical: 7, borderRadius: 10 },
+
+  // Category manager
+  categoryIconBadge: { width: 28, height: 28, borderRadius: 14, alignItems: 'center', justifyContent: 'center' },
+  pickerGrid: { flexDirection: 'row', flexWrap: 'wrap', gap: 10 },
+  colorSwatch: { width: 34, height: 34, borderRadius: 17, borderWidth: 3 },
+  iconSwatch: {
+    width: 40,
+    height: 40,
+    borderRadius: 12,
+    borderWidth: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+
+  // Settings
+  settingsSectionTitle: { fontSize: 16, fontWeight: '700', marginTop: 8, marginBottom: 8 },
+  settingsRow: {
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 8,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.08,
+    shadowRadius: 3,
+    elevation: 1,
+  },
 });
 
 export default App;
\ No newline at end of file
@@ -0,0 +1,187 @@
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const DEFAULT_PAGE_SIZE = 500;
+const MAX_PAGE_SIZE = 2000;
+// Abweichung der Geräteuhren, die bei Zeitstempeln aus der Zukunft noch hingenommen wird
+const MAX_CLOCK_SKEW_MS = 24 * 60 * 60 * 1000;
+
+// Fehler mit HTTP-Status; alles andere wird als 500 gemeldet und protokolliert
+const httpError = (status, message, body) => Object.assign(new Error(message), { status, body });
+
+const sendJson = (res, status, body) => {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(payload) });
+  res.end(payload);
+};
+
+const readJson = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(httpError(413, 'Anfrage zu groß'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (chunks.length === 0) return resolve({});
+      let body;
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      } catch (e) {
+        reject(httpError(400, 'Ungültiges JSON'));
+        return;
+      }
+      // Alle Routen erwarten ein Objekt; null, Listen und einzelne Werte sind hier ungültig
+      if (!body || typeof body !== 'object' || Array.isArray(body)) reject(httpError(400, 'Ungültiges JSON'));
+      else resolve(body);
+    });
+    req.on('error', reject);
+  });
+
+// Vergleich in konstanter Zeit, damit sich der Token nicht Zeichen für Zeichen erraten lässt
+const tokenMatches = (header, token) => {
+  const given = Buffer.from(String(header || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// Stempel werden als Text verglichen und müssen deshalb genau die Form von toISOString() haben.
+// Weit in der Zukunft liegende Stempel würden jede spätere Änderung auf Dauer überstimmen.
+const isStamp = (value) =>
+  typeof value === 'string' &&
+  /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/.test(value) &&
+  !Number.isNaN(new Date(value).getTime()) &&
+  new Date(value).getTime() <= Date.now() + MAX_CLOCK_SKEW_MS;
+
+// Dieselben Mindestanforderungen wie beim Einlesen einer Abgleich-Datei in der App
+const validateTransaction = (t) => {
+  if (!t || typeof t !== 'object') return 'Eintrag fehlt';
+  if (typeof t.id !== 'string' && typeof t.id !== 'number') return 'id fehlt';
+  if (typeof t.date !== 'string' || Number.isNaN(new Date(t.date).getTime())) return 'Ungültiges Datum';
+  if (!Number.isFinite(t.amount) || t.amount <= 0) return 'Ungültiger Betrag';
+  if (typeof t.isIncome !== 'boolean') return 'isIncome fehlt';
+  if (t.updatedAt !== undefined && !isStamp(t.updatedAt)) return 'Ungültiger Zeitstempel (updatedAt)';
+  return null;
+};
+
+// Ohne Stempel gilt der Eintrag als jetzt vom Server geändert (z. B. bei Aufrufen mit curl)
+const withStamp = (t) => ({ ...t, updatedAt: t.updatedAt || new Date().toISOString(), updatedBy: t.updatedBy || 'server' });
+
+const requireValid = (t) => {
+  const error = validateTransaction(t);
+  if (error) throw httpError(400, error);
+};
+
+const conflict = (result) =>
+  httpError(409, 'Auf dem Server gibt es eine neuere Änderung', {
+    error: 'Auf dem Server gibt es eine neuere Änderung',
+    current: result.record.transaction || { deleted: true, ...result.record.deleted },
+  });
+
+// Routen: [Methode, Muster, Handler(params, req, url)]
+const createRoutes = (store) => [
+  ['GET', /^\/transactions$/, () => [200, { transactions: store.list() }]],
+  [
+    'GET',
+    /^\/transactions\/([^/]+)$/,
+    ([id]) => {
+      const transaction = store.get(id);
+      if (!transaction) throw httpError(404, 'Nicht gefunden');
+      return [200, { transaction }];
+    },
+  ],
+  [
+    'POST',
+    /^\/transactions$/,
+    async (params, req) => {
+      const body = await readJson(req);
+      const transaction = withStamp({ ...body, id: body.id ?? crypto.randomUUID() });
+      requireValid(transaction);
+      if (store.get(transaction.id)) throw httpError(409, 'Eintrag existiert bereits; zum Ändern PUT verwenden');
+      const result = store.upsert(transaction);
+      if (result.status === 'stale') throw conflict(result);
+      return [201, { transaction: result.record.transaction, seq: result.record.seq }];
+    },
+  ],
+  [
+    'PUT',
+    /^\/transactions\/([^/]+)$/,
+    async ([id], req) => {
+      const body = await readJson(req);
+      if (body.id != null && String(body.id) !== id) throw httpError(400, 'id in Pfad und Inhalt unterscheiden sich');
+      const transaction = withStamp({ ...body, id: body.id ?? id });
+      requireValid(transaction);
+      const result = store.upsert(transaction);
+      if (result.status === 'stale') throw conflict(result);
+      return [result.status === 'created' ? 201 : 200, { transaction: result.record.transaction, seq: result.record.seq }];
+    },
+  ],
+  [
+    'DELETE',
+    /^\/transactions\/([^/]+)$/,
+    async ([id], req, url) => {
+      const body = await readJson(req);
+      const deletedAt = body.deletedAt || url.searchParams.get('deletedAt') || new Date().toISOString();
+      const deletedBy = body.deletedBy || url.searchParams.get('deletedBy') || 'server';
+      if (!isStamp(deletedAt)) throw httpError(400, 'Ungültiger Zeitstempel (deletedAt)');
+      const result = store.remove(id, { deletedAt, deletedBy });
+      if (result.status === 'stale') throw conflict(result);
+      return [200, { deleted: result.record.deleted, seq: result.record.seq }];
+    },
+  ],
+  [
+    'GET',
+    /^\/changes$/,
+    (params, req, url) => {
+      const since = Number(url.searchParams.get('since') || 0);
+      const limit = Number(url.searchParams.get('limit') || DEFAULT_PAGE_SIZE);
+      if (!Number.isInteger(since) || since < 0) throw httpError(400, 'since muss eine Zahl ≥ 0 sein');
+      if (!Number.isInteger(limit) || limit < 1) throw httpError(400, 'limit muss eine Zahl ≥ 1 sein');
+      return [200, store.changesSince(since, Math.min(limit, MAX_PAGE_SIZE))];
+    },
+  ],
+];
+
+const decodeParam = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    throw httpError(400, 'Ungültige Kodierung im Pfad');
+  }
+};
+
+// hooks.beforeRequest (nur Mock): darf eine Antwort [status, body] liefern, z. B. um Ausfälle zu simulieren
+const createApp = ({ store, token, log = console, hooks = {} }) => {
+  if (!token) throw new Error('Ein Zugriffstoken ist erforderlich (SYNC_TOKEN).');
+  const routes = createRoutes(store);
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      if (req.method === 'GET' && url.pathname === '/health') return sendJson(res, 200, { ok: true });
+      if (!tokenMatches(req.headers.authorization, token)) throw httpError(401, 'Nicht angemeldet');
+      const forced = hooks.beforeRequest && (await hooks.beforeRequest(req, url));
+      if (forced) return sendJson(res, forced[0], forced[1]);
+
+      const route = routes.find(([method, pattern]) => method === req.method && pattern.test(url.pathname));
+      if (!route) throw httpError(404, 'Unbekannte Route');
+      const params = url.pathname.match(route[1]).slice(1).map(decodeParam);
+      const [status, body] = await route[2](params, req, url);
+      sendJson(res, status, body);
+    } catch (e) {
+      if (!e.status) log.error(e);
+      sendJson(res, e.status || 500, e.body || { error: e.status ? e.message : 'Interner Fehler' });
+    }
+  });
+};
+
+module.exports = { createApp, validateTransaction };
@@ -0,0 +1,21 @@
+'use strict';
+
+// Selbst gehosteter Sync-Server für den Spenden-Tracker.
+//   SYNC_TOKEN=geheim node index.js
+// Umgebungsvariablen: SYNC_TOKEN (Pflicht), PORT (Standard 8787), HOST (Standard 0.0.0.0),
+// DATA_FILE (Standard ./data/ledger.json)
+const path = require('path');
+const { createApp } = require('./app');
+const { createStore } = require('./store');
+
+const port = Number(process.env.PORT) || 8787;
+const host = process.env.HOST || '0.0.0.0';
+const file = process.env.DATA_FILE || path.join(__dirname, 'data', 'ledger.json');
+
+if (!process.env.SYNC_TOKEN) {
+  console.error('Bitte SYNC_TOKEN setzen, z. B. SYNC_TOKEN=$(openssl rand -hex 24) node index.js');
+  process.exit(1);
+}
+
+const server = createApp({ store: createStore({ file }), token: process.env.SYNC_TOKEN });
+server.listen(port, host, () => console.log(`Sync-Server läuft auf http://${host}:${port} (Daten: ${file})`));
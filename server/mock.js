@@ -0,0 +1,48 @@
+'use strict';
+
+// Mock-Server zum Ausprobieren: Daten nur im Speicher, fester Token, optional Ausfälle und Verzögerung,
+// um die Offline-Warteschlange der App zu testen.
+//   node mock.js
+//   MOCK_FAIL_RATE=0.3 MOCK_DELAY_MS=800 node mock.js
+const crypto = require('crypto');
+const { createApp } = require('./app');
+const { createStore } = require('./store');
+
+const port = Number(process.env.PORT) || 8787;
+const token = process.env.SYNC_TOKEN || 'mock-token';
+const failRate = Number(process.env.MOCK_FAIL_RATE) || 0;
+const delayMs = Number(process.env.MOCK_DELAY_MS) || 0;
+
+const store = createStore();
+const seededAt = new Date().toISOString();
+[
+  { amount: 50, category: 'GoFundMe', isIncome: true, note: 'Mock: Spende' },
+  { amount: 20, category: 'Bargeld', isIncome: false, note: 'Mock: Bargeld übergeben' },
+].forEach((t, i) =>
+  store.upsert({
+    ...t,
+    id: crypto.randomUUID(),
+    currency: 'EUR',
+    date: new Date(Date.now() - i * 86400000).toISOString(),
+    updatedAt: seededAt,
+    updatedBy: 'mock',
+  })
+);
+
+const server = createApp({
+  store,
+  token,
+  hooks: {
+    beforeRequest: async (req) => {
+      if (delayMs) await new Promise((resolve) => setTimeout(resolve, delayMs));
+      if (Math.random() < failRate) {
+        console.log(`Mock: ${req.method} ${req.url} → 503`);
+        return [503, { error: 'Mock: Server nicht erreichbar' }];
+      }
+      console.log(`Mock: ${req.method} ${req.url}`);
+      return null;
+    },
+  },
+});
+
+server.listen(port, () => console.log(`Mock-Sync-Server auf http://localhost:${port}, Token "${token}"`));
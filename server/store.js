@@ -0,0 +1,95 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Gleiche Regel wie in der App: die jüngere Änderung gewinnt, bei Gleichstand die Geräte-ID;
+// ein fehlender Stempel ist älter als jeder andere
+const changeStamp = (t) => (t.updatedAt ? `${t.updatedAt}|${t.updatedBy || ''}` : '');
+const deletionStamp = (d) => (d.deletedAt ? `${d.deletedAt}|${d.deletedBy || ''}` : '');
+
+const emptyData = () => ({ seq: 0, records: {} });
+
+// Jede Änderung bekommt eine fortlaufende Nummer (seq). Der Cursor eines Clients ist die höchste
+// Nummer, die er schon kennt; gelöschte Einträge bleiben als Grabstein erhalten, damit andere
+// Clients von der Löschung erfahren.
+// Ohne file bleibt alles im Speicher (Mock und Tests).
+const createStore = ({ file } = {}) => {
+  let data = emptyData();
+  if (file && fs.existsSync(file)) data = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  // Erst in eine temporäre Datei schreiben, dann umbenennen: ein Absturz hinterlässt nie eine halbe Datei
+  const persist = () => {
+    if (!file) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data));
+    fs.renameSync(tmp, file);
+  };
+
+  const write = (id, record) => {
+    data.seq += 1;
+    data.records[id] = { ...record, seq: data.seq };
+    persist();
+    return data.records[id];
+  };
+
+  const list = () =>
+    Object.values(data.records)
+      .filter((r) => r.transaction)
+      .map((r) => r.transaction);
+
+  const get = (id) => data.records[String(id)]?.transaction || null;
+
+  // status: 'created' | 'updated' | 'unchanged' (gleicher Stempel, z. B. Wiederholung) | 'stale' (Server neuer)
+  const upsert = (transaction) => {
+    const id = String(transaction.id);
+    const existing = data.records[id];
+    if (existing?.deleted) {
+      if (deletionStamp(existing.deleted) >= changeStamp(transaction)) return { status: 'stale', record: existing };
+    } else if (existing) {
+      const current = changeStamp(existing.transaction);
+      const incoming = changeStamp(transaction);
+      if (incoming === current) return { status: 'unchanged', record: existing };
+      if (incoming < current) return { status: 'stale', record: existing };
+    }
+    const status = existing?.transaction ? 'updated' : 'created';
+    return { status, record: write(id, { transaction }) };
+  };
+
+  // status: 'deleted' | 'unchanged' | 'stale' (nach der Löschung noch geändert)
+  const remove = (id, { deletedAt, deletedBy }) => {
+    const key = String(id);
+    const existing = data.records[key];
+    const deleted = { id: existing?.transaction?.id ?? id, deletedAt, deletedBy };
+    if (existing?.transaction && changeStamp(existing.transaction) > deletionStamp(deleted)) {
+      return { status: 'stale', record: existing };
+    }
+    if (existing?.deleted && deletionStamp(existing.deleted) >= deletionStamp(deleted)) {
+      return { status: 'unchanged', record: existing };
+    }
+    return { status: 'deleted', record: write(key, { deleted }) };
+  };
+
+  // Ist der Cursor größer als alles Bekannte (Server neu aufgesetzt), beginnt der Client von vorn
+  const changesSince = (requested, limit) => {
+    const reset = requested > data.seq;
+    const cursor = reset ? 0 : requested;
+    const pending = Object.values(data.records)
+      .filter((r) => r.seq > cursor)
+      .sort((a, b) => a.seq - b.seq);
+    const page = pending.slice(0, limit);
+    return {
+      changes: page.map((r) =>
+        r.transaction ? { type: 'upsert', transaction: r.transaction } : { type: 'delete', ...r.deleted }
+      ),
+      cursor: page.length > 0 ? page[page.length - 1].seq : cursor,
+      hasMore: pending.length > page.length,
+      reset,
+    };
+  };
+
+  return { list, get, upsert, remove, changesSince };
+};
+
+module.exports = { createStore, changeStamp, deletionStamp };
@@ -0,0 +1,170 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApp } = require('../app');
+const { createStore } = require('../store');
+
+const TOKEN = 'test-token';
+const quiet = { error: () => {} };
+
+// Startet einen Server auf einem freien Port; request liefert [status, body]
+const startServer = async (store = createStore()) => {
+  const server = createApp({ store, token: TOKEN, log: quiet });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const request = async (method, route, body, token = TOKEN) => {
+    const res = await fetch(base + route, {
+      method,
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return [res.status, await res.json()];
+  };
+  return { request, close: () => new Promise((resolve) => server.close(resolve)) };
+};
+
+const entry = (id, changes = {}) => ({ id, date: '2024-03-04T12:00:00.000Z', amount: 50, isIncome: true, category: 'Bar', ...changes });
+const at = (minute) => `2025-03-01T10:${String(minute).padStart(2, '0')}:00.000Z`;
+
+test('ohne gültigen Token nur /health', async (t) => {
+  const { request, close } = await startServer();
+  t.after(close);
+  assert.deepEqual(await request('GET', '/health', undefined, ''), [200, { ok: true }]);
+  assert.equal((await request('GET', '/transactions', undefined, 'falsch'))[0], 401);
+});
+
+test('anlegen, ändern und löschen in Stempel-Reihenfolge', async (t) => {
+  const { request, close } = await startServer();
+  t.after(close);
+
+  let [status, body] = await request('POST', '/transactions', entry('a', { updatedAt: at(1), updatedBy: 'x' }));
+  assert.equal(status, 201);
+  assert.equal((await request('POST', '/transactions', entry('a')))[0], 409);
+
+  [status, body] = await request('PUT', '/transactions/a', entry('a', { amount: 60, updatedAt: at(2), updatedBy: 'x' }));
+  assert.equal(status, 200);
+  assert.equal(body.transaction.amount, 60);
+
+  // Ältere Fassung: 409 mit dem aktuellen Stand
+  [status, body] = await request('PUT', '/transactions/a', entry('a', { amount: 10, updatedAt: at(1), updatedBy: 'y' }));
+  assert.equal(status, 409);
+  assert.equal(body.current.amount, 60);
+
+  // Gleicher Stempel: unverändert
+  assert.equal((await request('PUT', '/transactions/a', entry('a', { amount: 60, updatedAt: at(2), updatedBy: 'x' })))[0], 200);
+
+  // Löschung älter als die letzte Änderung: 409
+  [status, body] = await request('DELETE', '/transactions/a', { deletedAt: at(1), deletedBy: 'y' });
+  assert.equal(status, 409);
+  assert.equal(body.current.amount, 60);
+
+  [status, body] = await request('DELETE', '/transactions/a', { deletedAt: at(3), deletedBy: 'y' });
+  assert.equal(status, 200);
+  assert.equal((await request('GET', '/transactions/a'))[0], 404);
+
+  // Nach der Löschung lebt nur eine jüngere Änderung den Eintrag wieder auf
+  assert.equal((await request('PUT', '/transactions/a', entry('a', { updatedAt: at(2), updatedBy: 'x' })))[0], 409);
+  assert.equal((await request('PUT', '/transactions/a', entry('a', { updatedAt: at(4), updatedBy: 'x' })))[0], 201);
+});
+
+test('PUT ohne Stempel gilt als jetzt geändert', async (t) => {
+  const { request, close } = await startServer();
+  t.after(close);
+
+  let [status, body] = await request('PUT', '/transactions/b', entry('b'));
+  assert.equal(status, 201);
+  assert.equal(body.transaction.updatedBy, 'server');
+  await new Promise((resolve) => setTimeout(resolve, 5));
+
+  [status, body] = await request('PUT', '/transactions/b', entry('b', { amount: 70 }));
+  assert.equal(status, 200);
+  assert.equal(body.transaction.amount, 70);
+  assert.equal((await request('DELETE', '/transactions/b'))[0], 200);
+});
+
+test('ungestempelte Einträge aus älteren Daten verlieren gegen jede Änderung', async (t) => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sync-')), 'ledger.json');
+  t.after(() => fs.rmSync(path.dirname(file), { recursive: true, force: true }));
+  fs.writeFileSync(file, JSON.stringify({ seq: 1, records: { c: { seq: 1, transaction: entry('c') } } }));
+  const { request, close } = await startServer(createStore({ file }));
+  t.after(close);
+
+  assert.equal((await request('DELETE', '/transactions/c', { deletedAt: at(1), deletedBy: 'x' }))[0], 200);
+  assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).records.c.deleted.deletedBy, 'x');
+});
+
+test('Änderungen seit Cursor: je Eintrag die letzte, seitenweise', async (t) => {
+  const { request, close } = await startServer();
+  t.after(close);
+  await request('PUT', '/transactions/a', entry('a', { updatedAt: at(1), updatedBy: 'x' }));
+  await request('PUT', '/transactions/b', entry('b', { updatedAt: at(1), updatedBy: 'x' }));
+  await request('PUT', '/transactions/a', entry('a', { amount: 5, updatedAt: at(2), updatedBy: 'x' }));
+  await request('DELETE', '/transactions/b', { deletedAt: at(3), deletedBy: 'x' });
+
+  let [status, body] = await request('GET', '/changes?since=0&limit=1');
+  assert.equal(status, 200);
+  assert.deepEqual(body.changes, [{ type: 'upsert', transaction: entry('a', { amount: 5, updatedAt: at(2), updatedBy: 'x' }) }]);
+  assert.equal(body.hasMore, true);
+
+  [status, body] = await request('GET', `/changes?since=${body.cursor}`);
+  assert.deepEqual(body.changes, [{ type: 'delete', id: 'b', deletedAt: at(3), deletedBy: 'x' }]);
+  assert.equal(body.hasMore, false);
+
+  [status, body] = await request('GET', `/changes?since=${body.cursor}`);
+  assert.deepEqual(body.changes, []);
+
+  // Unbekannter Cursor (Server neu aufgesetzt): von vorn
+  [status, body] = await request('GET', '/changes?since=99');
+  assert.equal(body.reset, true);
+  assert.equal(body.changes.length, 2);
+});
+
+test('ungültige Anfragen: 400 statt 500', async (t) => {
+  const { request, close } = await startServer();
+  t.after(close);
+  assert.equal((await request('PUT', '/transactions/%E0%A4%A', entry('x')))[0], 400);
+  assert.equal((await request('PUT', '/transactions/d', entry('d', { amount: -1 })))[0], 400);
+  assert.equal((await request('PUT', '/transactions/d', entry('e')))[0], 400);
+  assert.equal((await request('GET', '/changes?since=abc'))[0], 400);
+});
+
+test('limit muss eine ganze Zahl ≥ 1 sein', async (t) => {
+  const { request, close } = await startServer();
+  t.after(close);
+  await request('PUT', '/transactions/a', entry('a', { updatedAt: at(1), updatedBy: 'x' }));
+  for (const limit of ['-1', '0', '0.5', 'abc']) {
+    assert.equal((await request('GET', `/changes?since=0&limit=${limit}`))[0], 400, `limit=${limit}`);
+  }
+  const [status, body] = await request('GET', '/changes?since=0&limit=99999');
+  assert.equal(status, 200);
+  assert.equal(body.changes.length, 1);
+});
+
+test('Inhalt muss ein Objekt sein', async (t) => {
+  const { request, close } = await startServer();
+  t.after(close);
+  for (const body of [null, [], 5, 'text']) {
+    assert.deepEqual(await request('PUT', '/transactions/a', body), [400, { error: 'Ungültiges JSON' }], JSON.stringify(body));
+    assert.equal((await request('POST', '/transactions', body))[0], 400);
+    assert.equal((await request('DELETE', '/transactions/a', body))[0], 400);
+  }
+});
+
+test('Zeitstempel müssen ISO-Zeitpunkte und nicht in der Zukunft sein', async (t) => {
+  const { request, close } = await startServer();
+  t.after(close);
+  const future = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+  for (const updatedAt of ['9999', 'zzz', '2025-03-01', future, 12]) {
+    assert.equal((await request('PUT', '/transactions/a', entry('a', { updatedAt })))[0], 400, String(updatedAt));
+  }
+  await request('PUT', '/transactions/a', entry('a', { updatedAt: at(1), updatedBy: 'x' }));
+  for (const deletedAt of ['9999', 'zzz', future]) {
+    assert.equal((await request('DELETE', '/transactions/a', { deletedAt }))[0], 400, deletedAt);
+  }
+  assert.equal((await request('DELETE', `/transactions/a?deletedAt=zzz`))[0], 400);
+  assert.equal((await request('DELETE', '/transactions/a', { deletedAt: at(2) }))[0], 200);
+});
@@ -0,0 +1,26 @@
+'use strict';
+
+// App.js ist eine einzige Datei mit React-Native-Importen und lässt sich in Node nicht laden.
+// Für Tests werden reine Hilfsfunktionen einzeln herausgelöst: eine Deklaration beginnt mit
+// "const name = " am Zeilenanfang und endet vor der nächsten Zeile, die am Zeilenanfang mit etwas
+// anderem als einer schließenden Klammer beginnt.
+const fs = require('fs');
+const path = require('path');
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'App.js'), 'utf8');
+
+const declaration = (name) => {
+  const start = source.search(new RegExp(`^const ${name} = `, 'm'));
+  if (start === -1) throw new Error(`${name} nicht in App.js gefunden`);
+  const rest = source.slice(start);
+  const end = rest.slice(1).search(/\n(?=[^\s}\])])/);
+  return end === -1 ? rest : rest.slice(0, end + 1);
+};
+
+// names in Abhängigkeitsreihenfolge; globals ersetzt, was die Funktionen sonst noch brauchen
+const loadAppHelpers = (names, globals = {}) => {
+  const body = `${names.map(declaration).join('\n')}\nreturn { ${names.join(', ')} };`;
+  return new Function(...Object.keys(globals), body)(...Object.values(globals));
+};
+
+module.exports = { loadAppHelpers };
@@ -0,0 +1,49 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadAppHelpers } = require('./appHelpers');
+
+const { parseBankCsv } = loadAppHelpers([
+  'CSV_DELIMITER',
+  'parseCsv',
+  'isBlankRow',
+  'parseGermanDate',
+  'BANK_CSV_LAYOUTS',
+  'parseBankAmount',
+  'parseBankCsv',
+]);
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'latin1');
+
+test('Sparkasse: gebuchte Umsätze werden gelesen, vorgemerkte (Spalte Info) übersprungen', () => {
+  const result = parseBankCsv(fixture('sparkasse.csv'));
+  assert.equal(result.format, 'Sparkasse (CSV)');
+  assert.deepEqual(result.rejected, []);
+  assert.deepEqual(
+    result.lines.map((l) => [l.isIncome, l.amount, l.currency, l.counterparty, l.purpose]),
+    [
+      [true, 150, 'EUR', 'Sara Beispiel', 'Spende Miete Maerz'],
+      [false, 1200.5, 'EUR', '', 'GA 1234 Sparkasse'],
+    ]
+  );
+  assert.equal(new Date(result.lines[0].date).getDate(), 4);
+});
+
+test('DKB: vorgemerkte Umsätze (Spalte Status) werden übersprungen', () => {
+  const csv = [
+    '"Girokonto";"DE02120300000000202051"',
+    '',
+    '"Buchungsdatum";"Wertstellung";"Status";"Zahlungspflichtige*r";"Zahlungsempfänger*in";"Verwendungszweck";"Umsatztyp";"IBAN";"Betrag (€)"',
+    '"04.03.24";"04.03.24";"Gebucht";"Sara Beispiel";"Verein";"Spende";"Eingang";"DE89370400440532013000";"150,00 €"',
+    '"06.03.24";"06.03.24";"Vorgemerkt";"Omar Beispiel";"Verein";"Spende";"Eingang";"DE89370400440532013000";"75,00 €"',
+  ].join('\n');
+  const result = parseBankCsv(csv);
+  assert.equal(result.format, 'DKB (CSV)');
+  assert.deepEqual(
+    result.lines.map((l) => [l.amount, l.counterparty]),
+    [[150, 'Sara Beispiel']]
+  );
+});
@@ -0,0 +1,36 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAppHelpers } = require('./appHelpers');
+
+const { parseTransactionsCsv } = loadAppHelpers([
+  'CSV_DELIMITER',
+  'parseCsv',
+  'isBlankRow',
+  'parseGermanDate',
+  'parseAmount',
+  'isValidAmount',
+  'categoryPool',
+  'CURRENCIES',
+  'MAIN_ACCOUNT_ID',
+  'DEFAULT_ACCOUNTS',
+  'CSV_COLUMNS',
+  'parseYesNo',
+  'parseTransactionsCsv',
+]);
+
+const categories = { income: [{ value: 'Bar' }], expense: [{ value: 'Miete' }] };
+
+test('leere Einnahme-Spalte wird abgelehnt statt als Ausgabe gelesen', () => {
+  const csv = ['Datum;Einnahme;Kategorie;Betrag', '04.03.2024;ja;Bar;50', '05.03.2024;;Miete;20', '06.03.2024;nein;Miete;30'].join('\n');
+  const { valid, rejected } = parseTransactionsCsv(csv, categories);
+  assert.deepEqual(
+    valid.map((t) => [t.isIncome, t.amount]),
+    [
+      [true, 50],
+      [false, 30],
+    ]
+  );
+  assert.deepEqual(rejected, [{ line: 3, reason: 'Einnahme muss "ja" oder "nein" sein' }]);
+});
@@ -0,0 +1,49 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAppHelpers } = require('./appHelpers');
+
+// Speicher-Attrappen; "verschlüsselt" wird nur zum Umschlag verpackt
+const setup = (stored, secure = {}) => {
+  const asyncStorage = { ...stored };
+  const secureStore = { ...secure };
+  const helpers = loadAppHelpers(
+    ['isEncryptedEnvelope', 'decryptStored', 'ENCRYPTED_STORAGE_KEYS', 'STORAGE_MIGRATED_NAME', 'encryptLegacyStorage'],
+    {
+      AsyncStorage: {
+        multiGet: async (keys) => keys.map((k) => [k, asyncStorage[k] ?? null]),
+        multiSet: async (pairs) => pairs.forEach(([k, v]) => (asyncStorage[k] = v)),
+      },
+      SecureStore: {
+        getItemAsync: async (k) => secureStore[k] ?? null,
+        setItemAsync: async (k, v) => (secureStore[k] = v),
+      },
+      encryptStored: async (plain) => JSON.stringify({ v: 1, iv: '00', ct: plain, mac: '00' }),
+    }
+  );
+  return { ...helpers, asyncStorage, secureStore };
+};
+
+test('unverschlüsselte Werte gelten als beschädigt', async () => {
+  const { decryptStored } = setup({});
+  await assert.rejects(decryptStored('[{"id":1}]'), /beschädigt/);
+});
+
+test('ältere Daten werden einmalig verschlüsselt, danach nicht mehr angefasst', async () => {
+  const envelope = JSON.stringify({ v: 1, iv: '00', ct: 'alt', mac: '00' });
+  const { encryptLegacyStorage, asyncStorage, secureStore } = setup({
+    transactions: '[{"id":1}]',
+    operationLog: envelope,
+    serverOutbox: 'kein JSON',
+  });
+  await encryptLegacyStorage();
+  assert.equal(JSON.parse(asyncStorage.transactions).ct, '[{"id":1}]');
+  assert.equal(asyncStorage.operationLog, envelope);
+  assert.equal(asyncStorage.serverOutbox, 'kein JSON');
+  assert.equal(secureStore.storageEncrypted, '1');
+
+  asyncStorage.transactions = '[]';
+  await encryptLegacyStorage();
+  assert.equal(asyncStorage.transactions, '[]');
+});
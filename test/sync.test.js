@@ -0,0 +1,84 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAppHelpers } = require('./appHelpers');
+
+const { mergeChangeSet, createChangeSet, stampChanges } = loadAppHelpers(
+  ['SYNC_VERSION', 'changeStamp', 'deletionStamp', 'syncContent', 'stampChanges', 'createChangeSet', 'mergeChangeSet'],
+  { BACKUP_APP_ID: 'spenden-tracker' }
+);
+
+// Eintrag von vor dem Abgleich: ohne updatedAt/updatedBy
+const legacy = { id: 1, date: '2024-01-10T12:00:00.000Z', amount: 20, isIncome: true, category: 'Bar', note: 'alt' };
+const edited = (t, note, at, by = 'geraet-b') => ({ ...t, note, updatedAt: at, updatedBy: by });
+const changeSet = (transactions, tombstones = []) => ({ transactions, tombstones });
+
+test('Änderung eines ungestempelten Eintrags auf einem anderen Gerät wird übernommen', () => {
+  const remote = edited(legacy, 'neu', '2025-03-01T10:00:00.000Z');
+  const result = mergeChangeSet([legacy], [], changeSet([remote]));
+  assert.equal(result.updated, 1);
+  assert.equal(result.keptLocal, 0);
+  assert.equal(result.list[0].note, 'neu');
+});
+
+test('Löschen eines ungestempelten Eintrags erreicht das andere Gerät', () => {
+  const tomb = { id: 1, deletedAt: '2025-03-01T10:00:00.000Z', deletedBy: 'geraet-b' };
+  const result = mergeChangeSet([legacy], [], changeSet([], [tomb]));
+  assert.equal(result.removed, 1);
+  assert.deepEqual(result.list, []);
+  assert.deepEqual(result.tombstones, [tomb]);
+});
+
+test('eine alte ungestempelte Kopie überschreibt keine neuere lokale Änderung', () => {
+  const mine = edited(legacy, 'lokal', '2025-03-01T10:00:00.000Z', 'geraet-a');
+  const result = mergeChangeSet([mine], [], changeSet([legacy]));
+  assert.equal(result.keptLocal, 1);
+  assert.equal(result.list[0], mine);
+  assert.deepEqual(result.after, []);
+});
+
+test('eine ungestempelte Kopie lässt einen gelöschten Eintrag nicht wieder aufleben', () => {
+  const tomb = { id: 1, deletedAt: '2025-03-01T10:00:00.000Z', deletedBy: 'geraet-a' };
+  const result = mergeChangeSet([], [tomb], changeSet([legacy]));
+  assert.deepEqual(result.list, []);
+  assert.equal(result.added, 0);
+});
+
+test('jüngere Änderung gewinnt, bei gleichem Zeitpunkt entscheidet die Geräte-ID', () => {
+  const at = '2025-03-01T10:00:00.000Z';
+  const mine = edited(legacy, 'a', at, 'geraet-a');
+  const theirs = edited(legacy, 'b', at, 'geraet-b');
+  assert.equal(mergeChangeSet([mine], [], changeSet([theirs])).list[0].note, 'b');
+  assert.equal(mergeChangeSet([theirs], [], changeSet([mine])).list[0].note, 'b');
+  const later = edited(legacy, 'später', '2025-03-02T10:00:00.000Z', 'geraet-a');
+  assert.equal(mergeChangeSet([theirs], [], changeSet([later])).list[0].note, 'später');
+});
+
+test('Anhänge des eigenen Geräts bleiben beim Übernehmen erhalten', () => {
+  const mine = { ...legacy, attachments: [{ uri: 'file:///beleg.jpg' }] };
+  const remote = edited(legacy, 'neu', '2025-03-01T10:00:00.000Z');
+  assert.deepEqual(mergeChangeSet([mine], [], changeSet([remote])).list[0].attachments, mine.attachments);
+});
+
+test('"nur Änderungen" nimmt ungestempelte Einträge immer mit', () => {
+  const since = '2025-03-01T00:00:00.000Z';
+  const old = edited(legacy, 'vorher', '2025-02-01T10:00:00.000Z');
+  const recent = { ...edited(legacy, 'nachher', '2025-03-02T10:00:00.000Z'), id: 2 };
+  const unstamped = { ...legacy, id: 3 };
+  const doc = createChangeSet([old, recent, unstamped], [], { deviceId: 'a', author: 'A', since, shared: {} });
+  assert.deepEqual(
+    doc.transactions.map((t) => t.id),
+    [2, 3]
+  );
+});
+
+test('stampChanges stempelt nur geänderte und neue Einträge', () => {
+  const other = { ...legacy, id: 2 };
+  const next = stampChanges([legacy, other], [legacy, { ...other, note: 'geändert' }, { ...legacy, id: 3 }], 'T', 'geraet-a');
+  assert.equal(next[0], legacy);
+  assert.deepEqual(
+    next.slice(1).map((t) => `${t.updatedAt}|${t.updatedBy}`),
+    ['T|geraet-a', 'T|geraet-a']
+  );
+});